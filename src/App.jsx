@@ -4,35 +4,99 @@
  */
 
 import { useState, useEffect, useRef } from 'react';
-import { GoPlus, GoGear, GoTasklist } from 'react-icons/go';
+import { GoPlus, GoGear, GoTasklist, GoArchive } from 'react-icons/go';
 import TaskForm from './components/TaskForm';
 import TaskList from './components/TaskList';
+import WorkloadStrip from './components/WorkloadStrip';
+import TagFilterBar from './components/TagFilterBar';
+import SearchBox from './components/SearchBox';
+import QuickAddBar from './components/QuickAddBar';
+import ArchiveView from './components/ArchiveView';
 import SortToggle from './components/SortToggle';
+import ViewToggle from './components/ViewToggle';
+import CalendarView from './components/CalendarView';
+import BoardView from './components/BoardView';
+import TimelineView from './components/TimelineView';
 import DensityControl from './components/DensityControl';
 import TaskDetailModal from './components/TaskDetailModal';
 import Modal from './components/Modal';
 import AlertDialog from './components/AlertDialog';
 import ConfirmDialog from './components/ConfirmDialog';
+import ImportDialog from './components/ImportDialog';
 import Settings from './components/Settings';
 import Toast from './components/Toast';
 import Banner from './components/Banner';
-import { localToUTC, isInPast } from './utils/datetime';
-import { getAllTasks } from './utils/tasks';
+import { localToUTC, utcToLocalDate, utcToLocalTime, isInPast, formatAbsoluteTime } from './utils/datetime';
+import {
+  getAllTasks,
+  getArchivedTasks,
+  markTaskComplete,
+  createNextOccurrence,
+  restoreArchivedTask
+} from './utils/tasks';
 import {
   createTask,
   updateTask,
-  deleteTask as removeTask
+  deleteTask as removeTask,
+  completeTask,
+  restoreTask,
+  purgeArchivedTask,
+  clearArchive,
+  replaceAllTasks,
+  importTasks,
+  undoLastChange,
+  redoLastChange,
+  clearHistory,
+  migrateStoredData
 } from './utils/taskStorage';
+import { formatMigrationSummary } from './utils/migrations';
+import { startSync, formatConflictMessage } from './utils/sync';
+import { createHistory, createCommand, recordCommand, applyCommand, popUndo, popRedo } from './utils/history';
 import { sortTasks } from './utils/sorting';
-import { getSortMode, setSortMode } from './utils/preferences';
+import {
+  getSortMode,
+  setSortMode,
+  getConfirmActions,
+  setConfirmActions,
+  getAutoCompleteChecklist,
+  setAutoCompleteChecklist,
+  getNotificationSettings,
+  setNotificationSettings,
+  getTagFilter,
+  setTagFilter,
+  getUrgencySettings,
+  setUrgencySettings,
+  getViewMode,
+  setViewMode,
+  getStatusColumns,
+  setStatusColumns,
+  getShowSnoozed,
+  setShowSnoozed,
+  getDailyCapacity,
+  setDailyCapacity
+} from './utils/preferences';
+import { VIEW_MODES } from './utils/views';
+import { moveDeadlineToDay } from './utils/calendar';
+import { getStatusLabel } from './utils/status';
+import { isSnoozed, hideSnoozedTasks, getNextWakeTime, MAX_TIMER_DELAY } from './utils/snooze';
+import { getBlockersById } from './utils/dependencies';
+import { getCantMakeItIds } from './utils/forecast';
+import { validateDependencies } from './utils/validation';
+import { collectTags, filterTasksByTags } from './utils/tags';
+import { searchTasks, parseSearchQuery } from './utils/search';
+import { diffImport, applyImport, formatImportSummary } from './utils/importMerge';
+import { isChecklistComplete } from './utils/checklist';
+import { getNotificationPermission, requestNotificationPermission } from './utils/notifications';
 import { needsUrgentRefresh } from './utils/urgency';
 import { getDensity, setDensity } from './utils/density';
 import { useViewportWidth } from './hooks/useViewportWidth';
 import { getAvailableDensities, shouldDemoteDensity, getDemotedDensity } from './utils/responsiveDensity';
 import { isLocalStorageAvailable, getDemoMode, setDemoMode, generateExampleTasks } from './utils/demoMode';
 import { needsVersionUpdate, performVersionUpdate } from './utils/version';
-import { saveToStorage, STORAGE_KEYS } from './utils/storage';
+import { STORAGE_KEYS } from './utils/storage';
 import { useTheme } from './hooks/useTheme';
+import { useDeadlineReminders } from './hooks/useDeadlineReminders';
+import { useServiceWorker } from './hooks/useServiceWorker';
 
 function App() {
   /**
@@ -44,12 +108,29 @@ function App() {
    */
   const [tasks, setTasks] = useState([]);
 
+  /**
+   * archivedTasks: Completed tasks kept for browsing and restoring
+   * In demo mode or without storage this is the only copy (in-memory)
+   */
+  const [archivedTasks, setArchivedTasks] = useState([]);
+
+  /**
+   * showArchive: Whether the archive view replaces the task list
+   */
+  const [showArchive, setShowArchive] = useState(false);
+
   /**
    * showForm: Boolean to control whether task form is visible
    * Initially hidden (false), shown when user clicks "Add Task" button
    */
   const [showForm, setShowForm] = useState(false);
 
+  /**
+   * newTaskDate: Local date (YYYY-MM-DD) to prefill in the new task form,
+   * set when a calendar day is clicked (null = default deadline)
+   */
+  const [newTaskDate, setNewTaskDate] = useState(null);
+
   /**
    * editingTask: Task object being edited (null when not editing)
    */
@@ -57,20 +138,51 @@ function App() {
 
   /**
    * sortMode: Current sorting mode (deadline or priority)
-   * Loaded from localStorage on mount
+   * Loaded from storage on mount
    */
   const [sortMode, setSortModeState] = useState(() => getSortMode());
 
+  /**
+   * viewMode: Card list, agenda, month/week calendar or board
+   * Loaded from storage on mount
+   */
+  const [viewMode, setViewModeState] = useState(() => getViewMode());
+
+  /**
+   * showSnoozed: List tasks before their start date too
+   * wokenAt: When the last snoozed task woke up (re-renders the list right then)
+   */
+  const [showSnoozed, setShowSnoozedState] = useState(() => getShowSnoozed());
+  const [wokenAt, setWokenAt] = useState(null);
+
+  /**
+   * tagFilter: Tags a task must all have to be listed (empty = show all)
+   * Loaded from storage on mount
+   */
+  const [tagFilter, setTagFilterState] = useState(() => getTagFilter());
+
+  /**
+   * searchQuery: Live text search over title, description and tags
+   * Not persisted - a fresh session starts unfiltered
+   */
+  const [searchQuery, setSearchQuery] = useState('');
+  const searchInputRef = useRef(null);
+
+  /**
+   * quickAddInputRef: Quick add bar input, focused by the 'A' shortcut
+   */
+  const quickAddInputRef = useRef(null);
+
   /**
    * density: Current density mode (compact/comfortable/spacious)
-   * Loaded from localStorage on mount
+   * Loaded from storage on mount
    */
   const [density, setDensityState] = useState(() => getDensity());
 
   /**
    * Theme management (light/dark/system)
    */
-  const { themePreference, setTheme } = useTheme();
+  const { themePreference, setTheme, reloadTheme } = useTheme();
 
   /**
    * Track viewport width for responsive density
@@ -110,6 +222,12 @@ function App() {
    */
   const [showSettings, setShowSettings] = useState(false);
 
+  /**
+   * JSON import waiting for the user to pick Merge, Append or Replace
+   * { tasks, archivedTasks, migrations } | null
+   */
+  const [pendingImport, setPendingImport] = useState(null);
+
   /**
    * Mobile menu state
    */
@@ -127,9 +245,44 @@ function App() {
     isVisible: false,
     message: '',
     variant: 'info',
-    duration: 3000
+    duration: 3000,
+    actionLabel: null
   });
 
+  /**
+   * confirmActions: Whether delete/complete ask for confirmation first
+   * Loaded from storage on mount
+   */
+  const [confirmActions, setConfirmActionsState] = useState(() => getConfirmActions());
+
+  /**
+   * autoCompleteChecklist: Whether checking the last checklist item completes the task
+   * Loaded from storage on mount
+   */
+  const [autoCompleteChecklist, setAutoCompleteChecklistState] = useState(() => getAutoCompleteChecklist());
+
+  /**
+   * notificationSettings: Deadline notification preferences { enabled, leadTimes }
+   * notificationPermission: Browser permission, re-read after asking
+   */
+  const [notificationSettings, setNotificationSettingsState] = useState(() => getNotificationSettings());
+  const [notificationPermission, setNotificationPermission] = useState(() => getNotificationPermission());
+
+  /**
+   * urgencySettings: Urgency color bands and pulse threshold { bands, pulseHours }
+   */
+  const [urgencySettings, setUrgencySettingsState] = useState(() => getUrgencySettings());
+
+  /**
+   * statusColumns: Board columns (workflow statuses) in display order
+   */
+  const [statusColumns, setStatusColumnsState] = useState(() => getStatusColumns());
+
+  /**
+   * dailyCapacity: Hours of work available per day, for the workload forecast
+   */
+  const [dailyCapacity, setDailyCapacityState] = useState(() => getDailyCapacity());
+
   /**
    * Demo mode and storage availability state
    */
@@ -137,12 +290,24 @@ function App() {
   const [storageAvailable, setStorageAvailable] = useState(true);
   const [inMemoryTasks, setInMemoryTasks] = useState([]);
 
+  /**
+   * Undo/redo history for in-memory changes (demo mode or no storage)
+   * Persistent changes keep their history in taskStorage
+   */
+  const [memoryHistory, setMemoryHistory] = useState(() => createHistory());
+
   /**
    * Ref to measure banner height for dynamic padding
    */
   const bannerRef = useRef(null);
   const [bannerHeight, setBannerHeight] = useState(0);
 
+  /**
+   * Offline service worker (production builds only)
+   * updateAvailable turns true once a newer build has been downloaded
+   */
+  const { updateAvailable, reloadToUpdate } = useServiceWorker(import.meta.env.PROD);
+
   /**
    * Helper functions for showing modals
    */
@@ -164,34 +329,57 @@ function App() {
 
   /**
    * Helper function for showing toast
+   * Pass actionLabel to show an Undo button on the toast
    */
-  const showToast = (message, variant = 'info', duration = 3000) => {
-    setToast({ isVisible: true, message, variant, duration });
+  const showToast = (message, variant = 'info', duration = 3000, actionLabel = null) => {
+    setToast({ isVisible: true, message, variant, duration, actionLabel });
+  };
+
+  /**
+   * Show a success toast with an Undo button for an undoable change
+   */
+  const showUndoToast = (message) => {
+    showToast(message, 'success', 5000, 'Undo');
   };
 
   const closeToast = () => {
     setToast({ ...toast, isVisible: false });
   };
 
+  /**
+   * Apply an in-memory change and record it for undo
+   * Used in demo mode or when storage is unavailable
+   * @param {string} type - Command type ('create', 'delete', ...)
+   * @param {string} label - Human-readable description for undo toasts
+   * @param {Array} nextTasks - Active tasks after the change
+   * @param {Array} nextArchive - Archived tasks after the change
+   */
+  const commitInMemory = (type, label, nextTasks, nextArchive = archivedTasks) => {
+    const command = createCommand(
+      type,
+      label,
+      { tasks: inMemoryTasks, archivedTasks },
+      { tasks: nextTasks, archivedTasks: nextArchive }
+    );
+    setMemoryHistory(recordCommand(memoryHistory, command));
+    setInMemoryTasks(nextTasks);
+    setTasks(nextTasks);
+    setArchivedTasks(nextArchive);
+  };
+
   /**
    * useEffect: Runs side effects in function components
    * The empty array [] means this runs only once when component mounts
    * Similar to componentDidMount in class components
    */
   useEffect(() => {
-    // Check localStorage availability
+    // Check storage availability
     const hasStorage = isLocalStorageAvailable();
     setStorageAvailable(hasStorage);
 
-    // Check version and perform update if needed
+    // Record the running version; new builds arrive through the service worker
     if (needsVersionUpdate()) {
-      showToast('Updating to the latest version...', 'info');
       performVersionUpdate();
-      // Auto-reload after 1.5s
-      setTimeout(() => {
-        window.location.reload();
-      }, 1500);
-      return;
     }
 
     // Check demo mode
@@ -203,15 +391,25 @@ function App() {
       const exampleTasks = generateExampleTasks();
       setInMemoryTasks(exampleTasks);
       setTasks(exampleTasks);
+      setArchivedTasks([]);
       showToast('Enabled: Demo Mode', 'info');
     } else if (!hasStorage) {
-      // localStorage unavailable - start with empty list
+      // Storage unavailable - start with empty list
       setInMemoryTasks([]);
       setTasks([]);
+      setArchivedTasks([]);
     } else {
-      // Normal mode - load from localStorage
+      // Normal mode - upgrade stored data to the current schema, then load
+      const migration = migrateStoredData();
+      if (!migration.success) {
+        showAlert('Data Update Failed', migration.errors.join(', '), 'danger');
+      } else if (migration.applied.length > 0) {
+        showToast(formatMigrationSummary(migration.applied), 'info', 6000);
+      }
+
       const loadedTasks = getAllTasks();
       setTasks(loadedTasks);
+      setArchivedTasks(getArchivedTasks());
     }
   }, []); // Empty dependency array = run once on mount
 
@@ -230,6 +428,8 @@ function App() {
   /**
    * useEffect: Add keyboard shortcuts
    * 'Q' key opens the form and focuses on title input
+   * 'A' key focuses the quick add bar
+   * '/' key focuses the search box
    * 'Esc' key closes the form
    */
   useEffect(() => {
@@ -244,9 +444,38 @@ function App() {
         e.target.tagName !== 'TEXTAREA'
       ) {
         e.preventDefault(); // Prevent 'q' from being typed
+        setNewTaskDate(null);
         setShowForm(true);
       }
 
+      // Handle 'A' key to focus quick add
+      if (
+        (e.key === 'a' || e.key === 'A') &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        !e.altKey &&
+        e.target.tagName !== 'INPUT' &&
+        e.target.tagName !== 'TEXTAREA' &&
+        !showForm
+      ) {
+        e.preventDefault(); // Prevent 'a' from being typed into the bar
+        quickAddInputRef.current?.focus();
+      }
+
+      // Handle '/' key to focus search
+      if (
+        e.key === '/' &&
+        !e.ctrlKey &&
+        !e.metaKey &&
+        !e.altKey &&
+        e.target.tagName !== 'INPUT' &&
+        e.target.tagName !== 'TEXTAREA' &&
+        !showForm
+      ) {
+        e.preventDefault(); // Prevent '/' from being typed into the box
+        searchInputRef.current?.focus();
+      }
+
       // Handle 'Esc' key to close form
       if (e.key === 'Escape' && showForm) {
         setShowForm(false);
@@ -261,19 +490,80 @@ function App() {
     };
   }, [showForm]); // Include showForm in dependencies for Esc handler
 
+  /**
+   * useEffect: Undo/redo keyboard shortcuts
+   * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes
+   * Text fields keep their native undo
+   * No dependency array: handlers close over the latest task state
+   */
+  useEffect(() => {
+    const handleUndoKeys = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        handleUndo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        handleRedo();
+      }
+    };
+
+    window.addEventListener('keydown', handleUndoKeys);
+    return () => window.removeEventListener('keydown', handleUndoKeys);
+  });
+
+  /**
+   * useEffect: Keep tasks and preferences in sync with other open tabs
+   * Demo mode and no-storage sessions keep their in-memory tasks but
+   * still pick up preference changes
+   */
+  useEffect(() => {
+    return startSync({
+      onRemoteChange: ({ key, conflicts }) => {
+        if (key === STORAGE_KEYS.PREFS) {
+          setSortModeState(getSortMode());
+          setViewModeState(getViewMode());
+          setShowSnoozedState(getShowSnoozed());
+          setTagFilterState(getTagFilter());
+          setDensityState(getDensity());
+          setConfirmActionsState(getConfirmActions());
+          setAutoCompleteChecklistState(getAutoCompleteChecklist());
+          setNotificationSettingsState(getNotificationSettings());
+          setUrgencySettingsState(getUrgencySettings());
+          setStatusColumnsState(getStatusColumns());
+          setDailyCapacityState(getDailyCapacity());
+          reloadTheme();
+          return;
+        }
+
+        if (demoMode || !storageAvailable) return;
+
+        setTasks(getAllTasks());
+        setArchivedTasks(getArchivedTasks());
+
+        if (conflicts.length > 0) {
+          showToast(formatConflictMessage(conflicts), 'warning', 6000);
+        }
+      }
+    });
+  }, [demoMode, storageAvailable, reloadTheme]); // Re-subscribe when the task source changes
+
   /**
    * useEffect: Auto-refresh to update relative times and urgency colors
    * Normal: 5-minute interval
-   * Urgent: 1-minute interval if any task ≤ 1 hour away or overdue
+   * Urgent: 1-minute interval if any task is overdue, pulsing or in the closest urgency band
    */
   useEffect(() => {
     if (tasks.length === 0) return;
 
     // Determine refresh interval based on task urgency
-    const isUrgent = needsUrgentRefresh(tasks);
+    const isUrgent = needsUrgentRefresh(tasks, Date.now(), urgencySettings);
     const interval = isUrgent ? 60 * 1000 : 5 * 60 * 1000; // 1min or 5min in ms
 
-    // Force re-render by updating tasks from localStorage
+    // Force re-render by updating tasks from storage
     const timer = setInterval(() => {
       setTasks(getAllTasks());
     }, interval);
@@ -282,7 +572,25 @@ function App() {
     return () => {
       clearInterval(timer);
     };
-  }, [tasks]); // Re-run when tasks change to adjust interval
+  }, [tasks, urgencySettings]); // Re-run when tasks or urgency bands change to adjust interval
+
+  /**
+   * useEffect: Wake snoozed tasks on time
+   * The auto-refresh above can be minutes late, so a timer is set for the
+   * earliest start date; long waits are split to fit the browser timer limit
+   */
+  useEffect(() => {
+    const nextWake = getNextWakeTime(tasks, Date.now());
+    if (nextWake === null) return;
+
+    const timer = setTimeout(() => {
+      setWokenAt(Date.now());
+    }, Math.min(nextWake - Date.now(), MAX_TIMER_DELAY));
+
+    return () => {
+      clearTimeout(timer);
+    };
+  }, [tasks, wokenAt]); // Re-arm for the next start date after each wake-up
 
   /**
    * useEffect: Prevent body scroll when mobile menu is open
@@ -303,13 +611,13 @@ function App() {
    * useEffect: Measure banner height when banner visibility changes
    */
   useEffect(() => {
-    const isBannerVisible = demoMode || !storageAvailable;
+    const isBannerVisible = updateAvailable || demoMode || !storageAvailable;
     if (bannerRef.current && isBannerVisible) {
       setBannerHeight(bannerRef.current.offsetHeight);
     } else {
       setBannerHeight(0);
     }
-  }, [demoMode, storageAvailable]);
+  }, [updateAvailable, demoMode, storageAvailable]);
 
   /**
    * useEffect: Track scroll position for navbar shadow
@@ -323,9 +631,35 @@ function App() {
     return () => window.removeEventListener('scroll', handleScroll);
   }, []);
 
+  /**
+   * Create a task from validated form or quick add data
+   * @param {object} taskData - { title, description, deadline, startDate, priority, status, tags, checklist, blockedBy, estimateHours, reminders, recurrence }
+   * @returns {boolean} True when the task was created
+   */
+  const addNewTask = (taskData) => {
+    const result = createTask(taskData);
+
+    if (!result.success) {
+      showAlert('Error', `Failed to create task: ${result.errors.join(', ')}`, 'danger');
+      return false;
+    }
+
+    if (demoMode || !storageAvailable) {
+      // In demo mode or storage unavailable: update in-memory only
+      commitInMemory('create', `Create "${result.task.title}"`, [...inMemoryTasks, result.task]);
+    } else {
+      // Update state with new task list
+      // This triggers a re-render with the new task
+      setTasks(getAllTasks());
+    }
+
+    showUndoToast('Task Created');
+    return true;
+  };
+
   /**
    * Handle form submission for new task
-   * @param {object} formData - { title, description, dateString, timeString, priority }
+   * @param {object} formData - { title, description, dateString, timeString, startDate, priority, status, tags, checklist, blockedBy, estimateHours, reminders, recurrence }
    */
   const handleAddTask = (formData) => {
     // Convert local date/time to UTC
@@ -337,59 +671,52 @@ function App() {
       return;
     }
 
-    // In demo mode or storage unavailable: update in-memory only
-    if (demoMode || !storageAvailable) {
-      const result = createTask({
-        title: formData.title,
-        description: formData.description,
-        deadline: deadlineUTC,
-        priority: formData.priority
-      });
-
-      if (!result.success) {
-        showAlert('Error', `Failed to create task: ${result.errors.join(', ')}`, 'danger');
-        return;
-      }
-
-      const updatedTasks = [...inMemoryTasks, result.task];
-      setInMemoryTasks(updatedTasks);
-      setTasks(updatedTasks);
-      setShowForm(false);
-      showToast('Task Created', 'success');
-      return;
-    }
-
-    // Normal mode: create and save to localStorage
-    const result = createTask({
+    const created = addNewTask({
       title: formData.title,
       description: formData.description,
       deadline: deadlineUTC,
-      priority: formData.priority
+      startDate: formData.startDate,
+      priority: formData.priority,
+      status: formData.status,
+      tags: formData.tags,
+      checklist: formData.checklist,
+      blockedBy: formData.blockedBy,
+      estimateHours: formData.estimateHours,
+      reminders: formData.reminders,
+      recurrence: formData.recurrence
     });
 
-    if (!result.success) {
-      showAlert('Error', `Failed to create task: ${result.errors.join(', ')}`, 'danger');
-      return;
+    if (created) {
+      // Hide form after successful save
+      setShowForm(false);
     }
-
-    // Update state with new task list
-    // This triggers a re-render with the new task
-    setTasks(getAllTasks());
-    // Hide form after successful save
-    setShowForm(false);
-    showToast('Task Created', 'success');
   };
 
+  /**
+   * Handle a task typed into the quick add bar
+   * @param {object} fields - { title, deadline, priority, tags } parsed by parseQuickAdd
+   * @returns {boolean} True when the task was created
+   */
+  const handleQuickAdd = (fields) => addNewTask(fields);
+
   /**
    * Handle form submission for editing task
-   * @param {object} formData - { taskId, title, description, dateString, timeString, priority }
+   * @param {object} formData - { taskId, title, description, dateString, timeString, startDate, priority, status, tags, checklist, blockedBy, estimateHours, reminders, recurrence }
    */
   const handleUpdateTask = (formData) => {
-    // Convert local date/time to UTC
-    const deadlineUTC = localToUTC(formData.dateString, formData.timeString);
-
-    // Validate deadline is not in past
-    if (isInPast(deadlineUTC)) {
+    const existingTask = (demoMode || !storageAvailable ? inMemoryTasks : tasks)
+      .find(t => t.id === formData.taskId);
+
+    // Keep an untouched deadline exactly as stored, so overdue tasks stay editable
+    const deadlineUnchanged = existingTask &&
+      formData.dateString === utcToLocalDate(existingTask.deadline) &&
+      formData.timeString === utcToLocalTime(existingTask.deadline);
+    const deadlineUTC = deadlineUnchanged
+      ? existingTask.deadline
+      : localToUTC(formData.dateString, formData.timeString);
+
+    // Validate a new deadline is not in past
+    if (!deadlineUnchanged && isInPast(deadlineUTC)) {
       showAlert('Invalid Deadline', 'Deadline cannot be in the past', 'warning');
       return;
     }
@@ -403,24 +730,45 @@ function App() {
               title: formData.title,
               description: formData.description,
               deadline: deadlineUTC,
+              startDate: formData.startDate,
               priority: formData.priority,
+              status: formData.status,
+              tags: formData.tags,
+              checklist: formData.checklist,
+              blockedBy: formData.blockedBy,
+              estimateHours: formData.estimateHours,
+              reminders: formData.reminders,
+              recurrence: formData.recurrence,
               lastModified: new Date().toISOString()
             }
           : t
       );
-      setInMemoryTasks(updatedTasks);
-      setTasks(updatedTasks);
+      const dependencies = validateDependencies(updatedTasks, [formData.taskId]);
+      if (!dependencies.valid) {
+        showAlert('Error', `Failed to update task: ${dependencies.error}`, 'danger');
+        return;
+      }
+
+      commitInMemory('update', `Update "${formData.title}"`, updatedTasks);
       setEditingTask(null);
-      showToast('Task Updated', 'success');
+      showUndoToast('Task Updated');
       return;
     }
 
-    // Normal mode: update in localStorage
+    // Normal mode: update in storage
     const result = updateTask(formData.taskId, {
       title: formData.title,
       description: formData.description,
       deadline: deadlineUTC,
-      priority: formData.priority
+      startDate: formData.startDate,
+      priority: formData.priority,
+      status: formData.status,
+      tags: formData.tags,
+      checklist: formData.checklist,
+      blockedBy: formData.blockedBy,
+      estimateHours: formData.estimateHours,
+      reminders: formData.reminders,
+      recurrence: formData.recurrence
     });
 
     if (!result.success) {
@@ -431,7 +779,152 @@ function App() {
     // Update state with updated task list
     setTasks(getAllTasks());
     setEditingTask(null);
-    showToast('Task Updated', 'success');
+    showUndoToast('Task Updated');
+  };
+
+  /**
+   * Open the new task form
+   * @param {string|null} date - Local date (YYYY-MM-DD) to prefill, or null for the default deadline
+   */
+  const openNewTaskForm = (date = null) => {
+    setNewTaskDate(date);
+    setShowForm(true);
+  };
+
+  /**
+   * Move a task's deadline (calendar drop or timeline drag)
+   * @param {object} existingTask - Task to move
+   * @param {string} deadlineUTC - New UTC deadline
+   * @param {string} message - Undo toast message
+   */
+  const moveTaskDeadline = (existingTask, deadlineUTC, message) => {
+    if (isInPast(deadlineUTC)) {
+      showAlert('Invalid Deadline', 'Deadline cannot be in the past', 'warning');
+      return;
+    }
+
+    // In demo mode or storage unavailable: update in-memory only
+    if (demoMode || !storageAvailable) {
+      const updatedTasks = inMemoryTasks.map(t =>
+        t.id === existingTask.id
+          ? { ...t, deadline: deadlineUTC, lastModified: new Date().toISOString() }
+          : t
+      );
+      commitInMemory('update', `Reschedule "${existingTask.title}"`, updatedTasks);
+      showUndoToast(message);
+      return;
+    }
+
+    // Normal mode: update in storage
+    const result = updateTask(existingTask.id, { deadline: deadlineUTC });
+
+    if (!result.success) {
+      showAlert('Error', `Failed to reschedule task: ${result.errors.join(', ')}`, 'danger');
+      return;
+    }
+
+    setTasks(getAllTasks());
+    showUndoToast(message);
+  };
+
+  /**
+   * Handle a task dropped on another calendar day
+   * Keeps the local time of day, only the date changes
+   * @param {string} taskId - Task to reschedule
+   * @param {string} date - Target local date (YYYY-MM-DD)
+   */
+  const handleRescheduleTask = (taskId, date) => {
+    const existingTask = tasks.find(t => t.id === taskId);
+    if (!existingTask) return;
+
+    const deadlineUTC = moveDeadlineToDay(existingTask.deadline, date);
+    moveTaskDeadline(existingTask, deadlineUTC, `Moved to ${formatAbsoluteTime(deadlineUTC, 'MMM D')}`);
+  };
+
+  /**
+   * Handle a timeline bar's end dragged to a new deadline
+   * @param {string} taskId - Task to reschedule
+   * @param {string} deadlineUTC - New UTC deadline
+   */
+  const handleDeadlineChange = (taskId, deadlineUTC) => {
+    const existingTask = tasks.find(t => t.id === taskId);
+    if (!existingTask) return;
+
+    moveTaskDeadline(existingTask, deadlineUTC, `Due ${formatAbsoluteTime(deadlineUTC, 'MMM D, h:mm A')}`);
+  };
+
+  /**
+   * Handle a task moved to another board column
+   * @param {string} taskId - Task to move
+   * @param {string} status - Target column id
+   */
+  const handleStatusChange = (taskId, status) => {
+    const existingTask = tasks.find(t => t.id === taskId);
+    if (!existingTask) return;
+
+    const message = `Moved to ${getStatusLabel(status, statusColumns)}`;
+
+    // In demo mode or storage unavailable: update in-memory only
+    if (demoMode || !storageAvailable) {
+      const updatedTasks = inMemoryTasks.map(t =>
+        t.id === taskId
+          ? { ...t, status, lastModified: new Date().toISOString() }
+          : t
+      );
+      commitInMemory('update', `Move "${existingTask.title}"`, updatedTasks);
+      showUndoToast(message);
+      return;
+    }
+
+    // Normal mode: update in storage
+    const result = updateTask(taskId, { status });
+
+    if (!result.success) {
+      showAlert('Error', `Failed to move task: ${result.errors.join(', ')}`, 'danger');
+      return;
+    }
+
+    setTasks(getAllTasks());
+    showUndoToast(message);
+  };
+
+  /**
+   * Handle a snooze picked on a card or in the detail modal
+   * @param {string} taskId - Task to snooze
+   * @param {string|null} startDate - UTC start date, or null to show the task right away
+   */
+  const handleSnoozeTask = (taskId, startDate) => {
+    const existingTask = tasks.find(t => t.id === taskId);
+    if (!existingTask) return;
+
+    const message = startDate
+      ? `Snoozed until ${formatAbsoluteTime(startDate, 'ddd, MMM D h:mm A')}`
+      : 'Task woken up';
+
+    // In demo mode or storage unavailable: update in-memory only
+    if (demoMode || !storageAvailable) {
+      const updatedTasks = inMemoryTasks.map(t =>
+        t.id === taskId
+          ? { ...t, startDate, lastModified: new Date().toISOString() }
+          : t
+      );
+      commitInMemory('update', `Snooze "${existingTask.title}"`, updatedTasks);
+      setSelectedTask(null);
+      showUndoToast(message);
+      return;
+    }
+
+    // Normal mode: update in storage
+    const result = updateTask(taskId, { startDate });
+
+    if (!result.success) {
+      showAlert('Error', `Failed to snooze task: ${result.errors.join(', ')}`, 'danger');
+      return;
+    }
+
+    setTasks(getAllTasks());
+    setSelectedTask(null);
+    showUndoToast(message);
   };
 
   /**
@@ -458,7 +951,7 @@ function App() {
 
   /**
    * Handle deleting a task
-   * Asks for confirmation before deleting
+   * Asks for confirmation before deleting (unless turned off in Settings)
    */
   const handleDeleteTask = (taskId) => {
     // Find task to show in confirmation
@@ -470,87 +963,400 @@ function App() {
       setSelectedTask(null);
     }
 
+    const performDelete = () => {
+      // In demo mode or storage unavailable: update in-memory only
+      if (demoMode || !storageAvailable) {
+        commitInMemory('delete', `Delete "${task.title}"`, inMemoryTasks.filter(t => t.id !== taskId));
+        showUndoToast('Task Deleted');
+        return;
+      }
+
+      // Normal mode: delete from storage
+      const result = removeTask(taskId);
+      if (result.success) {
+        setTasks(getAllTasks());
+        showUndoToast('Task Deleted');
+      } else {
+        showAlert('Error', `Failed to delete: ${result.errors.join(', ')}`, 'danger');
+      }
+    };
+
+    if (!confirmActions) {
+      performDelete();
+      return;
+    }
+
     // Show confirmation dialog
     showConfirm(
       'Delete Task',
-      `Are you sure you want to delete "${task.title}"? This action cannot be undone.`,
-      () => {
-        // In demo mode or storage unavailable: update in-memory only
-        if (demoMode || !storageAvailable) {
-          const updatedTasks = inMemoryTasks.filter(t => t.id !== taskId);
-          setInMemoryTasks(updatedTasks);
-          setTasks(updatedTasks);
-          showToast('Task Deleted', 'success');
-          return;
-        }
-
-        // Normal mode: delete from localStorage
-        const result = removeTask(taskId);
-        if (result.success) {
-          setTasks(getAllTasks());
-          showToast('Task Deleted', 'success');
-        } else {
-          showAlert('Error', `Failed to delete: ${result.errors.join(', ')}`, 'danger');
-        }
-      },
+      `Are you sure you want to delete "${task.title}"? You can undo this with Ctrl+Z.`,
+      performDelete,
       'danger'
     );
   };
 
+  /**
+   * Build the toast message for a completed task
+   * @param {object|null} nextTask - Next occurrence of a recurring task, if any
+   * @returns {string}
+   */
+  const getCompletionMessage = (nextTask) => {
+    return nextTask
+      ? `Task Completed - next due ${formatAbsoluteTime(nextTask.deadline)}`
+      : 'Task Completed';
+  };
+
   /**
    * Handle completing a task
-   * Marks as complete and removes from list
+   * Marks as complete and moves it to the archive
+   * Recurring tasks get their next occurrence scheduled
+   * Asks for confirmation first (unless turned off in Settings)
    */
   const handleCompleteTask = (taskId) => {
     // Find task
     const task = tasks.find(t => t.id === taskId);
     if (!task) return;
 
+    const performComplete = () => {
+      // In demo mode or storage unavailable: update in-memory only
+      if (demoMode || !storageAvailable) {
+        const result = markTaskComplete(inMemoryTasks, taskId);
+        if (!result.success) return;
+        const nextTask = createNextOccurrence(result.task);
+        const updatedTasks = nextTask ? [...result.tasks, nextTask] : result.tasks;
+        commitInMemory('complete', `Complete "${task.title}"`, updatedTasks, [...archivedTasks, result.task]);
+        showUndoToast(getCompletionMessage(nextTask));
+        return;
+      }
+
+      // Normal mode: mark complete and move to archive in storage
+      const result = completeTask(taskId);
+      if (result.success) {
+        setTasks(getAllTasks());
+        setArchivedTasks(getArchivedTasks());
+        showUndoToast(getCompletionMessage(result.nextTask));
+      } else {
+        showAlert('Error', `Failed to complete: ${result.errors.join(', ')}`, 'danger');
+      }
+    };
+
+    if (!confirmActions) {
+      performComplete();
+      return;
+    }
+
     // Show confirmation dialog
     showConfirm(
       'Complete Task',
       `Mark "${task.title}" as complete?`,
+      performComplete,
+      'primary'
+    );
+  };
+
+  /**
+   * Handle checklist changes made in the detail modal
+   * Saved immediately; when every item is checked and auto-complete is
+   * turned on in Settings, the task is completed as well (no confirmation)
+   */
+  const handleChecklistChange = (taskId, checklist) => {
+    const task = tasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    // Only the check that finishes the list completes the task, not later reordering
+    const shouldComplete = autoCompleteChecklist &&
+      isChecklistComplete(checklist) &&
+      !isChecklistComplete(task.checklist);
+
+    // In demo mode or storage unavailable: update in-memory only
+    if (demoMode || !storageAvailable) {
+      const updatedTasks = inMemoryTasks.map(t =>
+        t.id === taskId
+          ? { ...t, checklist, lastModified: new Date().toISOString() }
+          : t
+      );
+
+      if (shouldComplete) {
+        const result = markTaskComplete(updatedTasks, taskId);
+        if (!result.success) return;
+        const nextTask = createNextOccurrence(result.task);
+        const completedTasks = nextTask ? [...result.tasks, nextTask] : result.tasks;
+        commitInMemory('complete', `Complete "${task.title}"`, completedTasks, [...archivedTasks, result.task]);
+        setSelectedTask(null);
+        showUndoToast(getCompletionMessage(nextTask));
+        return;
+      }
+
+      commitInMemory('update', `Update checklist of "${task.title}"`, updatedTasks);
+      setSelectedTask(updatedTasks.find(t => t.id === taskId));
+      return;
+    }
+
+    // Normal mode: a finished list completes the task with the checklist saved (one undo step)
+    if (shouldComplete) {
+      const completeResult = completeTask(taskId, { checklist });
+      setTasks(getAllTasks());
+      setArchivedTasks(getArchivedTasks());
+      if (completeResult.success) {
+        setSelectedTask(null);
+        showUndoToast(getCompletionMessage(completeResult.nextTask));
+      } else {
+        showAlert('Error', `Failed to complete: ${completeResult.errors.join(', ')}`, 'danger');
+      }
+      return;
+    }
+
+    const result = updateTask(taskId, { checklist });
+    if (!result.success) {
+      showAlert('Error', `Failed to update checklist: ${result.errors.join(', ')}`, 'danger');
+      return;
+    }
+
+    setTasks(getAllTasks());
+    setSelectedTask(result.task);
+  };
+
+  /**
+   * Handle restoring an archived task to the active list
+   */
+  const handleRestoreTask = (taskId) => {
+    // In demo mode or storage unavailable: update in-memory only
+    if (demoMode || !storageAvailable) {
+      const result = restoreArchivedTask(archivedTasks, taskId);
+      if (!result.success) return;
+      const restoredTasks = [...inMemoryTasks, result.task];
+      const dependencies = validateDependencies(restoredTasks, [taskId]);
+      if (!dependencies.valid) {
+        showAlert('Error', `Failed to restore: ${dependencies.error}`, 'danger');
+        return;
+      }
+      commitInMemory(
+        'restore',
+        `Restore "${result.task.title}"`,
+        restoredTasks,
+        result.archivedTasks
+      );
+      showUndoToast('Task Restored');
+      return;
+    }
+
+    // Normal mode: move task back in storage
+    const result = restoreTask(taskId);
+    if (result.success) {
+      setTasks(getAllTasks());
+      setArchivedTasks(getArchivedTasks());
+      showUndoToast('Task Restored');
+    } else {
+      showAlert('Error', `Failed to restore: ${result.errors.join(', ')}`, 'danger');
+    }
+  };
+
+  /**
+   * Handle permanently deleting an archived task
+   * Asks for confirmation before purging
+   */
+  const handlePurgeArchivedTask = (taskId) => {
+    const task = archivedTasks.find(t => t.id === taskId);
+    if (!task) return;
+
+    showConfirm(
+      'Delete Permanently',
+      `Permanently delete "${task.title}" from the archive? This action cannot be undone.`,
       () => {
         // In demo mode or storage unavailable: update in-memory only
         if (demoMode || !storageAvailable) {
-          const updatedTasks = inMemoryTasks.filter(t => t.id !== taskId);
-          setInMemoryTasks(updatedTasks);
-          setTasks(updatedTasks);
-          showToast('Task Completed', 'success');
+          setArchivedTasks(archivedTasks.filter(t => t.id !== taskId));
+          showToast('Task Purged', 'success');
           return;
         }
 
-        // Normal mode: mark complete and remove from localStorage
-        const result = removeTask(taskId);
+        // Normal mode: delete from archive in storage
+        const result = purgeArchivedTask(taskId);
         if (result.success) {
-          setTasks(getAllTasks());
-          showToast('Task Completed', 'success');
+          setArchivedTasks(getArchivedTasks());
+          showToast('Task Purged', 'success');
         } else {
-          showAlert('Error', `Failed to complete: ${result.errors.join(', ')}`, 'danger');
+          showAlert('Error', `Failed to purge: ${result.errors.join(', ')}`, 'danger');
         }
       },
-      'primary'
+      'danger'
     );
   };
 
+  /**
+   * Handle permanently deleting every archived task
+   * Asks for confirmation before purging
+   */
+  const handlePurgeArchive = () => {
+    showConfirm(
+      'Purge Archive',
+      `Permanently delete all ${archivedTasks.length} archived tasks? This action cannot be undone.`,
+      () => {
+        // In demo mode or storage unavailable: update in-memory only
+        if (demoMode || !storageAvailable) {
+          setArchivedTasks([]);
+          showToast('Archive Purged', 'success');
+          return;
+        }
+
+        // Normal mode: clear archive in storage
+        if (clearArchive()) {
+          setArchivedTasks([]);
+          showToast('Archive Purged', 'success');
+        } else {
+          showAlert('Error', 'Failed to purge archive', 'danger');
+        }
+      },
+      'danger'
+    );
+  };
+
+  /**
+   * Handle undoing the most recent task change
+   */
+  const handleUndo = () => {
+    // In demo mode or storage unavailable: undo in-memory only
+    if (demoMode || !storageAvailable) {
+      const { history: nextHistory, command } = popUndo(memoryHistory);
+      if (!command) {
+        showToast('Nothing to undo', 'info');
+        return;
+      }
+      const state = applyCommand({ tasks: inMemoryTasks, archivedTasks }, command, 'undo');
+      setMemoryHistory(nextHistory);
+      setInMemoryTasks(state.tasks);
+      setTasks(state.tasks);
+      setArchivedTasks(state.archivedTasks);
+      showToast(`Undone: ${command.label}`, 'info');
+      return;
+    }
+
+    // Normal mode: undo in storage
+    const result = undoLastChange();
+    if (result.success) {
+      setTasks(getAllTasks());
+      setArchivedTasks(getArchivedTasks());
+      showToast(`Undone: ${result.command.label}`, 'info');
+    } else {
+      showToast(result.errors.join(', '), 'info');
+    }
+  };
+
+  /**
+   * Handle redoing the most recently undone task change
+   */
+  const handleRedo = () => {
+    // In demo mode or storage unavailable: redo in-memory only
+    if (demoMode || !storageAvailable) {
+      const { history: nextHistory, command } = popRedo(memoryHistory);
+      if (!command) {
+        showToast('Nothing to redo', 'info');
+        return;
+      }
+      const state = applyCommand({ tasks: inMemoryTasks, archivedTasks }, command, 'redo');
+      setMemoryHistory(nextHistory);
+      setInMemoryTasks(state.tasks);
+      setTasks(state.tasks);
+      setArchivedTasks(state.archivedTasks);
+      showToast(`Redone: ${command.label}`, 'info');
+      return;
+    }
+
+    // Normal mode: redo in storage
+    const result = redoLastChange();
+    if (result.success) {
+      setTasks(getAllTasks());
+      setArchivedTasks(getArchivedTasks());
+      showToast(`Redone: ${result.command.label}`, 'info');
+    } else {
+      showToast(result.errors.join(', '), 'info');
+    }
+  };
+
+  /**
+   * Handle confirmation preference change
+   */
+  const handleConfirmActionsChange = (enabled) => {
+    setConfirmActions(enabled);
+    setConfirmActionsState(enabled);
+  };
+
+  /**
+   * Handle checklist auto-complete preference change
+   */
+  const handleAutoCompleteChecklistChange = (enabled) => {
+    setAutoCompleteChecklist(enabled);
+    setAutoCompleteChecklistState(enabled);
+  };
+
+  /**
+   * Handle notification settings change
+   * Turning notifications on asks the browser for permission first
+   */
+  const handleNotificationSettingsChange = async (nextSettings) => {
+    if (nextSettings.enabled && notificationPermission !== 'granted') {
+      const permission = await requestNotificationPermission();
+      setNotificationPermission(permission);
+      if (permission !== 'granted') {
+        showToast('Notifications were not allowed by the browser', 'warning');
+        return;
+      }
+    }
+
+    setNotificationSettings(nextSettings);
+    setNotificationSettingsState(nextSettings);
+  };
+
+  /**
+   * Handle urgency settings change
+   * @param {object} nextSettings - { bands, pulseHours }
+   */
+  const handleUrgencySettingsChange = (nextSettings) => {
+    setUrgencySettings(nextSettings);
+    setUrgencySettingsState(nextSettings);
+  };
+
+  /**
+   * Handle daily capacity change
+   * @param {number} hours - Hours of work available per day
+   */
+  const handleDailyCapacityChange = (hours) => {
+    setDailyCapacity(hours);
+    setDailyCapacityState(hours);
+  };
+
+  /**
+   * Handle board column changes (rename, add, remove, reorder)
+   * @param {Array} nextColumns - Validated columns { id, label }
+   */
+  const handleStatusColumnsChange = (nextColumns) => {
+    setStatusColumns(nextColumns);
+    setStatusColumnsState(nextColumns);
+  };
+
   /**
    * Handle demo mode toggle
    */
   const handleDemoModeToggle = (enabled) => {
     setDemoMode(enabled);
     setDemoModeState(enabled);
+    // Undo history never crosses between demo and real tasks
+    setMemoryHistory(createHistory());
+    clearHistory();
 
     if (enabled) {
       // Entering demo mode - load example tasks
       const exampleTasks = generateExampleTasks();
       setInMemoryTasks(exampleTasks);
       setTasks(exampleTasks);
+      setArchivedTasks([]);
       showToast('Enabled: Demo Mode', 'success');
     } else {
-      // Exiting demo mode - load from localStorage
+      // Exiting demo mode - load from storage
       const loadedTasks = storageAvailable ? getAllTasks() : [];
       setInMemoryTasks([]);
       setTasks(loadedTasks);
+      setArchivedTasks(storageAvailable ? getArchivedTasks() : []);
       showToast('Disabled: Demo Mode', 'info');
     }
 
@@ -558,25 +1364,104 @@ function App() {
   };
 
   /**
-   * Handle import success
+   * Handle import success: preview the file before anything changes
+   * @param {Array} importedTasks - Active tasks from the import file
+   * @param {Array} importedArchive - Completed tasks from the import file
+   * @param {Array} migrations - Schema migrations applied to the imported data
+   * @param {Array} rejected - Tasks left out for failing validation { id, title, errors }
+   */
+  const handleImportSuccess = (importedTasks, importedArchive = [], migrations = [], rejected = []) => {
+    setPendingImport({ tasks: importedTasks, archivedTasks: importedArchive, migrations, rejected });
+    setShowSettings(false);
+  };
+
+  /**
+   * Apply the previewed import in the chosen mode
+   * @param {'merge' | 'append' | 'replace'} mode
    */
-  const handleImportSuccess = (importedTasks) => {
+  const handleImportConfirm = (mode) => {
+    const imported = { tasks: pendingImport.tasks, archivedTasks: pendingImport.archivedTasks };
+    const current = demoMode || !storageAvailable
+      ? { tasks: inMemoryTasks, archivedTasks }
+      : { tasks: getAllTasks(), archivedTasks: getArchivedTasks() };
+    const { counts } = diffImport(current, imported);
+    const result = applyImport(current, imported, mode);
+    setPendingImport(null);
+
+    if (!result.success) {
+      showAlert('Import Failed', result.errors.join('\n'), 'danger');
+      return;
+    }
+
+    const importedCount = imported.tasks.length + imported.archivedTasks.length - result.errors.length;
+    const summary = formatImportSummary(mode, counts, importedCount);
+    const message = pendingImport.migrations.length > 0
+      ? `${summary}. ${formatMigrationSummary(pendingImport.migrations)}`
+      : summary;
+    const label = `Import ${importedCount} tasks`;
+
+    if (demoMode || !storageAvailable) {
+      // In demo mode or storage unavailable: update in-memory only
+      commitInMemory('import', label, result.tasks, result.archivedTasks);
+      showUndoToast(message);
+    } else {
+      // Normal mode: save to storage
+      const saved = replaceAllTasks(result.tasks, result.archivedTasks);
+      if (saved.success) {
+        setTasks(getAllTasks());
+        setArchivedTasks(getArchivedTasks());
+        showUndoToast(message);
+      } else {
+        showAlert('Error', saved.errors.join('\n') || 'Failed to save imported tasks', 'danger');
+        return;
+      }
+    }
+
+    if (result.errors.length > 0) {
+      showAlert('Some tasks were skipped', result.errors.join('\n'), 'warning');
+    }
+  };
+
+  /**
+   * Handle CSV or calendar import: new tasks are added to the current ones
+   * Completed ones (isCompleted: true) go to the archive
+   * @param {Array} importedTasks - New tasks
+   * @param {Array<string>} errors - Errors for skipped rows or entries
+   * @param {object} [options]
+   * @param {boolean} [options.listErrors] - Show skipped entries (when not already previewed)
+   */
+  const handleImportAppend = (importedTasks, errors = [], { listErrors = false } = {}) => {
+    const label = `Import ${importedTasks.length} tasks`;
+    const message = errors.length > 0
+      ? `Imported: ${importedTasks.length} tasks (${errors.length} skipped)`
+      : `Imported: ${importedTasks.length} tasks`;
+
     if (demoMode || !storageAvailable) {
       // In demo mode or storage unavailable: update in-memory only
-      setInMemoryTasks(importedTasks);
-      setTasks(importedTasks);
-      showToast(`Imported: ${importedTasks.length} tasks`, 'success');
+      commitInMemory(
+        'import',
+        label,
+        [...inMemoryTasks, ...importedTasks.filter(task => !task.isCompleted)],
+        [...archivedTasks, ...importedTasks.filter(task => task.isCompleted)]
+      );
+      showUndoToast(message);
     } else {
-      // Normal mode: save to localStorage
-      const saved = saveToStorage(STORAGE_KEYS.TASKS, importedTasks);
-      if (saved) {
+      // Normal mode: save to storage
+      const result = importTasks(importedTasks);
+      if (result.success) {
         setTasks(getAllTasks());
-        showToast(`Imported: ${importedTasks.length} tasks`, 'success');
+        setArchivedTasks(getArchivedTasks());
+        showUndoToast(message);
       } else {
-        showAlert('Error', 'Failed to save imported tasks', 'danger');
+        showAlert('Import Failed', result.errors.join('\n') || 'Failed to save imported tasks', 'danger');
+        return;
       }
     }
     setShowSettings(false);
+
+    if (listErrors && errors.length > 0) {
+      showAlert('Some entries were skipped', errors.join('\n'), 'warning');
+    }
   };
 
   /**
@@ -595,16 +1480,34 @@ function App() {
 
   /**
    * Handle sort mode change
-   * Saves to localStorage and updates state
+   * Saves to storage and updates state
    */
   const handleSortModeChange = (newMode) => {
     setSortMode(newMode);
     setSortModeState(newMode);
   };
 
+  /**
+   * Handle view change (list, agenda, month, week or board)
+   * Saves to storage and updates state
+   */
+  const handleViewModeChange = (newView) => {
+    setViewMode(newView);
+    setViewModeState(newView);
+  };
+
+  /**
+   * Handle the "Show snoozed" toggle
+   * Saves to storage and updates state
+   */
+  const handleShowSnoozedChange = (enabled) => {
+    setShowSnoozed(enabled);
+    setShowSnoozedState(enabled);
+  };
+
   /**
    * Handle density change
-   * Saves to localStorage and updates state
+   * Saves to storage and updates state
    */
   const handleDensityChange = (newDensity) => {
     setDensity(newDensity);
@@ -612,12 +1515,75 @@ function App() {
   };
 
   /**
-   * Get sorted tasks based on current sort mode
+   * Desktop notifications for approaching and missed deadlines
+   * Rescheduled whenever tasks or notification settings change
+   */
+  useDeadlineReminders(tasks, notificationSettings);
+
+  /**
+   * Handle tag filter change
+   * Saves to storage and updates state
+   */
+  const handleTagFilterChange = (newTags) => {
+    setTagFilter(newTags);
+    setTagFilterState(newTags);
+  };
+
+  /**
+   * Handle search input
+   * Searching always shows the task list (not the archive)
+   */
+  const handleSearchChange = (query) => {
+    setSearchQuery(query);
+    if (query.trim()) {
+      setShowArchive(false);
+    }
+  };
+
+  /**
+   * Get sorted tasks based on current sort mode, narrowed by the tag filter and search
+   * Snoozed tasks (before their start date) are left out unless "Show snoozed" is on
    */
-  const sortedTasks = sortTasks(tasks, sortMode);
+  const searchTerms = parseSearchQuery(searchQuery);
+  const now = Date.now();
+  const snoozedCount = tasks.filter(task => isSnoozed(task, now)).length;
+  const visibleTasks = showSnoozed ? tasks : hideSnoozedTasks(tasks, now);
+  const sortedTasks = searchTasks(filterTasksByTags(sortTasks(visibleTasks, sortMode), tagFilter), searchQuery);
+
+  /**
+   * Open blockers of each blocked task, from every active task (not just the visible ones)
+   */
+  const blockersById = getBlockersById(tasks);
+
+  /**
+   * Tasks whose estimated effort no longer fits before their deadline, from every active task
+   */
+  const cantMakeItIds = getCantMakeItIds(tasks, now, dailyCapacity);
+
+  /**
+   * Card views (list and agenda) share the task cards, sort and density
+   */
+  const isCardView = viewMode === VIEW_MODES.LIST || viewMode === VIEW_MODES.AGENDA;
+  const isBoardView = viewMode === VIEW_MODES.BOARD;
+  const isTimelineView = viewMode === VIEW_MODES.TIMELINE;
+
+  /**
+   * Tags in use across active tasks (for the filter bar and form suggestions)
+   */
+  const tagCounts = collectTags(tasks);
+  const availableTags = tagCounts.map(({ tag }) => tag);
 
   // Determine banner message and variant
   const getBannerInfo = () => {
+    if (updateAvailable) {
+      return {
+        isVisible: true,
+        message: 'A new version of NearZero is available',
+        variant: 'info',
+        actionLabel: 'Reload',
+        onAction: reloadToUpdate
+      };
+    }
     if (demoMode) {
       return {
         isVisible: true,
@@ -628,7 +1594,7 @@ function App() {
     if (!storageAvailable) {
       return {
         isVisible: true,
-        message: '⚠️ localStorage unavailable - changes not saved until session close',
+        message: '⚠️ Browser storage unavailable - changes not saved until session close',
         variant: 'warning'
       };
     }
@@ -651,16 +1617,32 @@ function App() {
           </div>
         </div>
 
+        {/* Search */}
+        <SearchBox
+          value={searchQuery}
+          onChange={handleSearchChange}
+          inputRef={searchInputRef}
+        />
+
         {/* Desktop nav links */}
         <div style={styles.navLinks} className="nav-desktop">
           <button
-            onClick={() => setShowForm(true)}
+            onClick={() => openNewTaskForm()}
             style={styles.addButton}
             className="nav-button"
             aria-label="Add new task (press Q)"
           >
             <GoPlus /> Add Task (Q)
           </button>
+          <button
+            onClick={() => setShowArchive(!showArchive)}
+            style={styles.settingsButton}
+            className="nav-button"
+            aria-label={showArchive ? 'Back to tasks' : 'Open archive'}
+            aria-pressed={showArchive}
+          >
+            {showArchive ? <><GoTasklist /> Tasks</> : <><GoArchive /> Archive</>}
+          </button>
           <button
             onClick={() => setShowSettings(true)}
             style={styles.settingsButton}
@@ -691,7 +1673,7 @@ function App() {
         >
           <button
             onClick={() => {
-              setShowForm(true);
+              openNewTaskForm();
               setMobileMenuOpen(false);
             }}
             style={styles.mobileMenuItem}
@@ -699,6 +1681,16 @@ function App() {
           >
             <GoPlus /> Add Task (Q)
           </button>
+          <button
+            onClick={() => {
+              setShowArchive(!showArchive);
+              setMobileMenuOpen(false);
+            }}
+            style={styles.mobileMenuItem}
+            aria-label={showArchive ? 'Back to tasks' : 'Open archive'}
+          >
+            {showArchive ? <><GoTasklist /> Tasks</> : <><GoArchive /> Archive</>}
+          </button>
           <button
             onClick={() => {
               setShowSettings(true);
@@ -721,30 +1713,120 @@ function App() {
       </header>
 
       <main style={{ ...styles.main, paddingBottom: `${bannerHeight + 20}px` }}>
-        {/* Controls: Sort and Density */}
-        {tasks.length > 0 && (
-          <div style={styles.controls}>
-            <SortToggle
-              currentMode={sortMode}
-              onModeChange={handleSortModeChange}
-            />
-            <DensityControl
-              currentDensity={density}
-              onDensityChange={handleDensityChange}
-              availableDensities={availableDensities}
+        {showArchive ? (
+          /* Archive of completed tasks */
+          <ArchiveView
+            tasks={archivedTasks}
+            onRestore={handleRestoreTask}
+            onPurge={handlePurgeArchivedTask}
+            onPurgeAll={handlePurgeArchive}
+          />
+        ) : (
+          <>
+            {/* One-line task entry */}
+            <QuickAddBar onSubmit={handleQuickAdd} inputRef={quickAddInputRef} />
+
+            {/* Controls: View, Sort and Density (sort applies to non-empty card views, the board and the timeline, density to card views) */}
+            <div style={styles.controls}>
+              <ViewToggle
+                currentView={viewMode}
+                onViewChange={handleViewModeChange}
+              />
+              {(isCardView || isBoardView || isTimelineView) && tasks.length > 0 && (
+                <SortToggle
+                  currentMode={sortMode}
+                  onModeChange={handleSortModeChange}
+                />
+              )}
+              {isCardView && tasks.length > 0 && (
+                <DensityControl
+                  currentDensity={density}
+                  onDensityChange={handleDensityChange}
+                  availableDensities={availableDensities}
+                />
+              )}
+              {(snoozedCount > 0 || showSnoozed) && (
+                <label style={styles.snoozedToggle}>
+                  <input
+                    type="checkbox"
+                    checked={showSnoozed}
+                    onChange={(e) => handleShowSnoozedChange(e.target.checked)}
+                  />
+                  Show snoozed ({snoozedCount})
+                </label>
+              )}
+            </div>
+
+            {/* Tag filter */}
+            <TagFilterBar
+              tags={tagCounts}
+              activeTags={tagFilter}
+              onChange={handleTagFilterChange}
             />
-          </div>
-        )}
 
-        {/* Task list */}
-        <TaskList
-          tasks={sortedTasks}
-          onClick={handleTaskClick}
-          onDelete={handleDeleteTask}
-          onComplete={handleCompleteTask}
-          onAddTask={() => setShowForm(true)}
-          density={density}
-        />
+            {searchTerms.length > 0 && sortedTasks.length === 0 && (
+              <p style={styles.noResults}>No tasks match "{searchQuery.trim()}"</p>
+            )}
+
+            {/* Workload forecast (card views) */}
+            {isCardView && (
+              <WorkloadStrip tasks={tasks} dailyCapacity={dailyCapacity} cantMakeItIds={cantMakeItIds} />
+            )}
+
+            {isCardView ? (
+              /* Task list (plain or agenda sections) */
+              <TaskList
+                tasks={sortedTasks}
+                onClick={handleTaskClick}
+                onDelete={handleDeleteTask}
+                onComplete={handleCompleteTask}
+                onAddTask={() => openNewTaskForm()}
+                density={density}
+                searchTerms={searchTerms}
+                urgencySettings={urgencySettings}
+                agenda={viewMode === VIEW_MODES.AGENDA}
+                onSnooze={handleSnoozeTask}
+                blockersById={blockersById}
+                cantMakeItIds={cantMakeItIds}
+              />
+            ) : isBoardView ? (
+              /* Board (columns by workflow status) */
+              <BoardView
+                tasks={sortedTasks}
+                columns={statusColumns}
+                onStatusChange={handleStatusChange}
+                onClick={handleTaskClick}
+                onDelete={handleDeleteTask}
+                onComplete={handleCompleteTask}
+                searchTerms={searchTerms}
+                urgencySettings={urgencySettings}
+                onSnooze={handleSnoozeTask}
+                blockersById={blockersById}
+                cantMakeItIds={cantMakeItIds}
+              />
+            ) : isTimelineView ? (
+              /* Timeline (bars ending at each deadline) */
+              <TimelineView
+                tasks={sortedTasks}
+                onTaskClick={handleTaskClick}
+                onDeadlineChange={handleDeadlineChange}
+                urgencySettings={urgencySettings}
+                cantMakeItIds={cantMakeItIds}
+              />
+            ) : (
+              /* Calendar (month or week) */
+              <CalendarView
+                tasks={sortedTasks}
+                layout={viewMode}
+                onTaskClick={handleTaskClick}
+                onDayClick={openNewTaskForm}
+                onReschedule={handleRescheduleTask}
+                urgencySettings={urgencySettings}
+                cantMakeItIds={cantMakeItIds}
+              />
+            )}
+          </>
+        )}
       </main>
 
       {/* Alert Dialog */}
@@ -780,7 +1862,13 @@ function App() {
               ✕
             </button>
           </div>
-          <TaskForm onSubmit={handleAddTask} />
+          <TaskForm
+            onSubmit={handleAddTask}
+            availableTags={availableTags}
+            initialDate={newTaskDate}
+            statusColumns={statusColumns}
+            activeTasks={tasks}
+          />
         </div>
       </Modal>
 
@@ -797,7 +1885,13 @@ function App() {
               ✕
             </button>
           </div>
-          <TaskForm onSubmit={handleUpdateTask} task={editingTask} />
+          <TaskForm
+            onSubmit={handleUpdateTask}
+            task={editingTask}
+            availableTags={availableTags}
+            statusColumns={statusColumns}
+            activeTasks={tasks}
+          />
         </div>
       </Modal>
 
@@ -808,8 +1902,25 @@ function App() {
         onClose={() => setSelectedTask(null)}
         onEdit={handleEditTask}
         onDelete={handleDeleteTask}
+        onChecklistChange={handleChecklistChange}
+        urgencySettings={urgencySettings}
+        statusColumns={statusColumns}
+        onSnooze={handleSnoozeTask}
+        blockers={selectedTask ? blockersById[selectedTask.id] : undefined}
+        cantMakeIt={!!selectedTask && cantMakeItIds.has(selectedTask.id)}
       />
 
+      {/* Import preview (Merge / Append / Replace) */}
+      {pendingImport && (
+        <ImportDialog
+          isOpen
+          current={{ tasks, archivedTasks }}
+          imported={pendingImport}
+          onConfirm={handleImportConfirm}
+          onCancel={() => setPendingImport(null)}
+        />
+      )}
+
       {/* Settings Modal */}
       <Settings
         isOpen={showSettings}
@@ -819,8 +1930,22 @@ function App() {
         onImportSuccess={handleImportSuccess}
         onImportError={handleImportError}
         onExportSuccess={handleExportSuccess}
+        onImportAppend={handleImportAppend}
         themePreference={themePreference}
         onThemeChange={setTheme}
+        confirmActions={confirmActions}
+        onConfirmActionsChange={handleConfirmActionsChange}
+        autoCompleteChecklist={autoCompleteChecklist}
+        onAutoCompleteChecklistChange={handleAutoCompleteChecklistChange}
+        notificationSettings={notificationSettings}
+        notificationPermission={notificationPermission}
+        onNotificationSettingsChange={handleNotificationSettingsChange}
+        urgencySettings={urgencySettings}
+        onUrgencySettingsChange={handleUrgencySettingsChange}
+        statusColumns={statusColumns}
+        onStatusColumnsChange={handleStatusColumnsChange}
+        dailyCapacity={dailyCapacity}
+        onDailyCapacityChange={handleDailyCapacityChange}
       />
 
       {/* Toast Notification */}
@@ -830,6 +1955,8 @@ function App() {
         variant={toast.variant}
         duration={toast.duration}
         onClose={closeToast}
+        actionLabel={toast.actionLabel}
+        onAction={handleUndo}
       />
 
       {/* Banner for demo mode or storage unavailable */}
@@ -838,6 +1965,8 @@ function App() {
           isVisible={bannerInfo.isVisible}
           message={bannerInfo.message}
           variant={bannerInfo.variant}
+          actionLabel={bannerInfo.actionLabel}
+          onAction={bannerInfo.onAction}
         />
       </div>
 
@@ -986,6 +2115,11 @@ const styles = {
     margin: '0 auto',
     padding: '20px'
   },
+  noResults: {
+    textAlign: 'center',
+    color: 'var(--text-secondary)',
+    margin: '0 0 15px 0'
+  },
   controls: {
     display: 'flex',
     justifyContent: 'space-between',
@@ -994,6 +2128,14 @@ const styles = {
     flexWrap: 'wrap',
     marginBottom: '15px'
   },
+  snoozedToggle: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    fontSize: '14px',
+    color: 'var(--text-secondary)',
+    cursor: 'pointer'
+  },
   formContainer: {
     padding: '24px'
   },
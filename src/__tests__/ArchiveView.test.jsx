@@ -0,0 +1,97 @@
+/**
+ * Tests for ArchiveView component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ArchiveView from '../components/ArchiveView';
+
+describe('ArchiveView', () => {
+  const mockArchive = [
+    {
+      id: 'done-1',
+      title: 'Send invoice',
+      description: 'ACME billing',
+      deadline: '2025-01-05T17:00:00Z',
+      priority: 1,
+      isCompleted: true,
+      completedAt: '2025-01-04T10:00:00Z',
+      createdAt: '2025-01-01T00:00:00Z',
+      lastModified: '2025-01-04T10:00:00Z',
+      schemaVersion: 1
+    },
+    {
+      id: 'done-2',
+      title: 'Write report',
+      description: 'Quarterly numbers',
+      deadline: '2025-01-08T17:00:00Z',
+      priority: 2,
+      isCompleted: true,
+      completedAt: '2025-01-06T10:00:00Z',
+      createdAt: '2025-01-01T00:00:00Z',
+      lastModified: '2025-01-06T10:00:00Z',
+      schemaVersion: 1
+    }
+  ];
+
+  it('renders archived tasks newest completion first', () => {
+    render(
+      <ArchiveView tasks={mockArchive} onRestore={() => {}} onPurge={() => {}} onPurgeAll={() => {}} />
+    );
+
+    const titles = screen.getAllByRole('heading', { level: 3 });
+    expect(titles[0]).toHaveTextContent('Write report');
+    expect(titles[1]).toHaveTextContent('Send invoice');
+  });
+
+  it('shows empty state when archive is empty', () => {
+    render(
+      <ArchiveView tasks={[]} onRestore={() => {}} onPurge={() => {}} onPurgeAll={() => {}} />
+    );
+
+    expect(screen.getByText(/no completed tasks yet/i)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /delete all archived/i })).not.toBeInTheDocument();
+  });
+
+  it('filters tasks by search query', async () => {
+    const user = userEvent.setup();
+
+    render(
+      <ArchiveView tasks={mockArchive} onRestore={() => {}} onPurge={() => {}} onPurgeAll={() => {}} />
+    );
+
+    await user.type(screen.getByLabelText(/search archived tasks/i), 'acme');
+
+    expect(screen.getByText('Send invoice')).toBeInTheDocument();
+    expect(screen.queryByText('Write report')).not.toBeInTheDocument();
+  });
+
+  it('calls onRestore and onPurge with task id', async () => {
+    const user = userEvent.setup();
+    const onRestore = vi.fn();
+    const onPurge = vi.fn();
+
+    render(
+      <ArchiveView tasks={mockArchive} onRestore={onRestore} onPurge={onPurge} onPurgeAll={() => {}} />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Restore Send invoice' }));
+    expect(onRestore).toHaveBeenCalledWith('done-1');
+
+    await user.click(screen.getByRole('button', { name: 'Permanently delete Write report' }));
+    expect(onPurge).toHaveBeenCalledWith('done-2');
+  });
+
+  it('calls onPurgeAll when Purge All clicked', async () => {
+    const user = userEvent.setup();
+    const onPurgeAll = vi.fn();
+
+    render(
+      <ArchiveView tasks={mockArchive} onRestore={() => {}} onPurge={() => {}} onPurgeAll={onPurgeAll} />
+    );
+
+    await user.click(screen.getByRole('button', { name: /delete all archived/i }));
+    expect(onPurgeAll).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * Tests for BoardView component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import dayjs from 'dayjs';
+import BoardView from '../components/BoardView';
+
+describe('BoardView', () => {
+  const tasks = [
+    {
+      id: 'task-1',
+      title: 'Write report',
+      deadline: dayjs().add(2, 'hour').toISOString(),
+      priority: 1,
+      status: 'todo',
+      createdAt: new Date().toISOString()
+    },
+    {
+      id: 'task-2',
+      title: 'Call vendor',
+      deadline: dayjs().add(5, 'day').toISOString(),
+      priority: 2,
+      status: 'blocked',
+      createdAt: new Date().toISOString()
+    }
+  ];
+
+  const renderBoard = (props = {}) => {
+    const handlers = { onStatusChange: vi.fn(), onClick: vi.fn(), onDelete: vi.fn(), onComplete: vi.fn() };
+    const utils = render(<BoardView tasks={tasks} {...handlers} {...props} />);
+    return { ...utils, ...handlers };
+  };
+
+  it('lays tasks out in status columns with counts', () => {
+    renderBoard();
+
+    const todo = screen.getByRole('region', { name: 'To do (1)' });
+    expect(within(todo).getByText('Write report')).toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Blocked (1)' })).getByText('Call vendor')).toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Done (0)' })).getByText('Drop tasks here')).toBeInTheDocument();
+  });
+
+  it('keeps urgency coloring on the cards', () => {
+    renderBoard();
+
+    // Due in two hours: inside the default red band
+    const card = screen.getByText('Write report').closest('.task-card');
+    expect(card.style.backgroundColor).not.toBe('');
+  });
+
+  it('moves a task dropped on another column', () => {
+    const { container, onStatusChange } = renderBoard();
+    const dataTransfer = { getData: () => 'task-1', setData: vi.fn() };
+
+    fireEvent.drop(container.querySelector('[data-status="todo"]'), { dataTransfer });
+    expect(onStatusChange).not.toHaveBeenCalled();
+
+    fireEvent.drop(container.querySelector('[data-status="in-progress"]'), { dataTransfer });
+    expect(onStatusChange).toHaveBeenCalledWith('task-1', 'in-progress');
+  });
+
+  it('moves a task with its status picker', async () => {
+    const user = userEvent.setup();
+    const { onStatusChange } = renderBoard();
+
+    await user.selectOptions(screen.getByLabelText('Status of Call vendor'), 'done');
+
+    expect(onStatusChange).toHaveBeenCalledWith('task-2', 'done');
+  });
+
+  it('uses custom columns and shows unknown statuses in the first one', () => {
+    const columns = [{ id: 'backlog', label: 'Backlog' }, { id: 'blocked', label: 'Waiting' }];
+
+    renderBoard({ columns });
+
+    expect(within(screen.getByRole('region', { name: 'Backlog (1)' })).getByText('Write report')).toBeInTheDocument();
+    expect(within(screen.getByRole('region', { name: 'Waiting (1)' })).getByText('Call vendor')).toBeInTheDocument();
+  });
+});
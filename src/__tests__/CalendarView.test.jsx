@@ -0,0 +1,88 @@
+/**
+ * Tests for CalendarView component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import dayjs from 'dayjs';
+import CalendarView from '../components/CalendarView';
+import { localToUTC } from '../utils/datetime';
+import { VIEW_MODES } from '../utils/views';
+
+describe('CalendarView', () => {
+  const today = dayjs().format('YYYY-MM-DD');
+  const task = {
+    id: 'task-1',
+    title: 'Pay rent',
+    deadline: localToUTC(today, '23:00'),
+    priority: 1,
+    createdAt: new Date().toISOString()
+  };
+
+  const renderCalendar = (props = {}) => {
+    const handlers = { onTaskClick: vi.fn(), onDayClick: vi.fn(), onReschedule: vi.fn() };
+    const utils = render(<CalendarView tasks={[task]} {...handlers} {...props} />);
+    return { ...utils, ...handlers };
+  };
+
+  it('shows the current month with tasks on their deadline day', () => {
+    const { container } = renderCalendar();
+
+    expect(screen.getByRole('heading', { name: dayjs().format('MMMM YYYY') })).toBeInTheDocument();
+    const cell = container.querySelector(`[data-day="${today}"]`);
+    expect(cell).toHaveTextContent('Pay rent');
+    expect(cell).toHaveTextContent('11:00 PM');
+  });
+
+  it('opens a task when it is clicked', async () => {
+    const user = userEvent.setup();
+    const { onTaskClick, onDayClick } = renderCalendar();
+
+    await user.click(screen.getByRole('button', { name: /pay rent/i }));
+
+    expect(onTaskClick).toHaveBeenCalledWith('task-1');
+    expect(onDayClick).not.toHaveBeenCalled();
+  });
+
+  it('adds a task on a clicked day', async () => {
+    const user = userEvent.setup();
+    const { onDayClick } = renderCalendar();
+
+    await user.click(screen.getByRole('button', { name: `Add task on ${dayjs().format('dddd, MMMM D')}` }));
+
+    expect(onDayClick).toHaveBeenCalledWith(today);
+  });
+
+  it('moves between months and back to today', async () => {
+    const user = userEvent.setup();
+    renderCalendar();
+
+    await user.click(screen.getByRole('button', { name: 'Next month' }));
+    expect(screen.getByRole('heading', { name: dayjs().add(1, 'month').format('MMMM YYYY') })).toBeInTheDocument();
+    expect(screen.queryByText('Pay rent')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Today' }));
+    expect(screen.getByText('Pay rent')).toBeInTheDocument();
+  });
+
+  it('shows one week in the week layout', () => {
+    renderCalendar({ layout: VIEW_MODES.WEEK });
+
+    expect(screen.getAllByRole('button', { name: /^Add task on/ })).toHaveLength(7);
+    expect(screen.getByRole('button', { name: 'Next week' })).toBeInTheDocument();
+    expect(screen.getByText('Pay rent')).toBeInTheDocument();
+  });
+
+  it('reschedules a task dropped on another day', () => {
+    const { container, onReschedule } = renderCalendar({ layout: VIEW_MODES.WEEK });
+    const otherDay = dayjs().day() === 6 ? dayjs().subtract(1, 'day') : dayjs().add(1, 'day');
+    const dataTransfer = { getData: () => 'task-1', setData: vi.fn() };
+
+    fireEvent.drop(container.querySelector(`[data-day="${today}"]`), { dataTransfer });
+    expect(onReschedule).not.toHaveBeenCalled();
+
+    fireEvent.drop(container.querySelector(`[data-day="${otherDay.format('YYYY-MM-DD')}"]`), { dataTransfer });
+    expect(onReschedule).toHaveBeenCalledWith('task-1', otherDay.format('YYYY-MM-DD'));
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for ChecklistEditor component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ChecklistEditor from '../components/ChecklistEditor';
+
+describe('ChecklistEditor', () => {
+  const items = [
+    { id: 'a', text: 'Draft agenda', done: false },
+    { id: 'b', text: 'Book room', done: true }
+  ];
+
+  it('shows items with progress', () => {
+    render(<ChecklistEditor items={items} onChange={() => {}} />);
+
+    expect(screen.getByLabelText(/checklist progress/i)).toHaveTextContent('1/2 done');
+    expect(screen.getByRole('checkbox', { name: 'Draft agenda' })).not.toBeChecked();
+    expect(screen.getByRole('checkbox', { name: 'Book room' })).toBeChecked();
+  });
+
+  it('adds an item on Enter', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+
+    render(<ChecklistEditor items={items} onChange={onChange} />);
+
+    await user.type(screen.getByLabelText(/new checklist item/i), '  Send invites {Enter}');
+
+    const [nextItems] = onChange.mock.calls[0];
+    expect(nextItems).toHaveLength(3);
+    expect(nextItems[2]).toMatchObject({ text: 'Send invites', done: false });
+  });
+
+  it('ignores blank items', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+
+    render(<ChecklistEditor items={[]} onChange={onChange} />);
+
+    await user.type(screen.getByLabelText(/new checklist item/i), '   {Enter}');
+
+    expect(onChange).not.toHaveBeenCalled();
+    expect(screen.getByRole('button', { name: /add item/i })).toBeDisabled();
+  });
+
+  it('toggles, reorders and removes items', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+
+    render(<ChecklistEditor items={items} onChange={onChange} />);
+
+    await user.click(screen.getByRole('checkbox', { name: 'Draft agenda' }));
+    expect(onChange).toHaveBeenLastCalledWith([{ ...items[0], done: true }, items[1]]);
+
+    await user.click(screen.getByRole('button', { name: 'Move "Book room" up' }));
+    expect(onChange).toHaveBeenLastCalledWith([items[1], items[0]]);
+
+    await user.click(screen.getByRole('button', { name: 'Remove "Draft agenda"' }));
+    expect(onChange).toHaveBeenLastCalledWith([items[1]]);
+  });
+
+  it('disables moving past either end', () => {
+    render(<ChecklistEditor items={items} onChange={() => {}} />);
+
+    expect(screen.getByRole('button', { name: 'Move "Draft agenda" up' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Move "Book room" down' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Tests for CsvImportMapper component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import CsvImportMapper from '../components/CsvImportMapper';
+
+describe('CsvImportMapper', () => {
+  const headers = ['Task', 'Due', 'Importance'];
+  const rows = [
+    ['Pay rent', '25/12/2030', 'P1'],
+    ['File taxes', '02/01/2031', 'Low'],
+    ['Broken', 'someday', 'High']
+  ];
+
+  it('guesses the mapping and date order from the file', () => {
+    render(<CsvImportMapper headers={headers} rows={rows} onImport={() => {}} onCancel={() => {}} />);
+
+    expect(screen.getByLabelText(/^title/i)).toHaveDisplayValue('Task');
+    expect(screen.getByLabelText(/^deadline \*/i)).toHaveDisplayValue('Due');
+    expect(screen.getByLabelText(/^priority/i)).toHaveDisplayValue('Importance');
+    expect(screen.getByLabelText(/^description/i)).toHaveDisplayValue('Not imported');
+    expect(screen.getByLabelText(/date order/i)).toHaveDisplayValue('Day/Month/Year');
+  });
+
+  it('previews the first rows of the mapped columns', () => {
+    render(<CsvImportMapper headers={headers} rows={rows} onImport={() => {}} onCancel={() => {}} />);
+
+    const preview = screen.getByRole('table', { name: /import preview/i });
+    expect(within(preview).getAllByRole('row')).toHaveLength(4);
+    expect(within(preview).getByText('Pay rent')).toBeInTheDocument();
+  });
+
+  it('lists rows that will be skipped and imports the rest', async () => {
+    const user = userEvent.setup();
+    const onImport = vi.fn();
+
+    render(<CsvImportMapper headers={headers} rows={rows} onImport={onImport} onCancel={() => {}} />);
+
+    expect(screen.getByText('1 row will be skipped:')).toBeInTheDocument();
+    expect(screen.getByText('Row 4: Unrecognized deadline "someday"')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Import 2 tasks' }));
+
+    const [tasks, errors] = onImport.mock.calls[0];
+    expect(tasks.map(task => task.title)).toEqual(['Pay rent', 'File taxes']);
+    expect(tasks.map(task => task.priority)).toEqual([1, 3]);
+    expect(errors).toHaveLength(1);
+  });
+
+  it('requires a column for each required field', async () => {
+    const user = userEvent.setup();
+
+    render(<CsvImportMapper headers={headers} rows={rows} onImport={() => {}} onCancel={() => {}} />);
+    await user.selectOptions(screen.getByLabelText(/^title/i), 'Not imported');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Choose a column for: Title');
+    expect(screen.getByRole('button', { name: 'Import 0 tasks' })).toBeDisabled();
+  });
+
+  it('calls onCancel', async () => {
+    const user = userEvent.setup();
+    const onCancel = vi.fn();
+
+    render(<CsvImportMapper headers={headers} rows={rows} onImport={() => {}} onCancel={onCancel} />);
+    await user.click(screen.getByRole('button', { name: /cancel/i }));
+
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Tests for ImportDialog component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import ImportDialog from '../components/ImportDialog';
+
+const makeTask = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  deadline: '2030-01-01T12:00:00.000Z',
+  priority: 2,
+  isCompleted: false,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  lastModified: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('ImportDialog', () => {
+  const current = {
+    tasks: [makeTask('a'), makeTask('b', { title: 'Mine', lastModified: '2025-03-01T00:00:00.000Z' })],
+    archivedTasks: []
+  };
+  const imported = {
+    tasks: [makeTask('a'), makeTask('b', { title: 'Theirs' }), makeTask('c', { title: 'Fresh' })],
+    archivedTasks: []
+  };
+
+  it('shows counts and lists changed tasks', () => {
+    render(<ImportDialog isOpen current={current} imported={imported} onConfirm={() => {}} onCancel={() => {}} />);
+
+    const summary = screen.getByRole('list', { name: /import summary/i });
+    expect(within(summary).getByText('New').parentElement).toHaveTextContent('1 New');
+    expect(within(summary).getByText('Unchanged').parentElement).toHaveTextContent('1 Unchanged');
+    expect(within(summary).getByText('Conflicting').parentElement).toHaveTextContent('1 Conflicting');
+
+    const list = screen.getByRole('list', { name: /imported tasks/i });
+    expect(within(list).getAllByRole('listitem')).toHaveLength(2);
+    expect(within(list).getByText(/your copy is as new or newer/i)).toBeInTheDocument();
+    expect(within(list).queryByText('Task a')).not.toBeInTheDocument();
+  });
+
+  it('lists invalid tasks that will be skipped', () => {
+    const withRejected = {
+      ...imported,
+      rejected: [{ id: 'x', title: 'Broken', errors: ['Invalid deadline format'] }]
+    };
+
+    render(<ImportDialog isOpen current={current} imported={withRejected} onConfirm={() => {}} onCancel={() => {}} />);
+
+    expect(screen.getByText(/The file has 4 tasks/)).toBeInTheDocument();
+    const list = screen.getByRole('list', { name: /skipped tasks/i });
+    expect(within(list).getByRole('listitem')).toHaveTextContent('Broken — Invalid deadline format');
+  });
+
+  it('merges by default', async () => {
+    const user = userEvent.setup();
+    const onConfirm = vi.fn();
+
+    render(<ImportDialog isOpen current={current} imported={imported} onConfirm={onConfirm} onCancel={() => {}} />);
+
+    expect(screen.getByRole('radio', { name: /merge by id/i })).toBeChecked();
+    await user.click(screen.getByRole('button', { name: 'Merge' }));
+    expect(onConfirm).toHaveBeenCalledWith('merge');
+  });
+
+  it('confirms the chosen mode', async () => {
+    const user = userEvent.setup();
+    const onConfirm = vi.fn();
+
+    render(<ImportDialog isOpen current={current} imported={imported} onConfirm={onConfirm} onCancel={() => {}} />);
+
+    await user.click(screen.getByRole('radio', { name: /replace/i }));
+    await user.click(screen.getByRole('button', { name: 'Replace all' }));
+    expect(onConfirm).toHaveBeenCalledWith('replace');
+  });
+
+  it('cancels without confirming', async () => {
+    const user = userEvent.setup();
+    const onConfirm = vi.fn();
+    const onCancel = vi.fn();
+
+    render(<ImportDialog isOpen current={current} imported={imported} onConfirm={onConfirm} onCancel={onCancel} />);
+
+    await user.click(screen.getByRole('button', { name: /cancel/i }));
+    expect(onCancel).toHaveBeenCalled();
+    expect(onConfirm).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for QuickAddBar component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import dayjs from 'dayjs';
+import QuickAddBar from '../components/QuickAddBar';
+
+describe('QuickAddBar', () => {
+  const getInput = () => screen.getByRole('textbox', { name: /quick add task/i });
+
+  it('previews the parsed deadline, priority and tags', async () => {
+    const user = userEvent.setup();
+    render(<QuickAddBar onSubmit={() => true} />);
+
+    await user.type(getInput(), 'Send invoice tomorrow 5pm !high #billing');
+
+    const expected = dayjs().add(1, 'day').hour(17).minute(0).format('ddd, MMM D, h:mm A');
+    expect(screen.getByText(expected)).toBeInTheDocument();
+    expect(screen.getByText('High priority')).toBeInTheDocument();
+    expect(screen.getByText('#billing')).toBeInTheDocument();
+  });
+
+  it('asks for a day or time when none was found', async () => {
+    const user = userEvent.setup();
+    render(<QuickAddBar onSubmit={() => true} />);
+
+    await user.type(getInput(), 'Call the bank');
+
+    expect(screen.getByText(/add a day or time/i)).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /add task/i })).toBeDisabled();
+  });
+
+  it('submits parsed fields on Enter and clears the line', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn(() => true);
+    render(<QuickAddBar onSubmit={onSubmit} />);
+
+    await user.type(getInput(), 'Water plants in 2 hours #home{Enter}');
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      title: 'Water plants',
+      deadline: expect.any(String),
+      priority: 2,
+      tags: ['home']
+    });
+    expect(getInput()).toHaveValue('');
+  });
+
+  it('keeps the line when the task was not added', async () => {
+    const user = userEvent.setup();
+    render(<QuickAddBar onSubmit={() => false} />);
+
+    await user.type(getInput(), 'Water plants in 2 hours{Enter}');
+
+    expect(getInput()).toHaveValue('Water plants in 2 hours');
+  });
+
+  it('does not submit without a deadline', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn(() => true);
+    render(<QuickAddBar onSubmit={onSubmit} />);
+
+    await user.type(getInput(), 'Call the bank{Enter}');
+
+    expect(onSubmit).not.toHaveBeenCalled();
+  });
+
+  it('clears the line on Escape', async () => {
+    const user = userEvent.setup();
+    render(<QuickAddBar onSubmit={() => true} />);
+
+    await user.type(getInput(), 'Draft{Escape}');
+
+    expect(getInput()).toHaveValue('');
+    expect(getInput()).not.toHaveFocus();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Tests for SnoozeMenu component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import dayjs from 'dayjs';
+import SnoozeMenu from '../components/SnoozeMenu';
+import { localToUTC } from '../utils/datetime';
+
+describe('SnoozeMenu', () => {
+  const task = {
+    id: 'task-1',
+    title: 'Renew passport',
+    deadline: dayjs().add(30, 'day').toISOString(),
+    startDate: null
+  };
+
+  it('snoozes until a preset', async () => {
+    const user = userEvent.setup();
+    const onSnooze = vi.fn();
+    render(<SnoozeMenu task={task} onSnooze={onSnooze} />);
+
+    await user.click(screen.getByRole('button', { name: 'Tomorrow, 9 AM' }));
+
+    const tomorrow = dayjs().add(1, 'day').format('YYYY-MM-DD');
+    expect(onSnooze).toHaveBeenCalledWith('task-1', localToUTC(tomorrow, '09:00'));
+  });
+
+  it('snoozes until a custom time before the deadline', async () => {
+    const user = userEvent.setup();
+    const onSnooze = vi.fn();
+    render(<SnoozeMenu task={task} onSnooze={onSnooze} />);
+
+    const snooze = screen.getByRole('button', { name: 'Snooze' });
+    expect(snooze).toBeDisabled();
+
+    const tooLate = dayjs().add(40, 'day').format('YYYY-MM-DD');
+    await user.type(screen.getByLabelText('Snooze until date'), tooLate);
+    expect(snooze).toBeDisabled();
+    expect(screen.getByText(/between now and the deadline/)).toBeInTheDocument();
+
+    const inTenDays = dayjs().add(10, 'day').format('YYYY-MM-DD');
+    await user.clear(screen.getByLabelText('Snooze until date'));
+    await user.type(screen.getByLabelText('Snooze until date'), inTenDays);
+    await user.click(snooze);
+
+    expect(onSnooze).toHaveBeenCalledWith('task-1', localToUTC(inTenDays, '09:00'));
+  });
+
+  it('disables presets past the deadline and wakes snoozed tasks', async () => {
+    const user = userEvent.setup();
+    const onSnooze = vi.fn();
+    const soon = {
+      ...task,
+      deadline: dayjs().add(2, 'hour').toISOString(),
+      startDate: dayjs().add(1, 'hour').toISOString()
+    };
+    render(<SnoozeMenu task={soon} onSnooze={onSnooze} />);
+
+    expect(screen.getByRole('button', { name: 'Next Monday, 9 AM' })).toBeDisabled();
+
+    await user.click(screen.getByRole('button', { name: 'Wake up now' }));
+    expect(onSnooze).toHaveBeenCalledWith('task-1', null);
+  });
+});
@@ -0,0 +1,66 @@
+/**
+ * Tests for StatusColumnsSettings component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import StatusColumnsSettings from '../components/StatusColumnsSettings';
+import { DEFAULT_STATUS_COLUMNS } from '../utils/status';
+
+describe('StatusColumnsSettings', () => {
+  it('renames a column without changing its id', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<StatusColumnsSettings columns={DEFAULT_STATUS_COLUMNS} onChange={onChange} />);
+
+    const name = screen.getByLabelText('Column 2 name');
+    await user.clear(name);
+    await user.type(name, 'Doing');
+
+    expect(onChange).toHaveBeenLastCalledWith([
+      { id: 'todo', label: 'To do' },
+      { id: 'in-progress', label: 'Doing' },
+      { id: 'blocked', label: 'Blocked' },
+      { id: 'done', label: 'Done' }
+    ]);
+  });
+
+  it('shows an error and does not save duplicate names', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<StatusColumnsSettings columns={DEFAULT_STATUS_COLUMNS} onChange={onChange} />);
+
+    const name = screen.getByLabelText('Column 3 name');
+    await user.clear(name);
+    await user.type(name, 'done');
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Column names must be unique');
+    expect(onChange).not.toHaveBeenCalledWith(expect.arrayContaining([{ id: 'blocked', label: 'done' }]));
+  });
+
+  it('adds, moves and removes columns', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<StatusColumnsSettings columns={DEFAULT_STATUS_COLUMNS} onChange={onChange} />);
+
+    await user.click(screen.getByRole('button', { name: 'Add column' }));
+    expect(onChange).toHaveBeenLastCalledWith([...DEFAULT_STATUS_COLUMNS, { id: 'new-column', label: 'New column' }]);
+
+    await user.click(screen.getByRole('button', { name: 'Move column 5 up' }));
+    expect(onChange.mock.lastCall[0].map(column => column.id)).toEqual(['todo', 'in-progress', 'blocked', 'new-column', 'done']);
+
+    await user.click(screen.getByRole('button', { name: 'Remove column 3' }));
+    expect(onChange.mock.lastCall[0].map(column => column.id)).toEqual(['todo', 'in-progress', 'new-column', 'done']);
+
+    await user.click(screen.getByRole('button', { name: 'Reset to defaults' }));
+    expect(onChange).toHaveBeenLastCalledWith(DEFAULT_STATUS_COLUMNS);
+  });
+
+  it('keeps at least one column', () => {
+    render(<StatusColumnsSettings columns={[{ id: 'todo', label: 'To do' }]} />);
+
+    expect(screen.getByRole('button', { name: 'Remove column 1' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Move column 1 up' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * Tests for TagFilterBar component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import TagFilterBar from '../components/TagFilterBar';
+
+describe('TagFilterBar', () => {
+  const tags = [
+    { tag: 'home', count: 1 },
+    { tag: 'work', count: 3 },
+  ];
+
+  it('renders nothing when no tags are in use', () => {
+    const { container } = render(<TagFilterBar tags={[]} activeTags={[]} onChange={() => {}} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('marks active tags as pressed', () => {
+    render(<TagFilterBar tags={tags} activeTags={['work']} onChange={() => {}} />);
+
+    expect(screen.getByRole('button', { name: /#work/ })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('button', { name: /#home/ })).toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('adds and removes tags from the selection', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+
+    render(<TagFilterBar tags={tags} activeTags={['work']} onChange={onChange} />);
+
+    await user.click(screen.getByRole('button', { name: /#home/ }));
+    expect(onChange).toHaveBeenLastCalledWith(['work', 'home']);
+
+    await user.click(screen.getByRole('button', { name: /#work/ }));
+    expect(onChange).toHaveBeenLastCalledWith([]);
+  });
+
+  it('clears the selection', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+
+    render(<TagFilterBar tags={tags} activeTags={['work', 'home']} onChange={onChange} />);
+
+    await user.click(screen.getByRole('button', { name: /clear/i }));
+    expect(onChange).toHaveBeenCalledWith([]);
+  });
+
+  it('keeps selected tags that are no longer used so they can be removed', () => {
+    render(<TagFilterBar tags={tags} activeTags={['gone']} onChange={() => {}} />);
+
+    expect(screen.getByRole('button', { name: /#gone/ })).toHaveAttribute('aria-pressed', 'true');
+  });
+});
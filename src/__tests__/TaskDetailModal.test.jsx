@@ -25,6 +25,25 @@ describe('TaskDetailModal', () => {
     onDelete: vi.fn()
   };
 
+  it('lists open blockers and warns when one is due later', () => {
+    const blockers = [
+      { id: 'b-1', title: 'Get approval', deadline: '2025-11-06T12:00:00Z' }
+    ];
+
+    render(
+      <TaskDetailModal
+        isOpen={true}
+        task={mockTask}
+        blockers={blockers}
+        {...mockHandlers}
+      />
+    );
+
+    expect(screen.getByText('Blocked by:')).toBeInTheDocument();
+    expect(screen.getByRole('list', { name: 'Blocking tasks' })).toHaveTextContent('Get approval');
+    expect(screen.getByRole('status')).toHaveTextContent(/due after this task's deadline/);
+  });
+
   it('renders task title and full description', () => {
     render(
       <TaskDetailModal
@@ -179,4 +198,58 @@ describe('TaskDetailModal', () => {
 
     expect(screen.getByText('Low')).toBeInTheDocument();
   });
+
+  it('shows recurrence summary and next occurrences for recurring tasks', () => {
+    render(
+      <TaskDetailModal
+        isOpen={true}
+        task={{
+          ...mockTask,
+          recurrence: { frequency: 'daily', interval: 1, weekdays: [], until: null, count: null }
+        }}
+        {...mockHandlers}
+      />
+    );
+
+    expect(screen.getByText('Repeats')).toBeInTheDocument();
+    expect(screen.getByText('Every day')).toBeInTheDocument();
+    expect(screen.getByRole('list', { name: /next occurrences/i }).children).toHaveLength(3);
+  });
+
+  it('does not show recurrence section for one-off tasks', () => {
+    render(
+      <TaskDetailModal
+        isOpen={true}
+        task={mockTask}
+        {...mockHandlers}
+      />
+    );
+
+    expect(screen.queryByText('Repeats')).not.toBeInTheDocument();
+  });
+  it('checks checklist items through onChecklistChange', () => {
+    const onChecklistChange = vi.fn();
+    const checklist = [
+      { id: 'a', text: 'Draft agenda', done: true },
+      { id: 'b', text: 'Book room', done: false }
+    ];
+
+    render(
+      <TaskDetailModal
+        isOpen={true}
+        task={{ ...mockTask, checklist }}
+        {...mockHandlers}
+        onChecklistChange={onChecklistChange}
+      />
+    );
+
+    expect(screen.getByLabelText(/checklist progress/i)).toHaveTextContent('1/2 done');
+
+    fireEvent.click(screen.getByRole('checkbox', { name: 'Book room' }));
+
+    expect(onChecklistChange).toHaveBeenCalledWith('test-123', [
+      checklist[0],
+      { ...checklist[1], done: true }
+    ]);
+  });
 });
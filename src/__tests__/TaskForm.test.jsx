@@ -6,6 +6,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import TaskForm from '../components/TaskForm';
+import { localToUTC } from '../utils/datetime';
 
 describe('TaskForm', () => {
   it('renders all form fields', () => {
@@ -46,10 +47,49 @@ describe('TaskForm', () => {
       description: 'Test description',
       dateString: '2025-12-31',
       timeString: '23:59',
-      priority: 1
+      startDate: null,
+      priority: 1,
+      status: 'todo',
+      tags: [],
+      checklist: [],
+      blockedBy: [],
+      estimateHours: null,
+      reminders: null,
+      recurrence: null
     });
   });
 
+  it('submits a weekly recurrence rule with selected weekdays', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+
+    render(<TaskForm onSubmit={onSubmit} />);
+
+    await user.type(screen.getByLabelText(/title/i), 'Weekly report');
+    await user.selectOptions(screen.getByLabelText(/^repeat$/i), 'weekly');
+    await user.clear(screen.getByLabelText(/every/i));
+    await user.type(screen.getByLabelText(/every/i), '2');
+    await user.click(screen.getByRole('button', { name: 'Wed' }));
+    await user.click(screen.getByRole('button', { name: 'Mon' }));
+    await user.selectOptions(screen.getByLabelText(/ends/i), 'count');
+    await user.clear(screen.getByLabelText(/number of occurrences/i));
+    await user.type(screen.getByLabelText(/number of occurrences/i), '6');
+
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        recurrence: {
+          frequency: 'weekly',
+          interval: 2,
+          weekdays: [1, 3],
+          until: null,
+          count: 6
+        }
+      })
+    );
+  });
+
   it('clears form after successful submission', async () => {
     const user = userEvent.setup();
     const onSubmit = vi.fn();
@@ -117,6 +157,101 @@ describe('TaskForm', () => {
     expect(dateInput.value).toMatch(/^\d{4}-\d{2}-\d{2}$/); // YYYY-MM-DD format
   });
 
+  it('prefills the date given by a calendar day', () => {
+    render(<TaskForm onSubmit={() => {}} initialDate="2031-03-14" />);
+
+    expect(screen.getByLabelText(/deadline date/i)).toHaveValue('2031-03-14');
+    expect(screen.getByLabelText(/deadline time/i)).toHaveValue('18:00');
+  });
+
+  it('offers the board columns as statuses', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    const columns = [
+      { id: 'backlog', label: 'Backlog' },
+      { id: 'doing', label: 'Doing' }
+    ];
+
+    render(<TaskForm onSubmit={onSubmit} statusColumns={columns} />);
+
+    // "To do" is not a column here, so new tasks start in the first one
+    const statusSelect = screen.getByLabelText(/^status$/i);
+    expect(statusSelect).toHaveValue('backlog');
+
+    await user.type(screen.getByLabelText(/title/i), 'Plan sprint');
+    await user.selectOptions(statusSelect, 'doing');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ status: 'doing' }));
+  });
+
+  it('submits an optional start date', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+
+    render(<TaskForm onSubmit={onSubmit} />);
+
+    expect(screen.getByLabelText(/start time/i)).toBeDisabled();
+
+    await user.type(screen.getByLabelText(/title/i), 'Renew passport');
+    await user.clear(screen.getByLabelText(/deadline date/i));
+    await user.type(screen.getByLabelText(/deadline date/i), '2031-03-20');
+    await user.type(screen.getByLabelText(/start date/i), '2031-03-14');
+    await user.click(screen.getByRole('button', { name: /add task/i }));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({ startDate: localToUTC('2031-03-14', '09:00') })
+    );
+  });
+
+  it('picks blocking tasks, leaving out ones that would form a cycle', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    const task = {
+      id: 'task-1',
+      title: 'Send invites',
+      deadline: '2031-03-10T18:00:00.000Z',
+      priority: 2,
+      blockedBy: []
+    };
+    const activeTasks = [
+      task,
+      { id: 'task-2', title: 'Book venue', deadline: '2031-03-12T18:00:00.000Z', blockedBy: [] },
+      { id: 'task-3', title: 'Order catering', deadline: '2031-03-20T18:00:00.000Z', blockedBy: ['task-1'] }
+    ];
+
+    render(<TaskForm onSubmit={onSubmit} task={task} activeTasks={activeTasks} />);
+
+    const picker = screen.getByLabelText(/blocked by/i);
+    expect(screen.queryByRole('option', { name: 'Order catering' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('option', { name: 'Send invites' })).not.toBeInTheDocument();
+
+    await user.selectOptions(picker, 'task-2');
+
+    expect(screen.getByLabelText('Blocking tasks')).toHaveTextContent('Book venue');
+    expect(screen.getByRole('status')).toHaveTextContent(/Due after this task's deadline: "Book venue"/);
+
+    await user.click(screen.getByRole('button', { name: /update task/i }));
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ blockedBy: ['task-2'] }));
+  });
+
+  it('submits an effort estimate in hours and keeps it when editing', async () => {
+    const user = userEvent.setup();
+    const onSubmit = vi.fn();
+    const task = { id: 'task-1', title: 'Write report', deadline: '2031-03-10T18:00:00.000Z', priority: 2, estimateHours: 2 };
+
+    render(<TaskForm onSubmit={onSubmit} task={task} />);
+
+    const estimate = screen.getByLabelText(/estimated effort/i);
+    expect(estimate).toHaveValue(2);
+
+    await user.clear(estimate);
+    await user.type(estimate, '1.5');
+    await user.click(screen.getByRole('button', { name: /update task/i }));
+
+    expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ estimateHours: 1.5 }));
+  });
+
   describe('Edit mode', () => {
     const mockTask = {
       id: 'task-1',
@@ -180,6 +315,22 @@ describe('TaskForm', () => {
       expect(titleInput).toHaveValue('Modified Title');
     });
 
+    it('pre-fills the repeat rule of a recurring task', () => {
+      render(
+        <TaskForm
+          onSubmit={() => {}}
+          task={{
+            ...mockTask,
+            recurrence: { frequency: 'monthly', interval: 3, weekdays: [], until: null, count: null }
+          }}
+        />
+      );
+
+      expect(screen.getByLabelText(/^repeat$/i)).toHaveValue('monthly');
+      expect(screen.getByLabelText(/every/i)).toHaveValue(3);
+      expect(screen.getByLabelText(/ends/i)).toHaveValue('never');
+    });
+
     it('converts UTC deadline to local date/time for editing', () => {
       render(<TaskForm onSubmit={() => {}} task={mockTask} />);
 
@@ -191,4 +342,89 @@ describe('TaskForm', () => {
       expect(timeInput.value).toMatch(/^\d{2}:\d{2}$/);
     });
   });
+  describe('reminders', () => {
+    it('submits custom reminder times, latest first', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+
+      render(<TaskForm onSubmit={onSubmit} />);
+
+      await user.type(screen.getByLabelText(/title/i), 'Reminded');
+      await user.selectOptions(screen.getByLabelText(/^reminders$/i), 'custom');
+      await user.click(screen.getByLabelText('When overdue'));
+      await user.click(screen.getByLabelText('1 day before'));
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ reminders: [1440, 0] }));
+    });
+
+    it('submits an empty list to turn reminders off', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+
+      render(<TaskForm onSubmit={onSubmit} />);
+
+      await user.type(screen.getByLabelText(/title/i), 'Quiet');
+      await user.selectOptions(screen.getByLabelText(/^reminders$/i), 'none');
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ reminders: [] }));
+    });
+  });
+
+  describe('tags', () => {
+    it('adds tags on Enter and comma and submits them normalized', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+
+      render(<TaskForm onSubmit={onSubmit} />);
+
+      await user.type(screen.getByLabelText(/title/i), 'Tagged Task');
+      await user.type(screen.getByLabelText(/^tags$/i), 'Client X{Enter}#Ops,');
+
+      expect(screen.getByText('#client-x')).toBeInTheDocument();
+      expect(screen.getByText('#ops')).toBeInTheDocument();
+
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      expect(onSubmit).toHaveBeenCalledWith(
+        expect.objectContaining({ tags: ['client-x', 'ops'] })
+      );
+    });
+
+    it('removes the last tag with Backspace on an empty input', async () => {
+      const user = userEvent.setup();
+
+      const task = {
+        id: 'task-1',
+        title: 'Existing Task',
+        description: '',
+        deadline: '2025-12-25T18:00:00.000Z',
+        priority: 2,
+        tags: ['work', 'home']
+      };
+
+      render(<TaskForm onSubmit={() => {}} task={task} />);
+
+      await user.type(screen.getByLabelText(/^tags$/i), '{Backspace}');
+
+      expect(screen.getByText('#work')).toBeInTheDocument();
+      expect(screen.queryByText('#home')).not.toBeInTheDocument();
+    });
+
+    it('suggests existing tags while typing', async () => {
+      const user = userEvent.setup();
+      const onSubmit = vi.fn();
+
+      render(<TaskForm onSubmit={onSubmit} availableTags={['work', 'workout', 'home']} />);
+
+      await user.type(screen.getByLabelText(/title/i), 'Gym');
+      await user.type(screen.getByLabelText(/^tags$/i), 'wor');
+      await user.click(screen.getByRole('button', { name: '#workout' }));
+      await user.click(screen.getByRole('button', { name: /add task/i }));
+
+      expect(screen.queryByRole('button', { name: '#home' })).not.toBeInTheDocument();
+      expect(onSubmit).toHaveBeenCalledWith(expect.objectContaining({ tags: ['workout'] }));
+    });
+  });
 });
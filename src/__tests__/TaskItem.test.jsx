@@ -115,4 +115,111 @@ describe('TaskItem', () => {
     expect(title.style.overflow).toBe('hidden');
     expect(title.style.textOverflow).toBe('ellipsis');
   });
+
+  it('shows tag chips when the task has tags', () => {
+    render(
+      <TaskItem
+        task={{ ...mockTask, tags: ['work', 'client-x'] }}
+        onClick={() => {}}
+        onDelete={() => {}}
+        onComplete={() => {}}
+      />
+    );
+
+    expect(screen.getByRole('list', { name: 'Tags' })).toBeInTheDocument();
+    expect(screen.getByText('#work')).toBeInTheDocument();
+    expect(screen.getByText('#client-x')).toBeInTheDocument();
+  });
+
+  it('highlights search matches and shows where the description matched', () => {
+    const { container } = render(
+      <TaskItem
+        task={{ ...mockTask, title: 'Call vendor', description: 'About the overdue invoice' }}
+        onClick={() => {}}
+        onDelete={() => {}}
+        onComplete={() => {}}
+        searchTerms={['vendor', 'invoice']}
+      />
+    );
+
+    const marks = [...container.querySelectorAll('mark')].map(mark => mark.textContent);
+    expect(marks).toEqual(['vendor', 'invoice']);
+    expect(screen.getByText(/About the overdue/)).toBeInTheDocument();
+  });
+  it('shows checklist progress', () => {
+    render(
+      <TaskItem
+        task={{
+          ...mockTask,
+          checklist: [
+            { id: 'a', text: 'One', done: true },
+            { id: 'b', text: 'Two', done: false },
+            { id: 'c', text: 'Three', done: true }
+          ]
+        }}
+        onClick={() => {}}
+        onDelete={() => {}}
+        onComplete={() => {}}
+      />
+    );
+
+    expect(screen.getByLabelText('Checklist: 2 of 3 done')).toHaveTextContent('2/3');
+  });
+
+  it('snoozes from the clock menu without opening the task', async () => {
+    const user = userEvent.setup();
+    const onClick = vi.fn();
+    const onSnooze = vi.fn();
+    const task = { ...mockTask, deadline: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString() };
+
+    render(
+      <TaskItem
+        task={task}
+        onClick={onClick}
+        onDelete={() => {}}
+        onComplete={() => {}}
+        onSnooze={onSnooze}
+      />
+    );
+
+    await user.click(screen.getByRole('button', { name: 'Snooze task' }));
+    await user.click(screen.getByRole('button', { name: 'Tomorrow, 9 AM' }));
+
+    expect(onSnooze).toHaveBeenCalledWith('test-id-123', expect.any(String));
+    expect(onClick).not.toHaveBeenCalled();
+    expect(screen.queryByRole('button', { name: 'Tomorrow, 9 AM' })).not.toBeInTheDocument();
+  });
+
+  it('shows a blocked indicator while blockers are open', () => {
+    const blockers = [{ id: 'b-1', title: 'Get approval' }];
+    const { rerender } = render(
+      <TaskItem task={mockTask} onClick={() => {}} onDelete={() => {}} onComplete={() => {}} blockers={blockers} />
+    );
+
+    expect(screen.getByText(/Blocked by 1/)).toHaveAttribute('title', 'Waiting for: Get approval');
+
+    rerender(<TaskItem task={mockTask} onClick={() => {}} onDelete={() => {}} onComplete={() => {}} blockers={[]} />);
+    expect(screen.queryByText(/Blocked by/)).not.toBeInTheDocument();
+  });
+
+  it('marks a task that can no longer be finished in time', () => {
+    const { rerender } = render(
+      <TaskItem task={mockTask} onClick={() => {}} onDelete={() => {}} onComplete={() => {}} cantMakeIt />
+    );
+
+    expect(screen.getByText(/Can't make it/)).toBeInTheDocument();
+
+    rerender(<TaskItem task={mockTask} onClick={() => {}} onDelete={() => {}} onComplete={() => {}} />);
+    expect(screen.queryByText(/Can't make it/)).not.toBeInTheDocument();
+  });
+
+  it('marks a snoozed task shown with "Show snoozed"', () => {
+    const startDate = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+    const task = { ...mockTask, deadline: new Date(Date.now() + 48 * 60 * 60 * 1000).toISOString(), startDate };
+
+    render(<TaskItem task={task} onClick={() => {}} onDelete={() => {}} onComplete={() => {}} />);
+
+    expect(screen.getByText(/Snoozed until/)).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Snooze task' })).not.toBeInTheDocument();
+  });
 });
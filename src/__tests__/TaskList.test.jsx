@@ -109,4 +109,38 @@ describe('TaskList', () => {
     await user.click(screen.getByRole('button', { name: /add new task/i }));
     expect(onAddTask).toHaveBeenCalled();
   });
+
+  describe('agenda mode', () => {
+    const hoursFromNow = (hours) => new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+    const agendaTasks = [
+      { ...mockTasks[0], id: 'late', title: 'Late Task', deadline: hoursFromNow(-2) },
+      { ...mockTasks[1], id: 'far', title: 'Far Task', deadline: hoursFromNow(24 * 60) }
+    ];
+
+    it('groups tasks into day sections with counts', () => {
+      render(
+        <TaskList tasks={agendaTasks} onDelete={() => {}} onComplete={() => {}} onAddTask={() => {}} agenda />
+      );
+
+      expect(screen.getByText('Overdue')).toHaveTextContent('Overdue (1)');
+      expect(screen.getByText('Later')).toHaveTextContent('Later (1)');
+      expect(screen.queryByText('Tomorrow')).not.toBeInTheDocument();
+      expect(screen.getByText('Late Task')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /add new task/i })).toBeInTheDocument();
+    });
+
+    it('collapses each section on its own', async () => {
+      const user = userEvent.setup();
+      render(
+        <TaskList tasks={agendaTasks} onDelete={() => {}} onComplete={() => {}} onAddTask={() => {}} agenda />
+      );
+
+      await user.click(screen.getByText('Later'));
+      expect(screen.queryByText('Far Task')).not.toBeInTheDocument();
+      expect(screen.getByText('Late Task')).toBeInTheDocument();
+
+      await user.click(screen.getByText('Later'));
+      expect(screen.getByText('Far Task')).toBeInTheDocument();
+    });
+  });
 });
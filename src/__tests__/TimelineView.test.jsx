@@ -0,0 +1,97 @@
+/**
+ * Tests for TimelineView component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import dayjs from 'dayjs';
+import TimelineView from '../components/TimelineView';
+import { localToUTC } from '../utils/datetime';
+import { getTimelineRange, getTimelineTitle } from '../utils/timeline';
+
+describe('TimelineView', () => {
+  const today = dayjs().format('YYYY-MM-DD');
+  const task = {
+    id: 'task-1',
+    title: 'Write report',
+    deadline: localToUTC(today, '23:00'),
+    estimateHours: 2,
+    startDate: null,
+    priority: 1,
+    createdAt: new Date().toISOString()
+  };
+
+  const renderTimeline = (props = {}) => {
+    const handlers = { onTaskClick: vi.fn(), onDeadlineChange: vi.fn() };
+    const utils = render(<TimelineView tasks={[task]} {...handlers} {...props} />);
+    return { ...utils, ...handlers };
+  };
+
+  it('shows the current week with a bar per task and a now line', () => {
+    const { container } = renderTimeline();
+
+    expect(screen.getByRole('heading', { name: getTimelineTitle(today, 'week') })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /^Write report, due/ })).toBeInTheDocument();
+    expect(container.querySelector('[data-now]')).toBeInTheDocument();
+  });
+
+  it('opens a task when its bar is clicked', async () => {
+    const user = userEvent.setup();
+    const { onTaskClick } = renderTimeline();
+
+    await user.click(screen.getByRole('button', { name: /^Write report, due/ }));
+
+    expect(onTaskClick).toHaveBeenCalledWith('task-1');
+  });
+
+  it('zooms and moves between periods', async () => {
+    const user = userEvent.setup();
+    const { container } = renderTimeline();
+
+    await user.click(screen.getByRole('button', { name: 'Day' }));
+    expect(screen.getByRole('button', { name: 'Day' })).toHaveAttribute('aria-pressed', 'true');
+    expect(screen.getByRole('heading', { name: getTimelineTitle(today, 'day') })).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Next day' }));
+    expect(screen.getByText('No tasks in this period')).toBeInTheDocument();
+    expect(container.querySelector('[data-now]')).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Today' }));
+    expect(screen.getByRole('button', { name: /^Write report, due/ })).toBeInTheDocument();
+  });
+
+  it('moves the deadline when the end of a bar is dragged', () => {
+    const { container, onDeadlineChange } = renderTimeline();
+    const range = getTimelineRange(today, 'week');
+    const track = container.querySelector('[data-track]');
+    track.getBoundingClientRect = () => ({ left: 0, width: 700, top: 0, height: 28, right: 700, bottom: 28 });
+
+    // Each day is 100px wide; drop on noon of the last day of the week
+    fireEvent.mouseDown(screen.getByRole('slider', { name: 'Deadline of Write report' }), { clientX: 0 });
+    fireEvent.mouseMove(document, { clientX: 650 });
+    fireEvent.mouseUp(document);
+
+    const expected = dayjs(range.start).add(6, 'day').hour(12).toISOString();
+    expect(onDeadlineChange).toHaveBeenCalledWith('task-1', expected);
+  });
+
+  it('does nothing when a bar end is released where it started', () => {
+    const { onDeadlineChange } = renderTimeline();
+
+    fireEvent.mouseDown(screen.getByRole('slider', { name: 'Deadline of Write report' }));
+    fireEvent.mouseUp(document);
+
+    expect(onDeadlineChange).not.toHaveBeenCalled();
+  });
+
+  it('nudges the deadline with the arrow keys', async () => {
+    const user = userEvent.setup();
+    const { onDeadlineChange } = renderTimeline();
+
+    screen.getByRole('slider', { name: 'Deadline of Write report' }).focus();
+    await user.keyboard('{ArrowRight}');
+
+    expect(onDeadlineChange).toHaveBeenCalledWith('task-1', dayjs(task.deadline).add(1, 'hour').toISOString());
+  });
+});
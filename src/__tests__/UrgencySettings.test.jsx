@@ -0,0 +1,114 @@
+/**
+ * Tests for UrgencySettings component
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import UrgencySettings from '../components/UrgencySettings';
+import { DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+
+describe('UrgencySettings', () => {
+  it('shows the bands in friendly units', () => {
+    render(<UrgencySettings settings={{ bands: [{ hours: 0.5, color: 'red' }, { hours: 48, color: 'blue' }], pulseHours: 168 }} />);
+
+    expect(screen.getByLabelText('Band 1 threshold')).toHaveValue(30);
+    expect(screen.getByLabelText('Band 1 unit')).toHaveValue('minutes');
+    expect(screen.getByLabelText('Band 2 threshold')).toHaveValue(2);
+    expect(screen.getByLabelText('Band 2 unit')).toHaveValue('days');
+    expect(screen.getByLabelText('Band 2 color')).toHaveValue('blue');
+    expect(screen.getByLabelText('Pulse threshold')).toHaveValue(1);
+    expect(screen.getByLabelText('Pulse threshold unit')).toHaveValue('weeks');
+  });
+
+  it('saves a changed threshold', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={DEFAULT_URGENCY_SETTINGS} onChange={onChange} />);
+
+    expect(screen.getByLabelText('Band 3 unit')).toHaveValue('days');
+    await user.selectOptions(screen.getByLabelText('Band 3 unit'), 'weeks');
+
+    expect(onChange).toHaveBeenLastCalledWith({
+      ...DEFAULT_URGENCY_SETTINGS,
+      bands: [
+        { hours: 1, color: 'red' },
+        { hours: 6, color: 'orange' },
+        { hours: 24 * 7, color: 'yellow' }
+      ]
+    });
+  });
+
+  it('shows an error and does not save bands out of order', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={DEFAULT_URGENCY_SETTINGS} onChange={onChange} />);
+
+    const threshold = screen.getByLabelText('Band 2 threshold');
+    await user.clear(threshold);
+    await user.type(threshold, '30');
+
+    expect(screen.getByRole('alert')).toHaveTextContent(/further from the deadline/i);
+    expect(onChange).not.toHaveBeenCalledWith(expect.objectContaining({
+      bands: expect.arrayContaining([{ hours: 30, color: 'orange' }])
+    }));
+  });
+
+  it('adds and removes bands', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={DEFAULT_URGENCY_SETTINGS} onChange={onChange} />);
+
+    await user.click(screen.getByRole('button', { name: 'Add band' }));
+    expect(onChange).toHaveBeenLastCalledWith(expect.objectContaining({
+      bands: [...DEFAULT_URGENCY_SETTINGS.bands, { hours: 48, color: 'lime' }]
+    }));
+
+    await user.click(screen.getByRole('button', { name: 'Remove band 1' }));
+    expect(onChange.mock.lastCall[0].bands.map(band => band.hours)).toEqual([6, 24, 48]);
+  });
+
+  it('turns pulsing off', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={DEFAULT_URGENCY_SETTINGS} onChange={onChange} />);
+
+    await user.click(screen.getByRole('checkbox', { name: /pulse cards/i }));
+
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_URGENCY_SETTINGS, pulseHours: 0 });
+    expect(screen.getByLabelText('Pulse threshold')).toBeDisabled();
+  });
+
+  it('switches to the gradient and keeps the bands', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={DEFAULT_URGENCY_SETTINGS} onChange={onChange} />);
+
+    await user.click(screen.getByRole('radio', { name: 'Gradient' }));
+
+    expect(onChange).toHaveBeenLastCalledWith({ ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient' });
+    expect(screen.queryByLabelText('Band 1 threshold')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Add band' })).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Gradient basis')).toHaveValue('elapsed');
+  });
+
+  it('sets where the remaining-time gradient starts', async () => {
+    const user = userEvent.setup();
+    const onChange = vi.fn();
+    render(<UrgencySettings settings={{ ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient' }} onChange={onChange} />);
+
+    expect(screen.queryByLabelText('Gradient start')).not.toBeInTheDocument();
+    await user.selectOptions(screen.getByLabelText('Gradient basis'), 'remaining');
+
+    expect(screen.getByLabelText('Gradient start')).toHaveValue(1);
+    expect(screen.getByLabelText('Gradient start unit')).toHaveValue('weeks');
+
+    await user.selectOptions(screen.getByLabelText('Gradient start unit'), 'days');
+    expect(onChange).toHaveBeenLastCalledWith({
+      ...DEFAULT_URGENCY_SETTINGS,
+      mode: 'gradient',
+      gradientBasis: 'remaining',
+      gradientHours: 24
+    });
+  });
+});
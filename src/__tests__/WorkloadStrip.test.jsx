@@ -0,0 +1,49 @@
+/**
+ * Tests for WorkloadStrip component
+ */
+
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import WorkloadStrip from '../components/WorkloadStrip';
+
+describe('WorkloadStrip', () => {
+  const HOUR = 60 * 60 * 1000;
+  const dueIn = (hours) => new Date(Date.now() + hours * HOUR).toISOString();
+
+  it('renders nothing while no task has an estimate', () => {
+    const { container } = render(
+      <WorkloadStrip tasks={[{ id: '1', deadline: dueIn(5), estimateHours: null }]} dailyCapacity={8} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('shows the next seven days starting today', () => {
+    render(<WorkloadStrip tasks={[{ id: '1', deadline: dueIn(30), estimateHours: 2 }]} dailyCapacity={8} />);
+
+    const days = screen.getByRole('region', { name: 'Workload' }).querySelectorAll('[aria-label]');
+    expect(days).toHaveLength(7);
+    expect(days[0]).toHaveAccessibleName(/^Today: /);
+    expect(days[1]).toHaveAccessibleName(/^Tomorrow: /);
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+
+  it('warns when more work is due than fits in time', () => {
+    render(<WorkloadStrip tasks={[{ id: '1', deadline: dueIn(1), estimateHours: 3 }]} dailyCapacity={8} />);
+
+    expect(screen.getByRole('status')).toHaveTextContent('You have 3h of estimated work due in the next 1h.');
+    expect(screen.getByLabelText(/overloaded$/)).toBeInTheDocument();
+  });
+
+  it('marks the days of the can\'t-make-it tasks it is given', () => {
+    render(
+      <WorkloadStrip
+        tasks={[{ id: '1', deadline: dueIn(30), estimateHours: 2 }]}
+        dailyCapacity={8}
+        cantMakeItIds={new Set(['1'])}
+      />
+    );
+
+    expect(screen.getByLabelText(/overloaded$/)).toBeInTheDocument();
+  });
+});
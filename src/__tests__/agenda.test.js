@@ -0,0 +1,88 @@
+/**
+ * Tests for agenda utilities
+ */
+
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest';
+import { getAgendaBucket, groupTasksByAgenda, AGENDA_BUCKETS } from '../utils/agenda';
+
+describe('agenda utilities', () => {
+  // Wednesday, Oct 14 2026, 10:00 local
+  const now = new Date(2026, 9, 14, 10, 0).getTime();
+  const at = (...args) => new Date(...args).toISOString();
+
+  describe('getAgendaBucket', () => {
+    it('puts past deadlines in Overdue, even earlier today', () => {
+      expect(getAgendaBucket(at(2026, 9, 14, 9, 59), now)).toBe('overdue');
+      expect(getAgendaBucket(at(2026, 9, 1), now)).toBe('overdue');
+    });
+
+    it('splits days at local midnight', () => {
+      expect(getAgendaBucket(at(2026, 9, 14, 23, 59), now)).toBe('today');
+      expect(getAgendaBucket(at(2026, 9, 15, 0, 0), now)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 9, 15, 23, 59), now)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 9, 16, 0, 0), now)).toBe('thisWeek');
+    });
+
+    it('uses Sunday-first weeks', () => {
+      expect(getAgendaBucket(at(2026, 9, 17, 23, 59), now)).toBe('thisWeek'); // Saturday
+      expect(getAgendaBucket(at(2026, 9, 18, 0, 0), now)).toBe('nextWeek'); // Sunday
+      expect(getAgendaBucket(at(2026, 9, 24, 23, 59), now)).toBe('nextWeek');
+      expect(getAgendaBucket(at(2026, 9, 25, 0, 0), now)).toBe('later');
+    });
+
+    it('leaves This week empty when tomorrow starts next week', () => {
+      const saturday = new Date(2026, 9, 17, 10, 0).getTime();
+      expect(getAgendaBucket(at(2026, 9, 18, 9, 0), saturday)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 9, 19, 9, 0), saturday)).toBe('nextWeek');
+    });
+  });
+
+  describe('across DST changes', () => {
+    beforeAll(() => {
+      vi.stubEnv('TZ', 'America/New_York');
+    });
+
+    afterAll(() => {
+      vi.unstubAllEnvs();
+    });
+
+    it('keeps the 23-hour spring-forward day whole', () => {
+      // Clocks jump from 02:00 to 03:00 on Sunday, Mar 8 2026
+      const saturday = new Date(2026, 2, 7, 12, 0).getTime();
+      expect(getAgendaBucket(at(2026, 2, 8, 23, 30), saturday)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 2, 9, 0, 0), saturday)).toBe('nextWeek');
+    });
+
+    it('keeps the 25-hour fall-back day whole', () => {
+      // Clocks fall back from 02:00 to 01:00 on Sunday, Nov 1 2026
+      const saturday = new Date(2026, 9, 31, 12, 0).getTime();
+      expect(getAgendaBucket(at(2026, 10, 1, 23, 30), saturday)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 10, 2, 0, 0), saturday)).toBe('nextWeek');
+
+      const sunday = new Date(2026, 10, 1, 12, 0).getTime();
+      expect(getAgendaBucket(at(2026, 10, 1, 23, 30), sunday)).toBe('today');
+      expect(getAgendaBucket(at(2026, 10, 2, 0, 0), sunday)).toBe('tomorrow');
+      expect(getAgendaBucket(at(2026, 10, 7, 23, 59), sunday)).toBe('thisWeek');
+      expect(getAgendaBucket(at(2026, 10, 8, 0, 0), sunday)).toBe('nextWeek');
+    });
+  });
+
+  describe('groupTasksByAgenda', () => {
+    it('returns every bucket in order, keeping task order', () => {
+      const tasks = [
+        { id: 'a', deadline: at(2026, 9, 14, 18, 0) },
+        { id: 'b', deadline: at(2026, 10, 30) },
+        { id: 'c', deadline: at(2026, 9, 14, 12, 0) },
+        { id: 'd', deadline: at(2026, 9, 13) }
+      ];
+
+      const sections = groupTasksByAgenda(tasks, now);
+
+      expect(sections.map(section => section.label)).toEqual(AGENDA_BUCKETS.map(bucket => bucket.label));
+      expect(sections[0].tasks.map(t => t.id)).toEqual(['d']);
+      expect(sections[1].tasks.map(t => t.id)).toEqual(['a', 'c']);
+      expect(sections[2].tasks).toEqual([]);
+      expect(sections[5].tasks.map(t => t.id)).toEqual(['b']);
+    });
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Tests for calendar utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getToday,
+  getMonthGrid,
+  getWeekDays,
+  shiftCalendar,
+  getCalendarTitle,
+  groupTasksByDay,
+  moveDeadlineToDay
+} from '../utils/calendar';
+import { localToUTC, utcToLocalDate, utcToLocalTime } from '../utils/datetime';
+import { VIEW_MODES } from '../utils/views';
+
+describe('calendar utilities', () => {
+  describe('getToday', () => {
+    it('returns the local date', () => {
+      expect(getToday(new Date(2026, 9, 18, 23, 30))).toBe('2026-10-18');
+    });
+  });
+
+  describe('getMonthGrid', () => {
+    it('covers the month in whole Sunday-first weeks', () => {
+      const weeks = getMonthGrid('2026-10-18');
+
+      expect(weeks).toHaveLength(5);
+      expect(weeks.every(week => week.length === 7)).toBe(true);
+      expect(weeks[0][0]).toBe('2026-09-27'); // Sunday before Oct 1 (a Thursday)
+      expect(weeks[0][4]).toBe('2026-10-01');
+      expect(weeks[4][6]).toBe('2026-10-31'); // Saturday
+    });
+
+    it('uses six weeks when the month needs them', () => {
+      const weeks = getMonthGrid('2026-08-10'); // Aug 1 is a Saturday, Aug 31 a Monday
+      expect(weeks).toHaveLength(6);
+      expect(weeks[5][1]).toBe('2026-08-31');
+    });
+  });
+
+  describe('getWeekDays', () => {
+    it('returns Sunday to Saturday around the day', () => {
+      expect(getWeekDays('2026-10-21')).toEqual([
+        '2026-10-18', '2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24'
+      ]);
+    });
+  });
+
+  describe('shiftCalendar', () => {
+    it('moves by months or weeks', () => {
+      expect(shiftCalendar('2026-10-18', VIEW_MODES.MONTH, 1)).toBe('2026-11-18');
+      expect(shiftCalendar('2026-10-18', VIEW_MODES.MONTH, -1)).toBe('2026-09-18');
+      expect(shiftCalendar('2026-10-18', VIEW_MODES.WEEK, 1)).toBe('2026-10-25');
+    });
+  });
+
+  describe('getCalendarTitle', () => {
+    it('names the month or the week range', () => {
+      expect(getCalendarTitle('2026-10-18', VIEW_MODES.MONTH)).toBe('October 2026');
+      expect(getCalendarTitle('2026-10-20', VIEW_MODES.WEEK)).toBe('Oct 18 – 24, 2026');
+      expect(getCalendarTitle('2026-12-01', VIEW_MODES.WEEK)).toBe('Nov 29 – Dec 5, 2026');
+      expect(getCalendarTitle('2026-11-02', VIEW_MODES.WEEK)).toBe('Nov 1 – 7, 2026');
+      expect(getCalendarTitle('2026-12-30', VIEW_MODES.WEEK)).toBe('Dec 27, 2026 – Jan 2, 2027');
+    });
+  });
+
+  describe('groupTasksByDay', () => {
+    it('groups by local deadline day in deadline order', () => {
+      const tasks = [
+        { id: 'late', deadline: localToUTC('2026-10-20', '18:00') },
+        { id: 'other', deadline: localToUTC('2026-10-21', '09:00') },
+        { id: 'early', deadline: localToUTC('2026-10-20', '08:00') }
+      ];
+
+      const byDay = groupTasksByDay(tasks);
+
+      expect(byDay.get('2026-10-20').map(t => t.id)).toEqual(['early', 'late']);
+      expect(byDay.get('2026-10-21').map(t => t.id)).toEqual(['other']);
+      expect(byDay.has('2026-10-22')).toBe(false);
+    });
+  });
+
+  describe('moveDeadlineToDay', () => {
+    it('keeps the local time of day', () => {
+      const moved = moveDeadlineToDay(localToUTC('2026-10-20', '17:30'), '2026-11-03');
+
+      expect(utcToLocalDate(moved)).toBe('2026-11-03');
+      expect(utcToLocalTime(moved)).toBe('17:30');
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Tests for checklist utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  createChecklistItem,
+  toggleChecklistItem,
+  removeChecklistItem,
+  moveChecklistItem,
+  resetChecklist,
+  getChecklistProgress,
+  formatChecklistProgress,
+  isChecklistComplete,
+} from '../utils/checklist';
+
+describe('Checklist Utilities', () => {
+  const items = [
+    { id: 'a', text: 'First', done: true },
+    { id: 'b', text: 'Second', done: false },
+    { id: 'c', text: 'Third', done: false },
+  ];
+
+  describe('createChecklistItem', () => {
+    it('should create an unchecked item with trimmed text and an id', () => {
+      const item = createChecklistItem('  Buy stamps ');
+
+      expect(item.text).toBe('Buy stamps');
+      expect(item.done).toBe(false);
+      expect(typeof item.id).toBe('string');
+      expect(createChecklistItem('x').id).not.toBe(item.id);
+    });
+  });
+
+  describe('toggleChecklistItem', () => {
+    it('should flip one item without mutating the list', () => {
+      const next = toggleChecklistItem(items, 'b');
+
+      expect(next[1].done).toBe(true);
+      expect(items[1].done).toBe(false);
+      expect(next[0]).toBe(items[0]);
+    });
+  });
+
+  describe('removeChecklistItem', () => {
+    it('should remove the item', () => {
+      expect(removeChecklistItem(items, 'a').map(item => item.id)).toEqual(['b', 'c']);
+    });
+  });
+
+  describe('moveChecklistItem', () => {
+    it('should move an item up or down', () => {
+      expect(moveChecklistItem(items, 'b', -1).map(item => item.id)).toEqual(['b', 'a', 'c']);
+      expect(moveChecklistItem(items, 'b', 1).map(item => item.id)).toEqual(['a', 'c', 'b']);
+    });
+
+    it('should leave the list unchanged at either end or for unknown ids', () => {
+      expect(moveChecklistItem(items, 'a', -1)).toBe(items);
+      expect(moveChecklistItem(items, 'c', 1)).toBe(items);
+      expect(moveChecklistItem(items, 'zzz', 1)).toBe(items);
+    });
+  });
+
+  describe('resetChecklist', () => {
+    it('should uncheck every item and give them new ids', () => {
+      const reset = resetChecklist(items);
+
+      expect(reset.map(item => item.text)).toEqual(['First', 'Second', 'Third']);
+      expect(reset.every(item => item.done === false)).toBe(true);
+      expect(reset[0].id).not.toBe('a');
+    });
+
+    it('should handle a missing checklist', () => {
+      expect(resetChecklist(undefined)).toEqual([]);
+    });
+  });
+
+  describe('progress', () => {
+    it('should count checked items', () => {
+      expect(getChecklistProgress(items)).toEqual({ done: 1, total: 3 });
+      expect(getChecklistProgress(undefined)).toEqual({ done: 0, total: 0 });
+    });
+
+    it('should format progress as done/total', () => {
+      expect(formatChecklistProgress(items)).toBe('1/3');
+      expect(formatChecklistProgress([])).toBe('');
+    });
+
+    it('should report completion only for non-empty, fully checked lists', () => {
+      expect(isChecklistComplete(items)).toBe(false);
+      expect(isChecklistComplete(items.map(item => ({ ...item, done: true })))).toBe(true);
+      expect(isChecklistComplete([])).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV, toCSV, detectDelimiter } from '../utils/csv';
+
+describe('CSV utilities', () => {
+  describe('parseCSV', () => {
+    it('should split rows and cells', () => {
+      expect(parseCSV('a,b\nc,d')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should handle quoted cells with delimiters, quotes and line breaks', () => {
+      expect(parseCSV('"a, b","say ""hi""","two\nlines"')).toEqual([['a, b', 'say "hi"', 'two\nlines']]);
+    });
+
+    it('should accept CRLF line endings and a trailing newline', () => {
+      expect(parseCSV('a,b\r\nc,d\r\n')).toEqual([['a', 'b'], ['c', 'd']]);
+    });
+
+    it('should keep empty cells and skip blank lines', () => {
+      expect(parseCSV('a,,c\n\n,b,')).toEqual([['a', '', 'c'], ['', 'b', '']]);
+    });
+
+    it('should strip a byte order mark', () => {
+      expect(parseCSV('\uFEFFTitle,Due')).toEqual([['Title', 'Due']]);
+    });
+
+    it('should detect semicolon and tab delimiters', () => {
+      expect(parseCSV('a;"b;c"\n1;2')).toEqual([['a', 'b;c'], ['1', '2']]);
+      expect(parseCSV('a\tb\n1\t2')).toEqual([['a', 'b'], ['1', '2']]);
+    });
+  });
+
+  describe('detectDelimiter', () => {
+    it('should ignore delimiters inside quotes and default to comma', () => {
+      expect(detectDelimiter('"a;b;c",d')).toBe(',');
+      expect(detectDelimiter('single')).toBe(',');
+    });
+  });
+
+  describe('toCSV', () => {
+    it('should quote only cells that need it', () => {
+      expect(toCSV([['plain', 'a,b', 'say "hi"', ' padded', null]])).toBe('plain,"a,b","say ""hi"""," padded",');
+    });
+
+    it('should join rows with CRLF', () => {
+      expect(toCSV([['a'], ['b']])).toBe('a\r\nb');
+    });
+
+    it('should round-trip through parseCSV', () => {
+      const rows = [['Title', 'Notes'], ['Pay, rent', 'line one\nline "two"']];
+      expect(parseCSV(toCSV(rows))).toEqual(rows);
+    });
+  });
+});
@@ -7,6 +7,10 @@ import {
   getCurrentUTC,
   isInPast,
   formatAbsoluteTime,
+  addLocalTime,
+  getLocalWeekday,
+  getLocalWeeksBetween,
+  parseDateTimeText,
 } from '../utils/datetime';
 
 describe('DateTime Utilities', () => {
@@ -141,4 +145,97 @@ describe('DateTime Utilities', () => {
     });
   });
 
+  describe('addLocalTime', () => {
+    it('should add days keeping local wall-clock time', () => {
+      const start = localToUTC('2025-03-01', '09:30');
+
+      const result = addLocalTime(start, 10, 'day');
+
+      expect(utcToLocalDate(result)).toBe('2025-03-11');
+      expect(utcToLocalTime(result)).toBe('09:30');
+    });
+
+    it('should clamp month-end dates to shorter months', () => {
+      const start = localToUTC('2025-01-31', '12:00');
+
+      const result = addLocalTime(start, 1, 'month');
+
+      expect(utcToLocalDate(result)).toBe('2025-02-28');
+    });
+
+    it('should subtract with negative amounts', () => {
+      const start = localToUTC('2025-03-01', '12:00');
+
+      expect(utcToLocalDate(addLocalTime(start, -1, 'year'))).toBe('2024-03-01');
+    });
+  });
+
+  describe('getLocalWeekday', () => {
+    it('should return local day of week', () => {
+      // Dec 25, 2025 is a Thursday
+      expect(getLocalWeekday(localToUTC('2025-12-25', '12:00'))).toBe(4);
+    });
+  });
+
+  describe('getLocalWeeksBetween', () => {
+    it('should return 0 within the same Sunday-based week', () => {
+      const mon = localToUTC('2025-12-22', '09:00');
+      const sat = localToUTC('2025-12-27', '09:00');
+
+      expect(getLocalWeeksBetween(mon, sat)).toBe(0);
+    });
+
+    it('should count calendar weeks between week starts', () => {
+      const sat = localToUTC('2025-12-27', '09:00');
+      const nextSun = localToUTC('2025-12-28', '09:00');
+      const later = localToUTC('2026-01-12', '09:00');
+
+      expect(getLocalWeeksBetween(sat, nextSun)).toBe(1);
+      expect(getLocalWeeksBetween(sat, later)).toBe(3);
+    });
+  });
+
+  describe('parseDateTimeText', () => {
+    const local = (text) => dayjs(text).utc().toISOString();
+
+    it('should parse year-first dates at the end of the local day', () => {
+      expect(parseDateTimeText('2025-03-04')).toBe(local('2025-03-04T23:59'));
+      expect(parseDateTimeText('2025/3/4')).toBe(local('2025-03-04T23:59'));
+    });
+
+    it('should parse dates followed by a time', () => {
+      expect(parseDateTimeText('2025-03-04 17:30')).toBe(local('2025-03-04T17:30'));
+      expect(parseDateTimeText('2025-03-04T09:15')).toBe(local('2025-03-04T09:15'));
+      expect(parseDateTimeText('3/4/2025 5:30 PM')).toBe(local('2025-03-04T17:30'));
+    });
+
+    it('should read numeric dates in the given order', () => {
+      expect(parseDateTimeText('04/03/2025')).toBe(local('2025-04-03T23:59'));
+      expect(parseDateTimeText('04/03/2025', '', 'dmy')).toBe(local('2025-03-04T23:59'));
+      expect(parseDateTimeText('4.3.2025 14:00', '', 'dmy')).toBe(local('2025-03-04T14:00'));
+    });
+
+    it('should parse month names', () => {
+      expect(parseDateTimeText('Mar 4, 2025')).toBe(local('2025-03-04T23:59'));
+      expect(parseDateTimeText('4 March 2025')).toBe(local('2025-03-04T23:59'));
+    });
+
+    it('should keep timestamps with a zone as they are', () => {
+      expect(parseDateTimeText('2025-03-04T10:00:00Z')).toBe('2025-03-04T10:00:00.000Z');
+      expect(parseDateTimeText('2025-03-04T10:00:00+02:00')).toBe('2025-03-04T08:00:00.000Z');
+    });
+
+    it('should use a separate time when given', () => {
+      expect(parseDateTimeText('2025-03-04', '9:15')).toBe(local('2025-03-04T09:15'));
+      expect(parseDateTimeText('2025-03-04', '5pm')).toBe(local('2025-03-04T17:00'));
+    });
+
+    it('should return null for unrecognized or impossible dates', () => {
+      expect(parseDateTimeText('')).toBeNull();
+      expect(parseDateTimeText('next tuesday')).toBeNull();
+      expect(parseDateTimeText('2025-02-30')).toBeNull();
+      expect(parseDateTimeText('31/12/2025')).toBeNull();
+      expect(parseDateTimeText('2025-03-04', 'noon')).toBeNull();
+    });
+  });
 });
@@ -9,6 +9,7 @@ import {
   generateExampleTasks,
   isLocalStorageAvailable
 } from '../utils/demoMode';
+import { CURRENT_SCHEMA_VERSION } from '../utils/migrations';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -132,7 +133,7 @@ describe('generateExampleTasks', () => {
       expect(task).toHaveProperty('isCompleted');
       expect(task).toHaveProperty('createdAt');
       expect(task).toHaveProperty('lastModified');
-      expect(task).toHaveProperty('schemaVersion', 1);
+      expect(task).toHaveProperty('schemaVersion', CURRENT_SCHEMA_VERSION);
     });
   });
 
@@ -0,0 +1,78 @@
+/**
+ * Tests for dependency utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getOpenBlockers,
+  getBlockersById,
+  getLateBlockers,
+  getDependentIds,
+  getBlockerCandidates,
+  findDependencyCycle
+} from '../utils/dependencies';
+
+describe('dependency utilities', () => {
+  // a <- b <- c (c waits for b, b waits for a); d is unrelated
+  const tasks = [
+    { id: 'a', title: 'Book venue', deadline: '2026-10-20T12:00:00.000Z', blockedBy: [] },
+    { id: 'b', title: 'Send invites', deadline: '2026-10-22T12:00:00.000Z', blockedBy: ['a'] },
+    { id: 'c', title: 'Order catering', deadline: '2026-10-21T12:00:00.000Z', blockedBy: ['b', 'archived'] },
+    { id: 'd', title: 'Buy stamps', deadline: '2026-10-25T12:00:00.000Z' }
+  ];
+
+  describe('getOpenBlockers / getBlockersById', () => {
+    it('ignores blockers that are no longer active', () => {
+      expect(getOpenBlockers(tasks[2], tasks).map(t => t.id)).toEqual(['b']);
+      expect(getOpenBlockers(tasks[3], tasks)).toEqual([]);
+    });
+
+    it('unblocks dependents once their blocker is gone', () => {
+      expect(Object.keys(getBlockersById(tasks))).toEqual(['b', 'c']);
+
+      const afterCompletingA = tasks.filter(t => t.id !== 'a');
+      expect(Object.keys(getBlockersById(afterCompletingA))).toEqual(['c']);
+    });
+  });
+
+  describe('getLateBlockers', () => {
+    it('finds blockers due after the dependent', () => {
+      expect(getLateBlockers(tasks[2].deadline, [tasks[1]]).map(t => t.id)).toEqual(['b']);
+      expect(getLateBlockers(tasks[1].deadline, [tasks[0]])).toEqual([]);
+    });
+  });
+
+  describe('getDependentIds / getBlockerCandidates', () => {
+    it('follows links transitively', () => {
+      expect([...getDependentIds('a', tasks)]).toEqual(['b', 'c']);
+      expect(getDependentIds('d', tasks).size).toBe(0);
+    });
+
+    it('offers only tasks that cannot loop back', () => {
+      expect(getBlockerCandidates('a', tasks).map(t => t.id)).toEqual(['d']);
+      expect(getBlockerCandidates('c', tasks).map(t => t.id)).toEqual(['a', 'b', 'd']);
+      expect(getBlockerCandidates(null, tasks)).toHaveLength(4);
+    });
+  });
+
+  describe('findDependencyCycle', () => {
+    it('returns null for acyclic links', () => {
+      expect(findDependencyCycle(tasks)).toBe(null);
+    });
+
+    it('returns the ids along a cycle', () => {
+      const looped = tasks.map(t => (t.id === 'a' ? { ...t, blockedBy: ['c'] } : t));
+
+      expect(findDependencyCycle(looped)).toEqual(['a', 'c', 'b', 'a']);
+    });
+
+    it('looks only for a cycle through a given task', () => {
+      const looped = tasks.map(t => (t.id === 'a' ? { ...t, blockedBy: ['c'] } : t));
+      const withDependent = [...looped, { id: 'e', title: 'Print menus', blockedBy: ['c'] }];
+
+      expect(findDependencyCycle(looped, 'b')).toEqual(['b', 'a', 'c', 'b']);
+      expect(findDependencyCycle(withDependent, 'e')).toBe(null);
+      expect(findDependencyCycle(withDependent, 'd')).toBe(null);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for workload forecast utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  validateDailyCapacity,
+  getAvailableHours,
+  getCantMakeItIds,
+  getOverload,
+  formatOverload,
+  formatHours,
+  getWorkloadForecast
+} from '../utils/forecast';
+
+describe('forecast utilities', () => {
+  // Wednesday, October 14, 2026, 9 AM local time
+  const now = new Date(2026, 9, 14, 9, 0).getTime();
+
+  /**
+   * Local time as a UTC ISO string
+   * @param {number} day - Day of October 2026
+   * @param {number} hour
+   * @returns {string}
+   */
+  const at = (day, hour) => new Date(2026, 9, day, hour, 0).toISOString();
+
+  const tasks = [
+    { id: 'report', deadline: at(14, 13), estimateHours: 3 },
+    { id: 'slides', deadline: at(14, 17), estimateHours: 6 },
+    { id: 'review', deadline: at(15, 12), estimateHours: 8 },
+    { id: 'call', deadline: at(14, 11), estimateHours: null },
+    { id: 'overdue', deadline: at(13, 17), estimateHours: 5 }
+  ];
+
+  describe('validateDailyCapacity', () => {
+    it('accepts more than 0 and up to 24 hours', () => {
+      expect(validateDailyCapacity(8)).toEqual({ valid: true, error: null });
+      expect(validateDailyCapacity(24).valid).toBe(true);
+      expect(validateDailyCapacity(0).valid).toBe(false);
+      expect(validateDailyCapacity(25).valid).toBe(false);
+      expect(validateDailyCapacity('8').valid).toBe(false);
+    });
+  });
+
+  describe('getAvailableHours', () => {
+    it('caps each day at the capacity and at the hours left on the clock', () => {
+      expect(getAvailableHours(now, new Date(at(14, 17)).getTime(), 8)).toBe(8);
+      expect(getAvailableHours(now, new Date(at(14, 12)).getTime(), 8)).toBe(3);
+      expect(getAvailableHours(now, new Date(at(14, 17)).getTime(), 4)).toBe(4);
+      expect(getAvailableHours(now, new Date(at(15, 17)).getTime(), 8)).toBe(16);
+    });
+
+    it('counts whole days between the first and last at full capacity', () => {
+      expect(getAvailableHours(now, new Date(at(20, 2)).getTime(), 8)).toBe(8 + 5 * 8 + 2);
+      expect(getAvailableHours(new Date(at(14, 0)).getTime(), new Date(at(16, 0)).getTime(), 10)).toBe(20);
+    });
+
+    it('has nothing available before the start', () => {
+      expect(getAvailableHours(now, now, 8)).toBe(0);
+      expect(getAvailableHours(now, now - 1000, 8)).toBe(0);
+    });
+  });
+
+  describe('getCantMakeItIds', () => {
+    it('flags tasks whose effort no longer fits, working in deadline order', () => {
+      expect([...getCantMakeItIds(tasks, now, 8)]).toEqual(['slides']);
+    });
+
+    it('does not count a task that is given up on against later ones', () => {
+      expect(getCantMakeItIds(tasks, now, 8).has('review')).toBe(false);
+      expect(getCantMakeItIds(tasks.filter(task => task.id !== 'slides'), now, 8).size).toBe(0);
+    });
+  });
+
+  describe('getOverload', () => {
+    it('finds the nearest deadline by which more work is due than fits', () => {
+      expect(getOverload(tasks, now, 8)).toEqual({ workHours: 9, withinHours: 8, availableHours: 8 });
+    });
+
+    it('returns null when everything fits', () => {
+      expect(getOverload(tasks.filter(task => task.id !== 'slides'), now, 8)).toBe(null);
+      expect(getOverload([], now, 8)).toBe(null);
+    });
+  });
+
+  describe('formatOverload', () => {
+    it('describes the work due and the time left', () => {
+      expect(formatOverload({ workHours: 14, withinHours: 8 })).toBe('You have 14h of estimated work due in the next 8h.');
+      expect(formatOverload({ workHours: 30.25, withinHours: 60 })).toBe('You have 30.3h of estimated work due in the next 3 days.');
+    });
+  });
+
+  describe('formatHours', () => {
+    it('rounds to one decimal', () => {
+      expect(formatHours(2.5)).toBe('2.5h');
+      expect(formatHours(0)).toBe('0h');
+    });
+  });
+
+  describe('getWorkloadForecast', () => {
+    it('sums work due per day against that day\'s capacity', () => {
+      expect(getWorkloadForecast(tasks, now, 8, 3)).toEqual([
+        { day: '2026-10-14', dueHours: 9, availableHours: 8, overloaded: true },
+        { day: '2026-10-15', dueHours: 8, availableHours: 8, overloaded: false },
+        { day: '2026-10-16', dueHours: 0, availableHours: 8, overloaded: false }
+      ]);
+    });
+
+    it('uses can\'t-make-it ids passed in', () => {
+      const forecast = getWorkloadForecast(tasks, now, 8, 3, new Set(['review']));
+
+      expect(forecast.map(day => day.overloaded)).toEqual([false, true, false]);
+    });
+
+    it('forecasts a week by default', () => {
+      expect(getWorkloadForecast([], now, 8)).toHaveLength(7);
+    });
+  });
+});
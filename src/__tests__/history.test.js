@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'vitest';
+import {
+  HISTORY_LIMIT,
+  createHistory,
+  createCommand,
+  applyCommand,
+  recordCommand,
+  popUndo,
+  popRedo,
+} from '../utils/history';
+
+describe('History Utilities', () => {
+  const taskA = { id: 'a', title: 'A', lastModified: '2025-01-01T00:00:00Z' };
+  const taskB = { id: 'b', title: 'B', lastModified: '2025-01-01T00:00:00Z' };
+
+  describe('createCommand', () => {
+    it('should record only changed records', () => {
+      const edited = { ...taskA, title: 'A2' };
+
+      const command = createCommand(
+        'update',
+        'Update "A2"',
+        { tasks: [taskA, taskB], archivedTasks: [] },
+        { tasks: [edited, taskB], archivedTasks: [] }
+      );
+
+      expect(command.changes).toEqual([
+        { collection: 'tasks', id: 'a', before: taskA, after: edited },
+      ]);
+    });
+
+    it('should record moves between collections as two changes', () => {
+      const done = { ...taskA, isCompleted: true };
+
+      const command = createCommand(
+        'complete',
+        'Complete "A"',
+        { tasks: [taskA], archivedTasks: [] },
+        { tasks: [], archivedTasks: [done] }
+      );
+
+      expect(command.changes).toEqual([
+        { collection: 'tasks', id: 'a', before: taskA, after: null },
+        { collection: 'archivedTasks', id: 'a', before: null, after: done },
+      ]);
+    });
+  });
+
+  describe('applyCommand', () => {
+    const before = { tasks: [taskA, taskB], archivedTasks: [] };
+    const after = { tasks: [taskB], archivedTasks: [{ ...taskA, isCompleted: true }] };
+    const command = createCommand('complete', 'Complete "A"', before, after);
+
+    it('should return to the before state on undo', () => {
+      const result = applyCommand(after, command, 'undo');
+
+      expect(result.tasks).toEqual([taskB, taskA]);
+      expect(result.archivedTasks).toEqual([]);
+    });
+
+    it('should return to the after state on redo', () => {
+      expect(applyCommand(before, command, 'redo')).toEqual(after);
+    });
+
+    it('should leave unrelated changes made since in place', () => {
+      const taskC = { id: 'c', title: 'C' };
+      const later = { ...after, tasks: [...after.tasks, taskC] };
+
+      const result = applyCommand(later, command, 'undo');
+
+      expect(result.tasks.map(t => t.id)).toEqual(['b', 'c', 'a']);
+    });
+  });
+
+  describe('stacks', () => {
+    const command = (label) => createCommand(
+      'create',
+      label,
+      { tasks: [], archivedTasks: [] },
+      { tasks: [{ id: label }], archivedTasks: [] }
+    );
+
+    it('should move commands between past and future', () => {
+      let history = recordCommand(createHistory(), command('one'));
+
+      const undone = popUndo(history);
+      expect(undone.command.label).toBe('one');
+      history = undone.history;
+      expect(history).toEqual({ past: [], future: [undone.command] });
+
+      const redone = popRedo(history);
+      expect(redone.command.label).toBe('one');
+      expect(redone.history.past).toHaveLength(1);
+      expect(redone.history.future).toHaveLength(0);
+    });
+
+    it('should return null commands for empty stacks', () => {
+      expect(popUndo(createHistory()).command).toBe(null);
+      expect(popRedo(createHistory()).command).toBe(null);
+    });
+
+    it('should ignore commands without changes', () => {
+      const empty = createCommand('update', 'noop', { tasks: [taskA], archivedTasks: [] }, { tasks: [taskA], archivedTasks: [] });
+
+      expect(recordCommand(createHistory(), empty)).toEqual(createHistory());
+    });
+
+    it('should clear the redo stack and cap the undo stack', () => {
+      let history = { past: [], future: [command('undone')] };
+
+      for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+        history = recordCommand(history, command(`c${i}`));
+      }
+
+      expect(history.future).toEqual([]);
+      expect(history.past).toHaveLength(HISTORY_LIMIT);
+      expect(history.past[0].label).toBe('c5');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest';
+import dayjs from 'dayjs';
+import {
+  escapeText,
+  unescapeText,
+  splitTextList,
+  foldLine,
+  unfoldLines,
+  parseContentLine,
+  parseICS,
+  findComponents,
+  formatProperty,
+  formatDateTime,
+  parseDateTime,
+  parseDuration,
+  formatDuration,
+  MAX_LINE_OCTETS
+} from '../utils/ics';
+
+const octets = (text) => new TextEncoder().encode(text).length;
+
+describe('iCalendar utilities', () => {
+  describe('escaping', () => {
+    it('should escape backslashes, semicolons, commas and newlines', () => {
+      expect(escapeText('a\\b; c, d\ne')).toBe('a\\\\b\\; c\\, d\\ne');
+      expect(escapeText('one\r\ntwo')).toBe('one\\ntwo');
+    });
+
+    it('should unescape TEXT values, including \\N', () => {
+      expect(unescapeText('a\\\\b\\; c\\, d\\ne\\Nf')).toBe('a\\b; c, d\ne\nf');
+    });
+
+    it('should round-trip any text', () => {
+      const text = 'Path C:\\temp; "quotes", and\nlines';
+      expect(unescapeText(escapeText(text))).toBe(text);
+    });
+
+    it('should split lists on unescaped commas only', () => {
+      expect(splitTextList('work,home\\, garden,ops')).toEqual(['work', 'home, garden', 'ops']);
+    });
+  });
+
+  describe('line folding', () => {
+    it('should leave short lines alone', () => {
+      expect(foldLine('SUMMARY:Short')).toBe('SUMMARY:Short');
+    });
+
+    it('should fold long lines at 75 octets with a leading space', () => {
+      const line = `DESCRIPTION:${'x'.repeat(200)}`;
+      const folded = foldLine(line);
+      const parts = folded.split('\r\n');
+
+      expect(parts.length).toBeGreaterThan(1);
+      expect(octets(parts[0])).toBe(MAX_LINE_OCTETS);
+      parts.slice(1).forEach(part => {
+        expect(part.startsWith(' ')).toBe(true);
+        expect(octets(part)).toBeLessThanOrEqual(MAX_LINE_OCTETS);
+      });
+      expect(unfoldLines(folded)).toEqual([line]);
+    });
+
+    it('should never split a multi-byte character', () => {
+      const line = `SUMMARY:${'é'.repeat(60)}${'😀'.repeat(20)}`;
+      const parts = foldLine(line).split('\r\n');
+
+      parts.forEach(part => expect(octets(part)).toBeLessThanOrEqual(MAX_LINE_OCTETS));
+      expect(parts.join('').replace(/ /g, '')).toBe(line);
+      expect(unfoldLines(foldLine(line))).toEqual([line]);
+    });
+
+    it('should unfold lines continued with a space or tab and skip blank lines', () => {
+      expect(unfoldLines('SUMMARY:Hel\r\n lo\r\n\r\nDESCRIPTION:a\n\tb\n')).toEqual(['SUMMARY:Hello', 'DESCRIPTION:ab']);
+    });
+  });
+
+  describe('parsing', () => {
+    it('should split name, parameters and value', () => {
+      expect(parseContentLine('due;tzid=Europe/Paris:20300115T090000')).toEqual({
+        name: 'DUE', params: { TZID: 'Europe/Paris' }, value: '20300115T090000'
+      });
+    });
+
+    it('should read quoted parameter values containing separators', () => {
+      expect(parseContentLine('ATTENDEE;CN="Doe; Jane: PM":mailto:jane@example.com')).toEqual({
+        name: 'ATTENDEE', params: { CN: 'Doe; Jane: PM' }, value: 'mailto:jane@example.com'
+      });
+    });
+
+    it('should reject lines without a value', () => {
+      expect(parseContentLine('NOT A PROPERTY')).toBeNull();
+    });
+
+    it('should build nested components', () => {
+      const [calendar] = parseICS([
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'BEGIN:VTODO',
+        'SUMMARY:Task',
+        'BEGIN:VALARM',
+        'TRIGGER:-PT5M',
+        'END:VALARM',
+        'END:VTODO',
+        'BEGIN:VEVENT',
+        'SUMMARY:Event',
+        'END:VEVENT',
+        'END:VCALENDAR'
+      ].join('\r\n'));
+
+      expect(calendar.name).toBe('VCALENDAR');
+      expect(calendar.properties).toEqual([{ name: 'VERSION', params: {}, value: '2.0' }]);
+      expect(calendar.components.map(component => component.name)).toEqual(['VTODO', 'VEVENT']);
+      expect(calendar.components[0].components[0].name).toBe('VALARM');
+      expect(findComponents([calendar], ['VTODO', 'VEVENT', 'VALARM']).map(c => c.name)).toEqual(['VTODO', 'VALARM', 'VEVENT']);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should quote parameter values with separators', () => {
+      expect(formatProperty('TRIGGER', '-PT5M', { RELATED: 'END' })).toBe('TRIGGER;RELATED=END:-PT5M');
+      expect(formatProperty('X-TEST', 'v', { CN: 'a:b' })).toBe('X-TEST;CN="a:b":v');
+    });
+
+    it('should format UTC date-times', () => {
+      expect(formatDateTime('2030-01-15T12:34:56.789Z')).toBe('20300115T123456Z');
+    });
+  });
+
+  describe('dates and durations', () => {
+    it('should read UTC, floating, zoned and all-day values', () => {
+      expect(parseDateTime({ params: {}, value: '20300115T120000Z' })).toBe('2030-01-15T12:00:00.000Z');
+      expect(parseDateTime({ params: {}, value: '20300115T120000' })).toBe(dayjs('2030-01-15T12:00:00').utc().toISOString());
+      expect(parseDateTime({ params: { TZID: 'America/New_York' }, value: '20300115T120000' })).toBe('2030-01-15T17:00:00.000Z');
+      expect(parseDateTime({ params: { VALUE: 'DATE' }, value: '20300115' })).toBe(dayjs('2030-01-15T23:59:00').utc().toISOString());
+    });
+
+    it('should fall back to local time for unknown time zones', () => {
+      expect(parseDateTime({ params: { TZID: 'Not/AZone' }, value: '20300115T120000' }))
+        .toBe(dayjs('2030-01-15T12:00:00').utc().toISOString());
+    });
+
+    it('should reject unreadable dates', () => {
+      expect(parseDateTime({ params: {}, value: 'tomorrow' })).toBeNull();
+    });
+
+    it('should parse durations into signed minutes', () => {
+      expect(parseDuration('-PT15M')).toBe(-15);
+      expect(parseDuration('-P1D')).toBe(-1440);
+      expect(parseDuration('-P1DT2H')).toBe(-1560);
+      expect(parseDuration('P1W')).toBe(10080);
+      expect(parseDuration('PT0S')).toBe(0);
+      expect(parseDuration('P')).toBeNull();
+      expect(parseDuration('soon')).toBeNull();
+    });
+
+    it('should format durations', () => {
+      expect(formatDuration(-60)).toBe('-PT60M');
+      expect(formatDuration(0)).toBe('PT0S');
+      expect(parseDuration(formatDuration(-1440))).toBe(-1440);
+    });
+  });
+});
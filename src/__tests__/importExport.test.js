@@ -7,13 +7,27 @@ import {
   exportTasksToJSON,
   importTasksFromJSON,
   validateImportData,
-  truncateDescription
+  truncateDescription,
+  exportTasksToCSV,
+  parseTaskCSV,
+  guessCsvMapping,
+  guessDateOrder,
+  parsePriorityText,
+  parseCompletedText,
+  csvRowsToTasks,
+  exportTasksToICS,
+  importTasksFromICS
 } from '../utils/importExport';
-import { getAllTasks } from '../utils/tasks';
+import { parseICS, unfoldLines } from '../utils/ics';
+import { parseCSV } from '../utils/csv';
+import { getAllTasks, getArchivedTasks } from '../utils/tasks';
+import { CURRENT_SCHEMA_VERSION, MIGRATIONS } from '../utils/migrations';
 
-// Mock getAllTasks
-vi.mock('../utils/tasks', () => ({
-  getAllTasks: vi.fn()
+// Mock getAllTasks and getArchivedTasks
+vi.mock('../utils/tasks', async (importOriginal) => ({
+  ...(await importOriginal()),
+  getAllTasks: vi.fn(),
+  getArchivedTasks: vi.fn(() => [])
 }));
 
 describe('truncateDescription', () => {
@@ -149,6 +163,16 @@ describe('exportTasksToJSON', () => {
     const result = exportTasksToJSON();
     expect(result).toBe(JSON.stringify(tasks, null, 2));
   });
+
+  it('should append archived tasks after active tasks', () => {
+    const active = { id: '1', title: 'Active', isCompleted: false };
+    const archived = { id: '2', title: 'Done', isCompleted: true, completedAt: '2025-01-02T00:00:00Z' };
+    getAllTasks.mockReturnValue([active]);
+    getArchivedTasks.mockReturnValueOnce([archived]);
+
+    const result = exportTasksToJSON();
+    expect(JSON.parse(result)).toEqual([active, archived]);
+  });
 });
 
 describe('importTasksFromJSON', () => {
@@ -174,6 +198,33 @@ describe('importTasksFromJSON', () => {
     expect(result.tasks[0].description).toBe('a'.repeat(300));
   });
 
+  it('should leave out tasks that fail validation and list them', () => {
+    const valid = {
+      id: '1',
+      title: 'Task 1',
+      description: '',
+      deadline: '2025-12-31T12:00:00Z',
+      priority: 1,
+      isCompleted: false,
+      createdAt: '2025-01-01T00:00:00Z',
+      lastModified: '2025-01-01T00:00:00Z',
+      schemaVersion: 1
+    };
+    const tasks = [
+      valid,
+      { ...valid, id: '2', title: 'Bad deadline', deadline: 'someday' },
+      { ...valid, id: '3', title: '', isCompleted: true }
+    ];
+
+    const result = importTasksFromJSON(JSON.stringify(tasks));
+
+    expect(result.success).toBe(true);
+    expect(result.tasks.map(task => task.id)).toEqual(['1']);
+    expect(result.archivedTasks).toEqual([]);
+    expect(result.rejected.map(task => task.id)).toEqual(['2', '3']);
+    expect(result.rejected[0].errors.length).toBeGreaterThan(0);
+  });
+
   it('should return error for invalid JSON', () => {
     const result = importTasksFromJSON('not valid json');
     expect(result.success).toBe(false);
@@ -191,6 +242,28 @@ describe('importTasksFromJSON', () => {
     const result = importTasksFromJSON('[]');
     expect(result.success).toBe(true);
     expect(result.tasks).toEqual([]);
+    expect(result.archivedTasks).toEqual([]);
+  });
+
+  it('should split completed tasks into archivedTasks', () => {
+    const base = {
+      description: '',
+      deadline: '2025-12-31T12:00:00Z',
+      priority: 2,
+      createdAt: '2025-01-01T00:00:00Z',
+      lastModified: '2025-01-01T00:00:00Z',
+      schemaVersion: 1
+    };
+    const tasks = [
+      { ...base, id: '1', title: 'Active', isCompleted: false },
+      { ...base, id: '2', title: 'Done', isCompleted: true, completedAt: '2025-01-02T00:00:00Z' }
+    ];
+
+    const result = importTasksFromJSON(JSON.stringify(tasks));
+    expect(result.success).toBe(true);
+    expect(result.tasks.map(t => t.id)).toEqual(['1']);
+    expect(result.archivedTasks.map(t => t.id)).toEqual(['2']);
+    expect(result.archivedTasks[0].completedAt).toBe('2025-01-02T00:00:00Z');
   });
 
   it('should preserve fields when description <= 300 chars', () => {
@@ -201,10 +274,11 @@ describe('importTasksFromJSON', () => {
         description: 'Normal length description',
         deadline: '2025-12-31T12:00:00Z',
         priority: 2,
+        recurrence: null,
         isCompleted: false,
         createdAt: '2025-01-01T00:00:00Z',
         lastModified: '2025-01-01T00:00:00Z',
-        schemaVersion: 1
+        schemaVersion: CURRENT_SCHEMA_VERSION
       }
     ];
     const jsonString = JSON.stringify(tasks);
@@ -212,6 +286,32 @@ describe('importTasksFromJSON', () => {
     const result = importTasksFromJSON(jsonString);
     expect(result.success).toBe(true);
     expect(result.tasks[0]).toEqual(tasks[0]);
+    expect(result.migrations).toEqual([]);
+  });
+
+  it('should upgrade tasks from older schema versions', () => {
+    const tasks = [
+      {
+        id: '1',
+        title: 'Old export',
+        description: '',
+        deadline: '2025-12-31T12:00:00Z',
+        priority: 2,
+        isCompleted: true,
+        createdAt: '2025-01-01T00:00:00Z',
+        lastModified: '2025-01-02T00:00:00Z',
+        schemaVersion: 1
+      }
+    ];
+
+    const result = importTasksFromJSON(JSON.stringify(tasks));
+
+    expect(result.archivedTasks[0]).toMatchObject({
+      recurrence: null,
+      completedAt: '2025-01-02T00:00:00Z',
+      schemaVersion: CURRENT_SCHEMA_VERSION
+    });
+    expect(result.migrations.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
   });
 
   it('should handle multiple tasks with mixed description lengths', () => {
@@ -248,3 +348,322 @@ describe('importTasksFromJSON', () => {
     expect(result.tasks[1].description).toBe('a'.repeat(300));
   });
 });
+
+describe('exportTasksToCSV', () => {
+  const task = {
+    id: '1',
+    title: 'Pay rent',
+    description: 'Transfer, then "confirm"',
+    deadline: '2030-01-15T12:00:00.000Z',
+    priority: 1,
+    tags: ['home', 'money'],
+    isCompleted: false
+  };
+
+  it('should write a header and one row per task', () => {
+    const rows = parseCSV(exportTasksToCSV([task]));
+    expect(rows[0]).toEqual(['Title', 'Description', 'Deadline (local)', 'Deadline (UTC)', 'Priority', 'Tags', 'Completed']);
+    expect(rows[1][0]).toBe('Pay rent');
+    expect(rows[1][1]).toBe('Transfer, then "confirm"');
+    expect(rows[1][3]).toBe('2030-01-15T12:00:00.000Z');
+    expect(rows[1][4]).toBe('High');
+    expect(rows[1][5]).toBe('home, money');
+    expect(rows[1][6]).toBe('No');
+  });
+
+  it('should leave out the Tags column when no task has tags', () => {
+    const rows = parseCSV(exportTasksToCSV([{ ...task, tags: [] }]));
+    expect(rows[0]).not.toContain('Tags');
+  });
+
+  it('should export active and archived tasks by default', () => {
+    getAllTasks.mockReturnValue([task]);
+    getArchivedTasks.mockReturnValueOnce([{ ...task, id: '2', isCompleted: true }]);
+    const rows = parseCSV(exportTasksToCSV());
+    expect(rows).toHaveLength(3);
+    expect(rows[2][6]).toBe('Yes');
+  });
+
+  it('should keep formula-like text from running in spreadsheets', () => {
+    const rows = parseCSV(exportTasksToCSV([{ ...task, title: '=SUM(A1)' }]));
+    expect(rows[1][0]).toBe("'=SUM(A1)");
+  });
+});
+
+describe('CSV import', () => {
+  it('should split the header from data rows', () => {
+    const result = parseTaskCSV('Title,Due\nA,2030-01-01\n');
+    expect(result.success).toBe(true);
+    expect(result.headers).toEqual(['Title', 'Due']);
+    expect(result.rows).toEqual([['A', '2030-01-01']]);
+  });
+
+  it('should reject empty files and files without tasks', () => {
+    expect(parseTaskCSV('').success).toBe(false);
+    expect(parseTaskCSV('Title,Due\n').error).toMatch(/no tasks/);
+  });
+
+  it('should guess the mapping from common header names', () => {
+    expect(guessCsvMapping(['Task Name', 'Notes', 'Due Date', 'Due Time', 'Priority', 'Labels'])).toEqual({
+      title: 0, description: 1, deadline: 2, deadlineTime: 3, priority: 4, tags: 5, completed: null
+    });
+  });
+
+  it('should prefer the UTC deadline of NearZero exports', () => {
+    const mapping = guessCsvMapping(['Title', 'Description', 'Deadline (local)', 'Deadline (UTC)', 'Priority']);
+    expect(mapping.deadline).toBe(3);
+    expect(mapping.tags).toBeNull();
+  });
+
+  it('should guess day-first dates when a day is above 12', () => {
+    expect(guessDateOrder(['03/04/2030', '12/05/2030'])).toBe('mdy');
+    expect(guessDateOrder(['03/04/2030', '25/05/2030'])).toBe('dmy');
+  });
+
+  it('should map priority words to 1-3', () => {
+    expect(parsePriorityText('High')).toBe(1);
+    expect(parsePriorityText('P2')).toBe(2);
+    expect(parsePriorityText(' low ')).toBe(3);
+    expect(parsePriorityText('3')).toBe(3);
+    expect(parsePriorityText('')).toBe(2);
+    expect(parsePriorityText('whenever')).toBeNull();
+  });
+
+  it('should turn mapped rows into new tasks', () => {
+    const rows = [['Pay rent', '2030-01-15', '9:00', 'P1', 'home; money']];
+    const mapping = { title: 0, description: null, deadline: 1, deadlineTime: 2, priority: 3, tags: 4 };
+    const { tasks, errors } = csvRowsToTasks(rows, mapping);
+
+    expect(errors).toEqual([]);
+    expect(tasks).toHaveLength(1);
+    expect(tasks[0]).toMatchObject({ title: 'Pay rent', description: '', priority: 1, tags: ['home', 'money'], isCompleted: false });
+    expect(new Date(tasks[0].deadline).getHours()).toBe(9);
+    expect(tasks[0].id).toBeTruthy();
+  });
+
+  it('should report errors per spreadsheet row and skip those rows', () => {
+    const rows = [
+      ['Good', '2030-01-15', 'High'],
+      ['', '2030-01-15', 'High'],
+      ['Bad date', 'someday', 'High'],
+      ['Bad priority', '2030-01-15', 'asap'],
+      ['Past', '2001-01-15', 'Low']
+    ];
+    const mapping = { title: 0, description: null, deadline: 1, deadlineTime: null, priority: 2, tags: null };
+    const { tasks, errors } = csvRowsToTasks(rows, mapping);
+
+    expect(tasks.map(task => task.title)).toEqual(['Good', 'Past']);
+    expect(errors).toEqual([
+      'Row 3: Title cannot be empty or whitespace',
+      'Row 4: Unrecognized deadline "someday"',
+      'Row 5: Unrecognized priority "asap"'
+    ]);
+  });
+
+  it('should round-trip tasks exported to CSV', () => {
+    const exported = exportTasksToCSV([{
+      id: '1', title: '-minus first', description: 'Multi\nline', deadline: '2030-01-15T12:00:00.000Z',
+      priority: 3, tags: ['ops'], isCompleted: false
+    }]);
+    const { headers, rows } = parseTaskCSV(exported);
+    const { tasks, errors } = csvRowsToTasks(rows, guessCsvMapping(headers));
+
+    expect(errors).toEqual([]);
+    expect(tasks[0]).toMatchObject({
+      title: '-minus first', description: 'Multi\nline', deadline: '2030-01-15T12:00:00.000Z', priority: 3, tags: ['ops']
+    });
+  });
+
+  it('should bring completed tasks back as completed', () => {
+    const task = { id: '1', title: 'Filed', description: '', deadline: '2030-01-15T12:00:00.000Z', priority: 2, isCompleted: false };
+    const exported = exportTasksToCSV([task, { ...task, id: '2', title: 'Done already', isCompleted: true }]);
+    const { headers, rows } = parseTaskCSV(exported);
+    const { tasks, errors } = csvRowsToTasks(rows, guessCsvMapping(headers));
+
+    expect(errors).toEqual([]);
+    expect(tasks.map(t => [t.title, t.isCompleted])).toEqual([['Filed', false], ['Done already', true]]);
+    expect(tasks[1].completedAt).toBeTruthy();
+  });
+
+  it('should map completed words and report unknown ones', () => {
+    expect(parseCompletedText('Yes')).toBe(true);
+    expect(parseCompletedText(' x ')).toBe(true);
+    expect(parseCompletedText('No')).toBe(false);
+    expect(parseCompletedText('')).toBe(false);
+    expect(parseCompletedText('maybe')).toBeNull();
+
+    const mapping = { title: 0, description: null, deadline: 1, deadlineTime: null, priority: null, tags: null, completed: 2 };
+    expect(csvRowsToTasks([['Odd', '2030-01-15', 'maybe']], mapping).errors)
+      .toEqual(['Row 2: Unrecognized completed value "maybe"']);
+  });
+});
+
+describe('exportTasksToICS', () => {
+  const task = {
+    id: 'abc',
+    title: 'Pay rent, on time',
+    description: 'Line one\nLine two; done',
+    deadline: '2030-01-15T12:00:00.000Z',
+    priority: 1,
+    tags: ['home'],
+    reminders: null,
+    isCompleted: false,
+    createdAt: '2029-12-01T00:00:00.000Z',
+    lastModified: '2029-12-02T00:00:00.000Z'
+  };
+
+  it('should write one VTODO per task inside a VCALENDAR', () => {
+    const ics = exportTasksToICS([task, { ...task, id: 'def' }]);
+    const [calendar] = parseICS(ics);
+
+    expect(ics.endsWith('\r\n')).toBe(true);
+    expect(calendar.name).toBe('VCALENDAR');
+    expect(calendar.components.map(component => component.name)).toEqual(['VTODO', 'VTODO']);
+  });
+
+  it('should map fields to VTODO properties', () => {
+    const lines = unfoldLines(exportTasksToICS([task]));
+
+    expect(lines).toContain('UID:abc@nearzero');
+    expect(lines).toContain('SUMMARY:Pay rent\\, on time');
+    expect(lines).toContain('DESCRIPTION:Line one\\nLine two\\; done');
+    expect(lines).toContain('DUE:20300115T120000Z');
+    expect(lines).toContain('PRIORITY:1');
+    expect(lines).toContain('CATEGORIES:home');
+    expect(lines).toContain('STATUS:NEEDS-ACTION');
+  });
+
+  it('should map priorities 1/2/3 to 1/5/9', () => {
+    const priorities = [1, 2, 3].map(priority =>
+      unfoldLines(exportTasksToICS([{ ...task, priority }])).find(line => line.startsWith('PRIORITY:'))
+    );
+    expect(priorities).toEqual(['PRIORITY:1', 'PRIORITY:5', 'PRIORITY:9']);
+  });
+
+  it('should add alarms for reminders only when asked', () => {
+    expect(exportTasksToICS([task])).not.toContain('BEGIN:VALARM');
+
+    const lines = unfoldLines(exportTasksToICS([task], { defaultLeadTimes: [60, 0] }));
+    expect(lines.filter(line => line === 'BEGIN:VALARM')).toHaveLength(2);
+    expect(lines).toContain('TRIGGER;RELATED=END:-PT60M');
+    expect(lines).toContain('TRIGGER;RELATED=END:PT0S');
+
+    const custom = unfoldLines(exportTasksToICS([{ ...task, reminders: [1440] }]));
+    expect(custom).toContain('TRIGGER;RELATED=END:-PT1440M');
+  });
+
+  it('should mark archived tasks as completed', () => {
+    const lines = unfoldLines(exportTasksToICS([{ ...task, isCompleted: true, completedAt: '2030-01-10T08:00:00.000Z' }]));
+    expect(lines).toContain('STATUS:COMPLETED');
+    expect(lines).toContain('COMPLETED:20300110T080000Z');
+  });
+
+  it('should fold long descriptions', () => {
+    const ics = exportTasksToICS([{ ...task, description: 'word '.repeat(50) }]);
+    ics.split('\r\n').forEach(line => {
+      expect(new TextEncoder().encode(line).length).toBeLessThanOrEqual(75);
+    });
+  });
+});
+
+describe('importTasksFromICS', () => {
+  const calendar = (...lines) => ['BEGIN:VCALENDAR', 'VERSION:2.0', ...lines, 'END:VCALENDAR'].join('\r\n');
+
+  it('should read VTODO entries', () => {
+    const result = importTasksFromICS(calendar(
+      'BEGIN:VTODO',
+      'SUMMARY:Pay rent\\, on time',
+      'DESCRIPTION:Line one\\nLine two',
+      'DUE:20300115T120000Z',
+      'PRIORITY:2',
+      'CATEGORIES:Home,Money Matters',
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      'TRIGGER;RELATED=END:-PT1H',
+      'END:VALARM',
+      'END:VTODO'
+    ));
+
+    expect(result.success).toBe(true);
+    expect(result.errors).toEqual([]);
+    expect(result.tasks[0]).toMatchObject({
+      title: 'Pay rent, on time',
+      description: 'Line one\nLine two',
+      deadline: '2030-01-15T12:00:00.000Z',
+      priority: 1,
+      tags: ['home', 'money-matters'],
+      reminders: [60],
+      isCompleted: false
+    });
+  });
+
+  it('should read VEVENT entries using their start as the deadline', () => {
+    const result = importTasksFromICS(calendar(
+      'BEGIN:VEVENT',
+      'SUMMARY:Dentist',
+      'DTSTART;TZID=America/New_York:20300115T090000',
+      'DTEND;TZID=America/New_York:20300115T100000',
+      'BEGIN:VALARM',
+      'TRIGGER:-PT15M',
+      'END:VALARM',
+      'END:VEVENT'
+    ));
+
+    expect(result.tasks[0]).toMatchObject({
+      title: 'Dentist',
+      deadline: '2030-01-15T14:00:00.000Z',
+      priority: 2,
+      reminders: [15]
+    });
+  });
+
+  it('should map iCalendar priorities to 1-3', () => {
+    const priorities = ['1', '4', '5', '0', '6', '9'].map(value => importTasksFromICS(calendar(
+      'BEGIN:VTODO', 'SUMMARY:T', 'DUE:20300115T120000Z', `PRIORITY:${value}`, 'END:VTODO'
+    )).tasks[0].priority);
+    expect(priorities).toEqual([1, 1, 2, 2, 3, 3]);
+  });
+
+  it('should leave out completed and cancelled entries', () => {
+    const result = importTasksFromICS(calendar(
+      'BEGIN:VTODO', 'SUMMARY:Done', 'DUE:20300115T120000Z', 'STATUS:COMPLETED', 'END:VTODO',
+      'BEGIN:VEVENT', 'SUMMARY:Off', 'DTSTART:20300115T120000Z', 'STATUS:CANCELLED', 'END:VEVENT',
+      'BEGIN:VTODO', 'SUMMARY:Open', 'DUE:20300115T120000Z', 'END:VTODO'
+    ));
+    expect(result.tasks.map(task => task.title)).toEqual(['Open']);
+  });
+
+  it('should report entries that cannot be imported', () => {
+    const result = importTasksFromICS(calendar(
+      'BEGIN:VTODO', 'SUMMARY:No due date', 'END:VTODO',
+      'BEGIN:VTODO', 'SUMMARY:Bad date', 'DUE:someday', 'END:VTODO',
+      'BEGIN:VTODO', 'SUMMARY:Past', 'DUE:20010115T120000Z', 'END:VTODO'
+    ));
+
+    expect(result.success).toBe(true);
+    expect(result.tasks.map(task => task.title)).toEqual(['Past']);
+    expect(result.errors).toEqual([
+      'Task 1 ("No due date"): Deadline is required',
+      'Task 2 ("Bad date"): Unrecognized DUE "someday"'
+    ]);
+  });
+
+  it('should reject files that are not calendars or have no entries', () => {
+    expect(importTasksFromICS('Title,Due').success).toBe(false);
+    expect(importTasksFromICS(calendar()).error).toMatch(/no tasks or events/i);
+  });
+
+  it('should round-trip exported tasks', () => {
+    const task = {
+      id: 'abc', title: 'Ship it; now', description: 'Ünïcödé '.repeat(20).trim(), deadline: '2030-01-15T12:00:00.000Z',
+      priority: 3, tags: ['ops'], reminders: [60, 10], isCompleted: false
+    };
+    const result = importTasksFromICS(exportTasksToICS([task]));
+
+    expect(result.errors).toEqual([]);
+    expect(result.tasks[0]).toMatchObject({
+      title: task.title, description: task.description, deadline: task.deadline,
+      priority: 3, tags: ['ops'], reminders: [60, 10]
+    });
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, expect } from 'vitest';
+import { diffImport, applyImport, formatImportSummary } from '../utils/importMerge';
+
+const makeTask = (id, overrides = {}) => ({
+  id,
+  title: `Task ${id}`,
+  description: '',
+  deadline: '2030-01-01T12:00:00.000Z',
+  priority: 2,
+  isCompleted: false,
+  createdAt: '2025-01-01T00:00:00.000Z',
+  lastModified: '2025-01-01T00:00:00.000Z',
+  ...overrides
+});
+
+describe('Import merge utilities', () => {
+  const current = {
+    tasks: [
+      makeTask('same'),
+      makeTask('older-here', { title: 'Old title' }),
+      makeTask('newer-here', { title: 'My edit', lastModified: '2025-03-01T00:00:00.000Z' })
+    ],
+    archivedTasks: [makeTask('done', { isCompleted: true })]
+  };
+
+  const imported = {
+    tasks: [
+      makeTask('same'),
+      makeTask('older-here', { title: 'New title', lastModified: '2025-02-01T00:00:00.000Z' }),
+      makeTask('newer-here', { title: 'Their edit', lastModified: '2025-02-01T00:00:00.000Z' }),
+      makeTask('brand-new')
+    ],
+    archivedTasks: []
+  };
+
+  describe('diffImport', () => {
+    it('should classify imported tasks by id and lastModified', () => {
+      const { entries, counts } = diffImport(current, imported);
+
+      expect(counts).toEqual({ new: 1, updated: 1, unchanged: 1, conflict: 1 });
+      expect(entries.map(entry => [entry.id, entry.status])).toEqual([
+        ['same', 'unchanged'],
+        ['older-here', 'updated'],
+        ['newer-here', 'conflict'],
+        ['brand-new', 'new']
+      ]);
+    });
+
+    it('should ignore key order when comparing', () => {
+      const task = makeTask('a');
+      const reordered = Object.fromEntries(Object.entries(task).reverse());
+      const { counts } = diffImport({ tasks: [task], archivedTasks: [] }, { tasks: [reordered], archivedTasks: [] });
+      expect(counts.unchanged).toBe(1);
+    });
+
+    it('should treat equal timestamps with different content as a conflict', () => {
+      const { counts } = diffImport(
+        { tasks: [makeTask('a', { title: 'Mine' })], archivedTasks: [] },
+        { tasks: [makeTask('a', { title: 'Theirs' })], archivedTasks: [] }
+      );
+      expect(counts.conflict).toBe(1);
+    });
+
+    it('should match archived and active copies of the same task', () => {
+      const completed = makeTask('done', { isCompleted: true, lastModified: '2025-04-01T00:00:00.000Z' });
+      const { entries } = diffImport(
+        { tasks: [makeTask('done')], archivedTasks: [] },
+        { tasks: [], archivedTasks: [completed] }
+      );
+      expect(entries[0].status).toBe('updated');
+    });
+  });
+
+  describe('applyImport', () => {
+    it('should replace everything in replace mode', () => {
+      const result = applyImport(current, imported, 'replace');
+      expect(result.tasks).toBe(imported.tasks);
+      expect(result.archivedTasks).toEqual([]);
+    });
+
+    it('should keep the newer copy of each task in merge mode', () => {
+      const result = applyImport(current, imported, 'merge');
+
+      expect(result.success).toBe(true);
+      expect(result.tasks.map(task => task.title)).toEqual(['Task same', 'New title', 'My edit', 'Task brand-new']);
+      expect(result.archivedTasks.map(task => task.id)).toEqual(['done']);
+    });
+
+    it('should move merged tasks between active and archived lists', () => {
+      const reopened = makeTask('done', { isCompleted: false, lastModified: '2025-05-01T00:00:00.000Z' });
+      const result = applyImport(current, { tasks: [reopened], archivedTasks: [] }, 'merge');
+
+      expect(result.tasks.map(task => task.id)).toContain('done');
+      expect(result.archivedTasks).toEqual([]);
+    });
+
+    it('should add copies with fresh ids in append mode', () => {
+      const result = applyImport(current, imported, 'append');
+      const ids = [...result.tasks, ...result.archivedTasks].map(task => task.id);
+
+      expect(result.tasks).toHaveLength(current.tasks.length + imported.tasks.length);
+      expect(new Set(ids).size).toBe(ids.length);
+      expect(ids).toContain('brand-new');
+      expect(result.tasks.slice(0, 3)).toEqual(current.tasks);
+    });
+
+    it('should report tasks rejected while appending', () => {
+      const result = applyImport(current, { tasks: [makeTask('x', { title: '' })], archivedTasks: [] }, 'append');
+      expect(result.tasks).toEqual(current.tasks);
+      expect(result.errors).toEqual(['Task 1: missing required fields']);
+    });
+
+    it('should refuse imports whose blocked-by links form a cycle', () => {
+      const looped = {
+        tasks: [makeTask('a', { blockedBy: ['same'] })],
+        archivedTasks: []
+      };
+      const withBlockedSame = {
+        ...current,
+        tasks: current.tasks.map(task => (task.id === 'same' ? { ...task, blockedBy: ['a'] } : task))
+      };
+
+      ['merge', 'append'].forEach(mode => {
+        const result = applyImport(withBlockedSame, looped, mode);
+        expect(result.success).toBe(false);
+        expect(result.tasks).toBe(withBlockedSame.tasks);
+        expect(result.errors[0]).toMatch(/cycle/);
+      });
+      expect(applyImport(current, { tasks: [...looped.tasks, withBlockedSame.tasks[0]], archivedTasks: [] }, 'replace').success).toBe(false);
+    });
+
+    it('should not fail over a cycle the import does not touch', () => {
+      const withCycle = {
+        ...current,
+        tasks: [makeTask('x', { blockedBy: ['y'] }), makeTask('y', { blockedBy: ['x'] })]
+      };
+
+      expect(applyImport(withCycle, { tasks: [makeTask('brand-new')], archivedTasks: [] }, 'merge').success).toBe(true);
+    });
+
+    it('should fail for an unknown mode', () => {
+      expect(applyImport(current, imported, 'overwrite').success).toBe(false);
+    });
+  });
+
+  describe('formatImportSummary', () => {
+    it('should describe each mode', () => {
+      const counts = { new: 2, updated: 1, unchanged: 4, conflict: 0 };
+      expect(formatImportSummary('merge', counts, 7)).toBe('Merged: 2 new, 1 updated');
+      expect(formatImportSummary('merge', { ...counts, conflict: 3 }, 7)).toBe('Merged: 2 new, 1 updated, 3 kept (yours newer)');
+      expect(formatImportSummary('append', counts, 7)).toBe('Imported: 7 tasks added');
+      expect(formatImportSummary('replace', counts, 7)).toBe('Imported: 7 tasks (replaced current tasks)');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, it, expect } from 'vitest';
+import {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  migrateTask,
+  migrateTasks,
+  migratePreferences,
+  combineApplied,
+  formatMigrationSummary,
+} from '../utils/migrations';
+
+describe('Schema Migrations', () => {
+  const v1Task = (overrides = {}) => ({
+    id: '1',
+    title: 'Legacy task',
+    description: '',
+    deadline: '2025-06-10T17:00:00Z',
+    priority: 2,
+    isCompleted: false,
+    createdAt: '2025-01-01T00:00:00Z',
+    lastModified: '2025-01-03T00:00:00Z',
+    schemaVersion: 1,
+    ...overrides,
+  });
+
+  it('should list migrations in ascending order ending at the current version', () => {
+    const versions = MIGRATIONS.map(m => m.version);
+
+    expect(versions).toEqual([...versions].sort((a, b) => a - b));
+    expect(versions[versions.length - 1]).toBe(CURRENT_SCHEMA_VERSION);
+  });
+
+  describe('getSchemaVersion', () => {
+    it('should treat records without a version as version 1', () => {
+      expect(getSchemaVersion({})).toBe(1);
+      expect(getSchemaVersion(null)).toBe(1);
+      expect(getSchemaVersion({ schemaVersion: 2 })).toBe(2);
+    });
+  });
+
+  describe('migrateTask', () => {
+    it('should add missing recurrence and stamp the current version', () => {
+      const result = migrateTask(v1Task());
+
+      expect(result.changed).toBe(true);
+      expect(result.task.recurrence).toBe(null);
+      expect(result.task.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(result.applied).toEqual(
+        MIGRATIONS.map(({ version, description }) => ({ version, description }))
+      );
+    });
+
+    it('should add an empty tag list to v2 tasks', () => {
+      const result = migrateTask({ ...v1Task(), recurrence: null, schemaVersion: 2 });
+
+      expect(result.task.tags).toEqual([]);
+      expect(result.applied.map(m => m.version)).not.toContain(2);
+    });
+
+    it('should keep existing tags', () => {
+      expect(migrateTask(v1Task({ tags: ['work'] })).task.tags).toEqual(['work']);
+    });
+
+    it('should default reminders to the Settings lead times', () => {
+      expect(migrateTask(v1Task()).task.reminders).toBe(null);
+      expect(migrateTask(v1Task({ reminders: [10] })).task.reminders).toEqual([10]);
+    });
+
+    it('should add an empty checklist to v3 tasks', () => {
+      const result = migrateTask({ ...v1Task(), recurrence: null, tags: [], schemaVersion: 3 });
+
+      expect(result.task.checklist).toEqual([]);
+      expect(result.applied.map(m => m.version)).not.toContain(3);
+    });
+
+    it('should keep existing recurrence rules', () => {
+      const recurrence = { frequency: 'daily', interval: 1, weekdays: [], until: null, count: null };
+
+      expect(migrateTask(v1Task({ recurrence })).task.recurrence).toEqual(recurrence);
+    });
+
+    it('should put existing tasks in the To do column', () => {
+      expect(migrateTask(v1Task()).task.status).toBe('todo');
+      expect(migrateTask({ ...v1Task(), schemaVersion: 5 }).task.status).toBe('todo');
+    });
+
+    it('should add an empty start date and keep existing ones', () => {
+      expect(migrateTask(v1Task()).task.startDate).toBe(null);
+      expect(migrateTask(v1Task({ startDate: '2025-06-09T09:00:00Z' })).task.startDate).toBe('2025-06-09T09:00:00Z');
+    });
+
+    it('should add an empty blocked-by list', () => {
+      expect(migrateTask(v1Task()).task.blockedBy).toEqual([]);
+      expect(migrateTask(v1Task({ blockedBy: ['2'] })).task.blockedBy).toEqual(['2']);
+    });
+
+    it('should add an empty effort estimate and keep existing ones', () => {
+      expect(migrateTask(v1Task()).task.estimateHours).toBe(null);
+      expect(migrateTask(v1Task({ estimateHours: 4 })).task.estimateHours).toBe(4);
+    });
+
+    it('should fill completedAt for completed tasks', () => {
+      const result = migrateTask(v1Task({ isCompleted: true }));
+
+      expect(result.task.completedAt).toBe('2025-01-03T00:00:00Z');
+    });
+
+    it('should leave current and newer tasks untouched', () => {
+      const current = { ...v1Task(), schemaVersion: CURRENT_SCHEMA_VERSION };
+      const newer = { ...v1Task(), schemaVersion: CURRENT_SCHEMA_VERSION + 1 };
+
+      expect(migrateTask(current)).toEqual({ task: current, applied: [], changed: false });
+      expect(migrateTask(newer).task).toBe(newer);
+    });
+
+    it('should not mutate the input', () => {
+      const task = v1Task();
+
+      migrateTask(task);
+
+      expect(task.schemaVersion).toBe(1);
+      expect(task).not.toHaveProperty('recurrence');
+    });
+  });
+
+  describe('migrateTasks', () => {
+    it('should report each applied migration once', () => {
+      const result = migrateTasks([v1Task(), v1Task({ id: '2' })]);
+
+      expect(result.tasks).toHaveLength(2);
+      expect(result.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    });
+
+    it('should report nothing for an empty list', () => {
+      expect(migrateTasks([])).toEqual({ tasks: [], applied: [], changed: false });
+    });
+  });
+
+  describe('migratePreferences', () => {
+    it('should stamp the version without reporting migrations that skip preferences', () => {
+      const result = migratePreferences({ sortMode: 'priority' });
+
+      expect(result.preferences).toEqual({ sortMode: 'priority', schemaVersion: CURRENT_SCHEMA_VERSION });
+      expect(result.changed).toBe(true);
+      expect(result.applied).toEqual([]);
+    });
+  });
+
+  describe('combineApplied / formatMigrationSummary', () => {
+    it('should merge, sort and describe applied migrations', () => {
+      const applied = combineApplied(
+        [{ version: 3, description: 'Third' }],
+        [{ version: 2, description: 'Second' }, { version: 3, description: 'Third' }]
+      );
+
+      expect(applied.map(m => m.version)).toEqual([2, 3]);
+      expect(formatMigrationSummary(applied)).toBe('Data updated: v2 Second; v3 Third');
+      expect(formatMigrationSummary([])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tests for deadline notification utilities
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  isValidLeadTimes,
+  getTaskLeadTimes,
+  buildReminderSchedule,
+  getDueReminders,
+  getNextReminderTime,
+  formatLeadTime,
+  formatReminder,
+  getFiredReminders,
+  markRemindersFired,
+  getNotificationPermission,
+  showReminderNotification,
+  MISSED_REMINDER_GRACE_MS,
+} from '../utils/notifications';
+
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+const MINUTE = 60 * 1000;
+
+const task = (overrides = {}) => ({
+  id: 'task-1',
+  title: 'Send invoice',
+  deadline: new Date(NOW + 90 * MINUTE).toISOString(),
+  createdAt: new Date(NOW - 2 * 24 * 60 * MINUTE).toISOString(),
+  lastModified: new Date(NOW - 2 * 24 * 60 * MINUTE).toISOString(),
+  reminders: null,
+  ...overrides,
+});
+
+describe('Notification Utilities', () => {
+  describe('isValidLeadTimes', () => {
+    it('should accept unique non-negative whole minutes', () => {
+      expect(isValidLeadTimes([1440, 60, 0])).toBe(true);
+      expect(isValidLeadTimes([])).toBe(true);
+    });
+
+    it('should reject anything else', () => {
+      expect(isValidLeadTimes('60')).toBe(false);
+      expect(isValidLeadTimes([-5])).toBe(false);
+      expect(isValidLeadTimes([1.5])).toBe(false);
+      expect(isValidLeadTimes([60, 60])).toBe(false);
+    });
+  });
+
+  describe('getTaskLeadTimes', () => {
+    it('should use Settings unless the task overrides them', () => {
+      expect(getTaskLeadTimes(task(), [60])).toEqual([60]);
+      expect(getTaskLeadTimes(task({ reminders: [10] }), [60])).toEqual([10]);
+      expect(getTaskLeadTimes(task({ reminders: [] }), [60])).toEqual([]);
+    });
+  });
+
+  describe('buildReminderSchedule', () => {
+    it('should create one reminder per task and lead time, ordered by fire time', () => {
+      const schedule = buildReminderSchedule(
+        [task(), task({ id: 'task-2', reminders: [0] })],
+        [60, 1440]
+      );
+
+      expect(schedule.map(r => [r.taskId, r.minutes])).toEqual([
+        ['task-1', 1440],
+        ['task-1', 60],
+        ['task-2', 0],
+      ]);
+      expect(schedule[1].fireAt).toBe(NOW + 30 * MINUTE);
+    });
+
+    it('should include the deadline in the key so a new deadline re-arms reminders', () => {
+      const [before] = buildReminderSchedule([task()], [60]);
+      const [after] = buildReminderSchedule([task({ deadline: '2025-07-01T00:00:00.000Z' })], [60]);
+
+      expect(before.key).not.toBe(after.key);
+    });
+
+    it('should skip tasks with invalid deadlines', () => {
+      expect(buildReminderSchedule([task({ deadline: 'nope' })], [60])).toEqual([]);
+    });
+  });
+
+  describe('getDueReminders', () => {
+    it('should return reminders whose time has come', () => {
+      const schedule = buildReminderSchedule([task()], [60, 10]);
+
+      const { due } = getDueReminders(schedule, [], NOW + 31 * MINUTE);
+
+      expect(due.map(r => r.minutes)).toEqual([60]);
+    });
+
+    it('should not repeat reminders that already fired', () => {
+      const schedule = buildReminderSchedule([task()], [60]);
+
+      expect(getDueReminders(schedule, [schedule[0].key], NOW + 31 * MINUTE).due).toEqual([]);
+    });
+
+    it('should only return the latest due reminder per task', () => {
+      const schedule = buildReminderSchedule([task()], [60, 10, 0]);
+
+      const { due, skipped } = getDueReminders(schedule, [], NOW + 85 * MINUTE);
+
+      expect(due.map(r => r.minutes)).toEqual([10]);
+      expect(skipped).toEqual([schedule[0].key]);
+    });
+
+    it('should skip reminders missed by more than the grace period', () => {
+      const schedule = buildReminderSchedule([task()], [1440]);
+
+      const { due, skipped } = getDueReminders(schedule, [], NOW + MISSED_REMINDER_GRACE_MS);
+
+      expect(due).toEqual([]);
+      expect(skipped).toEqual([schedule[0].key]);
+    });
+
+    it('should skip reminders that were already past when the task was saved', () => {
+      const fresh = task({ lastModified: new Date(NOW).toISOString() });
+      const schedule = buildReminderSchedule([fresh], [120, 60]);
+
+      const { due, skipped } = getDueReminders(schedule, [], NOW + 31 * MINUTE);
+
+      expect(due.map(r => r.minutes)).toEqual([60]);
+      expect(skipped).toEqual([schedule[0].key]);
+    });
+  });
+
+  describe('getNextReminderTime', () => {
+    it('should return the next future fire time or null', () => {
+      const schedule = buildReminderSchedule([task()], [60, 10]);
+
+      expect(getNextReminderTime(schedule, NOW)).toBe(NOW + 30 * MINUTE);
+      expect(getNextReminderTime(schedule, NOW + 200 * MINUTE)).toBe(null);
+    });
+  });
+
+  describe('formatting', () => {
+    it('should describe lead times', () => {
+      expect(formatLeadTime(1440)).toBe('1 day');
+      expect(formatLeadTime(2880)).toBe('2 days');
+      expect(formatLeadTime(60)).toBe('1 hour');
+      expect(formatLeadTime(180)).toBe('3 hours');
+      expect(formatLeadTime(10)).toBe('10 minutes');
+    });
+
+    it('should build notification text', () => {
+      expect(formatReminder({ minutes: 60, title: 'Report' })).toEqual({ title: 'Due in 1 hour', body: 'Report' });
+      expect(formatReminder({ minutes: 0, title: 'Report' })).toEqual({ title: 'Task overdue', body: 'Report' });
+    });
+  });
+
+  describe('fired reminder log', () => {
+    beforeEach(() => {
+      window.localStorage.clear();
+    });
+
+    it('should remember fired keys without duplicates', () => {
+      expect(getFiredReminders()).toEqual([]);
+
+      markRemindersFired(['a', 'b']);
+      markRemindersFired(['b', 'c']);
+
+      expect(getFiredReminders()).toEqual(['a', 'b', 'c']);
+    });
+
+    it('should keep only the most recent keys', () => {
+      markRemindersFired(Array.from({ length: 510 }, (_, i) => `key-${i}`));
+
+      const fired = getFiredReminders();
+      expect(fired).toHaveLength(500);
+      expect(fired[0]).toBe('key-10');
+    });
+  });
+
+  describe('Notification API', () => {
+    afterEach(() => {
+      vi.unstubAllGlobals();
+    });
+
+    it('should report unsupported browsers', () => {
+      // jsdom has no Notification API
+      expect(getNotificationPermission()).toBe('unsupported');
+      expect(showReminderNotification({ key: 'k', minutes: 0, title: 'Report' })).toBe(false);
+    });
+
+    it('should show a tagged notification when permission is granted', () => {
+      const NotificationMock = vi.fn();
+      NotificationMock.permission = 'granted';
+      vi.stubGlobal('Notification', NotificationMock);
+
+      expect(showReminderNotification({ key: 'k', minutes: 10, title: 'Report' })).toBe(true);
+      expect(NotificationMock).toHaveBeenCalledWith('Due in 10 minutes', { body: 'Report', tag: 'k' });
+    });
+
+    it('should not show anything without permission', () => {
+      const NotificationMock = vi.fn();
+      NotificationMock.permission = 'denied';
+      vi.stubGlobal('Notification', NotificationMock);
+
+      expect(showReminderNotification({ key: 'k', minutes: 10, title: 'Report' })).toBe(false);
+      expect(NotificationMock).not.toHaveBeenCalled();
+    });
+  });
+});
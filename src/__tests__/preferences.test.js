@@ -6,8 +6,29 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 import {
   getSortMode,
   setSortMode,
+  getConfirmActions,
+  setConfirmActions,
+  getAutoCompleteChecklist,
+  setAutoCompleteChecklist,
+  getNotificationSettings,
+  setNotificationSettings,
+  getTagFilter,
+  setTagFilter,
+  getUrgencySettings,
+  setUrgencySettings,
+  getViewMode,
+  setViewMode,
+  getStatusColumns,
+  setStatusColumns,
+  getShowSnoozed,
+  setShowSnoozed,
+  getDailyCapacity,
+  setDailyCapacity,
   SORT_MODES,
 } from '../utils/preferences';
+import { DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import { VIEW_MODES } from '../utils/views';
+import { DEFAULT_STATUS_COLUMNS } from '../utils/status';
 import { STORAGE_KEYS } from '../utils/storage';
 
 describe('preferences storage', () => {
@@ -101,4 +122,195 @@ describe('preferences storage', () => {
       setItemSpy.mockRestore();
     });
   });
+
+  describe('confirmActions', () => {
+    it('defaults to true when no preference saved', () => {
+      expect(getConfirmActions()).toBe(true);
+    });
+
+    it('saves and reads the preference alongside other settings', () => {
+      setSortMode(SORT_MODES.PRIORITY);
+
+      expect(setConfirmActions(false)).toBe(true);
+      expect(getConfirmActions()).toBe(false);
+      expect(getSortMode()).toBe(SORT_MODES.PRIORITY);
+    });
+
+    it('rejects non-boolean values', () => {
+      expect(setConfirmActions('no')).toBe(false);
+      expect(getConfirmActions()).toBe(true);
+    });
+  });
+
+  describe('tagFilter', () => {
+    it('defaults to no tags', () => {
+      expect(getTagFilter()).toEqual([]);
+    });
+
+    it('saves and reads the selected tags', () => {
+      expect(setTagFilter(['work', 'urgent'])).toBe(true);
+      expect(getTagFilter()).toEqual(['work', 'urgent']);
+    });
+
+    it('rejects values that are not lists of strings', () => {
+      expect(setTagFilter('work')).toBe(false);
+      expect(setTagFilter([1])).toBe(false);
+      expect(getTagFilter()).toEqual([]);
+    });
+
+    it('ignores a corrupted stored value', () => {
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ tagFilter: 'work' }));
+
+      expect(getTagFilter()).toEqual([]);
+    });
+  });
+
+  describe('viewMode', () => {
+    it('defaults to the list', () => {
+      expect(getViewMode()).toBe(VIEW_MODES.LIST);
+    });
+
+    it('saves and reads calendar layouts', () => {
+      expect(setViewMode(VIEW_MODES.WEEK)).toBe(true);
+      expect(getViewMode()).toBe(VIEW_MODES.WEEK);
+    });
+
+    it('rejects unknown views', () => {
+      expect(setViewMode('gallery')).toBe(false);
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ viewMode: 'gallery' }));
+      expect(getViewMode()).toBe(VIEW_MODES.LIST);
+    });
+  });
+
+  describe('statusColumns', () => {
+    it('defaults to To do, In progress, Blocked and Done', () => {
+      expect(getStatusColumns()).toEqual(DEFAULT_STATUS_COLUMNS);
+    });
+
+    it('saves columns with trimmed names', () => {
+      const columns = [{ id: 'backlog', label: ' Backlog ' }, { id: 'done', label: 'Done' }];
+
+      expect(setStatusColumns(columns)).toBe(true);
+      expect(getStatusColumns()).toEqual([{ id: 'backlog', label: 'Backlog' }, { id: 'done', label: 'Done' }]);
+    });
+
+    it('rejects invalid columns', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(setStatusColumns([])).toBe(false);
+      expect(setStatusColumns([{ id: 'a', label: 'Same' }, { id: 'b', label: 'same' }])).toBe(false);
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ statusColumns: [{ id: 'Bad Id', label: 'x' }] }));
+      expect(getStatusColumns()).toEqual(DEFAULT_STATUS_COLUMNS);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('showSnoozed', () => {
+    it('defaults to hiding snoozed tasks', () => {
+      expect(getShowSnoozed()).toBe(false);
+    });
+
+    it('saves the toggle and rejects non-booleans', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(setShowSnoozed(true)).toBe(true);
+      expect(getShowSnoozed()).toBe(true);
+      expect(setShowSnoozed('yes')).toBe(false);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('dailyCapacity', () => {
+    it('defaults to 8 hours and ignores invalid saved values', () => {
+      expect(getDailyCapacity()).toBe(8);
+
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ dailyCapacity: 30 }));
+      expect(getDailyCapacity()).toBe(8);
+    });
+
+    it('saves valid capacities and rejects the rest', () => {
+      const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      expect(setDailyCapacity(6.5)).toBe(true);
+      expect(getDailyCapacity()).toBe(6.5);
+      expect(setDailyCapacity(0)).toBe(false);
+      expect(setDailyCapacity('8')).toBe(false);
+      expect(getDailyCapacity()).toBe(6.5);
+
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe('autoCompleteChecklist', () => {
+    it('defaults to false', () => {
+      expect(getAutoCompleteChecklist()).toBe(false);
+    });
+
+    it('saves and reads the preference', () => {
+      expect(setAutoCompleteChecklist(true)).toBe(true);
+      expect(getAutoCompleteChecklist()).toBe(true);
+    });
+
+    it('rejects non-boolean values', () => {
+      expect(setAutoCompleteChecklist(1)).toBe(false);
+      expect(getAutoCompleteChecklist()).toBe(false);
+    });
+  });
+  describe('notificationSettings', () => {
+    it('defaults to off with the standard lead times', () => {
+      expect(getNotificationSettings()).toEqual({ enabled: false, leadTimes: [1440, 60, 10, 0] });
+    });
+
+    it('saves and reads settings', () => {
+      expect(setNotificationSettings({ enabled: true, leadTimes: [30] })).toBe(true);
+      expect(getNotificationSettings()).toEqual({ enabled: true, leadTimes: [30] });
+    });
+
+    it('rejects invalid settings', () => {
+      expect(setNotificationSettings({ enabled: 'yes', leadTimes: [] })).toBe(false);
+      expect(setNotificationSettings({ enabled: true, leadTimes: [-1] })).toBe(false);
+      expect(getNotificationSettings().enabled).toBe(false);
+    });
+  });
+
+  describe('urgencySettings', () => {
+    it('defaults to 1h/6h/24h bands with pulsing under 1h', () => {
+      expect(getUrgencySettings()).toEqual(DEFAULT_URGENCY_SETTINGS);
+    });
+
+    it('saves and reads settings', () => {
+      const settings = {
+        bands: [{ hours: 24, color: 'red' }, { hours: 168, color: 'blue' }],
+        pulseHours: 0,
+        mode: 'gradient',
+        gradientBasis: 'remaining',
+        gradientHours: 48
+      };
+      expect(setUrgencySettings(settings)).toBe(true);
+      expect(getUrgencySettings()).toEqual(settings);
+    });
+
+    it('fills in gradient defaults for settings saved without them', () => {
+      const settings = { bands: [{ hours: 24, color: 'red' }], pulseHours: 0 };
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ urgency: settings }));
+      expect(getUrgencySettings()).toEqual({
+        ...settings,
+        mode: 'bands',
+        gradientBasis: 'elapsed',
+        gradientHours: 168
+      });
+    });
+
+    it('rejects invalid settings', () => {
+      expect(setUrgencySettings({ bands: [{ hours: 6, color: 'red' }, { hours: 1, color: 'orange' }], pulseHours: 1 })).toBe(false);
+      expect(getUrgencySettings()).toEqual(DEFAULT_URGENCY_SETTINGS);
+    });
+
+    it('falls back to defaults when stored settings are corrupt', () => {
+      window.localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ urgency: { bands: 'soon' } }));
+      expect(getUrgencySettings()).toEqual(DEFAULT_URGENCY_SETTINGS);
+    });
+  });
 });
@@ -0,0 +1,173 @@
+import { describe, it, expect } from 'vitest';
+import dayjs from 'dayjs';
+import { parseQuickAdd } from '../utils/quickAdd';
+
+// Wednesday, Jan 15 2031, 10:30 local time
+const NOW = dayjs('2031-01-15T10:30:00').toDate();
+
+/**
+ * Local wall-clock time of a parsed deadline
+ */
+const local = (deadline) => dayjs(deadline).format('YYYY-MM-DD HH:mm');
+
+describe('Quick add parser', () => {
+  it('should parse the full example', () => {
+    const result = parseQuickAdd('Send invoice to ACME tomorrow 5pm !high #billing', NOW);
+
+    expect(result.title).toBe('Send invoice to ACME');
+    expect(local(result.deadline)).toBe('2031-01-16 17:00');
+    expect(result.priority).toBe(1);
+    expect(result.tags).toEqual(['billing']);
+  });
+
+  it('should return a UTC ISO deadline', () => {
+    const { deadline } = parseQuickAdd('Pay rent tomorrow', NOW);
+    expect(deadline).toMatch(/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/);
+  });
+
+  it('should keep text without markers as the title', () => {
+    expect(parseQuickAdd('  Call   the bank ', NOW)).toEqual({
+      title: 'Call the bank',
+      deadline: null,
+      priority: null,
+      tags: []
+    });
+  });
+
+  describe('relative times', () => {
+    it.each([
+      ['in 3 hours', '2031-01-15 13:30'],
+      ['in 20 min', '2031-01-15 10:50'],
+      ['in 2d', '2031-01-17 10:30'],
+      ['in an hour', '2031-01-15 11:30'],
+      ['in a week', '2031-01-22 10:30']
+    ])('should parse "%s"', (phrase, expected) => {
+      const result = parseQuickAdd(`Check oven ${phrase}`, NOW);
+      expect(result.title).toBe('Check oven');
+      expect(local(result.deadline)).toBe(expected);
+    });
+
+    it('should drop seconds', () => {
+      const { deadline } = parseQuickAdd('Stretch in 5 minutes', dayjs('2031-01-15T10:30:42').toDate());
+      expect(dayjs(deadline).second()).toBe(0);
+    });
+  });
+
+  describe('days', () => {
+    it.each([
+      ['today', '2031-01-15 23:59'],
+      ['eod', '2031-01-15 23:59'],
+      ['tomorrow', '2031-01-16 23:59'],
+      ['tmrw', '2031-01-16 23:59'],
+      ['next week', '2031-01-22 23:59'],
+      ['friday', '2031-01-17 23:59'],
+      ['on fri', '2031-01-17 23:59'],
+      ['next sat', '2031-01-18 23:59'],
+      ['next friday', '2031-01-17 23:59'],
+      ['on Monday', '2031-01-20 23:59'],
+      ['by wed', '2031-01-22 23:59'],
+      ['- thurs', '2031-01-16 23:59'],
+      ['jan 20', '2031-01-20 23:59'],
+      ['Mar 3rd', '2031-03-03 23:59'],
+      ['15th march 2032', '2032-03-15 23:59'],
+      ['by 2031-02-01', '2031-02-01 23:59']
+    ])('should parse "%s"', (phrase, expected) => {
+      const result = parseQuickAdd(`Report ${phrase}`, NOW);
+      expect(result.title).toBe('Report');
+      expect(local(result.deadline)).toBe(expected);
+    });
+
+    it('should read a short weekday after a comma', () => {
+      const result = parseQuickAdd('Call mom, sun', NOW);
+      expect(result.title).toBe('Call mom');
+      expect(local(result.deadline)).toBe('2031-01-19 23:59');
+    });
+
+    it.each([
+      'Sat exam prep',
+      'Sun cream',
+      'Buy sun cream',
+      'Wed planning with Fri team'
+    ])('should keep short weekday words in the title of "%s"', (text) => {
+      const result = parseQuickAdd(text, NOW);
+      expect(result.title).toBe(text);
+      expect(result.deadline).toBe(null);
+    });
+
+    it('should only read the marked short weekday', () => {
+      const result = parseQuickAdd('Sat exam prep on sat', NOW);
+      expect(result.title).toBe('Sat exam prep');
+      expect(local(result.deadline)).toBe('2031-01-18 23:59');
+    });
+
+    it('should roll dates that already passed into next year', () => {
+      expect(local(parseQuickAdd('Taxes jan 10', NOW).deadline)).toBe('2032-01-10 23:59');
+    });
+
+    it('should ignore days that do not exist', () => {
+      expect(parseQuickAdd('Party feb 30', NOW).deadline).toBe(null);
+    });
+  });
+
+  describe('times', () => {
+    it.each([
+      ['tomorrow at 9:30am', '2031-01-16 09:30'],
+      ['on fri 17:45', '2031-01-17 17:45'],
+      ['tomorrow noon', '2031-01-16 12:00'],
+      ['tomorrow @ 12am', '2031-01-16 00:00'],
+      ['jan 20 12pm', '2031-01-20 12:00']
+    ])('should parse "%s"', (phrase, expected) => {
+      expect(local(parseQuickAdd(`Standup ${phrase}`, NOW).deadline)).toBe(expected);
+    });
+
+    it('should use today for a time still ahead', () => {
+      expect(local(parseQuickAdd('Lunch 1pm', NOW).deadline)).toBe('2031-01-15 13:00');
+    });
+
+    it('should use tomorrow for a time already passed', () => {
+      expect(local(parseQuickAdd('Gym 7am', NOW).deadline)).toBe('2031-01-16 07:00');
+    });
+
+    it('should not read numbers inside words or hours past 12 as times', () => {
+      const result = parseQuickAdd('Buy 3 apples for room 13pm', NOW);
+      expect(result.title).toBe('Buy 3 apples for room 13pm');
+      expect(result.deadline).toBe(null);
+    });
+  });
+
+  describe('priority and tags', () => {
+    it.each([
+      ['!high', 1], ['!H', 1], ['!1', 1],
+      ['!medium', 2], ['!med', 2], ['!2', 2],
+      ['!low', 3], ['!l', 3], ['!3', 3]
+    ])('should parse "%s"', (marker, expected) => {
+      const result = parseQuickAdd(`Task ${marker}`, NOW);
+      expect(result.priority).toBe(expected);
+      expect(result.title).toBe('Task');
+    });
+
+    it('should leave unknown markers and exclamations in the title', () => {
+      const result = parseQuickAdd('Ship it! !urgent', NOW);
+      expect(result.priority).toBe(null);
+      expect(result.title).toBe('Ship it! !urgent');
+    });
+
+    it('should collect normalized, unique tags', () => {
+      const result = parseQuickAdd('Plan #Work trip #home #work', NOW);
+      expect(result.tags).toEqual(['work', 'home']);
+      expect(result.title).toBe('Plan trip');
+    });
+
+    it('should not treat a # inside a word as a tag', () => {
+      const result = parseQuickAdd('Learn C# basics', NOW);
+      expect(result.tags).toEqual([]);
+      expect(result.title).toBe('Learn C# basics');
+    });
+  });
+
+  it('should not read weekday-like parts of words as dates', () => {
+    const result = parseQuickAdd('Update friday_notes and sundial', NOW);
+    expect(result.deadline).toBe(null);
+    expect(result.title).toBe('Update friday_notes and sundial');
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from 'vitest';
+import {
+  RECURRENCE_FREQUENCIES,
+  getNextOccurrence,
+  getUpcomingOccurrences,
+  describeRecurrence,
+} from '../utils/recurrence';
+import { localToUTC, utcToLocalDate, utcToLocalTime } from '../utils/datetime';
+
+describe('Recurrence Utilities', () => {
+  const rule = (overrides = {}) => ({
+    frequency: RECURRENCE_FREQUENCIES.DAILY,
+    interval: 1,
+    weekdays: [],
+    until: null,
+    count: null,
+    ...overrides,
+  });
+
+  describe('getNextOccurrence', () => {
+    it('should add interval days for daily rules', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      const next = getNextOccurrence(deadline, rule({ interval: 3 }));
+
+      expect(utcToLocalDate(next)).toBe('2025-06-13');
+      expect(utcToLocalTime(next)).toBe('17:00');
+    });
+
+    it('should add interval weeks for weekly rules without weekdays', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      const next = getNextOccurrence(deadline, rule({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, interval: 2 }));
+
+      expect(utcToLocalDate(next)).toBe('2025-06-24');
+    });
+
+    it('should pick the next selected weekday in the same week', () => {
+      // Tue Jun 10, 2025 -> next selected day Thu Jun 12
+      const deadline = localToUTC('2025-06-10', '09:00');
+
+      const next = getNextOccurrence(
+        deadline,
+        rule({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekdays: [2, 4] })
+      );
+
+      expect(utcToLocalDate(next)).toBe('2025-06-12');
+      expect(utcToLocalTime(next)).toBe('09:00');
+    });
+
+    it('should skip weeks outside the interval for weekday rules', () => {
+      // Thu Jun 12, 2025, every 2 weeks on Tue/Thu -> Tue Jun 24
+      const deadline = localToUTC('2025-06-12', '09:00');
+
+      const next = getNextOccurrence(
+        deadline,
+        rule({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, interval: 2, weekdays: [2, 4] })
+      );
+
+      expect(utcToLocalDate(next)).toBe('2025-06-24');
+    });
+
+    it('should add months and years', () => {
+      const deadline = localToUTC('2025-01-15', '10:00');
+
+      expect(utcToLocalDate(getNextOccurrence(deadline, rule({ frequency: RECURRENCE_FREQUENCIES.MONTHLY }))))
+        .toBe('2025-02-15');
+      expect(utcToLocalDate(getNextOccurrence(deadline, rule({ frequency: RECURRENCE_FREQUENCIES.YEARLY }))))
+        .toBe('2026-01-15');
+    });
+
+    it('should count from the series anchor so month-end dates do not drift', () => {
+      const monthly = rule({ frequency: RECURRENCE_FREQUENCIES.MONTHLY });
+      const anchor = { deadline: localToUTC('2027-01-31', '10:00'), occurrence: 1 };
+
+      const february = getNextOccurrence(anchor.deadline, monthly, 1, anchor);
+      const march = getNextOccurrence(february, monthly, 2, anchor);
+
+      expect(utcToLocalDate(february)).toBe('2027-02-28');
+      expect(utcToLocalDate(march)).toBe('2027-03-31');
+      expect(utcToLocalTime(march)).toBe('10:00');
+    });
+
+    it('should restart the series from a deadline moved off it', () => {
+      const monthly = rule({ frequency: RECURRENCE_FREQUENCIES.MONTHLY });
+      const anchor = { deadline: localToUTC('2027-01-31', '10:00'), occurrence: 1 };
+      const moved = localToUTC('2027-03-05', '10:00');
+
+      expect(utcToLocalDate(getNextOccurrence(moved, monthly, 3, anchor))).toBe('2027-04-05');
+    });
+
+    it('should return null after the until date', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+      const until = localToUTC('2025-06-10', '23:59');
+
+      expect(getNextOccurrence(deadline, rule({ until }))).toBe(null);
+    });
+
+    it('should return null once count is reached', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      expect(getNextOccurrence(deadline, rule({ count: 3 }), 2)).not.toBe(null);
+      expect(getNextOccurrence(deadline, rule({ count: 3 }), 3)).toBe(null);
+    });
+
+    it('should return null for missing or unknown rules', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      expect(getNextOccurrence(deadline, null)).toBe(null);
+      expect(getNextOccurrence(deadline, { frequency: 'hourly', interval: 1 })).toBe(null);
+    });
+  });
+
+  describe('getUpcomingOccurrences', () => {
+    it('should list the requested number of occurrences', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      const result = getUpcomingOccurrences(deadline, rule(), 3);
+
+      expect(result.map(utcToLocalDate)).toEqual(['2025-06-11', '2025-06-12', '2025-06-13']);
+    });
+
+    it('should stop when the rule ends', () => {
+      const deadline = localToUTC('2025-06-10', '17:00');
+
+      const result = getUpcomingOccurrences(deadline, rule({ count: 3 }), 5);
+
+      expect(result).toHaveLength(2);
+    });
+
+    it('should keep monthly rules on the 31st where the month has one', () => {
+      const deadline = localToUTC('2027-01-31', '10:00');
+
+      const result = getUpcomingOccurrences(deadline, rule({ frequency: RECURRENCE_FREQUENCIES.MONTHLY }), 4);
+
+      expect(result.map(utcToLocalDate)).toEqual(['2027-02-28', '2027-03-31', '2027-04-30', '2027-05-31']);
+    });
+
+    it('should keep yearly rules on Feb 29 in leap years', () => {
+      const deadline = localToUTC('2028-02-29', '10:00');
+
+      const result = getUpcomingOccurrences(deadline, rule({ frequency: RECURRENCE_FREQUENCIES.YEARLY }), 4);
+
+      expect(result.map(utcToLocalDate)).toEqual(['2029-02-28', '2030-02-28', '2031-02-28', '2032-02-29']);
+    });
+  });
+
+  describe('describeRecurrence', () => {
+    it('should describe simple rules', () => {
+      expect(describeRecurrence(rule())).toBe('Every day');
+      expect(describeRecurrence(rule({ frequency: RECURRENCE_FREQUENCIES.MONTHLY, interval: 2 })))
+        .toBe('Every 2 months');
+    });
+
+    it('should list weekdays in order for weekly rules', () => {
+      expect(describeRecurrence(rule({ frequency: RECURRENCE_FREQUENCIES.WEEKLY, weekdays: [3, 1] })))
+        .toBe('Every week on Mon, Wed');
+    });
+
+    it('should describe count and until endings', () => {
+      expect(describeRecurrence(rule({ count: 5 }))).toBe('Every day, 5 times');
+      expect(describeRecurrence(rule({ until: localToUTC('2025-12-31', '23:59') })))
+        .toBe('Every day, until Dec 31, 2025');
+    });
+
+    it('should return empty string for no rule', () => {
+      expect(describeRecurrence(null)).toBe('');
+    });
+  });
+});
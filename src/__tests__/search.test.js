@@ -0,0 +1,124 @@
+/**
+ * Tests for search utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  foldText,
+  parseSearchQuery,
+  matchesSearch,
+  searchTasks,
+  findMatchRanges,
+  splitHighlights,
+  getMatchExcerpt,
+} from '../utils/search';
+
+describe('Search Utilities', () => {
+  const tasks = [
+    { id: '1', title: 'Call vendor about invoice', description: 'Outstanding payment', tags: ['finance'] },
+    { id: '2', title: 'Café meeting', description: 'Discuss the Invoice template', tags: [] },
+    { id: '3', title: 'Write report', description: '', tags: ['work', 'reports'] },
+  ];
+
+  describe('foldText', () => {
+    it('should lowercase and strip diacritics', () => {
+      expect(foldText('Café Müller ÅNGSTRÖM')).toBe('cafe muller angstrom');
+    });
+
+    it('should return empty string for non-strings', () => {
+      expect(foldText(undefined)).toBe('');
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('should split on whitespace into unique folded terms', () => {
+      expect(parseSearchQuery('  Invoice   VENDOR invoice ')).toEqual(['invoice', 'vendor']);
+    });
+
+    it('should return no terms for a blank query', () => {
+      expect(parseSearchQuery('   ')).toEqual([]);
+    });
+  });
+
+  describe('matchesSearch', () => {
+    it('should require every term (AND query)', () => {
+      expect(matchesSearch(tasks[0], ['invoice', 'vendor'])).toBe(true);
+      expect(matchesSearch(tasks[1], ['invoice', 'vendor'])).toBe(false);
+    });
+
+    it('should match terms across title, description and tags', () => {
+      expect(matchesSearch(tasks[0], ['vendor', 'payment', 'finance'])).toBe(true);
+    });
+
+    it('should match every task when there are no terms', () => {
+      expect(matchesSearch(tasks[2], [])).toBe(true);
+    });
+  });
+
+  describe('searchTasks', () => {
+    it('should filter tasks keeping their order', () => {
+      expect(searchTasks(tasks, 'invoice').map(t => t.id)).toEqual(['1', '2']);
+      expect(searchTasks(tasks, 'invoice vendor').map(t => t.id)).toEqual(['1']);
+    });
+
+    it('should ignore accents in either the query or the task', () => {
+      expect(searchTasks(tasks, 'cafe').map(t => t.id)).toEqual(['2']);
+      expect(searchTasks(tasks, 'CAFÉ').map(t => t.id)).toEqual(['2']);
+    });
+
+    it('should find tasks by tag', () => {
+      expect(searchTasks(tasks, 'reports').map(t => t.id)).toEqual(['3']);
+    });
+
+    it('should return the same list for an empty query', () => {
+      expect(searchTasks(tasks, '')).toBe(tasks);
+    });
+  });
+
+  describe('findMatchRanges', () => {
+    it('should find every occurrence of every term', () => {
+      expect(findMatchRanges('ab xab', ['ab'])).toEqual([
+        { start: 0, end: 2 },
+        { start: 4, end: 6 },
+      ]);
+    });
+
+    it('should merge overlapping matches', () => {
+      expect(findMatchRanges('invoice', ['invo', 'voice'])).toEqual([{ start: 0, end: 7 }]);
+    });
+
+    it('should map folded matches back to the original text', () => {
+      // Decomposed "é" (e + combining accent) is two code units in the original
+      const text = 'Cafe\u0301 time';
+      expect(findMatchRanges(text, ['cafe'])).toEqual([{ start: 0, end: 5 }]);
+      expect(findMatchRanges(text, ['time'])).toEqual([{ start: 6, end: 10 }]);
+    });
+  });
+
+  describe('splitHighlights', () => {
+    it('should split text into plain and matching segments', () => {
+      expect(splitHighlights('Call Vendor now', ['vendor'])).toEqual([
+        { text: 'Call ', match: false },
+        { text: 'Vendor', match: true },
+        { text: ' now', match: false },
+      ]);
+    });
+
+    it('should return the whole text when nothing matches', () => {
+      expect(splitHighlights('Report', ['vendor'])).toEqual([{ text: 'Report', match: false }]);
+    });
+  });
+
+  describe('getMatchExcerpt', () => {
+    it('should cut text around the first match', () => {
+      const text = `${'a'.repeat(50)} invoice ${'b'.repeat(50)}`;
+
+      expect(getMatchExcerpt(text, ['invoice'], 5)).toBe('…aaaa invoice bbbb…');
+    });
+
+    it('should return empty string when nothing matches', () => {
+      expect(getMatchExcerpt('Nothing here', ['invoice'])).toBe('');
+      expect(getMatchExcerpt('', ['invoice'])).toBe('');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { registerServiceWorker, applyUpdate, isServiceWorkerSupported } from '../utils/serviceWorker';
+
+/**
+ * Minimal ServiceWorker / registration / container fakes built on EventTarget
+ */
+function createWorker(state = 'installing') {
+  const worker = new EventTarget();
+  worker.state = state;
+  worker.postMessage = vi.fn();
+  worker.setState = (next) => {
+    worker.state = next;
+    worker.dispatchEvent(new Event('statechange'));
+  };
+  return worker;
+}
+
+function createContainer({ controller = null, waiting = null } = {}) {
+  const registration = new EventTarget();
+  registration.waiting = waiting;
+  registration.installing = null;
+  registration.update = vi.fn(() => Promise.resolve());
+
+  const container = new EventTarget();
+  container.controller = controller;
+  container.register = vi.fn(() => Promise.resolve(registration));
+
+  return { container, registration };
+}
+
+describe('Service worker utilities', () => {
+  let fakes;
+
+  const install = (options) => {
+    fakes = createContainer(options);
+    Object.defineProperty(navigator, 'serviceWorker', { value: fakes.container, configurable: true });
+  };
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete navigator.serviceWorker;
+    vi.restoreAllMocks();
+  });
+
+  it('should do nothing when service workers are unsupported', async () => {
+    expect(isServiceWorkerSupported()).toBe(false);
+    const onUpdateReady = vi.fn();
+    const stop = await registerServiceWorker({ onUpdateReady });
+    expect(typeof stop).toBe('function');
+    expect(onUpdateReady).not.toHaveBeenCalled();
+  });
+
+  it('should register the worker script', async () => {
+    install();
+    const stop = await registerServiceWorker({ onUpdateReady: vi.fn(), url: '/sw.js' });
+    expect(fakes.container.register).toHaveBeenCalledWith('/sw.js');
+    stop();
+  });
+
+  it('should report a worker already waiting behind the current one', async () => {
+    const waiting = createWorker('installed');
+    install({ controller: createWorker('activated'), waiting });
+    const onUpdateReady = vi.fn();
+
+    const stop = await registerServiceWorker({ onUpdateReady });
+    expect(onUpdateReady).toHaveBeenCalledWith(waiting);
+    stop();
+  });
+
+  it('should report a new version once it finishes installing', async () => {
+    install({ controller: createWorker('activated') });
+    const onUpdateReady = vi.fn();
+    const stop = await registerServiceWorker({ onUpdateReady });
+
+    const worker = createWorker();
+    fakes.registration.installing = worker;
+    fakes.registration.dispatchEvent(new Event('updatefound'));
+    expect(onUpdateReady).not.toHaveBeenCalled();
+
+    fakes.registration.waiting = worker;
+    worker.setState('installed');
+    expect(onUpdateReady).toHaveBeenCalledWith(worker);
+    stop();
+  });
+
+  it('should not report the first install as an update', async () => {
+    install();
+    const onUpdateReady = vi.fn();
+    const stop = await registerServiceWorker({ onUpdateReady });
+
+    const worker = createWorker();
+    fakes.registration.installing = worker;
+    fakes.registration.dispatchEvent(new Event('updatefound'));
+    worker.setState('installed');
+
+    expect(onUpdateReady).not.toHaveBeenCalled();
+    stop();
+  });
+
+  it('should survive a failed registration', async () => {
+    install();
+    fakes.container.register.mockRejectedValue(new Error('blocked'));
+    const stop = await registerServiceWorker({ onUpdateReady: vi.fn() });
+    expect(typeof stop).toBe('function');
+    expect(console.error).toHaveBeenCalled();
+  });
+
+  it('should check for updates periodically until stopped', async () => {
+    vi.useFakeTimers();
+    try {
+      install();
+      const stop = await registerServiceWorker({ onUpdateReady: vi.fn() });
+
+      vi.advanceTimersByTime(60 * 60 * 1000);
+      expect(fakes.registration.update).toHaveBeenCalledTimes(1);
+
+      stop();
+      vi.advanceTimersByTime(60 * 60 * 1000);
+      expect(fakes.registration.update).toHaveBeenCalledTimes(1);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should activate the waiting worker and reload when it takes over', () => {
+    install({ controller: createWorker('activated') });
+    const reload = vi.fn();
+    vi.stubGlobal('location', { ...window.location, reload });
+
+    const worker = createWorker('installed');
+    applyUpdate(worker);
+    expect(worker.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+    expect(reload).not.toHaveBeenCalled();
+
+    fakes.container.dispatchEvent(new Event('controllerchange'));
+    expect(reload).toHaveBeenCalledTimes(1);
+
+    vi.unstubAllGlobals();
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for snooze utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  isSnoozed,
+  hideSnoozedTasks,
+  getNextWakeTime,
+  getSnoozePresets,
+  canSnoozeUntil
+} from '../utils/snooze';
+
+describe('snooze utilities', () => {
+  // Wednesday, Oct 14 2026, 10:00 local
+  const now = new Date(2026, 9, 14, 10, 0).getTime();
+  const at = (...args) => new Date(...args).toISOString();
+
+  const tasks = [
+    { id: 'a', startDate: null },
+    { id: 'b', startDate: at(2026, 9, 16, 9, 0) },
+    { id: 'c', startDate: at(2026, 9, 14, 9, 0) },
+    { id: 'd', startDate: at(2026, 9, 15, 9, 0) },
+    { id: 'e' }
+  ];
+
+  describe('isSnoozed / hideSnoozedTasks', () => {
+    it('hides only tasks whose start date is still ahead', () => {
+      expect(isSnoozed(tasks[1], now)).toBe(true);
+      expect(isSnoozed(tasks[2], now)).toBe(false);
+      expect(isSnoozed(tasks[4], now)).toBe(false);
+
+      expect(hideSnoozedTasks(tasks, now).map(t => t.id)).toEqual(['a', 'c', 'e']);
+    });
+  });
+
+  describe('getNextWakeTime', () => {
+    it('returns the earliest future start date', () => {
+      expect(getNextWakeTime(tasks, now)).toBe(new Date(2026, 9, 15, 9, 0).getTime());
+    });
+
+    it('returns null when nothing is snoozed', () => {
+      expect(getNextWakeTime([tasks[0], tasks[2]], now)).toBe(null);
+    });
+  });
+
+  describe('getSnoozePresets', () => {
+    it('offers tomorrow and next Monday at 9 AM local', () => {
+      const [tomorrow, nextMonday] = getSnoozePresets(now);
+
+      expect(tomorrow.startDate).toBe(at(2026, 9, 15, 9, 0));
+      expect(nextMonday.startDate).toBe(at(2026, 9, 19, 9, 0));
+    });
+
+    it('skips to the following Monday on a Monday', () => {
+      const monday = new Date(2026, 9, 19, 8, 0).getTime();
+
+      expect(getSnoozePresets(monday)[1].startDate).toBe(at(2026, 9, 26, 9, 0));
+    });
+  });
+
+  describe('canSnoozeUntil', () => {
+    it('needs a time between now and the deadline', () => {
+      const task = { deadline: at(2026, 9, 16, 18, 0) };
+
+      expect(canSnoozeUntil(task, at(2026, 9, 15, 9, 0), now)).toBe(true);
+      expect(canSnoozeUntil(task, at(2026, 9, 14, 9, 0), now)).toBe(false);
+      expect(canSnoozeUntil(task, at(2026, 9, 19, 9, 0), now)).toBe(false);
+    });
+  });
+});
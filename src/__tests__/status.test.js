@@ -0,0 +1,74 @@
+/**
+ * Tests for workflow status utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_STATUS_COLUMNS,
+  MAX_STATUS_COLUMNS,
+  validateStatusColumns,
+  createStatusId,
+  getTaskStatus,
+  getStatusLabel,
+  groupTasksByStatus
+} from '../utils/status';
+
+describe('status utilities', () => {
+  describe('validateStatusColumns', () => {
+    it('accepts the default columns', () => {
+      expect(validateStatusColumns(DEFAULT_STATUS_COLUMNS)).toEqual({ valid: true, error: null });
+    });
+
+    it('needs between one and the maximum number of columns', () => {
+      expect(validateStatusColumns([]).valid).toBe(false);
+      expect(validateStatusColumns(null).valid).toBe(false);
+
+      const tooMany = Array.from({ length: MAX_STATUS_COLUMNS + 1 }, (_, i) => ({ id: `c${i}`, label: `Column ${i}` }));
+      expect(validateStatusColumns(tooMany).valid).toBe(false);
+    });
+
+    it('rejects bad ids and empty or duplicate names', () => {
+      expect(validateStatusColumns([{ id: 'In Review', label: 'In review' }]).valid).toBe(false);
+      expect(validateStatusColumns([{ id: 'review', label: '   ' }]).valid).toBe(false);
+      expect(validateStatusColumns([{ id: 'a', label: 'A' }, { id: 'a', label: 'B' }]).error).toBe('Column ids must be unique');
+      expect(validateStatusColumns([{ id: 'a', label: 'Done' }, { id: 'b', label: 'done ' }]).error).toBe('Column names must be unique');
+    });
+  });
+
+  describe('createStatusId', () => {
+    it('slugifies the name and avoids ids in use', () => {
+      expect(createStatusId('In Review!', DEFAULT_STATUS_COLUMNS)).toBe('in-review');
+      expect(createStatusId('Done', DEFAULT_STATUS_COLUMNS)).toBe('done-2');
+      expect(createStatusId('', [])).toBe('column');
+    });
+  });
+
+  describe('getTaskStatus / getStatusLabel', () => {
+    it('falls back to the first column for missing or removed statuses', () => {
+      expect(getTaskStatus({ status: 'blocked' }, DEFAULT_STATUS_COLUMNS)).toBe('blocked');
+      expect(getTaskStatus({}, DEFAULT_STATUS_COLUMNS)).toBe('todo');
+      expect(getTaskStatus({ status: 'review' }, DEFAULT_STATUS_COLUMNS)).toBe('todo');
+
+      expect(getStatusLabel('in-progress', DEFAULT_STATUS_COLUMNS)).toBe('In progress');
+      expect(getStatusLabel('review', DEFAULT_STATUS_COLUMNS)).toBe('To do');
+    });
+  });
+
+  describe('groupTasksByStatus', () => {
+    it('returns every column in order, keeping task order', () => {
+      const tasks = [
+        { id: 'a', status: 'done' },
+        { id: 'b' },
+        { id: 'c', status: 'todo' },
+        { id: 'd', status: 'done' }
+      ];
+
+      const columns = groupTasksByStatus(tasks, DEFAULT_STATUS_COLUMNS);
+
+      expect(columns.map(column => column.label)).toEqual(['To do', 'In progress', 'Blocked', 'Done']);
+      expect(columns[0].tasks.map(t => t.id)).toEqual(['b', 'c']);
+      expect(columns[1].tasks).toEqual([]);
+      expect(columns[3].tasks.map(t => t.id)).toEqual(['a', 'd']);
+    });
+  });
+});
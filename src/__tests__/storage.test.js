@@ -1,11 +1,17 @@
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
 import {
   getFromStorage,
   saveToStorage,
   removeFromStorage,
   isStorageAvailable,
+  getStorageAdapter,
+  setStorageAdapter,
+  migrateStorage,
+  initStorage,
   STORAGE_KEYS,
 } from '../utils/storage';
+import { createLocalStorageAdapter, createMemoryAdapter } from '../utils/storageAdapters';
 
 describe('Storage Utilities', () => {
   beforeEach(() => {
@@ -18,6 +24,7 @@ describe('Storage Utilities', () => {
       expect(STORAGE_KEYS.TASKS).toBe('NINAD_TASKS_V1');
       expect(STORAGE_KEYS.PREFS).toBe('NINAD_PREFS_V1');
       expect(STORAGE_KEYS.BACKUP).toBe('NINAD_TASKS_BACKUP_V1');
+      expect(STORAGE_KEYS.ARCHIVE).toBe('NINAD_ARCHIVE_V1');
     });
   });
 
@@ -142,4 +149,75 @@ describe('Storage Utilities', () => {
     });
   });
 
+
+  describe('storage adapters', () => {
+    afterEach(() => {
+      setStorageAdapter(createLocalStorageAdapter());
+    });
+
+    it('should read and write through the active adapter', () => {
+      const memory = createMemoryAdapter();
+      setStorageAdapter(memory);
+
+      saveToStorage(STORAGE_KEYS.PREFS, { sortMode: 'priority' });
+
+      expect(getFromStorage(STORAGE_KEYS.PREFS)).toEqual({ sortMode: 'priority' });
+      expect(memory.getItem(STORAGE_KEYS.PREFS)).toBe('{"sortMode":"priority"}');
+      expect(localStorage.getItem(STORAGE_KEYS.PREFS)).toBe(null);
+    });
+
+    it('should migrate NearZero keys once and leave the source intact', () => {
+      const source = createMemoryAdapter({
+        [STORAGE_KEYS.TASKS]: '[{"id":"1"}]',
+        NINAD_DEMO_MODE: 'false',
+        unrelated: 'x',
+      });
+      const target = createMemoryAdapter();
+
+      expect(migrateStorage(source, target)).toBe(true);
+      expect(target.getItem(STORAGE_KEYS.TASKS)).toBe('[{"id":"1"}]');
+      expect(target.getItem('NINAD_DEMO_MODE')).toBe('false');
+      expect(target.getItem('unrelated')).toBe(null);
+      expect(source.getItem(STORAGE_KEYS.TASKS)).toBe('[{"id":"1"}]');
+
+      source.setItem(STORAGE_KEYS.TASKS, '[]');
+      expect(migrateStorage(source, target)).toBe(false);
+      expect(target.getItem(STORAGE_KEYS.TASKS)).toBe('[{"id":"1"}]');
+    });
+
+    it('should move values the target rejects to the backup key', () => {
+      const source = createMemoryAdapter({ [STORAGE_KEYS.TASKS]: 'invalid-json{]' });
+      const target = createMemoryAdapter();
+      const setItem = target.setItem;
+      target.setItem = (key, value) => {
+        if (key === STORAGE_KEYS.TASKS) throw new Error('rejected');
+        setItem(key, value);
+      };
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+
+      migrateStorage(source, target);
+
+      expect(target.getItem(STORAGE_KEYS.BACKUP)).toBe('invalid-json{]');
+      console.error.mockRestore();
+    });
+
+    it('should switch to IndexedDB and migrate localStorage tasks', async () => {
+      localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify([{ id: 'legacy', title: 'Old task' }]));
+
+      const adapter = await initStorage({ indexedDB: new IDBFactory() });
+
+      expect(adapter.name).toBe('indexedDB');
+      expect(getStorageAdapter()).toBe(adapter);
+      expect(getFromStorage(STORAGE_KEYS.TASKS)).toEqual([{ id: 'legacy', title: 'Old task' }]);
+    });
+
+    it('should keep localStorage when IndexedDB is unavailable', async () => {
+      vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const adapter = await initStorage({ indexedDB: null });
+
+      expect(adapter.name).toBe('localStorage');
+      console.warn.mockRestore();
+    });
+  });
 });
@@ -0,0 +1,164 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import {
+  createLocalStorageAdapter,
+  createMemoryAdapter,
+  openIndexedDBAdapter,
+} from '../utils/storageAdapters';
+import { getStorageAdapter, setStorageAdapter, saveToStorage } from '../utils/storage';
+
+const TASKS_KEY = 'NINAD_TASKS_V1';
+
+const task = (id, title, createdAt = '2025-01-01T00:00:00Z') => ({ id, title, createdAt });
+
+describe('Storage Adapters', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  // Every adapter must behave like a Storage object
+  describe.each([
+    ['memory', async () => createMemoryAdapter()],
+    ['localStorage', async () => createLocalStorageAdapter()],
+    ['indexedDB', async () => openIndexedDBAdapter({ indexedDB: new IDBFactory() })],
+  ])('%s adapter', (_name, create) => {
+    it('should store, list and remove string values', async () => {
+      const adapter = await create();
+
+      adapter.setItem('NINAD_PREFS_V1', '{"density":"compact"}');
+
+      expect(adapter.getItem('NINAD_PREFS_V1')).toBe('{"density":"compact"}');
+      expect(adapter.keys()).toContain('NINAD_PREFS_V1');
+
+      adapter.removeItem('NINAD_PREFS_V1');
+      expect(adapter.getItem('NINAD_PREFS_V1')).toBe(null);
+    });
+
+    it('should return null for missing keys', async () => {
+      const adapter = await create();
+
+      expect(adapter.getItem('missing')).toBe(null);
+    });
+  });
+
+  describe('createMemoryAdapter', () => {
+    it('should start with initial values', () => {
+      const adapter = createMemoryAdapter({ a: '1' });
+
+      expect(adapter.getItem('a')).toBe('1');
+    });
+  });
+
+  describe('openIndexedDBAdapter', () => {
+    let idb;
+
+    beforeEach(() => {
+      idb = new IDBFactory();
+    });
+
+    it('should persist values across reopen', async () => {
+      const first = await openIndexedDBAdapter({ indexedDB: idb });
+      first.setItem('NINAD_PREFS_V1', '{"theme":"dark"}');
+      first.setItem(TASKS_KEY, JSON.stringify([task('b', 'Second', '2025-01-02T00:00:00Z'), task('a', 'First')]));
+      await first.flush();
+
+      const second = await openIndexedDBAdapter({ indexedDB: idb });
+
+      expect(second.getItem('NINAD_PREFS_V1')).toBe('{"theme":"dark"}');
+      // Task records come back oldest first
+      expect(JSON.parse(second.getItem(TASKS_KEY)).map(t => t.id)).toEqual(['a', 'b']);
+    });
+
+    it('should write only changed task records', async () => {
+      const adapter = await openIndexedDBAdapter({ indexedDB: idb });
+      adapter.setItem(TASKS_KEY, JSON.stringify([task('a', 'A'), task('b', 'B')]));
+      await adapter.flush();
+
+      adapter.setItem(TASKS_KEY, JSON.stringify([task('a', 'A edited')]));
+      await adapter.flush();
+
+      const db = await new Promise((resolve) => {
+        const request = idb.open('NINAD_DB');
+        request.onsuccess = () => resolve(request.result);
+      });
+      const records = await new Promise((resolve) => {
+        const request = db.transaction('tasks').objectStore('tasks').getAll();
+        request.onsuccess = () => resolve(request.result);
+      });
+      db.close();
+
+      expect(records).toEqual([task('a', 'A edited')]);
+    });
+
+    it('should reject task lists without ids', async () => {
+      const adapter = await openIndexedDBAdapter({ indexedDB: idb });
+
+      expect(() => adapter.setItem(TASKS_KEY, '{"not":"a list"}')).toThrow();
+      expect(() => adapter.setItem(TASKS_KEY, '[{"title":"no id"}]')).toThrow();
+      expect(adapter.getItem(TASKS_KEY)).toBe(null);
+    });
+
+    describe('write failures', () => {
+      let previousAdapter;
+
+      beforeEach(() => {
+        previousAdapter = getStorageAdapter();
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+      });
+
+      afterEach(() => {
+        setStorageAdapter(previousAdapter);
+        vi.restoreAllMocks();
+      });
+
+      /**
+       * Make the next put abort its transaction
+       */
+      const abortNextPut = () => {
+        vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementationOnce(function () {
+          this.transaction.abort();
+        });
+      };
+
+      it('should report a failed write on the next save and keep the queue going', async () => {
+        const adapter = await openIndexedDBAdapter({ indexedDB: idb });
+        setStorageAdapter(adapter);
+
+        abortNextPut();
+        expect(saveToStorage(TASKS_KEY, [task('a', 'A')])).toBe(true);
+        await adapter.flush();
+
+        expect(saveToStorage(TASKS_KEY, [task('a', 'A'), task('b', 'B')])).toBe(false);
+        expect(saveToStorage(TASKS_KEY, [task('a', 'A'), task('b', 'B')])).toBe(true);
+        await adapter.flush();
+
+        const reopened = await openIndexedDBAdapter({ indexedDB: idb });
+        // The record lost by the failed write is written on the retry
+        expect(JSON.parse(reopened.getItem(TASKS_KEY)).map(t => t.id)).toEqual(['a', 'b']);
+      });
+
+      it('should reopen the connection after another tab deletes the database', async () => {
+        const adapter = await openIndexedDBAdapter({ indexedDB: idb });
+        adapter.setItem('NINAD_PREFS_V1', '{"theme":"light"}');
+        await adapter.flush();
+
+        // Blocked unless the adapter closes its connection on versionchange
+        await new Promise((resolve, reject) => {
+          const request = idb.deleteDatabase('NINAD_DB');
+          request.onsuccess = () => resolve();
+          request.onblocked = () => reject(new Error('blocked'));
+        });
+
+        adapter.setItem('NINAD_PREFS_V1', '{"theme":"dark"}');
+        await adapter.flush();
+
+        const reopened = await openIndexedDBAdapter({ indexedDB: idb });
+        expect(reopened.getItem('NINAD_PREFS_V1')).toBe('{"theme":"dark"}');
+      });
+    });
+
+    it('should fail when IndexedDB is missing', async () => {
+      await expect(openIndexedDBAdapter({ indexedDB: null })).rejects.toThrow('IndexedDB is not available');
+    });
+  });
+});
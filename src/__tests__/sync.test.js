@@ -0,0 +1,280 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import {
+  SYNC_CHANNEL,
+  diffRecords,
+  diffFields,
+  applyRecordChanges,
+  applyFieldChanges,
+  createSyncMessage,
+  formatConflictMessage,
+  startSync,
+} from '../utils/sync';
+import { getFromStorage, saveToStorage, STORAGE_KEYS } from '../utils/storage';
+
+describe('Cross-tab Sync', () => {
+  const task = (id, title, lastModified = '2025-01-01T00:00:00Z') => ({ id, title, lastModified });
+
+  describe('diffRecords / diffFields', () => {
+    it('should list added, edited and removed tasks', () => {
+      const a = task('a', 'A');
+      const b = task('b', 'B');
+      const edited = task('a', 'A2', '2025-01-02T00:00:00Z');
+      const c = task('c', 'C');
+
+      expect(diffRecords([a, b], [edited, c])).toEqual([
+        { id: 'a', before: a, after: edited },
+        { id: 'b', before: b, after: null },
+        { id: 'c', before: null, after: c },
+      ]);
+    });
+
+    it('should list changed preference fields', () => {
+      expect(diffFields({ sortMode: 'deadline', theme: 'dark' }, { sortMode: 'priority', theme: 'dark' }))
+        .toEqual([{ id: 'sortMode', before: 'deadline', after: 'priority' }]);
+    });
+  });
+
+  describe('applyRecordChanges', () => {
+    it('should apply changes made only in the other tab', () => {
+      const a = task('a', 'A');
+      const edited = task('a', 'A2', '2025-01-02T00:00:00Z');
+      const c = task('c', 'C');
+
+      const result = applyRecordChanges([a], [
+        { id: 'a', before: a, after: edited },
+        { id: 'c', before: null, after: c },
+      ]);
+
+      expect(result.records).toEqual([edited, c]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should ignore changes that are already applied', () => {
+      const a = task('a', 'A');
+
+      const result = applyRecordChanges([a], [{ id: 'a', before: null, after: a }]);
+
+      expect(result.records).toEqual([a]);
+      expect(result.conflicts).toEqual([]);
+    });
+
+    it('should keep the newer copy when both tabs edited a task', () => {
+      const base = task('a', 'Base');
+      const older = task('a', 'Older', '2025-01-02T00:00:00Z');
+      const newer = task('a', 'Newer', '2025-01-03T00:00:00Z');
+
+      const remoteWins = applyRecordChanges([older], [{ id: 'a', before: base, after: newer }]);
+      expect(remoteWins.records).toEqual([newer]);
+      expect(remoteWins.conflicts).toEqual([{ id: 'a', title: 'Newer', kept: 'remote' }]);
+
+      const localWins = applyRecordChanges([newer], [{ id: 'a', before: base, after: older }]);
+      expect(localWins.records).toEqual([newer]);
+      expect(localWins.conflicts).toEqual([{ id: 'a', title: 'Older', kept: 'local' }]);
+    });
+
+    it('should break lastModified ties the same way in both tabs', () => {
+      const base = task('a', 'Base');
+      const mine = task('a', 'Mine', '2025-01-02T00:00:00Z');
+      const theirs = task('a', 'Theirs', '2025-01-02T00:00:00Z');
+
+      const here = applyRecordChanges([mine], [{ id: 'a', before: base, after: theirs }]);
+      const there = applyRecordChanges([theirs], [{ id: 'a', before: base, after: mine }]);
+
+      expect(here.records).toEqual(there.records);
+    });
+
+    it('should prefer an edit over a concurrent delete', () => {
+      const base = task('a', 'Base');
+      const edited = task('a', 'Edited', '2025-01-02T00:00:00Z');
+
+      expect(applyRecordChanges([edited], [{ id: 'a', before: base, after: null }]).records).toEqual([edited]);
+      expect(applyRecordChanges([], [{ id: 'a', before: base, after: edited }]).records).toEqual([edited]);
+    });
+  });
+
+  describe('applyFieldChanges', () => {
+    it('should set and remove fields', () => {
+      const result = applyFieldChanges(
+        { sortMode: 'deadline', theme: 'dark' },
+        [{ id: 'sortMode', before: 'deadline', after: 'priority' }, { id: 'theme', before: 'dark', after: null }]
+      );
+
+      expect(result).toEqual({ sortMode: 'priority' });
+    });
+  });
+
+  describe('createSyncMessage', () => {
+    it('should only build messages for synced keys with changes', () => {
+      expect(createSyncMessage(STORAGE_KEYS.TASKS, '[]', JSON.stringify([task('a', 'A')])).changes).toHaveLength(1);
+      expect(createSyncMessage(STORAGE_KEYS.TASKS, '[]', '[]')).toBe(null);
+      expect(createSyncMessage(STORAGE_KEYS.BACKUP, '[]', '[1]')).toBe(null);
+    });
+  });
+
+  describe('formatConflictMessage', () => {
+    it('should name the task for a single conflict', () => {
+      expect(formatConflictMessage([{ title: 'Report', kept: 'remote' }]))
+        .toBe('"Report" was edited in two tabs - kept the newer version from another tab');
+      expect(formatConflictMessage([])).toBe('');
+    });
+
+    it('should explain a change skipped for forming a cycle', () => {
+      expect(formatConflictMessage([{ title: 'Report', kept: 'local', cycle: true }]))
+        .toBe('A change to "Report" from another tab would make tasks block each other - kept the version from this tab');
+    });
+  });
+
+  describe('startSync', () => {
+    let channel;
+    let stop;
+
+    const createChannel = (name) => {
+      channel = {
+        name,
+        listeners: [],
+        postMessage: vi.fn(),
+        addEventListener: (type, listener) => channel.listeners.push(listener),
+        removeEventListener: vi.fn(),
+        close: vi.fn(),
+      };
+      return channel;
+    };
+
+    const receive = (data) => channel.listeners.forEach(listener => listener({ data }));
+
+    beforeEach(() => {
+      localStorage.clear();
+    });
+
+    afterEach(() => {
+      stop?.();
+    });
+
+    it('should broadcast local task changes', () => {
+      stop = startSync({ createChannel });
+
+      saveToStorage(STORAGE_KEYS.TASKS, [task('a', 'A')]);
+
+      expect(channel.name).toBe(SYNC_CHANNEL);
+      expect(channel.postMessage).toHaveBeenCalledWith({
+        key: STORAGE_KEYS.TASKS,
+        changes: [{ id: 'a', before: null, after: task('a', 'A') }],
+      });
+    });
+
+    it('should apply remote changes without echoing them and report conflicts', () => {
+      const onRemoteChange = vi.fn();
+      saveToStorage(STORAGE_KEYS.TASKS, [task('a', 'Local edit', '2025-01-02T00:00:00Z')]);
+      stop = startSync({ createChannel, onRemoteChange });
+
+      receive({
+        key: STORAGE_KEYS.TASKS,
+        changes: [
+          { id: 'a', before: task('a', 'Base'), after: task('a', 'Remote edit', '2025-01-03T00:00:00Z') },
+          { id: 'b', before: null, after: task('b', 'New') },
+        ],
+      });
+
+      expect(getFromStorage(STORAGE_KEYS.TASKS).map(t => t.title)).toEqual(['Remote edit', 'New']);
+      expect(channel.postMessage).not.toHaveBeenCalled();
+      expect(onRemoteChange).toHaveBeenCalledWith({
+        key: STORAGE_KEYS.TASKS,
+        conflicts: [{ id: 'a', title: 'Remote edit', kept: 'remote' }],
+      });
+    });
+
+    it('should keep the local task when a remote change would close a blocked-by cycle', () => {
+      const onRemoteChange = vi.fn();
+      // This tab made A wait for B while the other tab made B wait for A
+      const localA = { ...task('a', 'A', '2025-01-02T00:00:00Z'), blockedBy: ['b'] };
+      saveToStorage(STORAGE_KEYS.TASKS, [localA, { ...task('b', 'B'), blockedBy: [] }]);
+      stop = startSync({ createChannel, onRemoteChange });
+
+      receive({
+        key: STORAGE_KEYS.TASKS,
+        changes: [{
+          id: 'b',
+          before: { ...task('b', 'B'), blockedBy: [] },
+          after: { ...task('b', 'B', '2025-01-03T00:00:00Z'), blockedBy: ['a'] },
+        }],
+      });
+
+      expect(getFromStorage(STORAGE_KEYS.TASKS).map(t => t.blockedBy)).toEqual([['b'], []]);
+      expect(onRemoteChange).toHaveBeenCalledWith({
+        key: STORAGE_KEYS.TASKS,
+        conflicts: [{ id: 'b', title: 'B', kept: 'local', cycle: true }],
+      });
+    });
+
+    it('should merge remote preference changes', () => {
+      const onRemoteChange = vi.fn();
+      saveToStorage(STORAGE_KEYS.PREFS, { sortMode: 'deadline', density: 'compact' });
+      stop = startSync({ createChannel, onRemoteChange });
+
+      receive({ key: STORAGE_KEYS.PREFS, changes: [{ id: 'theme', before: null, after: 'dark' }] });
+
+      expect(getFromStorage(STORAGE_KEYS.PREFS)).toEqual({ sortMode: 'deadline', density: 'compact', theme: 'dark' });
+      expect(onRemoteChange).toHaveBeenCalledWith({ key: STORAGE_KEYS.PREFS, conflicts: [] });
+    });
+
+    it('should stop broadcasting after stop', () => {
+      startSync({ createChannel })();
+
+      saveToStorage(STORAGE_KEYS.TASKS, [task('a', 'A')]);
+
+      expect(channel.postMessage).not.toHaveBeenCalled();
+      expect(channel.close).toHaveBeenCalled();
+    });
+
+    describe('without BroadcastChannel', () => {
+      beforeEach(() => {
+        vi.stubGlobal('BroadcastChannel', undefined);
+      });
+
+      afterEach(() => {
+        vi.unstubAllGlobals();
+      });
+
+      /**
+       * Simulate another tab writing a task list
+       * @param {Array} previous - List before its write
+       * @param {Array} next - List it wrote
+       */
+      const writeFromOtherTab = (previous, next) => {
+        const oldValue = JSON.stringify(previous);
+        const newValue = JSON.stringify(next);
+        localStorage.setItem(STORAGE_KEYS.TASKS, newValue);
+        window.dispatchEvent(new StorageEvent('storage', { key: STORAGE_KEYS.TASKS, oldValue, newValue }));
+      };
+
+      it('should put back a task another tab overwrote with an older copy', () => {
+        const onRemoteChange = vi.fn();
+        const mine = task('a', 'My edit', '2025-01-03T00:00:00Z');
+        saveToStorage(STORAGE_KEYS.TASKS, [mine, task('b', 'B')]);
+        stop = startSync({ onRemoteChange });
+
+        writeFromOtherTab(
+          [mine, task('b', 'B')],
+          [task('a', 'Stale', '2025-01-02T00:00:00Z'), task('b', 'Their edit', '2025-01-04T00:00:00Z')]
+        );
+
+        expect(getFromStorage(STORAGE_KEYS.TASKS).map(t => t.title)).toEqual(['My edit', 'Their edit']);
+        expect(onRemoteChange).toHaveBeenCalledWith({
+          key: STORAGE_KEYS.TASKS,
+          conflicts: [{ id: 'a', title: 'My edit', kept: 'local' }],
+        });
+      });
+
+      it('should report plain remote changes without conflicts', () => {
+        const onRemoteChange = vi.fn();
+        saveToStorage(STORAGE_KEYS.TASKS, [task('a', 'A')]);
+        stop = startSync({ onRemoteChange });
+
+        writeFromOtherTab([task('a', 'A')], []);
+
+        expect(getFromStorage(STORAGE_KEYS.TASKS)).toEqual([]);
+        expect(onRemoteChange).toHaveBeenCalledWith({ key: STORAGE_KEYS.TASKS, conflicts: [] });
+      });
+    });
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * Tests for tag utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeTag,
+  parseTagInput,
+  collectTags,
+  suggestTags,
+  filterTasksByTags,
+} from '../utils/tags';
+
+describe('Tag Utilities', () => {
+  describe('normalizeTag', () => {
+    it('should trim, lowercase and dash-separate words', () => {
+      expect(normalizeTag('  Client   X ')).toBe('client-x');
+    });
+
+    it('should drop a leading hash', () => {
+      expect(normalizeTag('#Ops')).toBe('ops');
+    });
+
+    it('should return empty string for non-strings', () => {
+      expect(normalizeTag(null)).toBe('');
+      expect(normalizeTag(5)).toBe('');
+    });
+  });
+
+  describe('parseTagInput', () => {
+    it('should split on commas and remove blanks and duplicates', () => {
+      expect(parseTagInput('Work, ops,, #work , Home')).toEqual(['work', 'ops', 'home']);
+    });
+
+    it('should handle empty input', () => {
+      expect(parseTagInput('')).toEqual([]);
+      expect(parseTagInput(undefined)).toEqual([]);
+    });
+  });
+
+  describe('collectTags', () => {
+    it('should count tags across tasks sorted alphabetically', () => {
+      const tasks = [
+        { id: '1', tags: ['work', 'urgent'] },
+        { id: '2', tags: ['work'] },
+        { id: '3' },
+      ];
+
+      expect(collectTags(tasks)).toEqual([
+        { tag: 'urgent', count: 1 },
+        { tag: 'work', count: 2 },
+      ]);
+    });
+  });
+
+  describe('suggestTags', () => {
+    const available = ['homework', 'work', 'workout', 'home'];
+
+    it('should rank prefix matches before other matches', () => {
+      expect(suggestTags(available, 'wor')).toEqual(['work', 'workout', 'homework']);
+    });
+
+    it('should skip excluded tags and respect the limit', () => {
+      expect(suggestTags(available, 'wor', ['work'], 1)).toEqual(['workout']);
+    });
+
+    it('should return nothing for an empty query', () => {
+      expect(suggestTags(available, '  ')).toEqual([]);
+    });
+  });
+
+  describe('filterTasksByTags', () => {
+    const tasks = [
+      { id: '1', tags: ['work', 'urgent'] },
+      { id: '2', tags: ['work'] },
+      { id: '3', tags: [] },
+      { id: '4' },
+    ];
+
+    it('should return all tasks when no tags are active', () => {
+      expect(filterTasksByTags(tasks, [])).toBe(tasks);
+    });
+
+    it('should keep tasks that have every active tag', () => {
+      expect(filterTasksByTags(tasks, ['work']).map(t => t.id)).toEqual(['1', '2']);
+      expect(filterTasksByTags(tasks, ['work', 'urgent']).map(t => t.id)).toEqual(['1']);
+    });
+  });
+});
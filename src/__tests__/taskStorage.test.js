@@ -1,20 +1,34 @@
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import dayjs from 'dayjs';
 import {
   createTask,
   updateTask,
   deleteTask,
   completeTask,
+  restoreTask,
+  purgeArchivedTask,
+  clearArchive,
   importTasks,
   exportTasksFromStorage,
   clearAllTasks,
+  replaceAllTasks,
+  undoLastChange,
+  redoLastChange,
+  canUndo,
+  canRedo,
+  clearHistory,
+  migrateStoredData,
 } from '../utils/taskStorage';
-import { getAllTasks } from '../utils/tasks';
+import { getAllTasks, getArchivedTasks } from '../utils/tasks';
+import { setStorageAdapter, getFromStorage, saveToStorage, STORAGE_KEYS } from '../utils/storage';
+import { CURRENT_SCHEMA_VERSION, MIGRATIONS } from '../utils/migrations';
+import { createLocalStorageAdapter, createMemoryAdapter } from '../utils/storageAdapters';
 
 describe('Task Storage Operations', () => {
   beforeEach(() => {
     // Clear localStorage before each test
     localStorage.clear();
+    clearHistory();
   });
 
   describe('createTask', () => {
@@ -136,6 +150,29 @@ describe('Task Storage Operations', () => {
       expect(result.errors).toContain('Task not found');
     });
 
+    it('should reject blocked-by links that form a cycle', () => {
+      const deadline = dayjs().add(1, 'day').toISOString();
+      const first = createTask({ title: 'First', deadline }).task;
+      const second = createTask({ title: 'Second', deadline, blockedBy: [first.id] }).task;
+
+      const result = updateTask(first.id, { blockedBy: [second.id] });
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/cycle/);
+      expect(getAllTasks()[0].blockedBy).toEqual([]);
+    });
+
+    it('should still update tasks outside a cycle already in storage', () => {
+      const deadline = dayjs().add(1, 'day').toISOString();
+      const first = createTask({ title: 'First', deadline }).task;
+      const second = createTask({ title: 'Second', deadline, blockedBy: [first.id] }).task;
+      const third = createTask({ title: 'Third', deadline, blockedBy: [first.id] }).task;
+      saveToStorage(STORAGE_KEYS.TASKS, [{ ...first, blockedBy: [second.id] }, second, third]);
+
+      expect(updateTask(third.id, { title: 'Third edited' }).success).toBe(true);
+      expect(updateTask(second.id, { title: 'Second edited' }).success).toBe(false);
+    });
+
     it('should return error for invalid update', () => {
       const taskData = {
         title: 'Task',
@@ -207,7 +244,7 @@ describe('Task Storage Operations', () => {
   });
 
   describe('completeTask', () => {
-    it('should mark task as completed and remove from storage', () => {
+    it('should mark task as completed and move it to the archive', () => {
       const taskData = {
         title: 'Task to complete',
         description: 'Will be completed',
@@ -223,19 +260,160 @@ describe('Task Storage Operations', () => {
       expect(completeResult.success).toBe(true);
       expect(completeResult.errors).toEqual([]);
 
-      // Verify removed from storage
+      // Verify removed from active tasks
       const tasks = getAllTasks();
       expect(tasks.length).toBe(0);
+
+      // Verify kept in archive with completion timestamp
+      const archived = getArchivedTasks();
+      expect(archived.length).toBe(1);
+      expect(archived[0].id).toBe(taskId);
+      expect(archived[0].isCompleted).toBe(true);
+      expect(archived[0].completedAt).toBeDefined();
+      expect(completeResult.task).toEqual(archived[0]);
+    });
+
+    it('should schedule the next occurrence of a recurring task', () => {
+      const { task } = createTask({
+        title: 'Monthly invoice',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+        recurrence: { frequency: 'monthly', interval: 1, weekdays: [], until: null, count: null },
+      });
+
+      const result = completeTask(task.id);
+
+      expect(result.success).toBe(true);
+      expect(result.nextTask).toBeDefined();
+
+      const tasks = getAllTasks();
+      expect(tasks.length).toBe(1);
+      expect(tasks[0].id).toBe(result.nextTask.id);
+      expect(tasks[0].title).toBe('Monthly invoice');
+      expect(getArchivedTasks()[0].id).toBe(task.id);
+    });
+
+    it('should save updates with the completion as one undo step', () => {
+      const { task } = createTask({
+        title: 'Pack',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        checklist: [
+          { id: 'a', text: 'Passport', done: true },
+          { id: 'b', text: 'Charger', done: false },
+        ],
+      });
+      const checklist = task.checklist.map(item => ({ ...item, done: true }));
+
+      const result = completeTask(task.id, { checklist });
+
+      expect(result.success).toBe(true);
+      expect(getArchivedTasks()[0].checklist.every(item => item.done)).toBe(true);
+
+      undoLastChange();
+
+      expect(getAllTasks()).toEqual([task]);
+      expect(getArchivedTasks()).toEqual([]);
+      expect(canUndo()).toBe(true);
+      undoLastChange();
+      expect(getAllTasks()).toEqual([]);
     });
 
     it('should return error if task not found', () => {
       const result = completeTask('non-existent');
 
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Task not found');
+      expect(getArchivedTasks()).toEqual([]);
+    });
+  });
+
+  describe('restoreTask', () => {
+    it('should move an archived task back to active tasks', () => {
+      const { task } = createTask({
+        title: 'Restore me',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+      });
+      completeTask(task.id);
+
+      const result = restoreTask(task.id);
+
+      expect(result.success).toBe(true);
+      expect(result.task.isCompleted).toBe(false);
+      expect(getArchivedTasks()).toEqual([]);
+
+      const tasks = getAllTasks();
+      expect(tasks.length).toBe(1);
+      expect(tasks[0].id).toBe(task.id);
+      expect(tasks[0].completedAt).toBeUndefined();
+    });
+
+    it('should refuse a restore that would close a blocked-by cycle', () => {
+      const deadline = dayjs().add(1, 'day').toISOString();
+      const first = createTask({ title: 'First', deadline }).task;
+      const second = createTask({ title: 'Second', deadline, blockedBy: [first.id] }).task;
+      completeTask(first.id);
+      // While First was archived, nothing stopped it from waiting on Second
+      saveToStorage(STORAGE_KEYS.ARCHIVE, [{ ...getArchivedTasks()[0], blockedBy: [second.id] }]);
+
+      const result = restoreTask(first.id);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/cycle/);
+      expect(getAllTasks()).toEqual([second]);
+      expect(getArchivedTasks()).toHaveLength(1);
+    });
+
+    it('should return error if task not in archive', () => {
+      const result = restoreTask('non-existent');
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Task not found');
+    });
+  });
+
+  describe('purgeArchivedTask', () => {
+    it('should permanently remove a task from the archive', () => {
+      const { task } = createTask({
+        title: 'Purge me',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+      });
+      completeTask(task.id);
+
+      const result = purgeArchivedTask(task.id);
+
+      expect(result.success).toBe(true);
+      expect(getArchivedTasks()).toEqual([]);
+      expect(getAllTasks()).toEqual([]);
+    });
+
+    it('should return error if task not in archive', () => {
+      const result = purgeArchivedTask('non-existent');
+
       expect(result.success).toBe(false);
       expect(result.errors).toContain('Task not found');
     });
   });
 
+  describe('clearArchive', () => {
+    it('should remove every archived task', () => {
+      const { task } = createTask({
+        title: 'Done',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+      });
+      completeTask(task.id);
+
+      expect(clearArchive()).toBe(true);
+      expect(getArchivedTasks()).toEqual([]);
+    });
+  });
+
   describe('importTasks', () => {
     it('should import valid tasks and save to storage', () => {
       const importedTasks = [
@@ -350,6 +528,50 @@ describe('Task Storage Operations', () => {
       const tasks = getAllTasks();
       expect(tasks.length).toBe(1);
     });
+
+    it('should put completed imports in the archive', () => {
+      const imported = (id, isCompleted) => ({
+        id,
+        title: `Task ${id}`,
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+        isCompleted,
+        createdAt: dayjs().toISOString(),
+        lastModified: dayjs().toISOString(),
+        schemaVersion: 1,
+      });
+
+      const result = importTasks([imported('open', false), imported('done', true)]);
+
+      expect(result.success).toBe(true);
+      expect(getAllTasks().map(task => task.id)).toEqual(['open']);
+      expect(getArchivedTasks().map(task => task.id)).toEqual(['done']);
+    });
+
+    it('should reject imports whose blocked-by links form a cycle', () => {
+      const imported = (id, blockedBy) => ({
+        id,
+        title: `Task ${id}`,
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 2,
+        blockedBy,
+        isCompleted: false,
+        createdAt: dayjs().toISOString(),
+        lastModified: dayjs().toISOString(),
+        schemaVersion: 1,
+      });
+
+      const result = importTasks([imported('a', ['b']), imported('b', ['a'])]);
+
+      expect(result.success).toBe(false);
+      expect(result.errors[0]).toMatch(/cycle/);
+      expect(getAllTasks()).toEqual([]);
+
+      expect(replaceAllTasks([imported('a', ['b']), imported('b', ['a'])]).success).toBe(false);
+      expect(getAllTasks()).toEqual([]);
+    });
   });
 
   describe('exportTasksFromStorage', () => {
@@ -372,6 +594,20 @@ describe('Task Storage Operations', () => {
       expect(parsed[0].title).toBe(taskData.title);
     });
 
+    it('should include archived tasks in export', () => {
+      const { task } = createTask({
+        title: 'Archived export',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 1,
+      });
+      completeTask(task.id);
+
+      const parsed = JSON.parse(exportTasksFromStorage());
+      expect(parsed.length).toBe(1);
+      expect(parsed[0].isCompleted).toBe(true);
+    });
+
     it('should export empty array when no tasks in storage', () => {
       const exported = exportTasksFromStorage();
 
@@ -404,4 +640,159 @@ describe('Task Storage Operations', () => {
       expect(tasks).toEqual([]);
     });
   });
+
+  describe('undo/redo', () => {
+    const newTask = (title) => ({
+      title,
+      description: '',
+      deadline: dayjs().add(1, 'day').toISOString(),
+      priority: 1,
+    });
+
+    it('should report nothing to undo or redo on a fresh history', () => {
+      expect(canUndo()).toBe(false);
+      expect(canRedo()).toBe(false);
+      expect(undoLastChange().errors).toContain('Nothing to undo');
+      expect(redoLastChange().errors).toContain('Nothing to redo');
+    });
+
+    it('should undo and redo a created task', () => {
+      createTask(newTask('Undo me'));
+
+      const undone = undoLastChange();
+      expect(undone.success).toBe(true);
+      expect(undone.command.label).toBe('Create "Undo me"');
+      expect(getAllTasks()).toHaveLength(0);
+      expect(canRedo()).toBe(true);
+
+      redoLastChange();
+      expect(getAllTasks()[0].title).toBe('Undo me');
+    });
+
+    it('should restore a deleted task with its original id', () => {
+      const { task } = createTask(newTask('Keep me'));
+      deleteTask(task.id);
+
+      undoLastChange();
+
+      expect(getAllTasks()).toEqual([task]);
+    });
+
+    it('should undo a completion including the archive', () => {
+      const { task } = createTask(newTask('Finish me'));
+      completeTask(task.id);
+
+      undoLastChange();
+
+      expect(getAllTasks()).toEqual([task]);
+      expect(getArchivedTasks()).toHaveLength(0);
+    });
+
+    it('should undo an update back to previous values', () => {
+      const { task } = createTask(newTask('Before'));
+      updateTask(task.id, { title: 'After' });
+
+      undoLastChange();
+
+      expect(getAllTasks()[0].title).toBe('Before');
+    });
+
+    it('should undo a full import replacement', () => {
+      const { task } = createTask(newTask('Existing'));
+      const imported = { ...task, id: 'imported-1', title: 'Imported' };
+
+      replaceAllTasks([imported]);
+      expect(getAllTasks()).toEqual([imported]);
+
+      undoLastChange();
+      expect(getAllTasks()).toEqual([task]);
+    });
+
+    it('should clear redo stack after a new change', () => {
+      createTask(newTask('First'));
+      undoLastChange();
+      createTask(newTask('Second'));
+
+      expect(canRedo()).toBe(false);
+    });
+
+    it('should not record purges', () => {
+      const { task } = createTask(newTask('Gone'));
+      completeTask(task.id);
+      clearHistory();
+
+      purgeArchivedTask(task.id);
+
+      expect(canUndo()).toBe(false);
+    });
+  });
+
+  describe('with an in-memory adapter', () => {
+    afterEach(() => {
+      setStorageAdapter(createLocalStorageAdapter());
+    });
+
+    it('should create, complete and restore without touching localStorage', () => {
+      setStorageAdapter(createMemoryAdapter());
+
+      const { task } = createTask({
+        title: 'In memory',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 1,
+      });
+      completeTask(task.id);
+      restoreTask(task.id);
+
+      expect(getAllTasks().map(t => t.id)).toEqual([task.id]);
+      expect(getArchivedTasks()).toEqual([]);
+      expect(localStorage.length).toBe(0);
+    });
+  });
+
+  describe('migrateStoredData', () => {
+    const legacyTask = {
+      id: 'legacy',
+      title: 'Legacy',
+      description: '',
+      deadline: '2025-06-10T17:00:00Z',
+      priority: 2,
+      isCompleted: false,
+      createdAt: '2025-01-01T00:00:00Z',
+      lastModified: '2025-01-01T00:00:00Z',
+      schemaVersion: 1,
+    };
+
+    it('should do nothing when data is current', () => {
+      const result = migrateStoredData();
+
+      expect(result).toEqual({ success: true, applied: [], errors: [] });
+      expect(localStorage.getItem(STORAGE_KEYS.BACKUP)).toBe(null);
+    });
+
+    it('should back up and upgrade tasks, archive and preferences', () => {
+      localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify([legacyTask]));
+      localStorage.setItem(STORAGE_KEYS.PREFS, JSON.stringify({ sortMode: 'priority' }));
+
+      const result = migrateStoredData();
+
+      expect(result.success).toBe(true);
+      expect(result.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+      expect(getAllTasks()[0]).toMatchObject({ recurrence: null, schemaVersion: CURRENT_SCHEMA_VERSION });
+      expect(getFromStorage(STORAGE_KEYS.PREFS).schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+
+      const backup = getFromStorage(STORAGE_KEYS.BACKUP);
+      expect(backup.reason).toBe('migration');
+      expect(backup.tasks).toEqual([legacyTask]);
+      expect(backup.preferences).toEqual({ sortMode: 'priority' });
+    });
+
+    it('should run only once', () => {
+      localStorage.setItem(STORAGE_KEYS.TASKS, JSON.stringify([legacyTask]));
+
+      migrateStoredData();
+
+      expect(migrateStoredData().applied).toEqual([]);
+    });
+  });
 });
@@ -2,15 +2,20 @@ import { describe, it, expect, beforeEach } from 'vitest';
 import dayjs from 'dayjs';
 import {
   getAllTasks,
+  getArchivedTasks,
   getTaskById,
   processNewTask,
   processTaskUpdate,
   removeTaskById,
   markTaskComplete,
+  createNextOccurrence,
+  restoreArchivedTask,
+  filterArchivedTasks,
   processImportedTasks,
   exportTasks,
 } from '../utils/tasks';
 import { STORAGE_KEYS } from '../utils/storage';
+import { CURRENT_SCHEMA_VERSION } from '../utils/migrations';
 
 describe('Task Pure Business Logic', () => {
   beforeEach(() => {
@@ -48,6 +53,33 @@ describe('Task Pure Business Logic', () => {
     });
   });
 
+  describe('getArchivedTasks', () => {
+    it('should return empty array when archive is empty', () => {
+      expect(getArchivedTasks()).toEqual([]);
+    });
+
+    it('should return archived tasks from storage', () => {
+      const archived = [
+        {
+          id: 'done-1',
+          title: 'Done',
+          description: '',
+          deadline: dayjs().subtract(1, 'day').toISOString(),
+          priority: 2,
+          isCompleted: true,
+          completedAt: dayjs().toISOString(),
+          createdAt: dayjs().subtract(2, 'days').toISOString(),
+          lastModified: dayjs().toISOString(),
+          schemaVersion: 1,
+        },
+      ];
+
+      localStorage.setItem(STORAGE_KEYS.ARCHIVE, JSON.stringify(archived));
+
+      expect(getArchivedTasks()).toEqual(archived);
+    });
+  });
+
   describe('getTaskById', () => {
     it('should return task by id from array', () => {
       const mockTasks = [
@@ -108,10 +140,22 @@ describe('Task Pure Business Logic', () => {
       expect(result.task.isCompleted).toBe(false);
       expect(result.task.createdAt).toBeDefined();
       expect(result.task.lastModified).toBeDefined();
-      expect(result.task.schemaVersion).toBe(1);
+      expect(result.task.schemaVersion).toBe(CURRENT_SCHEMA_VERSION);
+      expect(result.task.status).toBe('todo');
       expect(result.errors).toEqual([]);
     });
 
+    it('should keep a given status', () => {
+      const result = processNewTask({
+        title: 'Started Task',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        status: 'in-progress',
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.task.status).toBe('in-progress');
+    });
+
     it('should create task with default priority if not provided', () => {
       const taskData = {
         title: 'New Task',
@@ -183,6 +227,20 @@ describe('Task Pure Business Logic', () => {
       expect(result.errors).toContain('Deadline cannot be in the past');
     });
 
+    it('should accept past deadline for imported tasks', () => {
+      const taskData = {
+        title: 'Imported Task',
+        description: '',
+        deadline: dayjs().subtract(1, 'day').toISOString(),
+        priority: 2,
+      };
+
+      const result = processNewTask(taskData, { imported: true });
+
+      expect(result.success).toBe(true);
+      expect(result.task.deadline).toBe(taskData.deadline);
+    });
+
     it('should not save to storage (pure function)', () => {
       const taskData = {
         title: 'New Task',
@@ -226,6 +284,45 @@ describe('Task Pure Business Logic', () => {
       expect(result.task.createdAt).toBe(existingTask.createdAt); // createdAt should not change
     });
 
+    it('should allow editing an overdue task without changing its deadline', () => {
+      const existingTask = {
+        id: 'task-1',
+        title: 'Overdue Task',
+        description: '',
+        deadline: dayjs().subtract(1, 'day').toISOString(),
+        priority: 1,
+        isCompleted: false,
+        createdAt: dayjs().subtract(2, 'day').toISOString(),
+        lastModified: dayjs().subtract(2, 'day').toISOString(),
+        schemaVersion: 1,
+      };
+
+      const result = processTaskUpdate(existingTask, { title: 'Renamed', deadline: existingTask.deadline });
+
+      expect(result.success).toBe(true);
+      expect(result.task.title).toBe('Renamed');
+      expect(result.task.deadline).toBe(existingTask.deadline);
+    });
+
+    it('should reject moving a deadline into the past', () => {
+      const existingTask = {
+        id: 'task-1',
+        title: 'Task',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        priority: 1,
+        isCompleted: false,
+        createdAt: dayjs().toISOString(),
+        lastModified: dayjs().toISOString(),
+        schemaVersion: 1,
+      };
+
+      const result = processTaskUpdate(existingTask, { deadline: dayjs().subtract(1, 'hour').toISOString() });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Deadline cannot be in the past');
+    });
+
     it('should update lastModified timestamp', () => {
       const existingTask = {
         id: 'task-1',
@@ -412,6 +509,29 @@ describe('Task Pure Business Logic', () => {
       expect(result.tasks.length).toBe(0);
     });
 
+    it('should return the completed task with completedAt timestamp', () => {
+      const tasks = [
+        {
+          id: 'task-1',
+          title: 'Task to complete',
+          description: '',
+          deadline: dayjs().add(1, 'day').toISOString(),
+          priority: 1,
+          isCompleted: false,
+          createdAt: dayjs().subtract(1, 'hour').toISOString(),
+          lastModified: dayjs().subtract(1, 'hour').toISOString(),
+          schemaVersion: 1,
+        },
+      ];
+
+      const result = markTaskComplete(tasks, 'task-1');
+
+      expect(result.task.id).toBe('task-1');
+      expect(result.task.isCompleted).toBe(true);
+      expect(dayjs(result.task.completedAt).isValid()).toBe(true);
+      expect(result.task.lastModified).toBe(result.task.completedAt);
+    });
+
     it('should return error if task not found', () => {
       const tasks = [];
       const result = markTaskComplete(tasks, 'non-existent');
@@ -442,6 +562,169 @@ describe('Task Pure Business Logic', () => {
     });
   });
 
+  describe('createNextOccurrence', () => {
+    const completedTask = (overrides = {}) => ({
+      id: 'task-1',
+      title: 'Weekly report',
+      description: 'Send to team',
+      deadline: dayjs().add(1, 'hour').toISOString(),
+      priority: 1,
+      recurrence: { frequency: 'daily', interval: 1, weekdays: [], until: null, count: null },
+      isCompleted: true,
+      completedAt: dayjs().toISOString(),
+      createdAt: dayjs().subtract(1, 'day').toISOString(),
+      lastModified: dayjs().toISOString(),
+      schemaVersion: 1,
+      ...overrides,
+    });
+
+    it('should return null for non-recurring tasks', () => {
+      expect(createNextOccurrence(completedTask({ recurrence: null }))).toBe(null);
+    });
+
+    it('should create a fresh task one interval later', () => {
+      const task = completedTask();
+
+      const next = createNextOccurrence(task);
+
+      expect(next.id).not.toBe(task.id);
+      expect(next.title).toBe(task.title);
+      expect(next.priority).toBe(task.priority);
+      expect(next.recurrence).toEqual(task.recurrence);
+      expect(next.isCompleted).toBe(false);
+      expect(next.occurrence).toBe(2);
+      expect(dayjs(next.deadline).diff(dayjs(task.deadline), 'hour')).toBe(24);
+    });
+
+    it('should skip occurrences that are already past', () => {
+      const task = completedTask({ deadline: dayjs().subtract(50, 'hour').toISOString() });
+
+      const next = createNextOccurrence(task);
+
+      expect(dayjs(next.deadline).isAfter(dayjs())).toBe(true);
+      expect(next.occurrence).toBe(4);
+    });
+
+    it('should return null when the count is used up', () => {
+      const task = completedTask({
+        occurrence: 3,
+        recurrence: { frequency: 'daily', interval: 1, weekdays: [], until: null, count: 3 },
+      });
+
+      expect(createNextOccurrence(task)).toBe(null);
+    });
+
+    it('should carry the checklist over with every item unchecked', () => {
+      const task = completedTask({
+        checklist: [
+          { id: 'a', text: 'Collect numbers', done: true },
+          { id: 'b', text: 'Write summary', done: true },
+        ],
+      });
+
+      const next = createNextOccurrence(task);
+
+      expect(next.checklist.map(item => item.text)).toEqual(['Collect numbers', 'Write summary']);
+      expect(next.checklist.every(item => !item.done)).toBe(true);
+      expect(next.checklist.map(item => item.id)).not.toContain('a');
+    });
+
+    it('should count monthly occurrences from the series start', () => {
+      const start = dayjs().add(1, 'year').month(0).date(31).hour(10).startOf('hour');
+      const monthly = { frequency: 'monthly', interval: 1, weekdays: [], until: null, count: null };
+
+      const second = createNextOccurrence(completedTask({ deadline: start.toISOString(), recurrence: monthly }));
+      const third = createNextOccurrence({ ...second, isCompleted: true });
+
+      expect(dayjs(second.deadline).date()).toBeLessThan(31);
+      expect(dayjs(third.deadline).date()).toBe(31);
+      expect(third.recurrenceAnchor).toEqual({ deadline: start.toISOString(), occurrence: 1 });
+    });
+
+    it('should carry the effort estimate over', () => {
+      expect(createNextOccurrence(completedTask({ estimateHours: 2.5 })).estimateHours).toBe(2.5);
+      expect(createNextOccurrence(completedTask()).estimateHours).toBe(null);
+    });
+
+    it('should carry the blockers over', () => {
+      expect(createNextOccurrence(completedTask({ blockedBy: ['task-2', 'task-3'] })).blockedBy).toEqual(['task-2', 'task-3']);
+      expect(createNextOccurrence(completedTask()).blockedBy).toEqual([]);
+    });
+
+    it('should keep the start date the same time before the new deadline', () => {
+      const task = completedTask();
+      const startDate = dayjs(task.deadline).subtract(3, 'hour').toISOString();
+
+      const next = createNextOccurrence({ ...task, startDate });
+
+      expect(dayjs(next.deadline).diff(dayjs(next.startDate), 'hour')).toBe(3);
+      expect(dayjs(next.startDate).diff(dayjs(startDate), 'hour')).toBe(24);
+      expect(createNextOccurrence(task).startDate).toBe(null);
+    });
+  });
+
+  describe('restoreArchivedTask', () => {
+    const archivedTask = {
+      id: 'done-1',
+      title: 'Finished task',
+      description: '',
+      deadline: dayjs().add(1, 'day').toISOString(),
+      priority: 2,
+      isCompleted: true,
+      completedAt: dayjs().subtract(1, 'hour').toISOString(),
+      createdAt: dayjs().subtract(1, 'day').toISOString(),
+      lastModified: dayjs().subtract(1, 'hour').toISOString(),
+      schemaVersion: 1,
+    };
+
+    it('should return an active copy and remove it from the archive', () => {
+      const result = restoreArchivedTask([archivedTask], 'done-1');
+
+      expect(result.success).toBe(true);
+      expect(result.archivedTasks).toEqual([]);
+      expect(result.task.isCompleted).toBe(false);
+      expect(result.task).not.toHaveProperty('completedAt');
+      expect(result.task.createdAt).toBe(archivedTask.createdAt);
+    });
+
+    it('should return error if task not found', () => {
+      const result = restoreArchivedTask([archivedTask], 'missing');
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toContain('Task not found');
+      expect(result.archivedTasks).toHaveLength(1);
+    });
+
+    it('should not mutate original archive', () => {
+      const archive = [archivedTask];
+      restoreArchivedTask(archive, 'done-1');
+
+      expect(archive).toHaveLength(1);
+      expect(archive[0].isCompleted).toBe(true);
+    });
+  });
+
+  describe('filterArchivedTasks', () => {
+    const archive = [
+      { id: 'a', title: 'Send invoice', description: 'ACME billing', completedAt: '2025-01-01T10:00:00Z' },
+      { id: 'b', title: 'Write report', description: 'Quarterly numbers', completedAt: '2025-01-03T10:00:00Z' },
+      { id: 'c', title: 'Call vendor', description: '', completedAt: '2025-01-02T10:00:00Z' },
+    ];
+
+    it('should return all tasks newest completion first for empty query', () => {
+      expect(filterArchivedTasks(archive).map(t => t.id)).toEqual(['b', 'c', 'a']);
+    });
+
+    it('should match title and description case-insensitively', () => {
+      expect(filterArchivedTasks(archive, 'INVOICE').map(t => t.id)).toEqual(['a']);
+      expect(filterArchivedTasks(archive, 'quarterly').map(t => t.id)).toEqual(['b']);
+    });
+
+    it('should return empty array when nothing matches', () => {
+      expect(filterArchivedTasks(archive, 'nothing here')).toEqual([]);
+    });
+  });
+
   describe('processImportedTasks', () => {
     it('should process valid imported tasks', () => {
       const currentTasks = [];
@@ -466,6 +749,27 @@ describe('Task Pure Business Logic', () => {
       expect(result.tasks.length).toBe(1);
     });
 
+    it('should keep overdue tasks on import', () => {
+      const importedTasks = [
+        {
+          id: 'overdue-1',
+          title: 'Overdue Task',
+          description: '',
+          deadline: dayjs().subtract(1, 'day').toISOString(),
+          priority: 2,
+          isCompleted: false,
+          createdAt: dayjs().subtract(2, 'day').toISOString(),
+          lastModified: dayjs().subtract(2, 'day').toISOString(),
+          schemaVersion: 1,
+        },
+      ];
+
+      const result = processImportedTasks([], importedTasks);
+
+      expect(result.imported).toBe(1);
+      expect(result.errors).toEqual([]);
+    });
+
     it('should truncate descriptions over 300 characters on import', () => {
       const currentTasks = [];
       const importedTasks = [
@@ -0,0 +1,146 @@
+/**
+ * Tests for timeline utilities
+ */
+
+import { describe, it, expect } from 'vitest';
+import dayjs from 'dayjs';
+import {
+  getTimelineRange,
+  shiftTimeline,
+  getTimelineTitle,
+  getTimelineTicks,
+  getTaskSpan,
+  getTimelineRows,
+  toTimelinePercent,
+  getDeadlineAtPosition,
+  nudgeDeadline,
+  formatEstimate
+} from '../utils/timeline';
+import { localToUTC } from '../utils/datetime';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('timeline utilities', () => {
+  describe('getTimelineRange', () => {
+    it('spans the local day, Sunday-first week or month', () => {
+      expect(getTimelineRange('2026-10-14', 'day')).toEqual({
+        start: new Date(2026, 9, 14).getTime(),
+        end: new Date(2026, 9, 15).getTime()
+      });
+      expect(getTimelineRange('2026-10-14', 'week')).toEqual({
+        start: new Date(2026, 9, 11).getTime(),
+        end: new Date(2026, 9, 18).getTime()
+      });
+      expect(getTimelineRange('2026-10-14', 'month')).toEqual({
+        start: new Date(2026, 9, 1).getTime(),
+        end: new Date(2026, 10, 1).getTime()
+      });
+    });
+  });
+
+  describe('shiftTimeline', () => {
+    it('moves by whole periods of the zoom level', () => {
+      expect(shiftTimeline('2026-10-14', 'day', 1)).toBe('2026-10-15');
+      expect(shiftTimeline('2026-10-14', 'week', -1)).toBe('2026-10-07');
+      expect(shiftTimeline('2026-01-31', 'month', 1)).toBe('2026-02-28');
+    });
+  });
+
+  describe('getTimelineTitle', () => {
+    it('names the period shown', () => {
+      expect(getTimelineTitle('2026-10-14', 'day')).toBe('Wednesday, October 14, 2026');
+      expect(getTimelineTitle('2026-10-14', 'week')).toBe('Oct 11 – 17, 2026');
+      expect(getTimelineTitle('2026-10-14', 'month')).toBe('October 2026');
+    });
+  });
+
+  describe('getTimelineTicks', () => {
+    it('labels every 3 hours of a day and every day of a week or month', () => {
+      const dayTicks = getTimelineTicks(getTimelineRange('2026-10-14', 'day'), 'day');
+      expect(dayTicks.map(tick => tick.label)).toEqual(['12 AM', '3 AM', '6 AM', '9 AM', '12 PM', '3 PM', '6 PM', '9 PM']);
+
+      const weekTicks = getTimelineTicks(getTimelineRange('2026-10-14', 'week'), 'week');
+      expect(weekTicks[0]).toEqual({ time: new Date(2026, 9, 11).getTime(), label: 'Sun 11' });
+      expect(weekTicks).toHaveLength(7);
+
+      expect(getTimelineTicks(getTimelineRange('2026-10-14', 'month'), 'month')).toHaveLength(31);
+    });
+  });
+
+  describe('getTaskSpan', () => {
+    const deadline = localToUTC('2026-10-14', '17:00');
+    const end = new Date(deadline).getTime();
+
+    it('ends at the deadline and starts from the estimate first', () => {
+      const task = { deadline, estimateHours: 2, startDate: localToUTC('2026-10-12', '09:00') };
+      expect(getTaskSpan(task)).toEqual({ start: end - 2 * HOUR, end });
+    });
+
+    it('falls back to the start date, then to a marker at the deadline', () => {
+      const startDate = localToUTC('2026-10-12', '09:00');
+
+      expect(getTaskSpan({ deadline, estimateHours: null, startDate })).toEqual({
+        start: new Date(startDate).getTime(),
+        end
+      });
+      expect(getTaskSpan({ deadline, estimateHours: null, startDate: null })).toEqual({ start: end, end });
+    });
+  });
+
+  describe('getTimelineRows', () => {
+    it('keeps tasks whose bar overlaps the period, in order', () => {
+      const range = getTimelineRange('2026-10-14', 'week');
+      const tasks = [
+        { id: 'later', deadline: localToUTC('2026-10-20', '12:00') },
+        { id: 'inside', deadline: localToUTC('2026-10-15', '12:00') },
+        { id: 'spanning', deadline: localToUTC('2026-10-19', '12:00'), startDate: localToUTC('2026-10-09', '12:00') },
+        { id: 'before', deadline: localToUTC('2026-10-10', '12:00'), estimateHours: 4 }
+      ];
+
+      expect(getTimelineRows(tasks, range).map(row => row.task.id)).toEqual(['inside', 'spanning']);
+    });
+  });
+
+  describe('toTimelinePercent', () => {
+    it('places times within the period and clamps the rest', () => {
+      const range = { start: 0, end: 200 };
+
+      expect(toTimelinePercent(50, range)).toBe(25);
+      expect(toTimelinePercent(-10, range)).toBe(0);
+      expect(toTimelinePercent(300, range)).toBe(100);
+    });
+  });
+
+  describe('getDeadlineAtPosition', () => {
+    it('snaps to 15 minutes in a day and to the hour in a week', () => {
+      const dayRange = getTimelineRange('2026-10-14', 'day');
+      const weekRange = getTimelineRange('2026-10-14', 'week');
+
+      expect(getDeadlineAtPosition(0.5 + 0.004, dayRange, 'day')).toBe(dayjs('2026-10-14').hour(12).valueOf());
+      expect(getDeadlineAtPosition(0.5 + 0.006, dayRange, 'day')).toBe(dayjs('2026-10-14').hour(12).minute(15).valueOf());
+      expect(getDeadlineAtPosition(3.5 / 7, weekRange, 'week')).toBe(dayjs('2026-10-14').hour(12).valueOf());
+    });
+
+    it('stays within the period', () => {
+      const range = getTimelineRange('2026-10-14', 'day');
+
+      expect(getDeadlineAtPosition(-0.2, range, 'day')).toBe(range.start);
+      expect(getDeadlineAtPosition(1.4, range, 'day')).toBe(range.end);
+    });
+  });
+
+  describe('nudgeDeadline', () => {
+    it('moves by the zoom level snap step', () => {
+      expect(nudgeDeadline('2026-10-14T12:00:00.000Z', 'day', -1)).toBe('2026-10-14T11:45:00.000Z');
+      expect(nudgeDeadline('2026-10-14T12:00:00.000Z', 'week', 2)).toBe('2026-10-14T14:00:00.000Z');
+    });
+  });
+
+  describe('formatEstimate', () => {
+    it('shows minutes under an hour and hours otherwise', () => {
+      expect(formatEstimate(0.75)).toBe('45 min');
+      expect(formatEstimate(1.5)).toBe('1.5 h');
+      expect(formatEstimate(8)).toBe('8 h');
+    });
+  });
+});
@@ -4,7 +4,12 @@ import {
   getUrgencyColor,
   formatRelativeTime,
   isOverdue,
-  needsUrgentRefresh
+  needsUrgentRefresh,
+  shouldPulse,
+  validateUrgencySettings,
+  getGradientColor,
+  DEFAULT_URGENCY_SETTINGS,
+  CANT_MAKE_IT_COLORS
 } from '../utils/urgency';
 
 describe('urgency utilities', () => {
@@ -119,6 +124,139 @@ describe('urgency utilities', () => {
       const deadline = '2025-10-28T12:00:00Z'; // exactly 24h from now
       expect(getUrgencyColor(deadline)).toBe(null); // no urgency coloring
     });
+
+    it('returns the "can\'t make it" colors ahead of bands and the gradient, but not once overdue', () => {
+      const now = Date.now();
+      const gradient = { ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient' };
+
+      expect(getUrgencyColor('2025-10-30T12:00:00Z', now, DEFAULT_URGENCY_SETTINGS, undefined, true)).toEqual(CANT_MAKE_IT_COLORS);
+      expect(getUrgencyColor('2025-10-27T12:30:00Z', now, gradient, undefined, true)).toEqual(CANT_MAKE_IT_COLORS);
+      expect(getUrgencyColor('2025-10-27T10:00:00Z', now, DEFAULT_URGENCY_SETTINGS, undefined, true)).toBe(null);
+    });
+  });
+
+  describe('getUrgencyColor with custom bands', () => {
+    const weekly = {
+      bands: [
+        { hours: 24, color: 'red' },
+        { hours: 72, color: 'yellow' },
+        { hours: 168, color: 'blue' }
+      ],
+      pulseHours: 0
+    };
+
+    it('uses the closest band the deadline falls in', () => {
+      const now = Date.now();
+      expect(getUrgencyColor('2025-10-28T06:00:00Z', now, weekly).borderColor).toBe('var(--red-6)'); // 18h
+      expect(getUrgencyColor('2025-10-29T12:00:00Z', now, weekly).borderColor).toBe('var(--yellow-6)'); // 48h
+      expect(getUrgencyColor('2025-11-01T12:00:00Z', now, weekly)).toEqual({
+        borderColor: 'var(--blue-6)',
+        backgroundColor: 'var(--blue-1)'
+      }); // 5 days
+      expect(getUrgencyColor('2025-11-05T12:00:00Z', now, weekly)).toBe(null); // 9 days
+    });
+
+    it('colors nothing without bands', () => {
+      expect(getUrgencyColor('2025-10-27T12:30:00Z', Date.now(), { bands: [], pulseHours: 0 })).toBe(null);
+    });
+  });
+
+  describe('getUrgencyColor in gradient mode', () => {
+    const elapsed = { ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient', gradientBasis: 'elapsed' };
+    const remaining = { ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient', gradientBasis: 'remaining', gradientHours: 48 };
+
+    it('blends by the share of time elapsed since creation', () => {
+      const now = Date.now();
+      // Created 2h ago, due in 2h: halfway
+      expect(getUrgencyColor('2025-10-27T14:00:00Z', now, elapsed, '2025-10-27T10:00:00Z'))
+        .toEqual(getGradientColor(0.5));
+      // Just created, due in 30 days: still green
+      expect(getUrgencyColor('2025-11-26T12:00:00Z', now, elapsed, '2025-10-27T12:00:00Z'))
+        .toEqual(getGradientColor(0));
+    });
+
+    it('blends by hours remaining against the gradient horizon', () => {
+      const now = Date.now();
+      expect(getUrgencyColor('2025-10-28T12:00:00Z', now, remaining)).toEqual(getGradientColor(0.5)); // 24h of 48h
+      expect(getUrgencyColor('2025-11-05T12:00:00Z', now, remaining)).toEqual(getGradientColor(0)); // beyond: green
+    });
+
+    it('falls back to hours remaining without a usable creation time', () => {
+      const now = Date.now();
+      expect(getUrgencyColor('2025-10-28T12:00:00Z', now, { ...elapsed, gradientHours: 48 }))
+        .toEqual(getGradientColor(0.5));
+      expect(getUrgencyColor('2025-10-28T12:00:00Z', now, { ...elapsed, gradientHours: 48 }, '2025-10-29T00:00:00Z'))
+        .toEqual(getGradientColor(0.5));
+    });
+
+    it('still leaves overdue tasks uncolored', () => {
+      expect(getUrgencyColor('2025-10-27T10:00:00Z', Date.now(), elapsed, '2025-10-20T10:00:00Z')).toBe(null);
+    });
+  });
+
+  describe('getGradientColor', () => {
+    it('runs from green to red', () => {
+      expect(getGradientColor(0).borderColor).toContain('hsl(140 ');
+      expect(getGradientColor(1).borderColor).toContain('hsl(0 ');
+      expect(getGradientColor(0.5).borderColor).toContain('hsl(70 ');
+    });
+
+    it('gives separate light and dark theme colors', () => {
+      const colors = getGradientColor(0.25);
+      expect(colors.backgroundColor).toMatch(/^light-dark\(hsl\(105 .*\), hsl\(105 .*\)\)$/);
+      expect(colors.borderColor).toMatch(/^light-dark\(/);
+      expect(colors.textColor).toBe('var(--text-primary)');
+    });
+  });
+
+  describe('shouldPulse', () => {
+    it('pulses within the default hour but not when overdue', () => {
+      expect(shouldPulse('2025-10-27T12:30:00Z')).toBe(true);
+      expect(shouldPulse('2025-10-27T13:30:00Z')).toBe(false);
+      expect(shouldPulse('2025-10-27T11:30:00Z')).toBe(false);
+    });
+
+    it('follows the configured threshold', () => {
+      const settings = { ...DEFAULT_URGENCY_SETTINGS, pulseHours: 4 };
+      expect(shouldPulse('2025-10-27T15:00:00Z', Date.now(), settings)).toBe(true);
+      expect(shouldPulse('2025-10-27T12:30:00Z', Date.now(), { ...settings, pulseHours: 0 })).toBe(false);
+    });
+  });
+
+  describe('validateUrgencySettings', () => {
+    it('accepts the defaults', () => {
+      expect(validateUrgencySettings(DEFAULT_URGENCY_SETTINGS)).toEqual({ valid: true, error: null });
+    });
+
+    it('accepts no bands', () => {
+      expect(validateUrgencySettings({ bands: [], pulseHours: 1 }).valid).toBe(true);
+    });
+
+    it('rejects bands out of order, unknown colors and bad thresholds', () => {
+      expect(validateUrgencySettings({ bands: [{ hours: 6, color: 'red' }, { hours: 6, color: 'blue' }], pulseHours: 1 }).valid).toBe(false);
+      expect(validateUrgencySettings({ bands: [{ hours: 6, color: 'plaid' }], pulseHours: 1 }).valid).toBe(false);
+      expect(validateUrgencySettings({ bands: [{ hours: 0, color: 'red' }], pulseHours: 1 }).valid).toBe(false);
+      expect(validateUrgencySettings({ bands: [{ hours: NaN, color: 'red' }], pulseHours: 1 }).valid).toBe(false);
+      expect(validateUrgencySettings({ bands: [], pulseHours: -1 }).valid).toBe(false);
+    });
+
+    it('limits the number of bands', () => {
+      const bands = [1, 2, 3, 4, 5, 6].map(hours => ({ hours, color: 'red' }));
+      expect(validateUrgencySettings({ bands, pulseHours: 1 }).error).toBe('Use at most 5 urgency bands');
+    });
+
+    it('checks the gradient fields when present', () => {
+      const settings = { ...DEFAULT_URGENCY_SETTINGS, mode: 'gradient', gradientBasis: 'remaining', gradientHours: 48 };
+      expect(validateUrgencySettings(settings).valid).toBe(true);
+      expect(validateUrgencySettings({ ...settings, mode: 'rainbow' }).valid).toBe(false);
+      expect(validateUrgencySettings({ ...settings, gradientBasis: 'vibes' }).valid).toBe(false);
+      expect(validateUrgencySettings({ ...settings, gradientHours: 0 }).valid).toBe(false);
+    });
+
+    it('rejects missing settings', () => {
+      expect(validateUrgencySettings(null).valid).toBe(false);
+      expect(validateUrgencySettings({ pulseHours: 1 }).valid).toBe(false);
+    });
   });
 
   describe('formatRelativeTime', () => {
@@ -200,6 +338,13 @@ describe('urgency utilities', () => {
       expect(needsUrgentRefresh(tasks)).toBe(false);
     });
 
+    it('follows the closest band and pulse threshold from settings', () => {
+      const tasks = [{ deadline: '2025-10-27T15:00:00Z' }]; // 3h
+      expect(needsUrgentRefresh(tasks, Date.now(), { bands: [{ hours: 6, color: 'red' }], pulseHours: 1 })).toBe(true);
+      expect(needsUrgentRefresh(tasks, Date.now(), { bands: [{ hours: 2, color: 'red' }], pulseHours: 4 })).toBe(true);
+      expect(needsUrgentRefresh(tasks, Date.now(), { bands: [], pulseHours: 0 })).toBe(false);
+    });
+
     it('handles edge case: just under 1 hour', () => {
       const tasks = [
         { deadline: new Date(Date.now() + 59 * 60 * 1000).toISOString() }, // 59min
@@ -0,0 +1,65 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { renderHook } from '@testing-library/react';
+import { useDeadlineReminders } from '../hooks/useDeadlineReminders';
+import { getFiredReminders } from '../utils/notifications';
+
+describe('useDeadlineReminders hook', () => {
+  const NOW = new Date('2025-06-01T12:00:00Z');
+  const settings = { enabled: true, leadTimes: [60, 0] };
+  let NotificationMock;
+
+  const tasks = [{
+    id: 'task-1',
+    title: 'Send invoice',
+    deadline: new Date(NOW.getTime() + 90 * 60 * 1000).toISOString(),
+    createdAt: '2025-05-01T00:00:00.000Z',
+    lastModified: '2025-05-01T00:00:00.000Z',
+    reminders: null
+  }];
+
+  beforeEach(() => {
+    localStorage.clear();
+    vi.useFakeTimers();
+    vi.setSystemTime(NOW);
+    NotificationMock = vi.fn();
+    NotificationMock.permission = 'granted';
+    vi.stubGlobal('Notification', NotificationMock);
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllGlobals();
+  });
+
+  it('should notify when each reminder comes due', () => {
+    renderHook(() => useDeadlineReminders(tasks, settings));
+    expect(NotificationMock).not.toHaveBeenCalled();
+
+    vi.advanceTimersByTime(30 * 60 * 1000);
+    expect(NotificationMock).toHaveBeenCalledWith('Due in 1 hour', expect.objectContaining({ body: 'Send invoice' }));
+
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(NotificationMock).toHaveBeenLastCalledWith('Task overdue', expect.objectContaining({ body: 'Send invoice' }));
+    expect(NotificationMock).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not repeat a reminder after a reload', () => {
+    vi.setSystemTime(new Date(NOW.getTime() + 31 * 60 * 1000));
+
+    const first = renderHook(() => useDeadlineReminders(tasks, settings));
+    first.unmount();
+    renderHook(() => useDeadlineReminders(tasks, settings));
+
+    expect(NotificationMock).toHaveBeenCalledTimes(1);
+    expect(getFiredReminders()).toHaveLength(1);
+  });
+
+  it('should do nothing while notifications are turned off', () => {
+    vi.setSystemTime(new Date(NOW.getTime() + 31 * 60 * 1000));
+
+    renderHook(() => useDeadlineReminders(tasks, { ...settings, enabled: false }));
+
+    expect(NotificationMock).not.toHaveBeenCalled();
+    expect(getFiredReminders()).toEqual([]);
+  });
+});
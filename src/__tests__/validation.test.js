@@ -4,8 +4,19 @@ import {
   validateTitle,
   validateDescription,
   validateDeadline,
+  validateNewDeadline,
   validatePriority,
+  validateRecurrence,
+  validateTags,
+  validateChecklist,
+  validateReminders,
+  validateStatus,
+  validateStartDate,
+  validateBlockedBy,
+  validateEstimate,
+  validateDependencies,
   validateTask,
+  validateNewTask,
   truncateDescription,
 } from '../utils/validation';
 
@@ -123,12 +134,12 @@ describe('Validation Utilities', () => {
       expect(result.error).toBe(null);
     });
 
-    it('should reject past deadline', () => {
+    it('should accept past deadline', () => {
       const pastDate = dayjs().subtract(1, 'day').toISOString();
       const result = validateDeadline(pastDate);
 
-      expect(result.valid).toBe(false);
-      expect(result.error).toBe('Deadline cannot be in the past');
+      expect(result.valid).toBe(true);
+      expect(result.error).toBe(null);
     });
 
     it('should reject null deadline', () => {
@@ -175,6 +186,27 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateNewDeadline', () => {
+    it('should accept future deadline', () => {
+      const result = validateNewDeadline(dayjs().add(1, 'hour').toISOString());
+
+      expect(result.valid).toBe(true);
+      expect(result.error).toBe(null);
+    });
+
+    it('should reject past deadline', () => {
+      const result = validateNewDeadline(dayjs().subtract(1, 'day').toISOString());
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toBe('Deadline cannot be in the past');
+    });
+
+    it('should apply the integrity rules first', () => {
+      expect(validateNewDeadline(null).error).toBe('Deadline is required');
+      expect(validateNewDeadline('not-a-date').error).toBe('Invalid deadline format');
+    });
+  });
+
   describe('validatePriority', () => {
     it('should accept priority 1 (High)', () => {
       const result = validatePriority(1);
@@ -233,6 +265,213 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateRecurrence', () => {
+    const rule = (overrides = {}) => ({
+      frequency: 'weekly',
+      interval: 1,
+      weekdays: [1, 3],
+      until: null,
+      count: null,
+      ...overrides,
+    });
+
+    it('should accept null and undefined recurrence', () => {
+      expect(validateRecurrence(null).valid).toBe(true);
+      expect(validateRecurrence(undefined).valid).toBe(true);
+    });
+
+    it('should accept a valid rule', () => {
+      expect(validateRecurrence(rule())).toEqual({ valid: true, error: null });
+    });
+
+    it('should reject unknown frequency', () => {
+      const result = validateRecurrence(rule({ frequency: 'hourly' }));
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/frequency/);
+    });
+
+    it('should reject non-integer or out-of-range interval', () => {
+      expect(validateRecurrence(rule({ interval: 0 })).valid).toBe(false);
+      expect(validateRecurrence(rule({ interval: 1.5 })).valid).toBe(false);
+      expect(validateRecurrence(rule({ interval: '2' })).valid).toBe(false);
+    });
+
+    it('should reject invalid weekdays', () => {
+      expect(validateRecurrence(rule({ weekdays: [7] })).valid).toBe(false);
+      expect(validateRecurrence(rule({ weekdays: 'mon' })).valid).toBe(false);
+    });
+
+    it('should reject weekdays on non-weekly rules', () => {
+      expect(validateRecurrence(rule({ frequency: 'daily' })).valid).toBe(false);
+      expect(validateRecurrence(rule({ frequency: 'daily', weekdays: [] })).valid).toBe(true);
+    });
+
+    it('should reject both until and count', () => {
+      const result = validateRecurrence(rule({ until: dayjs().add(1, 'month').toISOString(), count: 3 }));
+
+      expect(result.valid).toBe(false);
+      expect(result.error).toMatch(/not both/);
+    });
+
+    it('should reject invalid until date and count', () => {
+      expect(validateRecurrence(rule({ until: 'not-a-date' })).valid).toBe(false);
+      expect(validateRecurrence(rule({ count: 0 })).valid).toBe(false);
+    });
+  });
+
+  describe('validateTags', () => {
+    it('should accept missing and empty tags', () => {
+      expect(validateTags(undefined).valid).toBe(true);
+      expect(validateTags([])).toEqual({ valid: true, error: null });
+    });
+
+    it('should accept normalized tags', () => {
+      expect(validateTags(['work', 'client-x', 'q4_2025', 'café']).valid).toBe(true);
+    });
+
+    it('should reject non-list values', () => {
+      expect(validateTags('work').valid).toBe(false);
+    });
+
+    it('should reject badly formatted tags', () => {
+      expect(validateTags(['Work']).valid).toBe(false);
+      expect(validateTags(['two words']).valid).toBe(false);
+      expect(validateTags(['-leading']).valid).toBe(false);
+      expect(validateTags([42]).valid).toBe(false);
+    });
+
+    it('should reject too many, too long or repeated tags', () => {
+      expect(validateTags(Array.from({ length: 11 }, (_, i) => `tag${i}`)).valid).toBe(false);
+      expect(validateTags(['a'.repeat(31)]).valid).toBe(false);
+      expect(validateTags(['work', 'work']).error).toMatch(/repeat/);
+    });
+  });
+
+  describe('validateChecklist', () => {
+    const item = (overrides = {}) => ({ id: 'a', text: 'Step', done: false, ...overrides });
+
+    it('should accept missing, empty and valid checklists', () => {
+      expect(validateChecklist(undefined).valid).toBe(true);
+      expect(validateChecklist([]).valid).toBe(true);
+      expect(validateChecklist([item(), item({ id: 'b', done: true })])).toEqual({ valid: true, error: null });
+    });
+
+    it('should not apply the 300-character description limit to items', () => {
+      expect(validateChecklist([item({ text: 'x'.repeat(400) })]).valid).toBe(true);
+      expect(validateChecklist([item({ text: 'x'.repeat(501) })]).valid).toBe(false);
+    });
+
+    it('should reject malformed items', () => {
+      expect(validateChecklist('steps').valid).toBe(false);
+      expect(validateChecklist([item({ id: '' })]).valid).toBe(false);
+      expect(validateChecklist([item({ text: '   ' })]).valid).toBe(false);
+      expect(validateChecklist([item({ done: 'yes' })]).valid).toBe(false);
+      expect(validateChecklist([null]).valid).toBe(false);
+    });
+
+    it('should reject duplicate ids and too many items', () => {
+      expect(validateChecklist([item(), item()]).error).toMatch(/unique/);
+      expect(validateChecklist(Array.from({ length: 51 }, (_, i) => item({ id: `i${i}` }))).valid).toBe(false);
+    });
+  });
+
+  describe('validateReminders', () => {
+    it('should accept no override, no reminders and custom lead times', () => {
+      expect(validateReminders(null).valid).toBe(true);
+      expect(validateReminders([]).valid).toBe(true);
+      expect(validateReminders([1440, 10, 0])).toEqual({ valid: true, error: null });
+    });
+
+    it('should reject invalid lead times', () => {
+      expect(validateReminders('1 hour').valid).toBe(false);
+      expect(validateReminders([-10]).valid).toBe(false);
+      expect(validateReminders([60, 60]).valid).toBe(false);
+      expect(validateReminders(Array.from({ length: 11 }, (_, i) => i)).valid).toBe(false);
+    });
+  });
+
+  describe('validateStatus', () => {
+    it('should accept a missing status and board column ids', () => {
+      expect(validateStatus(undefined).valid).toBe(true);
+      expect(validateStatus('in-progress')).toEqual({ valid: true, error: null });
+    });
+
+    it('should reject values that cannot be column ids', () => {
+      expect(validateStatus('In progress').valid).toBe(false);
+      expect(validateStatus('').valid).toBe(false);
+      expect(validateStatus(2).valid).toBe(false);
+    });
+  });
+
+  describe('validateStartDate', () => {
+    const deadline = '2026-10-20T17:00:00.000Z';
+
+    it('should accept no start date and one before the deadline', () => {
+      expect(validateStartDate(null, deadline).valid).toBe(true);
+      expect(validateStartDate('2026-10-19T09:00:00.000Z', deadline)).toEqual({ valid: true, error: null });
+    });
+
+    it('should reject bad dates and start dates at or after the deadline', () => {
+      expect(validateStartDate('next week', deadline).valid).toBe(false);
+      expect(validateStartDate(deadline, deadline).error).toBe('Start date must be before the deadline');
+      expect(validateStartDate('2026-10-21T09:00:00.000Z', deadline).valid).toBe(false);
+    });
+  });
+
+  describe('validateBlockedBy', () => {
+    it('should accept no links and a list of other task ids', () => {
+      expect(validateBlockedBy(undefined, 'a').valid).toBe(true);
+      expect(validateBlockedBy(['b', 'c'], 'a')).toEqual({ valid: true, error: null });
+    });
+
+    it('should reject bad, repeated and self links', () => {
+      expect(validateBlockedBy('b', 'a').valid).toBe(false);
+      expect(validateBlockedBy(['b', 'b'], 'a').valid).toBe(false);
+      expect(validateBlockedBy(['a'], 'a').error).toBe('A task cannot block itself');
+      expect(validateBlockedBy(Array.from({ length: 11 }, (_, i) => `t${i}`), 'a').valid).toBe(false);
+    });
+  });
+
+  describe('validateEstimate', () => {
+    it('should accept no estimate and positive hours', () => {
+      expect(validateEstimate(null).valid).toBe(true);
+      expect(validateEstimate(0.25)).toEqual({ valid: true, error: null });
+      expect(validateEstimate(1000).valid).toBe(true);
+    });
+
+    it('should reject zero, negative, non-numeric and oversized estimates', () => {
+      expect(validateEstimate(0).error).toBe('Estimated effort must be a positive number of hours');
+      expect(validateEstimate(-2).valid).toBe(false);
+      expect(validateEstimate('3').valid).toBe(false);
+      expect(validateEstimate(NaN).valid).toBe(false);
+      expect(validateEstimate(1001).error).toBe('Estimated effort must be 1000 hours or less');
+    });
+  });
+
+  describe('validateDependencies', () => {
+    it('should reject cycles, naming the tasks', () => {
+      const tasks = [
+        { id: 'a', title: 'Book venue', blockedBy: ['b'] },
+        { id: 'b', title: 'Send invites', blockedBy: ['a'] }
+      ];
+
+      expect(validateDependencies(tasks).error).toBe('Blocked-by links cannot form a cycle: "Book venue" → "Send invites" → "Book venue"');
+      expect(validateDependencies([{ ...tasks[0], blockedBy: [] }, tasks[1]]).valid).toBe(true);
+    });
+
+    it('should ignore cycles that do not pass through the changed task', () => {
+      const tasks = [
+        { id: 'a', title: 'Book venue', blockedBy: ['b'] },
+        { id: 'b', title: 'Send invites', blockedBy: ['a'] },
+        { id: 'c', title: 'Buy stamps', blockedBy: ['a'] }
+      ];
+
+      expect(validateDependencies(tasks, ['c']).valid).toBe(true);
+      expect(validateDependencies(tasks, ['c', 'b']).valid).toBe(false);
+    });
+  });
+
   describe('validateTask', () => {
     it('should accept valid complete task', () => {
       const task = {
@@ -289,7 +528,7 @@ describe('Validation Utilities', () => {
       expect(result.errors).toContain('Description must be 300 characters or less');
     });
 
-    it('should reject task with past deadline', () => {
+    it('should accept task with past deadline', () => {
       const task = {
         title: 'Valid Task',
         description: 'Valid description',
@@ -299,8 +538,8 @@ describe('Validation Utilities', () => {
 
       const result = validateTask(task);
 
-      expect(result.valid).toBe(false);
-      expect(result.errors).toContain('Deadline cannot be in the past');
+      expect(result.valid).toBe(true);
+      expect(result.errors).toEqual([]);
     });
 
     it('should reject task with invalid priority', () => {
@@ -317,6 +556,19 @@ describe('Validation Utilities', () => {
       expect(result.errors).toContain('Priority must be 1 (High), 2 (Medium), or 3 (Low)');
     });
 
+    it('should reject task with invalid recurrence', () => {
+      const task = {
+        title: 'Weekly report',
+        deadline: dayjs().add(1, 'day').toISOString(),
+        recurrence: { frequency: 'weekly', interval: 0 },
+      };
+
+      const result = validateTask(task);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toContain('Recurrence interval must be a whole number from 1 to 999');
+    });
+
     it('should collect multiple validation errors', () => {
       const task = {
         title: '',
@@ -327,6 +579,51 @@ describe('Validation Utilities', () => {
 
       const result = validateTask(task);
 
+      expect(result.valid).toBe(false);
+      expect(result.errors.length).toBe(3);
+    });
+  });
+
+  describe('validateNewTask', () => {
+    it('should accept task with future deadline', () => {
+      const task = {
+        title: 'Valid Task',
+        description: '',
+        deadline: dayjs().add(1, 'day').toISOString(),
+      };
+
+      expect(validateNewTask(task)).toEqual({ valid: true, errors: [] });
+    });
+
+    it('should reject task with past deadline', () => {
+      const task = {
+        title: 'Valid Task',
+        description: '',
+        deadline: dayjs().subtract(1, 'day').toISOString(),
+      };
+
+      const result = validateNewTask(task);
+
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Deadline cannot be in the past']);
+    });
+
+    it('should report a missing deadline once', () => {
+      const result = validateNewTask({ title: 'Valid Task', description: '' });
+
+      expect(result.errors).toEqual(['Deadline is required']);
+    });
+
+    it('should collect integrity and creation errors', () => {
+      const task = {
+        title: '',
+        description: 'a'.repeat(301),
+        deadline: dayjs().subtract(1, 'day').toISOString(),
+        priority: 0,
+      };
+
+      const result = validateNewTask(task);
+
       expect(result.valid).toBe(false);
       expect(result.errors.length).toBe(4);
     });
@@ -93,7 +93,8 @@ const styles = {
     marginBottom: '24px',
     fontSize: '15px',
     color: 'var(--text-secondary)',
-    lineHeight: '1.5'
+    lineHeight: '1.5',
+    whiteSpace: 'pre-line'
   },
   actions: {
     display: 'flex',
@@ -0,0 +1,240 @@
+/**
+ * ArchiveView Component
+ * Lists completed tasks with search, restore and permanent purge actions
+ * Shown in place of TaskList when the archive is open
+ */
+
+import { useState } from 'react';
+import { GoSearch, GoTrash, GoHistory } from 'react-icons/go';
+import { formatAbsoluteTime } from '../utils/datetime';
+import { filterArchivedTasks } from '../utils/tasks';
+
+/**
+ * ArchiveView - Browse and manage archived tasks
+ * @param {Array} tasks - Array of archived task objects
+ * @param {function} onRestore - Callback to restore a task (receives task.id)
+ * @param {function} onPurge - Callback to permanently delete a task (receives task.id)
+ * @param {function} onPurgeAll - Callback to permanently delete every archived task
+ * @returns {JSX.Element}
+ */
+function ArchiveView({ tasks, onRestore, onPurge, onPurgeAll }) {
+  const [query, setQuery] = useState('');
+
+  const visibleTasks = filterArchivedTasks(tasks, query);
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <h2 style={styles.heading}>
+          Archive <span style={styles.count}>({tasks.length})</span>
+        </h2>
+        {tasks.length > 0 && (
+          <button
+            onClick={onPurgeAll}
+            style={styles.purgeAllButton}
+            aria-label="Permanently delete all archived tasks"
+          >
+            Purge All
+          </button>
+        )}
+      </div>
+
+      <div style={styles.searchBox}>
+        <GoSearch style={styles.searchIcon} />
+        <input
+          type="search"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search completed tasks"
+          style={styles.searchInput}
+          aria-label="Search archived tasks"
+          autoComplete="off"
+        />
+      </div>
+
+      {visibleTasks.length === 0 ? (
+        <p style={styles.empty}>
+          {tasks.length === 0 ? 'No completed tasks yet' : `No archived tasks match "${query.trim()}"`}
+        </p>
+      ) : (
+        <ul style={styles.list}>
+          {visibleTasks.map(task => (
+            <li key={task.id} style={styles.row}>
+              <div style={styles.info}>
+                <h3 style={styles.title}>{task.title}</h3>
+                {task.description && (
+                  <p style={styles.description}>{task.description}</p>
+                )}
+                <div style={styles.meta}>
+                  Completed {formatAbsoluteTime(task.completedAt)} · Due {formatAbsoluteTime(task.deadline)}
+                </div>
+              </div>
+              <div style={styles.actions}>
+                <button
+                  onClick={() => onRestore(task.id)}
+                  style={{ ...styles.button, ...styles.restoreButton }}
+                  aria-label={`Restore ${task.title}`}
+                  title="Restore to active tasks"
+                >
+                  <GoHistory /> Restore
+                </button>
+                <button
+                  onClick={() => onPurge(task.id)}
+                  style={styles.purgeButton}
+                  className="delete-icon"
+                  aria-label={`Permanently delete ${task.title}`}
+                  title="Delete permanently"
+                >
+                  <GoTrash size={16} />
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    maxWidth: '720px',
+    width: '100%',
+    margin: '0 auto',
+    paddingBottom: '160px'
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '15px',
+    paddingBottom: '8px',
+    borderBottom: '2px solid var(--border-primary)'
+  },
+  heading: {
+    fontSize: '20px',
+    fontWeight: 'bold',
+    color: 'var(--text-primary)'
+  },
+  count: {
+    fontSize: '16px',
+    color: 'var(--text-tertiary)',
+    fontWeight: 'normal'
+  },
+  purgeAllButton: {
+    padding: '6px 14px',
+    fontSize: '13px',
+    fontWeight: 'bold',
+    color: 'var(--stone-0)',
+    backgroundColor: 'var(--error)',
+    border: '2px solid transparent',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    outline: 'none'
+  },
+  searchBox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '8px 12px',
+    marginBottom: '15px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    backgroundColor: 'var(--bg-primary)'
+  },
+  searchIcon: {
+    color: 'var(--text-tertiary)',
+    flexShrink: 0
+  },
+  searchInput: {
+    flex: 1,
+    fontSize: '14px',
+    border: 'none',
+    outline: 'none',
+    backgroundColor: 'transparent',
+    color: 'var(--text-primary)'
+  },
+  empty: {
+    fontSize: '15px',
+    color: 'var(--text-tertiary)',
+    textAlign: 'center',
+    padding: '40px 0'
+  },
+  list: {
+    listStyle: 'none',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px'
+  },
+  row: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '12px 15px',
+    backgroundColor: 'var(--bg-primary)',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '8px'
+  },
+  info: {
+    minWidth: 0,
+    flex: 1
+  },
+  title: {
+    fontSize: '16px',
+    fontWeight: 'bold',
+    color: 'var(--text-secondary)',
+    textDecoration: 'line-through',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  description: {
+    fontSize: '13px',
+    color: 'var(--text-tertiary)',
+    marginTop: '4px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  meta: {
+    fontSize: '12px',
+    color: 'var(--text-tertiary)',
+    marginTop: '4px'
+  },
+  actions: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexShrink: 0
+  },
+  button: {
+    padding: '6px 12px',
+    fontSize: '13px',
+    border: '2px solid transparent',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    fontWeight: 'bold',
+    outline: 'none',
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px'
+  },
+  restoreButton: {
+    backgroundColor: 'var(--accent)',
+    color: 'var(--stone-0)'
+  },
+  purgeButton: {
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    padding: '6px',
+    display: 'flex',
+    alignItems: 'center',
+    color: 'var(--error)',
+    opacity: 0.7,
+    outline: 'none'
+  }
+};
+
+export default ArchiveView;
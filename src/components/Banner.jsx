@@ -10,8 +10,10 @@
  * @param {string} props.variant - 'info' | 'warning' | 'danger' (default: 'info')
  * @param {boolean} props.dismissible - Whether banner can be dismissed (default: false)
  * @param {function} props.onDismiss - Callback when banner is dismissed
+ * @param {string} props.actionLabel - Label for an optional action button (e.g. 'Reload')
+ * @param {function} props.onAction - Callback when the action button is clicked
  */
-function Banner({ isVisible, message, variant = 'info', dismissible = false, onDismiss }) {
+function Banner({ isVisible, message, variant = 'info', dismissible = false, onDismiss, actionLabel, onAction }) {
   if (!isVisible) return null;
 
   const variantStyles = {
@@ -40,6 +42,11 @@ function Banner({ isVisible, message, variant = 'info', dismissible = false, onD
   return (
     <div style={style} role="alert">
       <span style={styles.message}>{message}</span>
+      {actionLabel && onAction && (
+        <button onClick={onAction} style={styles.actionButton}>
+          {actionLabel}
+        </button>
+      )}
       {dismissible && onDismiss && (
         <button
           onClick={onDismiss}
@@ -73,6 +80,17 @@ const styles = {
     textAlign: 'center',
     flex: 1
   },
+  actionButton: {
+    padding: '4px 12px',
+    fontSize: '13px',
+    fontWeight: 600,
+    color: 'inherit',
+    backgroundColor: 'transparent',
+    border: '1px solid currentColor',
+    borderRadius: 'var(--radius-2)',
+    cursor: 'pointer',
+    flexShrink: 0
+  },
   closeButton: {
     background: 'none',
     border: 'none',
@@ -0,0 +1,196 @@
+/**
+ * BoardView Component
+ * Kanban board: one column per workflow status, cards reuse TaskItem
+ * (with urgency coloring). Drag a card to another column, or use the
+ * status picker under it, to change its status.
+ */
+
+import { useState } from 'react';
+import TaskItem from './TaskItem';
+import { groupTasksByStatus, getTaskStatus, DEFAULT_STATUS_COLUMNS } from '../utils/status';
+
+/**
+ * BoardView - Tasks in status columns
+ * @param {Array} tasks - Tasks to show (already filtered and sorted)
+ * @param {Array} columns - Board columns { id, label }
+ * @param {function} onStatusChange - Callback with (taskId, status) when a task changes column
+ * @param {function} onClick - Callback when a card is clicked (receives task.id)
+ * @param {function} onDelete - Callback for deleting a task
+ * @param {function} onComplete - Callback for completing a task
+ * @param {Array<string>} searchTerms - Active search terms to highlight
+ * @param {object} urgencySettings - Urgency coloring settings
+ * @param {function} onSnooze - Callback with (taskId, startDate) from a card's snooze menu
+ * @param {object} blockersById - Open blockers of each blocked task ({ [taskId]: tasks })
+ * @param {Set<string>} cantMakeItIds - Tasks whose estimated effort no longer fits before their deadline
+ * @returns {JSX.Element}
+ */
+function BoardView({
+  tasks,
+  columns = DEFAULT_STATUS_COLUMNS,
+  onStatusChange,
+  onClick,
+  onDelete,
+  onComplete,
+  searchTerms = [],
+  urgencySettings,
+  onSnooze,
+  blockersById = {},
+  cantMakeItIds = new Set()
+}) {
+  const [dropColumn, setDropColumn] = useState(null);
+  const grouped = groupTasksByStatus(tasks, columns);
+
+  /**
+   * Move the dragged task into a column
+   * @param {DragEvent} e
+   * @param {string} status - Column dropped on
+   */
+  const handleDrop = (e, status) => {
+    e.preventDefault();
+    setDropColumn(null);
+
+    const taskId = e.dataTransfer.getData('text/plain');
+    const task = tasks.find(t => t.id === taskId);
+    if (task && getTaskStatus(task, columns) !== status) {
+      onStatusChange(taskId, status);
+    }
+  };
+
+  return (
+    <div style={styles.board}>
+      {grouped.map(column => (
+        <section
+          key={column.id}
+          data-status={column.id}
+          aria-label={`${column.label} (${column.tasks.length})`}
+          onDragOver={(e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            if (dropColumn !== column.id) setDropColumn(column.id);
+          }}
+          onDragLeave={(e) => {
+            // Ignore leaving into a card inside the same column
+            if (!e.currentTarget.contains(e.relatedTarget)) setDropColumn(null);
+          }}
+          onDrop={(e) => handleDrop(e, column.id)}
+          style={{
+            ...styles.column,
+            ...(dropColumn === column.id ? styles.dropTarget : {})
+          }}
+        >
+          <h2 style={styles.columnHeader}>
+            <span>{column.label}</span>
+            <span style={styles.count}>{column.tasks.length}</span>
+          </h2>
+
+          {column.tasks.length === 0 && (
+            <p style={styles.empty}>Drop tasks here</p>
+          )}
+
+          {column.tasks.map(task => (
+            <div
+              key={task.id}
+              draggable
+              onDragStart={(e) => {
+                e.dataTransfer.setData('text/plain', task.id);
+                e.dataTransfer.effectAllowed = 'move';
+              }}
+              style={styles.card}
+            >
+              <TaskItem
+                task={task}
+                onClick={onClick}
+                onDelete={onDelete}
+                onComplete={onComplete}
+                searchTerms={searchTerms}
+                urgencySettings={urgencySettings}
+                onSnooze={onSnooze}
+                blockers={blockersById[task.id]}
+                cantMakeIt={cantMakeItIds.has(task.id)}
+              />
+              <select
+                value={column.id}
+                onChange={(e) => onStatusChange(task.id, e.target.value)}
+                aria-label={`Status of ${task.title}`}
+                style={styles.statusSelect}
+              >
+                {columns.map(option => (
+                  <option key={option.id} value={option.id}>{option.label}</option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </section>
+      ))}
+    </div>
+  );
+}
+
+const styles = {
+  board: {
+    display: 'flex',
+    gap: '16px',
+    alignItems: 'flex-start',
+    overflowX: 'auto',
+    paddingBottom: '160px'
+  },
+  column: {
+    flex: '1 0 260px',
+    maxWidth: '340px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    minHeight: '200px',
+    padding: '12px',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '8px'
+  },
+  dropTarget: {
+    backgroundColor: 'var(--bg-active)',
+    borderStyle: 'dashed'
+  },
+  columnHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    margin: 0,
+    fontSize: '16px',
+    fontWeight: 'bold',
+    color: 'var(--text-primary)'
+  },
+  count: {
+    minWidth: '24px',
+    padding: '1px 8px',
+    fontSize: '13px',
+    fontWeight: '600',
+    textAlign: 'center',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'var(--bg-tertiary)',
+    borderRadius: '10px'
+  },
+  empty: {
+    margin: 0,
+    padding: '16px 0',
+    fontSize: '13px',
+    textAlign: 'center',
+    color: 'var(--text-tertiary)'
+  },
+  card: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    cursor: 'grab'
+  },
+  statusSelect: {
+    alignSelf: 'flex-end',
+    padding: '2px 6px',
+    fontSize: '12px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-secondary)'
+  }
+};
+
+export default BoardView;
@@ -0,0 +1,341 @@
+/**
+ * CalendarView Component
+ * Month or week calendar with tasks placed on their local deadline day.
+ * Click a task to open it, click a day to add a task on it,
+ * drag a task to another day to reschedule it.
+ */
+
+import { useState } from 'react';
+import { GoChevronLeft, GoChevronRight } from 'react-icons/go';
+import dayjs from 'dayjs';
+import {
+  getToday,
+  getMonthGrid,
+  getWeekDays,
+  shiftCalendar,
+  getCalendarTitle,
+  groupTasksByDay
+} from '../utils/calendar';
+import { formatAbsoluteTime, utcToLocalDate } from '../utils/datetime';
+import { getUrgencyColor, isOverdue, DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import { VIEW_MODES } from '../utils/views';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Priority colors for the task chip edge, matching TaskItem's badges
+ */
+const PRIORITY_COLORS = { 1: 'var(--red-6)', 2: 'var(--orange-6)', 3: 'var(--green-6)' };
+
+/**
+ * CalendarView - Month/week calendar of active tasks
+ * @param {Array} tasks - Tasks to place (already filtered)
+ * @param {'month' | 'week'} layout - VIEW_MODES.MONTH or VIEW_MODES.WEEK
+ * @param {function} onTaskClick - Callback with a task id
+ * @param {function} onDayClick - Callback with a local date (YYYY-MM-DD) to add a task on
+ * @param {function} onReschedule - Callback with (taskId, local date) when a task is dropped on another day
+ * @param {object} urgencySettings - Urgency coloring settings
+ * @param {Set<string>} cantMakeItIds - Tasks whose estimated effort no longer fits before their deadline
+ * @returns {JSX.Element}
+ */
+function CalendarView({
+  tasks,
+  layout = VIEW_MODES.MONTH,
+  onTaskClick,
+  onDayClick,
+  onReschedule,
+  urgencySettings = DEFAULT_URGENCY_SETTINGS,
+  cantMakeItIds = new Set()
+}) {
+  const [anchorDay, setAnchorDay] = useState(() => getToday());
+  const [dropDay, setDropDay] = useState(null);
+
+  const isWeek = layout === VIEW_MODES.WEEK;
+  const days = isWeek ? getWeekDays(anchorDay) : getMonthGrid(anchorDay).flat();
+  const tasksByDay = groupTasksByDay(tasks);
+  const today = getToday();
+  const anchorMonth = dayjs(anchorDay).month();
+  const unitName = isWeek ? 'week' : 'month';
+  const now = Date.now();
+
+  /**
+   * Reschedule the dragged task onto a day
+   * @param {DragEvent} e
+   * @param {string} day - Local date dropped on
+   */
+  const handleDrop = (e, day) => {
+    e.preventDefault();
+    setDropDay(null);
+
+    const taskId = e.dataTransfer.getData('text/plain');
+    const task = tasks.find(t => t.id === taskId);
+    if (task && utcToLocalDate(task.deadline) !== day) {
+      onReschedule(taskId, day);
+    }
+  };
+
+  /**
+   * Render one task chip
+   * @param {object} task
+   * @returns {JSX.Element}
+   */
+  const renderTask = (task) => {
+    const urgencyColors = getUrgencyColor(task.deadline, now, urgencySettings, task.createdAt, cantMakeItIds.has(task.id));
+    const time = formatAbsoluteTime(task.deadline, 'h:mm A');
+
+    return (
+      <li key={task.id}>
+        <button
+          type="button"
+          draggable
+          onDragStart={(e) => {
+            e.dataTransfer.setData('text/plain', task.id);
+            e.dataTransfer.effectAllowed = 'move';
+          }}
+          onClick={(e) => {
+            e.stopPropagation();
+            onTaskClick(task.id);
+          }}
+          style={{
+            ...styles.task,
+            borderLeftColor: PRIORITY_COLORS[task.priority] || 'var(--stone-6)',
+            ...(urgencyColors && {
+              backgroundColor: urgencyColors.backgroundColor,
+              color: urgencyColors.textColor ?? 'var(--stone-12)'
+            }),
+            ...(isOverdue(task.deadline, now) && styles.overdue)
+          }}
+          title={`${task.title} — ${formatAbsoluteTime(task.deadline)}`}
+          aria-label={`${task.title}, due ${time}`}
+        >
+          <span style={styles.taskTime}>{time}</span>
+          <span style={isWeek ? styles.taskTitleWrapped : styles.taskTitle}>{task.title}</span>
+        </button>
+      </li>
+    );
+  };
+
+  return (
+    <section style={styles.container} aria-label="Calendar">
+      <div style={styles.header}>
+        <div style={styles.nav}>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(shiftCalendar(anchorDay, layout, -1))}
+            style={styles.navButton}
+            aria-label={`Previous ${unitName}`}
+          >
+            <GoChevronLeft />
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(getToday())}
+            style={styles.todayButton}
+          >
+            Today
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(shiftCalendar(anchorDay, layout, 1))}
+            style={styles.navButton}
+            aria-label={`Next ${unitName}`}
+          >
+            <GoChevronRight />
+          </button>
+        </div>
+        <h2 style={styles.title}>{getCalendarTitle(anchorDay, layout)}</h2>
+      </div>
+
+      <div style={styles.grid}>
+        {WEEKDAY_NAMES.map(name => (
+          <div key={name} style={styles.weekday}>{name}</div>
+        ))}
+
+        {days.map(day => {
+          const date = dayjs(day);
+          const dayTasks = tasksByDay.get(day) || [];
+          const isOutside = !isWeek && date.month() !== anchorMonth;
+
+          return (
+            <div
+              key={day}
+              data-day={day}
+              onClick={() => onDayClick(day)}
+              onDragOver={(e) => {
+                e.preventDefault();
+                e.dataTransfer.dropEffect = 'move';
+                if (dropDay !== day) setDropDay(day);
+              }}
+              onDragLeave={() => setDropDay(null)}
+              onDrop={(e) => handleDrop(e, day)}
+              style={{
+                ...styles.day,
+                ...(isWeek ? styles.weekDay : {}),
+                ...(isOutside ? styles.outsideDay : {}),
+                ...(day === today ? styles.today : {}),
+                ...(day === dropDay ? styles.dropTarget : {})
+              }}
+            >
+              <button
+                type="button"
+                onClick={(e) => {
+                  e.stopPropagation();
+                  onDayClick(day);
+                }}
+                style={{ ...styles.dayNumber, ...(day === today ? styles.todayNumber : {}) }}
+                aria-label={`Add task on ${date.format('dddd, MMMM D')}`}
+              >
+                {isWeek ? date.format('MMM D') : date.date()}
+              </button>
+              {dayTasks.length > 0 && (
+                <ul style={styles.tasks} aria-label={`Tasks due ${date.format('MMMM D')}`}>
+                  {dayTasks.map(renderTask)}
+                </ul>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+    flexWrap: 'wrap'
+  },
+  nav: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px'
+  },
+  navButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '6px 8px',
+    fontSize: '16px',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  todayButton: {
+    padding: '6px 12px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: 'bold',
+    color: 'var(--text-primary)'
+  },
+  grid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+    gap: '4px'
+  },
+  weekday: {
+    padding: '4px',
+    fontSize: '12px',
+    fontWeight: '600',
+    textAlign: 'center',
+    color: 'var(--text-secondary)'
+  },
+  day: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    minHeight: '96px',
+    padding: '4px',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    overflow: 'hidden'
+  },
+  weekDay: {
+    minHeight: '280px'
+  },
+  outsideDay: {
+    opacity: 0.5
+  },
+  today: {
+    borderColor: 'var(--accent)'
+  },
+  dropTarget: {
+    backgroundColor: 'var(--bg-active)',
+    borderStyle: 'dashed'
+  },
+  dayNumber: {
+    alignSelf: 'flex-start',
+    padding: '0 6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderRadius: '10px',
+    cursor: 'pointer'
+  },
+  todayNumber: {
+    color: 'var(--text-inverse)',
+    backgroundColor: 'var(--accent)'
+  },
+  tasks: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '3px'
+  },
+  task: {
+    display: 'flex',
+    flexDirection: 'column',
+    width: '100%',
+    padding: '2px 6px',
+    textAlign: 'left',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-tertiary)',
+    border: 'none',
+    borderLeft: '3px solid',
+    borderRadius: '3px',
+    cursor: 'grab'
+  },
+  overdue: {
+    opacity: 0.6
+  },
+  taskTime: {
+    fontSize: '11px',
+    opacity: 0.8
+  },
+  taskTitle: {
+    fontSize: '12px',
+    fontWeight: '500',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  taskTitleWrapped: {
+    fontSize: '13px',
+    fontWeight: '500',
+    overflowWrap: 'anywhere'
+  }
+};
+
+export default CalendarView;
@@ -0,0 +1,210 @@
+/**
+ * ChecklistEditor Component
+ * Editable list of task steps: check, add, reorder and remove items
+ * Used by TaskForm (saved with the form) and TaskDetailModal (saved immediately)
+ */
+
+import { useState } from 'react';
+import { GoArrowUp, GoArrowDown, GoX } from 'react-icons/go';
+import {
+  MAX_CHECKLIST_ITEMS,
+  MAX_CHECKLIST_ITEM_LENGTH,
+  createChecklistItem,
+  toggleChecklistItem,
+  removeChecklistItem,
+  moveChecklistItem,
+  formatChecklistProgress
+} from '../utils/checklist';
+
+/**
+ * ChecklistEditor - Controlled checklist editor
+ * @param {Array} items - Checklist items { id, text, done }
+ * @param {function} onChange - Callback with the new list of items
+ * @returns {JSX.Element}
+ */
+function ChecklistEditor({ items, onChange }) {
+  const [newItemText, setNewItemText] = useState('');
+  const isFull = items.length >= MAX_CHECKLIST_ITEMS;
+
+  /**
+   * Append the typed item
+   */
+  const addItem = () => {
+    if (!newItemText.trim() || isFull) return;
+    onChange([...items, createChecklistItem(newItemText)]);
+    setNewItemText('');
+  };
+
+  /**
+   * Enter adds the item instead of submitting a surrounding form
+   * @param {KeyboardEvent} e
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      addItem();
+    }
+  };
+
+  return (
+    <div style={styles.container}>
+      {items.length > 0 && (
+        <>
+          <div style={styles.progress} aria-label="Checklist progress">
+            {formatChecklistProgress(items)} done
+          </div>
+          <ul style={styles.list}>
+            {items.map((item, index) => (
+              <li key={item.id} style={styles.item}>
+                <label style={styles.itemLabel}>
+                  <input
+                    type="checkbox"
+                    checked={item.done}
+                    onChange={() => onChange(toggleChecklistItem(items, item.id))}
+                    style={styles.checkbox}
+                  />
+                  <span style={{ ...styles.itemText, ...(item.done ? styles.itemTextDone : {}) }}>
+                    {item.text}
+                  </span>
+                </label>
+                <button
+                  type="button"
+                  onClick={() => onChange(moveChecklistItem(items, item.id, -1))}
+                  disabled={index === 0}
+                  style={styles.iconButton}
+                  aria-label={`Move "${item.text}" up`}
+                >
+                  <GoArrowUp />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(moveChecklistItem(items, item.id, 1))}
+                  disabled={index === items.length - 1}
+                  style={styles.iconButton}
+                  aria-label={`Move "${item.text}" down`}
+                >
+                  <GoArrowDown />
+                </button>
+                <button
+                  type="button"
+                  onClick={() => onChange(removeChecklistItem(items, item.id))}
+                  style={styles.iconButton}
+                  aria-label={`Remove "${item.text}"`}
+                >
+                  <GoX />
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+
+      <div style={styles.addRow}>
+        <input
+          type="text"
+          value={newItemText}
+          onChange={(e) => setNewItemText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          maxLength={MAX_CHECKLIST_ITEM_LENGTH}
+          disabled={isFull}
+          placeholder={isFull ? `Up to ${MAX_CHECKLIST_ITEMS} items` : 'Add a step'}
+          aria-label="New checklist item"
+          style={styles.input}
+          autoComplete="off"
+        />
+        <button
+          type="button"
+          onClick={addItem}
+          disabled={isFull || !newItemText.trim()}
+          style={styles.addButton}
+        >
+          Add item
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  progress: {
+    fontSize: '13px',
+    fontWeight: 'bold',
+    color: 'var(--text-secondary)'
+  },
+  list: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  item: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px'
+  },
+  itemLabel: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    minWidth: 0,
+    cursor: 'pointer'
+  },
+  checkbox: {
+    marginTop: '3px',
+    cursor: 'pointer'
+  },
+  itemText: {
+    fontSize: '14px',
+    color: 'var(--text-primary)',
+    overflowWrap: 'anywhere'
+  },
+  itemTextDone: {
+    textDecoration: 'line-through',
+    color: 'var(--text-tertiary)'
+  },
+  iconButton: {
+    padding: '4px',
+    display: 'flex',
+    alignItems: 'center',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  addRow: {
+    display: 'flex',
+    gap: '8px'
+  },
+  input: {
+    flex: 1,
+    padding: '6px 10px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    outline: 'none',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  addButton: {
+    padding: '6px 12px',
+    fontSize: '13px',
+    fontWeight: 'bold',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-primary)',
+    border: '1px solid var(--accent)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    whiteSpace: 'nowrap'
+  }
+};
+
+export default ChecklistEditor;
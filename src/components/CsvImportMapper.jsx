@@ -0,0 +1,263 @@
+/**
+ * CsvImportMapper Component
+ * Column-mapping step of CSV import: match CSV columns to task fields,
+ * preview the first rows and see which rows will be skipped
+ */
+
+import { useState } from 'react';
+import {
+  CSV_IMPORT_FIELDS,
+  guessCsvMapping,
+  guessDateOrder,
+  csvRowsToTasks
+} from '../utils/importExport';
+
+/**
+ * Number of rows shown in the preview table
+ */
+const PREVIEW_ROWS = 5;
+
+/**
+ * Number of row errors listed before summarizing the rest
+ */
+const MAX_LISTED_ERRORS = 10;
+
+/**
+ * CsvImportMapper - Map CSV columns to task fields and import
+ * @param {Array<string>} headers - CSV header row
+ * @param {Array<Array<string>>} rows - CSV data rows
+ * @param {function} onImport - Callback with (tasks, errors) for the rows that can be imported
+ * @param {function} onCancel - Callback to leave the mapping step
+ * @returns {JSX.Element}
+ */
+function CsvImportMapper({ headers, rows, onImport, onCancel }) {
+  const [mapping, setMapping] = useState(() => guessCsvMapping(headers));
+  const [dateOrder, setDateOrder] = useState(() => (
+    mapping.deadline === null ? 'mdy' : guessDateOrder(rows.map(row => row[mapping.deadline]))
+  ));
+
+  const missingFields = CSV_IMPORT_FIELDS.filter(field => field.required && mapping[field.key] === null);
+  const { tasks, errors } = missingFields.length === 0
+    ? csvRowsToTasks(rows, mapping, { dateOrder })
+    : { tasks: [], errors: [] };
+  const mappedFields = CSV_IMPORT_FIELDS.filter(field => mapping[field.key] !== null);
+
+  /**
+   * Point one task field at a column ('' = not imported)
+   * @param {string} key - Field key
+   * @param {string} value - Column index from the select
+   */
+  const handleMappingChange = (key, value) => {
+    setMapping({ ...mapping, [key]: value === '' ? null : Number(value) });
+  };
+
+  return (
+    <div style={styles.container}>
+      <h4 style={styles.title}>Match CSV columns</h4>
+      <p style={styles.hint}>{rows.length} rows found. Choose which column holds each task field.</p>
+
+      <div style={styles.fields}>
+        {CSV_IMPORT_FIELDS.map(field => (
+          <div key={field.key} style={styles.field}>
+            <label htmlFor={`csv-map-${field.key}`} style={styles.label}>
+              {field.label}{field.required && ' *'}
+            </label>
+            <select
+              id={`csv-map-${field.key}`}
+              value={mapping[field.key] ?? ''}
+              onChange={(e) => handleMappingChange(field.key, e.target.value)}
+              style={styles.select}
+            >
+              <option value="">Not imported</option>
+              {headers.map((header, index) => (
+                <option key={index} value={index}>
+                  {header || `Column ${index + 1}`}
+                </option>
+              ))}
+            </select>
+          </div>
+        ))}
+
+        <div style={styles.field}>
+          <label htmlFor="csv-date-order" style={styles.label}>Date order</label>
+          <select
+            id="csv-date-order"
+            value={dateOrder}
+            onChange={(e) => setDateOrder(e.target.value)}
+            style={styles.select}
+          >
+            <option value="mdy">Month/Day/Year</option>
+            <option value="dmy">Day/Month/Year</option>
+          </select>
+        </div>
+      </div>
+
+      {mappedFields.length > 0 && (
+        <div style={styles.previewWrapper}>
+          <table style={styles.preview} aria-label="Import preview">
+            <thead>
+              <tr>
+                {mappedFields.map(field => (
+                  <th key={field.key} style={styles.cell}>{field.label}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.slice(0, PREVIEW_ROWS).map((row, index) => (
+                <tr key={index}>
+                  {mappedFields.map(field => (
+                    <td key={field.key} style={styles.cell}>{row[mapping[field.key]] ?? ''}</td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {missingFields.length > 0 && (
+        <p style={styles.error} role="alert">
+          Choose a column for: {missingFields.map(field => field.label).join(', ')}
+        </p>
+      )}
+
+      {errors.length > 0 && (
+        <div style={styles.errors}>
+          <p style={styles.error}>
+            {errors.length === 1 ? '1 row will be skipped:' : `${errors.length} rows will be skipped:`}
+          </p>
+          <ul style={styles.errorList}>
+            {errors.slice(0, MAX_LISTED_ERRORS).map(error => (
+              <li key={error}>{error}</li>
+            ))}
+            {errors.length > MAX_LISTED_ERRORS && (
+              <li>…and {errors.length - MAX_LISTED_ERRORS} more</li>
+            )}
+          </ul>
+        </div>
+      )}
+
+      <div style={styles.actions}>
+        <button type="button" onClick={onCancel} style={styles.cancelButton}>
+          Cancel
+        </button>
+        <button
+          type="button"
+          onClick={() => onImport(tasks, errors)}
+          disabled={tasks.length === 0}
+          style={{ ...styles.importButton, ...(tasks.length === 0 ? styles.disabled : {}) }}
+        >
+          {tasks.length === 1 ? 'Import 1 task' : `Import ${tasks.length} tasks`}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px'
+  },
+  title: {
+    fontSize: '15px',
+    fontWeight: '600',
+    color: 'var(--text-primary)',
+    margin: 0
+  },
+  hint: {
+    fontSize: '12px',
+    color: 'var(--text-tertiary)',
+    margin: 0
+  },
+  fields: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fit, minmax(180px, 1fr))',
+    gap: '8px 12px'
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  label: {
+    fontSize: '13px',
+    fontWeight: '500',
+    color: 'var(--text-secondary)'
+  },
+  select: {
+    padding: '6px 10px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    outline: 'none',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  previewWrapper: {
+    overflowX: 'auto',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '6px'
+  },
+  preview: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '12px',
+    color: 'var(--text-primary)'
+  },
+  cell: {
+    padding: '6px 8px',
+    textAlign: 'left',
+    borderBottom: '1px solid var(--border-primary)',
+    whiteSpace: 'nowrap',
+    maxWidth: '160px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis'
+  },
+  errors: {
+    maxHeight: '140px',
+    overflowY: 'auto'
+  },
+  error: {
+    fontSize: '13px',
+    color: 'var(--error)',
+    margin: 0
+  },
+  errorList: {
+    margin: '4px 0 0 0',
+    paddingLeft: '20px',
+    fontSize: '12px',
+    color: 'var(--text-secondary)'
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    gap: '8px'
+  },
+  cancelButton: {
+    padding: '8px 16px',
+    fontSize: '14px',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  importButton: {
+    padding: '8px 16px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--text-inverse)',
+    backgroundColor: 'var(--accent)',
+    border: '1px solid transparent',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  disabled: {
+    opacity: 0.5,
+    cursor: 'not-allowed'
+  }
+};
+
+export default CsvImportMapper;
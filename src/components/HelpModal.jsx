@@ -41,6 +41,9 @@ function HelpModal({ isOpen, onClose }) {
               <li style={styles.listItem}>
                 <strong>Add Task:</strong> Click "+ Add Task (Q)" button or press <kbd style={styles.kbd}>Q</kbd> key
               </li>
+              <li style={styles.listItem}>
+                <strong>Quick Add:</strong> Type one line in the bar above the list (or press <kbd style={styles.kbd}>A</kbd>), e.g. "Send invoice tomorrow 5pm !high #billing". Days ("on fri", "next week", "jan 15"), times ("5pm", "in 3 hours", "eod"), "!high"/"!medium"/"!low" and "#tags" are picked out, and the deadline is shown before you press Enter
+              </li>
               <li style={styles.listItem}>
                 <strong>View Details:</strong> Click any task card to open full details
               </li>
@@ -48,11 +51,72 @@ function HelpModal({ isOpen, onClose }) {
                 <strong>Edit Task:</strong> Click task card, then "Edit Task" button
               </li>
               <li style={styles.listItem}>
-                <strong>Complete Task:</strong> Click "Complete" button on task card (removes task)
+                <strong>Complete Task:</strong> Click "Complete" button on task card (moves task to the archive)
               </li>
               <li style={styles.listItem}>
                 <strong>Delete Task:</strong> Click trash icon next to priority badge
               </li>
+              <li style={styles.listItem}>
+                <strong>Recurring Tasks:</strong> Set "Repeat" in the task form (daily, weekly, monthly, yearly). Completing one schedules the next occurrence
+              </li>
+              <li style={styles.listItem}>
+                <strong>Tags:</strong> Type a tag in the task form and press Enter or comma. Click tags above the list to show only tasks that have all selected tags
+              </li>
+              <li style={styles.listItem}>
+                <strong>Checklists:</strong> Break a task into steps in the task form or the task details. Cards show progress like "3/5". Settings can complete a task once every step is checked
+              </li>
+              <li style={styles.listItem}>
+                <strong>Notifications:</strong> Turn on desktop notifications in Settings to be reminded before deadlines and when a task becomes overdue. Each task can use its own reminder times
+              </li>
+              <li style={styles.listItem}>
+                <strong>Install & Offline:</strong> Install NearZero from your browser's menu to use it like an app. Once loaded it works without a connection; when a new version is ready, a banner offers to reload
+              </li>
+              <li style={styles.listItem}>
+                <strong>Agenda View:</strong> Switch "View" to Agenda to group tasks into Overdue, Today, Tomorrow, This week, Next week and Later. Click a section heading to collapse it
+              </li>
+              <li style={styles.listItem}>
+                <strong>Calendar View:</strong> Switch "View" to Month or Week to see tasks on their deadline day. Click a day to add a task due that day, or drag a task to another day to move its deadline (the time stays the same)
+              </li>
+              <li style={styles.listItem}>
+                <strong>Dependencies:</strong> Under "Blocked By" in the task form, pick the tasks that must be done first. Blocked cards show "Blocked by N" until those tasks are completed, and you are warned when a blocking task is due after the task it blocks. Links that would loop back are not allowed
+              </li>
+              <li style={styles.listItem}>
+                <strong>Snooze:</strong> Click the clock on a card (or Snooze in the task details) to hide a task until tomorrow 9 AM, next Monday 9 AM or a time you pick. You can also set a Start Date in the task form. Snoozed tasks come back on their own; tick "Show snoozed" to see them now
+              </li>
+              <li style={styles.listItem}>
+                <strong>Board View:</strong> Switch "View" to Board to see tasks in To do, In progress, Blocked and Done columns. Drag a card to another column, or pick its status under the card, to move it. Rename, add or reorder columns under Settings → Board Columns
+              </li>
+              <li style={styles.listItem}>
+                <strong>Timeline View:</strong> Switch "View" to Timeline to see each task as a bar ending at its deadline. Bars are as long as the task's Estimated Effort, or start at its Start Date. Zoom to a day, week or month; the red line marks now. Drag the end of a bar (or focus it and press the arrow keys) to move the deadline
+              </li>
+              <li style={styles.listItem}>
+                <strong>Workload:</strong> Give tasks an Estimated Effort and the list shows how much work is due on each of the next seven days, warning you when more is due than fits. Tasks whose effort no longer fits before their deadline are marked "Can't make it". Set how many hours you work per day under Settings → Workload
+              </li>
+              <li style={styles.listItem}>
+                <strong>Search:</strong> Type in the search box (or press <kbd style={styles.kbd}>/</kbd>) to filter by title, description and tags. Several words must all match; case and accents are ignored
+              </li>
+              <li style={styles.listItem}>
+                <strong>Undo & Redo:</strong> Click "Undo" on the notification or press <kbd style={styles.kbd}>Ctrl</kbd>+<kbd style={styles.kbd}>Z</kbd>. Confirmation dialogs can be turned off in Settings
+              </li>
+            </ul>
+          </section>
+
+          {/* Archive */}
+          <section style={styles.section}>
+            <h3 style={styles.sectionTitle}>Archive</h3>
+            <ul style={styles.list}>
+              <li style={styles.listItem}>
+                <strong>Browse:</strong> Click "Archive" in the navbar to see completed tasks, newest first
+              </li>
+              <li style={styles.listItem}>
+                <strong>Search:</strong> Filter the archive by title or description
+              </li>
+              <li style={styles.listItem}>
+                <strong>Restore:</strong> Move a completed task back to the active list
+              </li>
+              <li style={styles.listItem}>
+                <strong>Purge:</strong> Permanently delete one archived task, or all of them
+              </li>
             </ul>
           </section>
 
@@ -64,13 +128,13 @@ function HelpModal({ isOpen, onClose }) {
                 <strong>Priority Levels:</strong> High (red), Medium (yellow), Low (green)
               </li>
               <li style={styles.listItem}>
-                <strong>Urgency Colors:</strong> Task border changes from green → yellow → orange → red as deadline approaches
+                <strong>Urgency Colors:</strong> Task border turns yellow under 24 hours, orange under 6 hours and red under 1 hour. The bands, their colors and how many there are can be changed in Settings, or switched to a gradient that fades from green to red as the deadline nears
               </li>
               <li style={styles.listItem}>
                 <strong>Overdue Tasks:</strong> Grouped separately at top with red border and blink animation
               </li>
               <li style={styles.listItem}>
-                <strong>Urgent Tasks:</strong> Pulse animation when {"<"}1 hour remaining
+                <strong>Urgent Tasks:</strong> Pulse animation when {"<"}1 hour remaining (adjustable in Settings)
               </li>
             </ul>
           </section>
@@ -131,10 +195,16 @@ function HelpModal({ isOpen, onClose }) {
             <h3 style={styles.sectionTitle}>Import & Export</h3>
             <ul style={styles.list}>
               <li style={styles.listItem}>
-                <strong>Export:</strong> Download all tasks as JSON file (backup)
+                <strong>Export:</strong> Download all tasks, including archived ones, as JSON file (backup)
               </li>
               <li style={styles.listItem}>
-                <strong>Import:</strong> Upload JSON file to restore tasks (replaces current tasks)
+                <strong>Import:</strong> Upload JSON file, preview new, updated and conflicting tasks, then Merge (newest edit wins), Append or Replace
+              </li>
+              <li style={styles.listItem}>
+                <strong>CSV:</strong> Export a spreadsheet-friendly CSV, or import one by matching its columns to task fields. Imported rows are added to current tasks; rows that can't be read are listed and skipped
+              </li>
+              <li style={styles.listItem}>
+                <strong>Calendar:</strong> Export tasks as an .ics file to see deadlines in your calendar app (with alarms for your reminders). Importing an .ics file adds its open to-dos and events as tasks
               </li>
               <li style={styles.listItem}>
                 Descriptions auto-truncate to 300 characters on import
@@ -164,7 +234,23 @@ function HelpModal({ isOpen, onClose }) {
             <div style={styles.keymap}>
               <div style={styles.keymapRow}>
                 <kbd style={styles.kbd}>Q</kbd>
-                <span style={styles.keymapDesc}>Quick add new task</span>
+                <span style={styles.keymapDesc}>Open new task form</span>
+              </div>
+              <div style={styles.keymapRow}>
+                <kbd style={styles.kbd}>A</kbd>
+                <span style={styles.keymapDesc}>Quick add bar</span>
+              </div>
+              <div style={styles.keymapRow}>
+                <kbd style={styles.kbd}>/</kbd>
+                <span style={styles.keymapDesc}>Search tasks</span>
+              </div>
+              <div style={styles.keymapRow}>
+                <kbd style={styles.kbd}>Ctrl+Z</kbd>
+                <span style={styles.keymapDesc}>Undo last change</span>
+              </div>
+              <div style={styles.keymapRow}>
+                <kbd style={styles.kbd}>Ctrl+Shift+Z</kbd>
+                <span style={styles.keymapDesc}>Redo (also Ctrl+Y)</span>
               </div>
             </div>
           </section>
@@ -177,11 +263,14 @@ function HelpModal({ isOpen, onClose }) {
                 <strong>100% Client-Side:</strong> No backend, no servers, no accounts
               </li>
               <li style={styles.listItem}>
-                <strong>localStorage:</strong> Data saved in browser (stays on your device)
+                <strong>Browser Storage:</strong> Data saved in IndexedDB, or localStorage where IndexedDB is unavailable (stays on your device)
               </li>
               <li style={styles.listItem}>
                 <strong>No Tracking:</strong> Zero analytics, zero data collection
               </li>
+              <li style={styles.listItem}>
+                <strong>Multiple Tabs:</strong> Tasks and preferences stay in sync across open tabs. If one task is edited in two tabs at once, the newer edit is kept and you are notified
+              </li>
               <li style={styles.listItem}>
                 <strong>Backup Recommended:</strong> Export tasks periodically (browser data can be cleared)
               </li>
@@ -0,0 +1,39 @@
+/**
+ * Highlight Component
+ * Renders text with search matches wrapped in <mark>
+ */
+
+import { splitHighlights } from '../utils/search';
+
+/**
+ * Highlight - Text with highlighted search terms
+ * @param {string} text - Text to display
+ * @param {Array<string>} terms - Folded search terms (empty = plain text)
+ * @returns {JSX.Element}
+ */
+function Highlight({ text, terms = [] }) {
+  if (terms.length === 0) {
+    return <>{text}</>;
+  }
+
+  return (
+    <>
+      {splitHighlights(text, terms).map((segment, index) => (
+        segment.match
+          ? <mark key={index} style={styles.mark}>{segment.text}</mark>
+          : <span key={index}>{segment.text}</span>
+      ))}
+    </>
+  );
+}
+
+const styles = {
+  mark: {
+    backgroundColor: 'var(--yellow-3)',
+    color: 'var(--stone-12)',
+    borderRadius: '2px',
+    padding: '0 1px'
+  }
+};
+
+export default Highlight;
@@ -0,0 +1,317 @@
+/**
+ * ImportDialog Component
+ * Preview of a JSON import: how imported tasks compare with current ones,
+ * and whether to merge, append or replace. Nothing changes until confirmed.
+ * Tasks that failed validation are listed with their errors and never imported.
+ */
+
+import { useState } from 'react';
+import Modal from './Modal';
+import { diffImport } from '../utils/importMerge';
+
+/**
+ * Import modes offered, in display order
+ */
+const MODE_OPTIONS = [
+  {
+    value: 'merge',
+    label: 'Merge by id',
+    description: 'Add new tasks and update changed ones. When both copies changed, the one edited last wins.',
+    confirmText: 'Merge'
+  },
+  {
+    value: 'append',
+    label: 'Append',
+    description: 'Add every imported task as a new task. Current tasks are not touched.',
+    confirmText: 'Append'
+  },
+  {
+    value: 'replace',
+    label: 'Replace',
+    description: 'Remove all current tasks, including the archive, and use the imported ones.',
+    confirmText: 'Replace all'
+  }
+];
+
+/**
+ * Labels for diff statuses, in display order
+ */
+const STATUS_LABELS = {
+  new: 'New',
+  updated: 'Updated',
+  unchanged: 'Unchanged',
+  conflict: 'Conflicting'
+};
+
+/**
+ * Explain what Merge does with one imported task
+ * @param {object} entry - Entry from diffImport
+ * @returns {string}
+ */
+function describeMergeOutcome(entry) {
+  switch (entry.status) {
+    case 'new':
+      return 'will be added';
+    case 'updated':
+      return 'imported copy is newer and will replace yours';
+    case 'conflict':
+      return 'your copy is as new or newer and will be kept';
+    default:
+      return 'already up to date';
+  }
+}
+
+/**
+ * ImportDialog - Choose how to apply an import after previewing it
+ * @param {boolean} isOpen - Whether dialog is visible
+ * @param {object} current - { tasks, archivedTasks } now
+ * @param {object} imported - { tasks, archivedTasks, rejected } from the file (rejected: invalid tasks left out)
+ * @param {function} onConfirm - Callback with the chosen mode ('merge' | 'append' | 'replace')
+ * @param {function} onCancel - Callback when the import is abandoned
+ * @returns {JSX.Element}
+ */
+function ImportDialog({ isOpen, current, imported, onConfirm, onCancel }) {
+  const [mode, setMode] = useState('merge');
+
+  if (!isOpen || !imported) {
+    return null;
+  }
+
+  const { entries, counts } = diffImport(current, imported);
+  const currentCount = current.tasks.length + current.archivedTasks.length;
+  const selected = MODE_OPTIONS.find(option => option.value === mode);
+  const changedEntries = entries.filter(entry => entry.status !== 'unchanged');
+  const rejected = imported.rejected || [];
+
+  return (
+    <Modal isOpen={isOpen} onClose={onCancel} maxWidth="560px">
+      <div style={styles.container}>
+        <h2 style={styles.title}>Import tasks</h2>
+        <p style={styles.message}>
+          The file has {entries.length + rejected.length} tasks. You have {currentCount} tasks now.
+        </p>
+
+        <ul style={styles.counts} aria-label="Import summary">
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <li key={status} style={{ ...styles.count, ...styles.statusColors[status] }}>
+              <strong>{counts[status]}</strong> {label}
+            </li>
+          ))}
+        </ul>
+
+        {changedEntries.length > 0 ? (
+          <ul style={styles.entries} aria-label="Imported tasks">
+            {changedEntries.map(entry => (
+              <li key={entry.id} style={styles.entry}>
+                <span style={{ ...styles.badge, ...styles.statusColors[entry.status] }}>
+                  {STATUS_LABELS[entry.status]}
+                </span>
+                <span style={styles.entryText}>
+                  <span style={styles.entryTitle}>{entry.title}</span>
+                  {mode === 'merge' && (
+                    <span style={styles.entryOutcome}> — {describeMergeOutcome(entry)}</span>
+                  )}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p style={styles.message}>Every imported task matches a current task.</p>
+        )}
+
+        {rejected.length > 0 && (
+          <>
+            <p style={styles.message}>
+              {rejected.length} {rejected.length === 1 ? 'task is' : 'tasks are'} invalid and will be skipped:
+            </p>
+            <ul style={styles.entries} aria-label="Skipped tasks">
+              {rejected.map((task, index) => (
+                <li key={task.id || index} style={styles.entry}>
+                  <span style={{ ...styles.badge, ...styles.invalidColors }}>Invalid</span>
+                  <span style={styles.entryText}>
+                    <span style={styles.entryTitle}>{task.title || 'Untitled'}</span>
+                    <span style={styles.entryOutcome}> — {task.errors.join(', ')}</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+
+        <fieldset style={styles.modes}>
+          <legend style={styles.legend}>How to import</legend>
+          {MODE_OPTIONS.map(option => (
+            <label key={option.value} style={styles.modeOption}>
+              <input
+                type="radio"
+                name="import-mode"
+                value={option.value}
+                checked={mode === option.value}
+                onChange={() => setMode(option.value)}
+                style={styles.radio}
+              />
+              <span>
+                <span style={styles.modeLabel}>{option.label}</span>
+                <span style={styles.modeDescription}>{option.description}</span>
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <div style={styles.actions}>
+          <button onClick={onCancel} style={{ ...styles.button, ...styles.cancelButton }}>
+            Cancel
+          </button>
+          <button
+            onClick={() => onConfirm(mode)}
+            style={{
+              ...styles.button,
+              ...(mode === 'replace' ? styles.dangerButton : styles.confirmButton)
+            }}
+          >
+            {selected.confirmText}
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
+
+const styles = {
+  container: {
+    padding: '24px'
+  },
+  title: {
+    marginBottom: '12px',
+    fontSize: '20px',
+    fontWeight: 'bold',
+    color: 'var(--text-primary)'
+  },
+  message: {
+    marginBottom: '12px',
+    fontSize: '14px',
+    color: 'var(--text-secondary)',
+    lineHeight: '1.5'
+  },
+  counts: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 12px 0'
+  },
+  count: {
+    padding: '4px 10px',
+    fontSize: '13px',
+    borderRadius: '12px'
+  },
+  statusColors: {
+    new: { backgroundColor: 'var(--green-2)', color: 'var(--green-11)' },
+    updated: { backgroundColor: 'var(--blue-2)', color: 'var(--blue-11)' },
+    unchanged: { backgroundColor: 'var(--bg-tertiary)', color: 'var(--text-secondary)' },
+    conflict: { backgroundColor: 'var(--yellow-2)', color: 'var(--yellow-11)' }
+  },
+  invalidColors: {
+    backgroundColor: 'var(--red-2)',
+    color: 'var(--red-11)'
+  },
+  entries: {
+    listStyle: 'none',
+    padding: 0,
+    margin: '0 0 16px 0',
+    maxHeight: '200px',
+    overflowY: 'auto',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '6px'
+  },
+  entry: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: '8px',
+    padding: '6px 10px',
+    fontSize: '13px',
+    borderBottom: '1px solid var(--border-primary)'
+  },
+  badge: {
+    flexShrink: 0,
+    padding: '1px 6px',
+    fontSize: '11px',
+    fontWeight: '600',
+    borderRadius: '4px'
+  },
+  entryText: {
+    minWidth: 0,
+    color: 'var(--text-primary)'
+  },
+  entryTitle: {
+    fontWeight: '500'
+  },
+  entryOutcome: {
+    color: 'var(--text-tertiary)'
+  },
+  modes: {
+    border: 'none',
+    padding: 0,
+    margin: '0 0 20px 0',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px'
+  },
+  legend: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: 'var(--text-secondary)',
+    marginBottom: '8px'
+  },
+  modeOption: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '8px',
+    cursor: 'pointer'
+  },
+  radio: {
+    marginTop: '3px',
+    cursor: 'pointer'
+  },
+  modeLabel: {
+    display: 'block',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--text-primary)'
+  },
+  modeDescription: {
+    display: 'block',
+    fontSize: '12px',
+    color: 'var(--text-tertiary)'
+  },
+  actions: {
+    display: 'flex',
+    gap: '12px',
+    justifyContent: 'flex-end'
+  },
+  button: {
+    padding: '10px 20px',
+    fontSize: '15px',
+    fontWeight: '600',
+    border: '2px solid transparent',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    outline: 'none'
+  },
+  cancelButton: {
+    backgroundColor: 'var(--bg-tertiary)',
+    color: 'var(--text-primary)'
+  },
+  confirmButton: {
+    backgroundColor: 'var(--accent)',
+    color: 'var(--stone-0)'
+  },
+  dangerButton: {
+    backgroundColor: 'var(--error)',
+    color: 'var(--stone-0)'
+  }
+};
+
+export default ImportDialog;
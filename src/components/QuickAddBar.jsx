@@ -0,0 +1,182 @@
+/**
+ * QuickAddBar Component
+ * Single-line task entry: "Send invoice tomorrow 5pm !high #billing"
+ * Shows what was understood before the task is added
+ */
+
+import { useState } from 'react';
+import { GoPlus } from 'react-icons/go';
+import { parseQuickAdd } from '../utils/quickAdd';
+import { validateNewDeadline } from '../utils/validation';
+import { formatAbsoluteTime } from '../utils/datetime';
+import { formatRelativeTime } from '../utils/urgency';
+
+/**
+ * Priority names shown in the preview
+ */
+const PRIORITY_LABELS = { 1: 'High', 2: 'Medium', 3: 'Low' };
+
+/**
+ * Explain why the parsed line cannot be added yet
+ * @param {object} parsed - Result of parseQuickAdd
+ * @returns {string|null} Problem, or null when ready to add
+ */
+function getProblem(parsed) {
+  if (!parsed.title) {
+    return 'Add a title';
+  }
+
+  if (!parsed.deadline) {
+    return 'Add a day or time, e.g. "tomorrow 5pm" or "in 2 hours"';
+  }
+
+  const deadlineValidation = validateNewDeadline(parsed.deadline);
+  return deadlineValidation.valid ? null : deadlineValidation.error;
+}
+
+/**
+ * QuickAddBar - Parse and add a task from one line of text
+ * Enter adds the task, Escape clears the line and leaves the input
+ * @param {function} onSubmit - Callback with { title, deadline, priority, tags }; returns true when the task was added
+ * @param {object} inputRef - Ref attached to the input (so a shortcut can focus it)
+ * @returns {JSX.Element}
+ */
+function QuickAddBar({ onSubmit, inputRef }) {
+  const [text, setText] = useState('');
+
+  const parsed = parseQuickAdd(text);
+  const problem = getProblem(parsed);
+
+  /**
+   * Add the task and clear the line when it was accepted
+   * @param {Event} e
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (problem) return;
+
+    const added = onSubmit({
+      title: parsed.title,
+      deadline: parsed.deadline,
+      priority: parsed.priority ?? 2,
+      tags: parsed.tags
+    });
+
+    if (added) {
+      setText('');
+    }
+  };
+
+  /**
+   * Handle Escape: clear and blur
+   * @param {KeyboardEvent} e
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setText('');
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} style={styles.form} aria-label="Quick add">
+      <div style={styles.row}>
+        <input
+          ref={inputRef}
+          type="text"
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder='Quick add (A): "Pay rent on fri 9am !high #home"'
+          aria-label="Quick add task (press A)"
+          aria-describedby="quick-add-preview"
+          style={styles.input}
+          autoComplete="off"
+        />
+        <button
+          type="submit"
+          disabled={Boolean(problem)}
+          style={{ ...styles.button, ...(problem ? styles.disabled : {}) }}
+          aria-label="Add task"
+        >
+          <GoPlus />
+        </button>
+      </div>
+
+      <div id="quick-add-preview" style={styles.preview} aria-live="polite">
+        {text.trim() === '' ? null : problem ? (
+          <span style={styles.problem}>{problem}</span>
+        ) : (
+          <>
+            <span style={styles.deadline}>
+              {formatAbsoluteTime(parsed.deadline, 'ddd, MMM D, h:mm A')}
+            </span>
+            <span>{formatRelativeTime(parsed.deadline)}</span>
+            {parsed.priority && <span>{PRIORITY_LABELS[parsed.priority]} priority</span>}
+            {parsed.tags.map(tag => (
+              <span key={tag} style={styles.tag}>#{tag}</span>
+            ))}
+          </>
+        )}
+      </div>
+    </form>
+  );
+}
+
+const styles = {
+  form: {
+    marginBottom: '16px'
+  },
+  row: {
+    display: 'flex',
+    gap: '8px'
+  },
+  input: {
+    flex: 1,
+    minWidth: 0,
+    padding: '10px 12px',
+    fontSize: '15px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    outline: 'none',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  button: {
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    padding: '0 14px',
+    fontSize: '18px',
+    color: 'var(--text-inverse)',
+    backgroundColor: 'var(--accent)',
+    border: '1px solid transparent',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  disabled: {
+    opacity: 0.5,
+    cursor: 'not-allowed'
+  },
+  preview: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '4px 12px',
+    minHeight: '18px',
+    marginTop: '6px',
+    fontSize: '13px',
+    color: 'var(--text-secondary)'
+  },
+  deadline: {
+    fontWeight: '600',
+    color: 'var(--text-primary)'
+  },
+  problem: {
+    color: 'var(--text-tertiary)'
+  },
+  tag: {
+    color: 'var(--accent)'
+  }
+};
+
+export default QuickAddBar;
@@ -0,0 +1,73 @@
+/**
+ * SearchBox Component
+ * Navbar search input that filters the task list as you type
+ */
+
+import { GoSearch } from 'react-icons/go';
+
+/**
+ * SearchBox - Controlled search input
+ * Escape clears the query and leaves the box
+ * @param {string} value - Current query
+ * @param {function} onChange - Callback with the new query
+ * @param {object} inputRef - Ref attached to the input (so '/' can focus it)
+ * @returns {JSX.Element}
+ */
+function SearchBox({ value, onChange, inputRef }) {
+  /**
+   * Handle Escape: clear and blur
+   * @param {KeyboardEvent} e
+   */
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      onChange('');
+      e.currentTarget.blur();
+    }
+  };
+
+  return (
+    <div style={styles.container} className="navbar-search">
+      <GoSearch style={styles.icon} aria-hidden="true" />
+      <input
+        ref={inputRef}
+        type="search"
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        placeholder="Search (/)"
+        aria-label="Search tasks (press /)"
+        style={styles.input}
+        autoComplete="off"
+      />
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    position: 'relative',
+    display: 'flex',
+    alignItems: 'center',
+    flex: '0 1 280px',
+    minWidth: 0,
+    margin: '0 1em'
+  },
+  icon: {
+    position: 'absolute',
+    left: '10px',
+    color: 'var(--text-tertiary)',
+    pointerEvents: 'none'
+  },
+  input: {
+    width: '100%',
+    padding: '6px 10px 6px 32px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    outline: 'none',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  }
+};
+
+export default SearchBox;
@@ -8,7 +8,21 @@ import { GoBook } from 'react-icons/go';
 import Modal from './Modal';
 import ThemeControl from './ThemeControl';
 import HelpModal from './HelpModal';
-import { downloadTasksAsJSON, importTasksFromJSON } from '../utils/importExport';
+import CsvImportMapper from './CsvImportMapper';
+import UrgencySettings from './UrgencySettings';
+import StatusColumnsSettings from './StatusColumnsSettings';
+import {
+  downloadTasksAsJSON,
+  importTasksFromJSON,
+  downloadTasksAsCSV,
+  parseTaskCSV,
+  downloadTasksAsICS,
+  importTasksFromICS
+} from '../utils/importExport';
+import { LEAD_TIME_OPTIONS, DEFAULT_NOTIFICATION_SETTINGS } from '../utils/notifications';
+import { DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import { DEFAULT_STATUS_COLUMNS } from '../utils/status';
+import { DEFAULT_DAILY_CAPACITY, MAX_DAILY_CAPACITY, validateDailyCapacity } from '../utils/forecast';
 
 /**
  * @param {object} props
@@ -16,11 +30,25 @@ import { downloadTasksAsJSON, importTasksFromJSON } from '../utils/importExport'
  * @param {function} props.onClose - Callback to close modal
  * @param {boolean} props.demoMode - Current demo mode state
  * @param {function} props.onDemoModeToggle - Callback when demo mode is toggled
- * @param {function} props.onImportSuccess - Callback when import succeeds (tasks)
+ * @param {function} props.onImportSuccess - Callback when import succeeds (tasks, archivedTasks, migrations, rejected)
  * @param {function} props.onImportError - Callback when import fails (error message)
  * @param {function} props.onExportSuccess - Callback when export succeeds
+ * @param {function} props.onImportAppend - Callback with (tasks, errors, { listErrors }) when CSV or calendar tasks are added
  * @param {'light' | 'dark' | 'system'} props.themePreference - Current theme preference
  * @param {function} props.onThemeChange - Callback when theme is changed
+ * @param {boolean} props.confirmActions - Whether delete/complete ask for confirmation
+ * @param {function} props.onConfirmActionsChange - Callback when confirmation preference changes
+ * @param {boolean} props.autoCompleteChecklist - Whether checking every checklist item completes the task
+ * @param {function} props.onAutoCompleteChecklistChange - Callback when checklist preference changes
+ * @param {object} props.notificationSettings - { enabled, leadTimes } for deadline notifications
+ * @param {string} props.notificationPermission - Browser permission ('unsupported' | 'default' | 'granted' | 'denied')
+ * @param {function} props.onNotificationSettingsChange - Callback with new notification settings
+ * @param {object} props.urgencySettings - { bands, pulseHours } for urgency colors and pulsing
+ * @param {function} props.onUrgencySettingsChange - Callback with new urgency settings
+ * @param {Array} props.statusColumns - Board columns { id, label }
+ * @param {function} props.onStatusColumnsChange - Callback with new board columns
+ * @param {number} props.dailyCapacity - Hours of work available per day
+ * @param {function} props.onDailyCapacityChange - Callback with a valid new daily capacity
  */
 function Settings({
   isOpen,
@@ -30,11 +58,55 @@ function Settings({
   onImportSuccess,
   onImportError,
   onExportSuccess,
+  onImportAppend,
   themePreference,
-  onThemeChange
+  onThemeChange,
+  confirmActions = true,
+  onConfirmActionsChange,
+  autoCompleteChecklist = false,
+  onAutoCompleteChecklistChange,
+  notificationSettings = DEFAULT_NOTIFICATION_SETTINGS,
+  notificationPermission = 'default',
+  onNotificationSettingsChange,
+  urgencySettings = DEFAULT_URGENCY_SETTINGS,
+  onUrgencySettingsChange,
+  statusColumns = DEFAULT_STATUS_COLUMNS,
+  onStatusColumnsChange,
+  dailyCapacity = DEFAULT_DAILY_CAPACITY,
+  onDailyCapacityChange
 }) {
   const fileInputRef = useRef(null);
+  const csvFileInputRef = useRef(null);
+  const icsFileInputRef = useRef(null);
   const [showHelp, setShowHelp] = useState(false);
+  const [csvImport, setCsvImport] = useState(null); // { headers, rows } while mapping columns
+  const [capacityInput, setCapacityInput] = useState(String(dailyCapacity)); // Saved only when valid
+  const capacityValidation = validateDailyCapacity(Number(capacityInput));
+
+  /**
+   * Store a daily capacity edit, and save it when valid
+   * @param {string} value - Input value
+   */
+  const handleCapacityChange = (value) => {
+    setCapacityInput(value);
+    if (value !== '' && validateDailyCapacity(Number(value)).valid) {
+      onDailyCapacityChange?.(Number(value));
+    }
+  };
+
+  /**
+   * Toggle one lead time in the notification settings
+   * @param {number} minutes - Minutes before the deadline
+   */
+  const handleLeadTimeToggle = (minutes) => {
+    const { leadTimes } = notificationSettings;
+    onNotificationSettingsChange?.({
+      ...notificationSettings,
+      leadTimes: leadTimes.includes(minutes)
+        ? leadTimes.filter(m => m !== minutes)
+        : [...leadTimes, minutes].sort((a, b) => b - a)
+    });
+  };
 
   const handleExport = () => {
     try {
@@ -49,45 +121,118 @@ function Settings({
     fileInputRef.current?.click();
   };
 
-  const handleFileChange = (e) => {
-    const file = e.target.files?.[0];
+  /**
+   * Read the file picked in a file input as text, then reset the input
+   * so picking the same file again triggers another change
+   * @param {Event} e - Change event of the file input
+   * @param {function} onText - Called with the file contents
+   */
+  const readSelectedFile = (e, onText) => {
+    const input = e.target;
+    const file = input.files?.[0];
     if (!file) return;
 
     const reader = new FileReader();
     reader.onload = (event) => {
-      const jsonString = event.target?.result;
-      if (typeof jsonString !== 'string') return;
+      const text = event.target?.result;
+      if (typeof text === 'string') {
+        onText(text);
+      }
+      input.value = '';
+    };
+
+    reader.onerror = () => {
+      onImportError?.('Failed to read file');
+      input.value = '';
+    };
 
+    reader.readAsText(file);
+  };
+
+  const handleFileChange = (e) => {
+    readSelectedFile(e, (jsonString) => {
       const result = importTasksFromJSON(jsonString);
       if (result.success) {
-        onImportSuccess?.(result.tasks);
+        onImportSuccess?.(result.tasks, result.archivedTasks, result.migrations, result.rejected);
       } else {
         onImportError?.(result.error);
       }
+    });
+  };
+
+  const handleCsvExport = () => {
+    try {
+      downloadTasksAsCSV();
+      onExportSuccess?.();
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+  };
 
-      // Reset file input
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
+  const handleCsvFileChange = (e) => {
+    readSelectedFile(e, (csvString) => {
+      const result = parseTaskCSV(csvString);
+      if (result.success) {
+        setCsvImport({ headers: result.headers, rows: result.rows });
+      } else {
+        onImportError?.(result.error);
       }
-    };
+    });
+  };
 
-    reader.onerror = () => {
-      onImportError?.('Failed to read file');
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
+  /**
+   * Export to iCalendar; tasks on default reminders get alarms only
+   * while deadline notifications are turned on
+   */
+  const handleIcsExport = () => {
+    try {
+      downloadTasksAsICS({
+        defaultLeadTimes: notificationSettings.enabled ? notificationSettings.leadTimes : null
+      });
+      onExportSuccess?.();
+    } catch (error) {
+      console.error('Export failed:', error);
+    }
+  };
+
+  const handleIcsFileChange = (e) => {
+    readSelectedFile(e, (icsString) => {
+      const result = importTasksFromICS(icsString);
+      if (!result.success) {
+        onImportError?.(result.error);
+      } else if (result.tasks.length === 0) {
+        onImportError?.(['No tasks could be imported', ...result.errors].join('\n'));
+      } else {
+        onImportAppend?.(result.tasks, result.errors, { listErrors: true });
       }
-    };
+    });
+  };
 
-    reader.readAsText(file);
+  /**
+   * Close settings, abandoning an unfinished CSV import
+   */
+  const handleClose = () => {
+    setCsvImport(null);
+    onClose();
+  };
+
+  /**
+   * Import the rows that passed the mapping step
+   * @param {Array} tasks - New tasks
+   * @param {Array<string>} errors - Per-row errors for skipped rows
+   */
+  const handleCsvImport = (tasks, errors) => {
+    setCsvImport(null);
+    onImportAppend?.(tasks, errors);
   };
 
   return (
-    <Modal isOpen={isOpen} onClose={onClose} maxWidth="500px">
+    <Modal isOpen={isOpen} onClose={handleClose} maxWidth="500px">
       <div style={styles.container}>
         <div style={styles.header}>
           <h2 style={styles.title}>Settings</h2>
           <button
-            onClick={onClose}
+            onClick={handleClose}
             style={styles.closeButton}
             aria-label="Close settings"
           >
@@ -98,41 +243,231 @@ function Settings({
         <div style={styles.section}>
           <h3 style={styles.sectionTitle}>Data Management</h3>
 
-          <div style={styles.buttonGroup}>
-            <button
-              onClick={handleExport}
-              style={styles.button}
-              aria-label="Export tasks to JSON file"
-            >
-              Export Tasks
-            </button>
-
-            <button
-              onClick={handleImportClick}
-              style={styles.button}
-              aria-label="Import tasks from JSON file"
-            >
-              Import Tasks
-            </button>
+          {csvImport ? (
+            <CsvImportMapper
+              headers={csvImport.headers}
+              rows={csvImport.rows}
+              onImport={handleCsvImport}
+              onCancel={() => setCsvImport(null)}
+            />
+          ) : (
+            <>
+              <div style={styles.buttonGroup}>
+                <button
+                  onClick={handleExport}
+                  style={styles.button}
+                  aria-label="Export tasks to JSON file"
+                >
+                  Export Tasks
+                </button>
+
+                <button
+                  onClick={handleImportClick}
+                  style={styles.button}
+                  aria-label="Import tasks from JSON file"
+                >
+                  Import Tasks
+                </button>
+              </div>
+
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleFileChange}
+                style={styles.fileInput}
+                aria-label="File input for importing tasks"
+              />
+
+              <div style={styles.buttonGroup}>
+                <button
+                  onClick={handleCsvExport}
+                  style={styles.secondaryButton}
+                  aria-label="Export tasks to CSV file"
+                >
+                  Export CSV
+                </button>
+
+                <button
+                  onClick={() => csvFileInputRef.current?.click()}
+                  style={styles.secondaryButton}
+                  aria-label="Import tasks from CSV file"
+                >
+                  Import CSV
+                </button>
+              </div>
+
+              <input
+                ref={csvFileInputRef}
+                type="file"
+                accept=".csv,text/csv"
+                onChange={handleCsvFileChange}
+                style={styles.fileInput}
+                aria-label="File input for importing CSV"
+              />
+
+              <div style={styles.buttonGroup}>
+                <button
+                  onClick={handleIcsExport}
+                  style={styles.secondaryButton}
+                  aria-label="Export tasks to iCalendar file"
+                >
+                  Export Calendar
+                </button>
+
+                <button
+                  onClick={() => icsFileInputRef.current?.click()}
+                  style={styles.secondaryButton}
+                  aria-label="Import tasks from iCalendar file"
+                >
+                  Import Calendar
+                </button>
+              </div>
+
+              <input
+                ref={icsFileInputRef}
+                type="file"
+                accept=".ics,text/calendar"
+                onChange={handleIcsFileChange}
+                style={styles.fileInput}
+                aria-label="File input for importing iCalendar"
+              />
+
+              <p style={styles.hint}>
+                Export saves all tasks, including the archive, to a JSON file. Import shows what would change, then merges, appends or replaces.
+                CSV files open in any spreadsheet; importing a CSV adds its rows to your tasks after you match the columns.
+                Calendar (.ics) files work with calendar apps; importing one adds its open to-dos and events as tasks.
+              </p>
+            </>
+          )}
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Appearance</h3>
+          <ThemeControl currentTheme={themePreference} onThemeChange={onThemeChange} />
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Urgency</h3>
+          <UrgencySettings settings={urgencySettings} onChange={onUrgencySettingsChange} />
+          <p style={styles.hint}>
+            Cards take the color of the closest band their deadline falls in. Use short bands if you plan by the hour, long ones if you plan by the week.
+          </p>
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Board Columns</h3>
+          <StatusColumnsSettings columns={statusColumns} onChange={onStatusColumnsChange} />
+          <p style={styles.hint}>
+            Tasks in a removed column show up in the first column until you move them.
+          </p>
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Workload</h3>
+          <label style={styles.toggleLabel}>
+            <span style={styles.toggleText}>Daily capacity (hours)</span>
+            <input
+              type="number"
+              value={capacityInput}
+              onChange={(e) => handleCapacityChange(e.target.value)}
+              min={0.5}
+              max={MAX_DAILY_CAPACITY}
+              step={0.5}
+              style={styles.numberInput}
+            />
+          </label>
+          {!capacityValidation.valid && (
+            <p style={styles.error} role="alert">{capacityValidation.error}</p>
+          )}
+          <p style={styles.hint}>
+            Hours you can spend on tasks each day. The workload forecast and the "Can't make it" warnings compare task estimates against it.
+          </p>
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Confirmations</h3>
+
+          <div style={styles.toggle}>
+            <label style={styles.toggleLabel}>
+              <input
+                type="checkbox"
+                checked={confirmActions}
+                onChange={(e) => onConfirmActionsChange?.(e.target.checked)}
+                style={styles.checkbox}
+              />
+              <span style={styles.toggleText}>
+                Ask before deleting or completing tasks
+              </span>
+            </label>
+          </div>
+
+          <p style={styles.hint}>
+            Every change can be undone with Ctrl+Z or the Undo button on the notification.
+          </p>
+        </div>
+
+        <div style={styles.section}>
+          <h3 style={styles.sectionTitle}>Notifications</h3>
+
+          <div style={styles.toggle}>
+            <label style={styles.toggleLabel}>
+              <input
+                type="checkbox"
+                checked={notificationSettings.enabled && notificationPermission === 'granted'}
+                onChange={(e) => onNotificationSettingsChange?.({
+                  ...notificationSettings,
+                  enabled: e.target.checked
+                })}
+                disabled={notificationPermission === 'unsupported'}
+                style={styles.checkbox}
+              />
+              <span style={styles.toggleText}>
+                Show desktop notifications for deadlines
+              </span>
+            </label>
           </div>
 
-          <input
-            ref={fileInputRef}
-            type="file"
-            accept=".json,application/json"
-            onChange={handleFileChange}
-            style={styles.fileInput}
-            aria-label="File input for importing tasks"
-          />
+          {notificationSettings.enabled && notificationPermission === 'granted' && (
+            <div role="group" aria-label="Notify me" style={styles.leadTimes}>
+              {LEAD_TIME_OPTIONS.map(option => (
+                <label key={option.minutes} style={styles.toggleLabel}>
+                  <input
+                    type="checkbox"
+                    checked={notificationSettings.leadTimes.includes(option.minutes)}
+                    onChange={() => handleLeadTimeToggle(option.minutes)}
+                    style={styles.checkbox}
+                  />
+                  <span style={styles.toggleText}>{option.label}</span>
+                </label>
+              ))}
+            </div>
+          )}
 
           <p style={styles.hint}>
-            Export saves all tasks to a JSON file. Import replaces current tasks with imported data.
+            {notificationPermission === 'unsupported' && 'This browser does not support notifications.'}
+            {notificationPermission === 'denied' && 'Notifications are blocked for this site. Allow them in your browser settings to turn them on.'}
+            {(notificationPermission === 'default' || notificationPermission === 'granted') &&
+              'Notifications only appear while NearZero is open in a tab. Each task can override these times in its form.'}
           </p>
         </div>
 
         <div style={styles.section}>
-          <h3 style={styles.sectionTitle}>Appearance</h3>
-          <ThemeControl currentTheme={themePreference} onThemeChange={onThemeChange} />
+          <h3 style={styles.sectionTitle}>Checklists</h3>
+
+          <div style={styles.toggle}>
+            <label style={styles.toggleLabel}>
+              <input
+                type="checkbox"
+                checked={autoCompleteChecklist}
+                onChange={(e) => onAutoCompleteChecklistChange?.(e.target.checked)}
+                style={styles.checkbox}
+              />
+              <span style={styles.toggleText}>
+                Complete a task when all its checklist items are checked
+              </span>
+            </label>
+          </div>
         </div>
 
         <div style={styles.section}>
@@ -153,7 +488,7 @@ function Settings({
           </div>
 
           <p style={styles.hint}>
-            Demo mode loads example tasks and prevents saving to localStorage. All changes are in-memory only.
+            Demo mode loads example tasks and prevents saving to browser storage. All changes are in-memory only.
           </p>
         </div>
 
@@ -234,6 +569,19 @@ const styles = {
     transition: 'all 0.2s',
     outline: 'none'
   },
+  secondaryButton: {
+    flex: 1,
+    padding: '10px 16px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '2px solid var(--border-primary)',
+    borderRadius: '6px',
+    cursor: 'pointer',
+    transition: 'all 0.2s',
+    outline: 'none'
+  },
   helpButton: {
     width: '100%',
     padding: '12px 16px',
@@ -263,6 +611,12 @@ const styles = {
   toggle: {
     marginBottom: '8px'
   },
+  leadTimes: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    margin: '4px 0 0 26px'
+  },
   toggleLabel: {
     display: 'flex',
     alignItems: 'center',
@@ -277,6 +631,20 @@ const styles = {
   toggleText: {
     fontSize: '14px',
     color: 'var(--text-primary)'
+  },
+  numberInput: {
+    width: '80px',
+    padding: '4px 8px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  error: {
+    fontSize: '12px',
+    color: 'var(--error)',
+    margin: '8px 0 0 0'
   }
 };
 
@@ -0,0 +1,120 @@
+/**
+ * SnoozeMenu Component
+ * Snooze choices for one task: tomorrow 9 AM, next Monday 9 AM or a custom
+ * date and time. A snoozed task can also be woken up right away.
+ */
+
+import { useState } from 'react';
+import { localToUTC, formatAbsoluteTime } from '../utils/datetime';
+import { getSnoozePresets, canSnoozeUntil, isSnoozed } from '../utils/snooze';
+
+/**
+ * SnoozeMenu - Pick when a task should show up again
+ * @param {object} task - Task to snooze
+ * @param {function} onSnooze - Callback with (taskId, startDate), startDate null to wake the task now
+ * @returns {JSX.Element}
+ */
+function SnoozeMenu({ task, onSnooze }) {
+  const [customDate, setCustomDate] = useState('');
+  const [customTime, setCustomTime] = useState('09:00');
+
+  const now = Date.now();
+  const presets = getSnoozePresets(now);
+  const customStart = customDate && customTime ? localToUTC(customDate, customTime) : null;
+  const customValid = !!customStart && canSnoozeUntil(task, customStart, now);
+
+  return (
+    <div style={styles.container} onClick={(e) => e.stopPropagation()}>
+      {presets.map(preset => (
+        <button
+          key={preset.id}
+          type="button"
+          onClick={() => onSnooze(task.id, preset.startDate)}
+          disabled={!canSnoozeUntil(task, preset.startDate, now)}
+          style={styles.option}
+          title={formatAbsoluteTime(preset.startDate)}
+        >
+          {preset.label}
+        </button>
+      ))}
+
+      <div style={styles.custom}>
+        <input
+          type="date"
+          value={customDate}
+          onChange={(e) => setCustomDate(e.target.value)}
+          aria-label="Snooze until date"
+          style={styles.input}
+        />
+        <input
+          type="time"
+          value={customTime}
+          onChange={(e) => setCustomTime(e.target.value)}
+          aria-label="Snooze until time"
+          style={styles.input}
+        />
+        <button
+          type="button"
+          onClick={() => onSnooze(task.id, customStart)}
+          disabled={!customValid}
+          style={styles.option}
+        >
+          Snooze
+        </button>
+      </div>
+
+      {customStart && !customValid && (
+        <p style={styles.hint}>Pick a time between now and the deadline.</p>
+      )}
+
+      {isSnoozed(task, now) && (
+        <button
+          type="button"
+          onClick={() => onSnooze(task.id, null)}
+          style={styles.option}
+        >
+          Wake up now
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'stretch',
+    gap: '6px'
+  },
+  option: {
+    padding: '6px 10px',
+    fontSize: '13px',
+    textAlign: 'left',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  custom: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px'
+  },
+  input: {
+    padding: '4px 6px',
+    fontSize: '13px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  hint: {
+    margin: 0,
+    fontSize: '12px',
+    color: 'var(--error)'
+  }
+};
+
+export default SnoozeMenu;
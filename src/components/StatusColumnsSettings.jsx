@@ -0,0 +1,197 @@
+/**
+ * StatusColumnsSettings Component
+ * Edits the board columns (workflow statuses): rename, add, remove and
+ * reorder them. Valid edits are saved as they are made.
+ */
+
+import { useState } from 'react';
+import {
+  DEFAULT_STATUS_COLUMNS,
+  MAX_STATUS_COLUMNS,
+  MAX_STATUS_LABEL_LENGTH,
+  validateStatusColumns,
+  createStatusId
+} from '../utils/status';
+
+/**
+ * StatusColumnsSettings - Edit the board columns
+ * @param {Array} columns - Saved columns { id, label }
+ * @param {function} onChange - Callback with valid new columns
+ * @returns {JSX.Element}
+ */
+function StatusColumnsSettings({ columns = DEFAULT_STATUS_COLUMNS, onChange }) {
+  const [draft, setDraft] = useState(columns);
+  const { error } = validateStatusColumns(draft);
+
+  /**
+   * Store an edit, and save it when the result is valid
+   * @param {Array} nextDraft
+   */
+  const updateDraft = (nextDraft) => {
+    setDraft(nextDraft);
+    if (validateStatusColumns(nextDraft).valid) {
+      onChange?.(nextDraft);
+    }
+  };
+
+  /**
+   * Rename one column (its id stays, so tasks keep their status)
+   * @param {number} index - Column index
+   * @param {string} label - New name
+   */
+  const renameColumn = (index, label) => {
+    updateDraft(draft.map((column, i) => (i === index ? { ...column, label } : column)));
+  };
+
+  /**
+   * Swap a column with its neighbour
+   * @param {number} index - Column index
+   * @param {number} offset - -1 to move up (earlier on the board), 1 to move down
+   */
+  const moveColumn = (index, offset) => {
+    const next = [...draft];
+    [next[index], next[index + offset]] = [next[index + offset], next[index]];
+    updateDraft(next);
+  };
+
+  /**
+   * Add a column at the end, with a name not used yet
+   */
+  const addColumn = () => {
+    const usedLabels = draft.map(column => column.label.trim().toLowerCase());
+    let label = 'New column';
+    for (let n = 2; usedLabels.includes(label.toLowerCase()); n++) {
+      label = `New column ${n}`;
+    }
+
+    updateDraft([...draft, { id: createStatusId(label, draft), label }]);
+  };
+
+  return (
+    <div style={styles.container}>
+      <ol style={styles.columns} aria-label="Board columns">
+        {draft.map((column, index) => (
+          <li key={column.id} style={styles.column}>
+            <input
+              type="text"
+              value={column.label}
+              onChange={(e) => renameColumn(index, e.target.value)}
+              maxLength={MAX_STATUS_LABEL_LENGTH}
+              aria-label={`Column ${index + 1} name`}
+              style={styles.input}
+            />
+            <button
+              type="button"
+              onClick={() => moveColumn(index, -1)}
+              disabled={index === 0}
+              style={styles.iconButton}
+              aria-label={`Move column ${index + 1} up`}
+              title="Move up"
+            >
+              ↑
+            </button>
+            <button
+              type="button"
+              onClick={() => moveColumn(index, 1)}
+              disabled={index === draft.length - 1}
+              style={styles.iconButton}
+              aria-label={`Move column ${index + 1} down`}
+              title="Move down"
+            >
+              ↓
+            </button>
+            <button
+              type="button"
+              onClick={() => updateDraft(draft.filter((_, i) => i !== index))}
+              disabled={draft.length === 1}
+              style={styles.iconButton}
+              aria-label={`Remove column ${index + 1}`}
+              title="Remove column"
+            >
+              ×
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div style={styles.actions}>
+        <button
+          type="button"
+          onClick={addColumn}
+          disabled={draft.length >= MAX_STATUS_COLUMNS}
+          style={styles.linkButton}
+        >
+          Add column
+        </button>
+        <button
+          type="button"
+          onClick={() => updateDraft(DEFAULT_STATUS_COLUMNS)}
+          style={styles.linkButton}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      {error && <p style={styles.error} role="alert">{error}</p>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  columns: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px'
+  },
+  column: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px'
+  },
+  input: {
+    flex: 1,
+    maxWidth: '240px',
+    padding: '4px 8px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  iconButton: {
+    padding: '0 8px',
+    fontSize: '16px',
+    lineHeight: 1,
+    color: 'var(--text-tertiary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  },
+  actions: {
+    display: 'flex',
+    gap: '16px'
+  },
+  linkButton: {
+    padding: 0,
+    fontSize: '13px',
+    color: 'var(--accent)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  },
+  error: {
+    fontSize: '13px',
+    color: 'var(--error)',
+    margin: 0
+  }
+};
+
+export default StatusColumnsSettings;
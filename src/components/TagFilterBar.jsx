@@ -0,0 +1,107 @@
+/**
+ * TagFilterBar Component
+ * Lets the user narrow the task list to tasks carrying selected tags
+ */
+
+/**
+ * TagFilterBar - Toggleable tag chips with a clear button
+ * @param {Array<{ tag: string, count: number }>} tags - Tags in use (from collectTags)
+ * @param {Array<string>} activeTags - Currently selected tags
+ * @param {function} onChange - Callback with the new list of selected tags
+ * @returns {JSX.Element|null} Nothing when no task has tags
+ */
+function TagFilterBar({ tags, activeTags, onChange }) {
+  if (tags.length === 0 && activeTags.length === 0) return null;
+
+  /**
+   * Add or remove a tag from the selection
+   * @param {string} tag
+   */
+  const toggleTag = (tag) => {
+    if (activeTags.includes(tag)) {
+      onChange(activeTags.filter(active => active !== tag));
+    } else {
+      onChange([...activeTags, tag]);
+    }
+  };
+
+  // Selected tags that no task uses anymore stay visible so they can be turned off
+  const staleTags = activeTags
+    .filter(tag => !tags.some(entry => entry.tag === tag))
+    .map(tag => ({ tag, count: 0 }));
+
+  return (
+    <div style={styles.container} role="group" aria-label="Filter by tag">
+      <span style={styles.label}>Tags:</span>
+      {[...tags, ...staleTags].map(({ tag, count }) => {
+        const isActive = activeTags.includes(tag);
+        return (
+          <button
+            key={tag}
+            type="button"
+            onClick={() => toggleTag(tag)}
+            style={{ ...styles.chip, ...(isActive ? styles.chipActive : {}) }}
+            className="toggle-button"
+            aria-pressed={isActive}
+          >
+            #{tag} <span style={styles.count}>{count}</span>
+          </button>
+        );
+      })}
+      {activeTags.length > 0 && (
+        <button
+          type="button"
+          onClick={() => onChange([])}
+          style={styles.clearButton}
+        >
+          Clear
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    marginBottom: '15px'
+  },
+  label: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: 'var(--text-primary)'
+  },
+  chip: {
+    padding: '4px 10px',
+    fontSize: '13px',
+    fontWeight: '500',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-primary)',
+    border: '1px solid var(--accent)',
+    borderRadius: '999px',
+    cursor: 'pointer',
+    outline: 'none'
+  },
+  chipActive: {
+    backgroundColor: 'var(--accent)',
+    color: '#fff'
+  },
+  count: {
+    opacity: 0.7,
+    fontSize: '11px'
+  },
+  clearButton: {
+    padding: '4px 10px',
+    fontSize: '13px',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    textDecoration: 'underline',
+    cursor: 'pointer'
+  }
+};
+
+export default TagFilterBar;
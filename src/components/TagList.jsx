@@ -0,0 +1,49 @@
+/**
+ * TagList Component
+ * Displays a task's tags as small read-only chips
+ */
+
+import Highlight from './Highlight';
+
+/**
+ * TagList - Renders tag chips
+ * @param {Array<string>} tags - Tags to display
+ * @param {Array<string>} highlightTerms - Search terms to highlight
+ * @returns {JSX.Element|null} Nothing when there are no tags
+ */
+function TagList({ tags, highlightTerms = [] }) {
+  if (!tags || tags.length === 0) return null;
+
+  return (
+    <ul style={styles.list} aria-label="Tags">
+      {tags.map(tag => (
+        <li key={tag} style={styles.chip}>
+          #<Highlight text={tag} terms={highlightTerms} />
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const styles = {
+  list: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    listStyle: 'none',
+    margin: 0,
+    padding: 0
+  },
+  chip: {
+    padding: '2px 8px',
+    fontSize: '12px',
+    fontWeight: '500',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--accent)',
+    borderRadius: '999px',
+    whiteSpace: 'nowrap'
+  }
+};
+
+export default TagList;
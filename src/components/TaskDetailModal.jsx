@@ -5,7 +5,15 @@
 
 import Modal from './Modal';
 import { formatAbsoluteTime } from '../utils/datetime';
-import { getUrgencyColor, formatRelativeTime } from '../utils/urgency';
+import { getUrgencyColor, formatRelativeTime, DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import { describeRecurrence, getUpcomingOccurrences } from '../utils/recurrence';
+import { getTaskStatus, getStatusLabel, DEFAULT_STATUS_COLUMNS } from '../utils/status';
+import TagList from './TagList';
+import ChecklistEditor from './ChecklistEditor';
+import SnoozeMenu from './SnoozeMenu';
+import { isSnoozed } from '../utils/snooze';
+import { getLateBlockers } from '../utils/dependencies';
+import { formatEstimate } from '../utils/timeline';
 
 /**
  * TaskDetailModal - Shows complete task information and actions
@@ -14,9 +22,15 @@ import { getUrgencyColor, formatRelativeTime } from '../utils/urgency';
  * @param {function} onClose - Callback to close modal
  * @param {function} onEdit - Callback when edit clicked (receives task.id)
  * @param {function} onDelete - Callback when delete clicked (receives task.id)
+ * @param {function} onChecklistChange - Callback when checklist items change (receives task.id, items)
+ * @param {object} urgencySettings - Urgency bands used for the deadline color
+ * @param {Array} statusColumns - Board columns, for the status name
+ * @param {function} onSnooze - Callback with (taskId, startDate) from the snooze menu
+ * @param {Array} blockers - Active tasks this one is blocked by
+ * @param {boolean} cantMakeIt - Whether the estimated effort no longer fits before the deadline
  * @returns {JSX.Element}
  */
-function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
+function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete, onChecklistChange, urgencySettings = DEFAULT_URGENCY_SETTINGS, statusColumns = DEFAULT_STATUS_COLUMNS, onSnooze, blockers = [], cantMakeIt = false }) {
   if (!isOpen || !task) return null;
 
   /**
@@ -55,9 +69,12 @@ function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
     }
   };
 
-  const urgencyColors = getUrgencyColor(task.deadline);
+  const urgencyColors = getUrgencyColor(task.deadline, Date.now(), urgencySettings, task.createdAt, cantMakeIt);
   const relativeTime = formatRelativeTime(task.deadline);
   const absoluteTime = formatAbsoluteTime(task.deadline);
+  const upcomingOccurrences = task.recurrence
+    ? getUpcomingOccurrences(task.deadline, task.recurrence, 3, task.occurrence, task.recurrenceAnchor)
+    : [];
 
   return (
     <Modal isOpen={isOpen} onClose={onClose} maxWidth="600px">
@@ -74,7 +91,7 @@ function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
           </button>
         </div>
 
-        {/* Priority badge */}
+        {/* Priority and status badges */}
         <div style={styles.priorityContainer}>
           <span
             style={{
@@ -84,8 +101,37 @@ function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
           >
             {getPriorityLabel(task.priority)}
           </span>
+          <span style={styles.statusBadge}>
+            {getStatusLabel(getTaskStatus(task, statusColumns), statusColumns)}
+          </span>
         </div>
 
+        {/* Tags */}
+        {task.tags && task.tags.length > 0 && (
+          <div style={styles.section}>
+            <TagList tags={task.tags} />
+          </div>
+        )}
+
+        {/* Blocked by */}
+        {blockers.length > 0 && (
+          <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>Blocked by:</h3>
+            <ul style={styles.blockerList} aria-label="Blocking tasks">
+              {blockers.map(blocker => (
+                <li key={blocker.id} style={styles.occurrenceItem}>
+                  {blocker.title} <span style={styles.absoluteTime}>(due {formatAbsoluteTime(blocker.deadline)})</span>
+                </li>
+              ))}
+            </ul>
+            {getLateBlockers(task.deadline, blockers).length > 0 && (
+              <p style={styles.warning} role="status">
+                Some blocking tasks are due after this task's deadline.
+              </p>
+            )}
+          </div>
+        )}
+
         {/* Description */}
         {task.description && (
           <div style={styles.section}>
@@ -94,6 +140,17 @@ function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
           </div>
         )}
 
+        {/* Checklist */}
+        {onChecklistChange && (
+          <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>Checklist</h3>
+            <ChecklistEditor
+              items={task.checklist || []}
+              onChange={(items) => onChecklistChange(task.id, items)}
+            />
+          </div>
+        )}
+
         {/* Deadline */}
         <div style={styles.section}>
           <div style={{
@@ -105,8 +162,50 @@ function TaskDetailModal({ isOpen, task, onClose, onEdit, onDelete }) {
           <div style={styles.absoluteTime}>
             {absoluteTime}
           </div>
+          {task.estimateHours > 0 && (
+            <div style={styles.absoluteTime}>
+              Estimated effort: {formatEstimate(task.estimateHours)}
+            </div>
+          )}
+          {cantMakeIt && (
+            <p style={styles.warning} role="status">
+              Can't make it: with the work due before it, this task no longer fits before its deadline at your daily capacity.
+            </p>
+          )}
         </div>
 
+        {/* Snooze (start date) */}
+        {onSnooze && (
+          <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>Snooze</h3>
+            {task.startDate && (
+              <p style={styles.absoluteTime}>
+                {isSnoozed(task, Date.now()) ? 'Hidden until' : 'Started'} {formatAbsoluteTime(task.startDate)}
+              </p>
+            )}
+            <SnoozeMenu task={task} onSnooze={onSnooze} />
+          </div>
+        )}
+
+        {/* Recurrence */}
+        {task.recurrence && (
+          <div style={styles.section}>
+            <h3 style={styles.sectionTitle}>Repeats</h3>
+            <p style={styles.recurrenceText}>{describeRecurrence(task.recurrence)}</p>
+            {upcomingOccurrences.length > 0 ? (
+              <ul style={styles.occurrenceList} aria-label="Next occurrences">
+                {upcomingOccurrences.map(occurrence => (
+                  <li key={occurrence} style={styles.occurrenceItem}>
+                    {formatAbsoluteTime(occurrence)}
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p style={styles.absoluteTime}>This is the last occurrence</p>
+            )}
+          </div>
+        )}
+
         {/* Actions */}
         <div style={styles.actions}>
           <button
@@ -157,6 +256,9 @@ const styles = {
     flexShrink: 0
   },
   priorityContainer: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
     marginBottom: '20px'
   },
   priorityBadge: {
@@ -167,6 +269,15 @@ const styles = {
     fontSize: '14px',
     fontWeight: 'bold'
   },
+  statusBadge: {
+    display: 'inline-block',
+    padding: '5px 12px',
+    borderRadius: '4px',
+    border: '1px solid var(--border-secondary)',
+    color: 'var(--text-secondary)',
+    fontSize: '14px',
+    fontWeight: '600'
+  },
   section: {
     marginBottom: '20px'
   },
@@ -191,6 +302,31 @@ const styles = {
     fontSize: '14px',
     color: 'var(--text-tertiary)'
   },
+  recurrenceText: {
+    fontSize: '15px',
+    color: 'var(--text-primary)',
+    marginBottom: '6px'
+  },
+  occurrenceList: {
+    margin: 0,
+    paddingLeft: '20px',
+    fontSize: '14px',
+    color: 'var(--text-tertiary)'
+  },
+  occurrenceItem: {
+    lineHeight: '1.6'
+  },
+  blockerList: {
+    margin: 0,
+    paddingLeft: '20px',
+    fontSize: '15px',
+    color: 'var(--text-primary)'
+  },
+  warning: {
+    margin: '8px 0 0 0',
+    fontSize: '14px',
+    color: 'var(--warning)'
+  },
   actions: {
     display: 'flex',
     gap: '10px',
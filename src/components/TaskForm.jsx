@@ -4,7 +4,34 @@
  */
 
 import { useState, useRef, useEffect } from 'react';
-import { utcToLocalDate, utcToLocalTime } from '../utils/datetime';
+import { utcToLocalDate, utcToLocalTime, localToUTC } from '../utils/datetime';
+import { RECURRENCE_FREQUENCIES, WEEKDAY_LABELS } from '../utils/recurrence';
+import { MAX_TAGS, parseTagInput, suggestTags } from '../utils/tags';
+import { LEAD_TIME_OPTIONS } from '../utils/notifications';
+import { DEFAULT_STATUS, DEFAULT_STATUS_COLUMNS, getTaskStatus } from '../utils/status';
+import { MAX_BLOCKERS, getOpenBlockers, getBlockerCandidates, getLateBlockers } from '../utils/dependencies';
+import { MAX_ESTIMATE_HOURS } from '../utils/timeline';
+import ChecklistEditor from './ChecklistEditor';
+
+/**
+ * Unit labels shown next to the repeat interval input
+ */
+const INTERVAL_UNITS = {
+  [RECURRENCE_FREQUENCIES.DAILY]: 'day(s)',
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 'week(s)',
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 'month(s)',
+  [RECURRENCE_FREQUENCIES.YEARLY]: 'year(s)'
+};
+
+/**
+ * Work out the reminder mode of a task being edited
+ * @param {Array<number>|null|undefined} reminders - Task's reminder override
+ * @returns {'default' | 'custom' | 'none'}
+ */
+function getReminderMode(reminders) {
+  if (!Array.isArray(reminders)) return 'default';
+  return reminders.length === 0 ? 'none' : 'custom';
+}
 
 /**
  * Get default deadline (next day 6 PM local time)
@@ -27,13 +54,44 @@ function getDefaultDeadline() {
   return { dateString, timeString };
 }
 
+/**
+ * Build a recurrence rule from the repeat inputs
+ * @param {object} fields - { frequency, interval, weekdays, endType, untilDate, count }
+ * @returns {object|null} Recurrence rule, or null when the task does not repeat
+ */
+function buildRecurrence({ frequency, interval, weekdays, endType, untilDate, count }) {
+  if (!frequency) {
+    return null;
+  }
+
+  return {
+    frequency,
+    interval: Math.max(1, Number(interval) || 1),
+    weekdays: frequency === RECURRENCE_FREQUENCIES.WEEKLY ? [...weekdays].sort((a, b) => a - b) : [],
+    // End of the chosen local day, so a deadline on that day still counts
+    until: endType === 'until' && untilDate ? localToUTC(untilDate, '23:59') : null,
+    count: endType === 'count' ? Math.max(1, Number(count) || 1) : null
+  };
+}
+
 /**
  * TaskForm - A controlled form component for creating or editing tasks
  * @param {function} onSubmit - Callback when form is submitted with task data
- * @param {object} task - Optional task object for editing (contains id, title, description, deadline, priority)
+ * @param {object} task - Optional task object for editing (contains id, title, description, deadline, startDate, priority, status, recurrence, tags, checklist, reminders, blockedBy, estimateHours)
+ * @param {Array<string>} availableTags - Tags used by other tasks, offered as suggestions
+ * @param {string} initialDate - Optional local date (YYYY-MM-DD) for a new task's deadline, e.g. a calendar day
+ * @param {Array} statusColumns - Board columns offered in the Status select
+ * @param {Array} activeTasks - Active tasks, offered in the "Blocked by" picker
  * @returns {JSX.Element}
  */
-function TaskForm({ onSubmit, task = null }) {
+function TaskForm({
+  onSubmit,
+  task = null,
+  availableTags = [],
+  initialDate = null,
+  statusColumns = DEFAULT_STATUS_COLUMNS,
+  activeTasks = []
+}) {
   const isEditMode = !!task;
   const defaults = getDefaultDeadline();
 
@@ -43,12 +101,49 @@ function TaskForm({ onSubmit, task = null }) {
   const [title, setTitle] = useState(task?.title || '');
   const [description, setDescription] = useState(task?.description || '');
   const [dateString, setDateString] = useState(
-    task ? utcToLocalDate(task.deadline) : defaults.dateString
+    task ? utcToLocalDate(task.deadline) : initialDate || defaults.dateString
   );
   const [timeString, setTimeString] = useState(
     task ? utcToLocalTime(task.deadline) : defaults.timeString
   );
+  // Optional start ("do") date: the task stays hidden until then
+  const [startDateString, setStartDateString] = useState(
+    task?.startDate ? utcToLocalDate(task.startDate) : ''
+  );
+  const [startTimeString, setStartTimeString] = useState(
+    task?.startDate ? utcToLocalTime(task.startDate) : '09:00'
+  );
+  // Estimated effort in hours ('' = not estimated); sets the timeline bar length
+  const [estimateInput, setEstimateInput] = useState(task?.estimateHours ? String(task.estimateHours) : '');
   const [priority, setPriority] = useState(task?.priority || 2); // Default: Medium
+  // New tasks start in "To do", or the first column if that was removed
+  const initialStatus = getTaskStatus(task || { status: DEFAULT_STATUS }, statusColumns);
+  const [status, setStatus] = useState(initialStatus);
+  const [tags, setTags] = useState(task?.tags || []);
+  const [tagInput, setTagInput] = useState(''); // Tag text not yet turned into a chip
+  const [checklist, setChecklist] = useState(task?.checklist || []);
+
+  // Blocked-by links; links to archived tasks are kept but not shown
+  const [blockedBy, setBlockedBy] = useState(task?.blockedBy || []);
+
+  // Reminder override: 'default' follows Settings, 'custom' uses reminderTimes
+  const [reminderMode, setReminderMode] = useState(getReminderMode(task?.reminders));
+  const [reminderTimes, setReminderTimes] = useState(
+    Array.isArray(task?.reminders) ? task.reminders : []
+  );
+
+  // Repeat rule inputs ('' frequency = does not repeat)
+  const recurrence = task?.recurrence;
+  const [frequency, setFrequency] = useState(recurrence?.frequency || '');
+  const [repeatInterval, setRepeatInterval] = useState(recurrence?.interval || 1);
+  const [weekdays, setWeekdays] = useState(recurrence?.weekdays || []);
+  const [endType, setEndType] = useState(
+    recurrence?.until ? 'until' : recurrence?.count ? 'count' : 'never'
+  );
+  const [untilDate, setUntilDate] = useState(
+    recurrence?.until ? utcToLocalDate(recurrence.until) : ''
+  );
+  const [repeatCount, setRepeatCount] = useState(recurrence?.count || 5);
 
   // useRef: Create a reference to the title input for auto-focus
   const titleInputRef = useRef(null);
@@ -62,6 +157,78 @@ function TaskForm({ onSubmit, task = null }) {
     }
   }, []); // Empty array = run once on mount
 
+  /**
+   * Toggle a weekday in the weekly repeat selection
+   * @param {number} day - Day of week (0=Sunday)
+   */
+  const toggleWeekday = (day) => {
+    setWeekdays(weekdays.includes(day)
+      ? weekdays.filter(d => d !== day)
+      : [...weekdays, day]);
+  };
+
+  /**
+   * Merge tags into the selection (skipping duplicates, up to MAX_TAGS)
+   * @param {Array<string>} current - Tags already chosen
+   * @param {string} text - Raw tag text, may hold several comma-separated tags
+   * @returns {Array<string>} New tag list
+   */
+  const mergeTags = (current, text) => {
+    const added = parseTagInput(text).filter(tag => !current.includes(tag));
+    return [...current, ...added].slice(0, MAX_TAGS);
+  };
+
+  /**
+   * Turn the typed tag text into chips
+   */
+  const commitTagInput = () => {
+    setTags(mergeTags(tags, tagInput));
+    setTagInput('');
+  };
+
+  /**
+   * Enter or comma adds the typed tag; Backspace on empty input removes the last one
+   * @param {KeyboardEvent} e
+   */
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault(); // Don't submit the form or type the comma
+      commitTagInput();
+    } else if (e.key === 'Backspace' && tagInput === '' && tags.length > 0) {
+      setTags(tags.slice(0, -1));
+    }
+  };
+
+  const tagSuggestions = suggestTags(availableTags, tagInput, tags);
+
+  // Tasks this one waits for, and tasks it could wait for without a cycle
+  const blockers = getOpenBlockers({ blockedBy }, activeTasks);
+  const blockerCandidates = getBlockerCandidates(task?.id ?? null, activeTasks)
+    .filter(candidate => !blockedBy.includes(candidate.id));
+  const lateBlockers = dateString && timeString
+    ? getLateBlockers(localToUTC(dateString, timeString), blockers)
+    : [];
+
+  /**
+   * Toggle a lead time in the custom reminder selection
+   * @param {number} minutes - Minutes before the deadline
+   */
+  const toggleReminderTime = (minutes) => {
+    setReminderTimes(reminderTimes.includes(minutes)
+      ? reminderTimes.filter(m => m !== minutes)
+      : [...reminderTimes, minutes]);
+  };
+
+  /**
+   * Build the reminder override from the reminder inputs
+   * @returns {Array<number>|null} null = use Settings, [] = no reminders
+   */
+  const buildReminders = () => {
+    if (reminderMode === 'default') return null;
+    if (reminderMode === 'none') return [];
+    return [...reminderTimes].sort((a, b) => b - a);
+  };
+
   /**
    * Handle form submission
    * @param {Event} e - Form submit event
@@ -82,7 +249,22 @@ function TaskForm({ onSubmit, task = null }) {
       description: description.trim(),
       dateString,
       timeString,
-      priority: Number(priority) // Ensure priority is a number
+      startDate: startDateString && startTimeString ? localToUTC(startDateString, startTimeString) : null,
+      priority: Number(priority), // Ensure priority is a number
+      status,
+      tags: mergeTags(tags, tagInput), // Include tag text that was typed but not yet added
+      checklist,
+      blockedBy,
+      estimateHours: estimateInput ? Number(estimateInput) : null,
+      reminders: buildReminders(),
+      recurrence: buildRecurrence({
+        frequency,
+        interval: repeatInterval,
+        weekdays,
+        endType,
+        untilDate,
+        count: repeatCount
+      })
     };
 
     if (isEditMode) {
@@ -98,7 +280,23 @@ function TaskForm({ onSubmit, task = null }) {
       setDescription('');
       setDateString(newDefaults.dateString);
       setTimeString(newDefaults.timeString);
+      setStartDateString('');
+      setStartTimeString('09:00');
+      setEstimateInput('');
       setPriority(2);
+      setStatus(initialStatus);
+      setTags([]);
+      setTagInput('');
+      setChecklist([]);
+      setBlockedBy([]);
+      setReminderMode('default');
+      setReminderTimes([]);
+      setFrequency('');
+      setRepeatInterval(1);
+      setWeekdays([]);
+      setEndType('never');
+      setUntilDate('');
+      setRepeatCount(5);
     }
   };
 
@@ -172,6 +370,58 @@ function TaskForm({ onSubmit, task = null }) {
         </div>
       </div>
 
+      {/* Start date inputs (optional): hidden from the list until then */}
+      <div style={styles.dateTimeRow}>
+        <div style={styles.field}>
+          <label htmlFor="task-start-date" style={styles.label}>
+            Start Date
+          </label>
+          <input
+            id="task-start-date"
+            type="date"
+            value={startDateString}
+            onChange={(e) => setStartDateString(e.target.value)}
+            max={dateString}
+            style={styles.input}
+            autoComplete="off"
+          />
+        </div>
+
+        <div style={styles.field}>
+          <label htmlFor="task-start-time" style={styles.label}>
+            Start Time
+          </label>
+          <input
+            id="task-start-time"
+            type="time"
+            value={startTimeString}
+            onChange={(e) => setStartTimeString(e.target.value)}
+            disabled={!startDateString}
+            style={styles.input}
+            autoComplete="off"
+          />
+        </div>
+      </div>
+
+      {/* Estimated effort (optional): length of the timeline bar */}
+      <div style={styles.field}>
+        <label htmlFor="task-estimate" style={styles.label}>
+          Estimated Effort (hours)
+        </label>
+        <input
+          id="task-estimate"
+          type="number"
+          value={estimateInput}
+          onChange={(e) => setEstimateInput(e.target.value)}
+          min={0.25}
+          max={MAX_ESTIMATE_HOURS}
+          step={0.25}
+          placeholder="Not estimated"
+          style={styles.input}
+          autoComplete="off"
+        />
+      </div>
+
       {/* Priority select */}
       <div style={styles.field}>
         <label htmlFor="task-priority" style={styles.label}>
@@ -190,6 +440,264 @@ function TaskForm({ onSubmit, task = null }) {
         </select>
       </div>
 
+      {/* Status select (board column) */}
+      <div style={styles.field}>
+        <label htmlFor="task-status" style={styles.label}>
+          Status
+        </label>
+        <select
+          id="task-status"
+          value={status}
+          onChange={(e) => setStatus(e.target.value)}
+          style={styles.select}
+          autoComplete="off"
+        >
+          {statusColumns.map(column => (
+            <option key={column.id} value={column.id}>{column.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {/* Tags */}
+      <div style={styles.field}>
+        <label htmlFor="task-tags" style={styles.label}>
+          Tags
+        </label>
+        <div style={styles.tagBox}>
+          {tags.map(tag => (
+            <span key={tag} style={styles.tagChip}>
+              #{tag}
+              <button
+                type="button"
+                onClick={() => setTags(tags.filter(t => t !== tag))}
+                style={styles.tagRemove}
+                aria-label={`Remove tag ${tag}`}
+              >
+                ✕
+              </button>
+            </span>
+          ))}
+          <input
+            id="task-tags"
+            type="text"
+            value={tagInput}
+            onChange={(e) => setTagInput(e.target.value)}
+            onKeyDown={handleTagKeyDown}
+            onBlur={commitTagInput}
+            disabled={tags.length >= MAX_TAGS}
+            placeholder={tags.length >= MAX_TAGS ? `Up to ${MAX_TAGS} tags` : 'Type a tag, press Enter'}
+            style={styles.tagInput}
+            autoComplete="off"
+          />
+        </div>
+        {tagSuggestions.length > 0 && (
+          <div style={styles.tagSuggestions} aria-label="Tag suggestions">
+            {tagSuggestions.map(tag => (
+              <button
+                key={tag}
+                type="button"
+                // mousedown fires before the input's blur, so the suggestion wins
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => {
+                  setTags(mergeTags(tags, tag));
+                  setTagInput('');
+                }}
+                style={styles.tagSuggestion}
+              >
+                #{tag}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Blocked by (task picker) */}
+      <div style={styles.field}>
+        <label htmlFor="task-blocked-by" style={styles.label}>
+          Blocked By
+        </label>
+        {blockers.length > 0 && (
+          <div style={styles.tagBox} aria-label="Blocking tasks">
+            {blockers.map(blocker => (
+              <span key={blocker.id} style={styles.blockerChip}>
+                {blocker.title}
+                <button
+                  type="button"
+                  onClick={() => setBlockedBy(blockedBy.filter(id => id !== blocker.id))}
+                  style={styles.tagRemove}
+                  aria-label={`Remove blocker ${blocker.title}`}
+                >
+                  ✕
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+        <select
+          id="task-blocked-by"
+          value=""
+          onChange={(e) => setBlockedBy([...blockedBy, e.target.value])}
+          disabled={blockerCandidates.length === 0 || blockedBy.length >= MAX_BLOCKERS}
+          style={styles.select}
+          autoComplete="off"
+        >
+          <option value="">
+            {blockerCandidates.length === 0 ? 'No other tasks to wait for' : 'Add a task this one waits for…'}
+          </option>
+          {blockerCandidates.map(candidate => (
+            <option key={candidate.id} value={candidate.id}>{candidate.title}</option>
+          ))}
+        </select>
+        {lateBlockers.length > 0 && (
+          <p style={styles.warning} role="status">
+            Due after this task's deadline: {lateBlockers.map(blocker => `"${blocker.title}"`).join(', ')}
+          </p>
+        )}
+      </div>
+
+      {/* Checklist */}
+      <div style={styles.field} role="group" aria-labelledby="task-checklist-label">
+        <span id="task-checklist-label" style={styles.label}>
+          Checklist
+        </span>
+        <ChecklistEditor items={checklist} onChange={setChecklist} />
+      </div>
+
+      {/* Repeat rule */}
+      <div style={styles.field}>
+        <label htmlFor="task-repeat" style={styles.label}>
+          Repeat
+        </label>
+        <select
+          id="task-repeat"
+          value={frequency}
+          onChange={(e) => setFrequency(e.target.value)}
+          style={styles.select}
+          autoComplete="off"
+        >
+          <option value="">Does not repeat</option>
+          <option value={RECURRENCE_FREQUENCIES.DAILY}>Daily</option>
+          <option value={RECURRENCE_FREQUENCIES.WEEKLY}>Weekly</option>
+          <option value={RECURRENCE_FREQUENCIES.MONTHLY}>Monthly</option>
+          <option value={RECURRENCE_FREQUENCIES.YEARLY}>Yearly</option>
+        </select>
+      </div>
+
+      {frequency && (
+        <div style={styles.repeatBox}>
+          <div style={styles.inlineRow}>
+            <label htmlFor="task-repeat-interval" style={styles.inlineLabel}>
+              Every
+            </label>
+            <input
+              id="task-repeat-interval"
+              type="number"
+              min={1}
+              max={999}
+              value={repeatInterval}
+              onChange={(e) => setRepeatInterval(e.target.value)}
+              style={{ ...styles.input, ...styles.numberInput }}
+              autoComplete="off"
+            />
+            <span style={styles.inlineLabel}>{INTERVAL_UNITS[frequency]}</span>
+          </div>
+
+          {frequency === RECURRENCE_FREQUENCIES.WEEKLY && (
+            <div style={styles.weekdayRow} role="group" aria-label="Repeat on">
+              {WEEKDAY_LABELS.map((label, day) => (
+                <button
+                  key={label}
+                  type="button"
+                  onClick={() => toggleWeekday(day)}
+                  style={{
+                    ...styles.weekdayButton,
+                    ...(weekdays.includes(day) ? styles.weekdayButtonActive : {})
+                  }}
+                  aria-pressed={weekdays.includes(day)}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          )}
+
+          <div style={styles.inlineRow}>
+            <label htmlFor="task-repeat-end" style={styles.inlineLabel}>
+              Ends
+            </label>
+            <select
+              id="task-repeat-end"
+              value={endType}
+              onChange={(e) => setEndType(e.target.value)}
+              style={styles.select}
+              autoComplete="off"
+            >
+              <option value="never">Never</option>
+              <option value="until">On date</option>
+              <option value="count">After</option>
+            </select>
+            {endType === 'until' && (
+              <input
+                type="date"
+                value={untilDate}
+                onChange={(e) => setUntilDate(e.target.value)}
+                required
+                style={styles.input}
+                aria-label="Repeat end date"
+                autoComplete="off"
+              />
+            )}
+            {endType === 'count' && (
+              <>
+                <input
+                  type="number"
+                  min={1}
+                  value={repeatCount}
+                  onChange={(e) => setRepeatCount(e.target.value)}
+                  style={{ ...styles.input, ...styles.numberInput }}
+                  aria-label="Number of occurrences"
+                  autoComplete="off"
+                />
+                <span style={styles.inlineLabel}>occurrences</span>
+              </>
+            )}
+          </div>
+        </div>
+      )}
+
+      {/* Reminders */}
+      <div style={styles.field}>
+        <label htmlFor="task-reminders" style={styles.label}>
+          Reminders
+        </label>
+        <select
+          id="task-reminders"
+          value={reminderMode}
+          onChange={(e) => setReminderMode(e.target.value)}
+          style={styles.select}
+          autoComplete="off"
+        >
+          <option value="default">Use default reminders</option>
+          <option value="custom">Custom</option>
+          <option value="none">No reminders</option>
+        </select>
+      </div>
+
+      {reminderMode === 'custom' && (
+        <div style={styles.repeatBox} role="group" aria-label="Remind me">
+          {LEAD_TIME_OPTIONS.map(option => (
+            <label key={option.minutes} style={styles.inlineRow}>
+              <input
+                type="checkbox"
+                checked={reminderTimes.includes(option.minutes)}
+                onChange={() => toggleReminderTime(option.minutes)}
+              />
+              <span style={styles.inlineLabel}>{option.label}</span>
+            </label>
+          ))}
+        </div>
+      )}
+
       {/* Submit button */}
       <button type="submit" style={styles.button}>
         {isEditMode ? 'Update Task' : 'Add Task'}
@@ -244,10 +752,125 @@ const styles = {
     backgroundColor: 'var(--bg-primary)',
     color: 'var(--text-primary)'
   },
+  tagBox: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '6px',
+    padding: '6px 8px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)'
+  },
+  tagChip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    padding: '2px 4px 2px 8px',
+    fontSize: '12px',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--accent)',
+    borderRadius: '999px'
+  },
+  blockerChip: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    maxWidth: '100%',
+    padding: '2px 4px 2px 8px',
+    fontSize: '12px',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '999px'
+  },
+  warning: {
+    margin: 0,
+    fontSize: '13px',
+    color: 'var(--warning)'
+  },
+  tagRemove: {
+    padding: '0 4px',
+    fontSize: '11px',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    lineHeight: 1
+  },
+  tagInput: {
+    flex: 1,
+    minWidth: '120px',
+    padding: '2px 4px',
+    fontSize: '14px',
+    border: 'none',
+    outline: 'none',
+    backgroundColor: 'transparent',
+    color: 'var(--text-primary)'
+  },
+  tagSuggestions: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+    marginTop: '6px'
+  },
+  tagSuggestion: {
+    padding: '2px 8px',
+    fontSize: '12px',
+    color: 'var(--text-secondary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px dashed var(--border-secondary)',
+    borderRadius: '999px',
+    cursor: 'pointer'
+  },
   dateTimeRow: {
     display: 'flex',
     gap: '15px'
   },
+  repeatBox: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+    padding: '12px',
+    marginBottom: '15px',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-secondary)'
+  },
+  inlineRow: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    flexWrap: 'wrap'
+  },
+  inlineLabel: {
+    fontSize: '14px',
+    color: 'var(--text-primary)'
+  },
+  numberInput: {
+    width: '80px'
+  },
+  weekdayRow: {
+    display: 'flex',
+    gap: '4px',
+    flexWrap: 'wrap'
+  },
+  weekdayButton: {
+    padding: '4px 8px',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-primary)',
+    border: '1px solid var(--accent)',
+    borderRadius: '4px',
+    cursor: 'pointer',
+    outline: 'none'
+  },
+  weekdayButtonActive: {
+    color: 'var(--stone-0)',
+    backgroundColor: 'var(--accent)'
+  },
   button: {
     padding: '10px 20px',
     fontSize: '16px',
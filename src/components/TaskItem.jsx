@@ -4,9 +4,16 @@
  * Converts UTC deadline to local time for display
  */
 
-import { GoTrash } from 'react-icons/go';
+import { useState } from 'react';
+import { GoTrash, GoSync, GoChecklist, GoClock, GoBlocked, GoAlert } from 'react-icons/go';
 import { formatAbsoluteTime } from '../utils/datetime';
-import { getUrgencyColor, formatRelativeTime, getTimeRemaining, isOverdue } from '../utils/urgency';
+import { getUrgencyColor, formatRelativeTime, shouldPulse, isOverdue, DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import { getMatchExcerpt } from '../utils/search';
+import { getChecklistProgress, formatChecklistProgress } from '../utils/checklist';
+import { isSnoozed } from '../utils/snooze';
+import TagList from './TagList';
+import Highlight from './Highlight';
+import SnoozeMenu from './SnoozeMenu';
 
 /**
  * TaskItem - Displays a single task
@@ -14,9 +21,16 @@ import { getUrgencyColor, formatRelativeTime, getTimeRemaining, isOverdue } from
  * @param {function} onClick - Callback when task card clicked (receives task.id)
  * @param {function} onDelete - Callback when delete button clicked (receives task.id)
  * @param {function} onComplete - Callback when complete button clicked (receives task.id)
+ * @param {Array<string>} searchTerms - Active search terms to highlight
+ * @param {object} urgencySettings - Urgency bands and pulse threshold
+ * @param {function} onSnooze - Optional callback with (taskId, startDate) from the snooze menu
+ * @param {Array} blockers - Active tasks this one is blocked by
+ * @param {boolean} cantMakeIt - Whether the estimated effort no longer fits before the deadline
  * @returns {JSX.Element}
  */
-function TaskItem({ task, onClick, onDelete, onComplete }) {
+function TaskItem({ task, onClick, onDelete, onComplete, searchTerms = [], urgencySettings = DEFAULT_URGENCY_SETTINGS, onSnooze, blockers = [], cantMakeIt = false }) {
+  const [isSnoozeOpen, setIsSnoozeOpen] = useState(false);
+
   /**
    * Get priority label from priority number
    * @param {number} priority - 1=High, 2=Medium, 3=Low
@@ -53,17 +67,23 @@ function TaskItem({ task, onClick, onDelete, onComplete }) {
     }
   };
 
-  const urgencyColors = getUrgencyColor(task.deadline);
+  const urgencyColors = getUrgencyColor(task.deadline, Date.now(), urgencySettings, task.createdAt, cantMakeIt);
   const relativeTime = formatRelativeTime(task.deadline);
 
-  // Check if task needs pulse animation (<1hr remaining)
-  const timeRemaining = getTimeRemaining(task.deadline);
-  const hoursRemaining = timeRemaining / (60 * 60 * 1000);
-  const needsPulse = hoursRemaining < 1 && hoursRemaining > 0;
+  // Check if task needs pulse animation (due within the pulse threshold)
+  const needsPulse = shouldPulse(task.deadline, Date.now(), urgencySettings);
 
   // Check if task is overdue
   const taskOverdue = isOverdue(task.deadline);
 
+  // Description is not shown on the card, so show where it matched the search
+  const descriptionExcerpt = searchTerms.length > 0 ? getMatchExcerpt(task.description, searchTerms) : '';
+
+  const checklistProgress = getChecklistProgress(task.checklist);
+
+  // Only listed while snoozed when "Show snoozed" is on
+  const taskSnoozed = isSnoozed(task, Date.now());
+
   // Build className for animations
   let className = '';
   if (needsPulse) className += 'pulse-animation ';
@@ -87,8 +107,13 @@ function TaskItem({ task, onClick, onDelete, onComplete }) {
         <h3 style={{
           ...styles.title,
           // For tasks without urgency colors (overdue/normal), match time text color in dark mode
-          color: urgencyColors ? styles.title.color : 'var(--text-primary)'
-        }}>{task.title}</h3>
+          color: urgencyColors ? urgencyColors.textColor ?? styles.title.color : 'var(--text-primary)'
+        }}>
+          {task.recurrence && (
+            <GoSync style={styles.recurringIcon} aria-label="Recurring task" title="Recurring task" />
+          )}
+          <Highlight text={task.title} terms={searchTerms} />
+        </h3>
 
         {/* Top Right: Priority + Delete */}
         <div style={styles.headerActions}>
@@ -100,6 +125,20 @@ function TaskItem({ task, onClick, onDelete, onComplete }) {
           >
             {getPriorityLabel(task.priority)}
           </span>
+          {onSnooze && (
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                setIsSnoozeOpen(!isSnoozeOpen);
+              }}
+              style={styles.snoozeIcon}
+              aria-label="Snooze task"
+              aria-expanded={isSnoozeOpen}
+              title="Snooze task"
+            >
+              <GoClock size={16} />
+            </button>
+          )}
           <button
             onClick={(e) => {
               e.stopPropagation();
@@ -138,6 +177,63 @@ function TaskItem({ task, onClick, onDelete, onComplete }) {
           Complete
         </button>
       </div>
+
+      {descriptionExcerpt && (
+        <p style={styles.excerpt}>
+          <Highlight text={descriptionExcerpt} terms={searchTerms} />
+        </p>
+      )}
+
+      {(cantMakeIt || taskSnoozed || blockers.length > 0 || checklistProgress.total > 0 || (task.tags && task.tags.length > 0)) && (
+        <div style={styles.meta}>
+          {cantMakeIt && (
+            <span
+              style={styles.cantMakeItBadge}
+              title="The estimated effort no longer fits before the deadline at your daily capacity"
+            >
+              <GoAlert /> Can't make it
+            </span>
+          )}
+          {blockers.length > 0 && (
+            <span
+              style={styles.blockedBadge}
+              title={`Waiting for: ${blockers.map(blocker => blocker.title).join(', ')}`}
+            >
+              <GoBlocked /> Blocked by {blockers.length}
+            </span>
+          )}
+          {taskSnoozed && (
+            <span style={styles.snoozedBadge}>
+              <GoClock /> Snoozed until {formatAbsoluteTime(task.startDate, 'ddd, MMM D h:mm A')}
+            </span>
+          )}
+          {checklistProgress.total > 0 && (
+            <span
+              style={{
+                ...styles.checklistProgress,
+                ...(checklistProgress.done === checklistProgress.total ? styles.checklistProgressDone : {})
+              }}
+              aria-label={`Checklist: ${checklistProgress.done} of ${checklistProgress.total} done`}
+              title="Checklist progress"
+            >
+              <GoChecklist /> {formatChecklistProgress(task.checklist)}
+            </span>
+          )}
+          <TagList tags={task.tags} highlightTerms={searchTerms} />
+        </div>
+      )}
+
+      {isSnoozeOpen && (
+        <div style={styles.snoozePanel}>
+          <SnoozeMenu
+            task={task}
+            onSnooze={(taskId, startDate) => {
+              setIsSnoozeOpen(false);
+              onSnooze(taskId, startDate);
+            }}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -170,6 +266,12 @@ const styles = {
     textOverflow: 'ellipsis',
     whiteSpace: 'nowrap'
   },
+  recurringIcon: {
+    fontSize: '14px',
+    marginRight: '6px',
+    verticalAlign: 'middle',
+    opacity: 0.7
+  },
   headerActions: {
     display: 'flex',
     alignItems: 'center',
@@ -199,6 +301,48 @@ const styles = {
     outline: 'none',
     transform: 'scale(1)'
   },
+  snoozeIcon: {
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    padding: '6px',
+    display: 'flex',
+    alignItems: 'center',
+    justifyContent: 'center',
+    color: 'var(--text-secondary)',
+    opacity: 0.7,
+    outline: 'none'
+  },
+  snoozePanel: {
+    marginTop: '10px',
+    paddingTop: '10px',
+    borderTop: '1px solid var(--border-primary)',
+    cursor: 'default'
+  },
+  blockedBadge: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'var(--error)'
+  },
+  cantMakeItBadge: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'var(--pink-8)'
+  },
+  snoozedBadge: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'var(--text-secondary)'
+  },
   timeInfo: {
     display: 'flex',
     flexDirection: 'column',
@@ -235,6 +379,32 @@ const styles = {
   completeButton: {
     backgroundColor: 'var(--success)',
     color: 'var(--stone-0)'
+  },
+  excerpt: {
+    margin: '10px 0 0 0',
+    fontSize: '13px',
+    color: 'var(--text-secondary)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  meta: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+    marginTop: '10px'
+  },
+  checklistProgress: {
+    display: 'inline-flex',
+    alignItems: 'center',
+    gap: '4px',
+    fontSize: '12px',
+    fontWeight: 'bold',
+    color: 'var(--text-secondary)'
+  },
+  checklistProgressDone: {
+    color: 'var(--success)'
   }
 };
 
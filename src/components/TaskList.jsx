@@ -1,7 +1,8 @@
 /**
  * TaskList Component
  * Renders a list of tasks using TaskItem components
- * Groups overdue tasks separately at the top
+ * Groups overdue tasks separately at the top, or (agenda mode) into
+ * Overdue / Today / Tomorrow / This week / Next week / Later sections
  * Always shows AddTaskBlock at the end for easy task creation
  * Supports multi-column responsive layout based on density
  */
@@ -11,6 +12,7 @@ import { GoChevronUp, GoChevronDown } from 'react-icons/go';
 import TaskItem from './TaskItem';
 import AddTaskBlock from './AddTaskBlock';
 import { isOverdue } from '../utils/urgency';
+import { groupTasksByAgenda } from '../utils/agenda';
 import { DENSITY_MODES } from '../utils/density';
 
 /**
@@ -21,9 +23,15 @@ import { DENSITY_MODES } from '../utils/density';
  * @param {function} onComplete - Callback for completing a task
  * @param {function} onAddTask - Callback for opening task creation form
  * @param {string} density - Density mode for layout
+ * @param {Array<string>} searchTerms - Active search terms to highlight in each task
+ * @param {object} urgencySettings - Urgency bands and pulse threshold for each task
+ * @param {boolean} agenda - Group tasks into collapsible day sections instead of overdue/upcoming
+ * @param {function} onSnooze - Callback with (taskId, startDate) from a card's snooze menu
+ * @param {object} blockersById - Open blockers of each blocked task ({ [taskId]: tasks })
+ * @param {Set<string>} cantMakeItIds - Tasks whose estimated effort no longer fits before their deadline
  * @returns {JSX.Element}
  */
-function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = DENSITY_MODES.COMFORTABLE }) {
+function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = DENSITY_MODES.COMFORTABLE, searchTerms = [], urgencySettings, agenda = false, onSnooze, blockersById = {}, cantMakeItIds = new Set() }) {
   // Separate tasks into overdue and upcoming
   const overdueTasks = tasks.filter(task => isOverdue(task.deadline));
   const upcomingTasks = tasks.filter(task => !isOverdue(task.deadline));
@@ -31,6 +39,9 @@ function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = D
   // State for collapsing overdue section
   const [isOverdueOpen, setIsOverdueOpen] = useState(true);
 
+  // State for collapsing agenda sections: bucket id -> open (missing = open)
+  const [openSections, setOpenSections] = useState({});
+
   // Get grid columns based on density
   // Fixed column counts with min/max widths - user controls 1, 2, or 3 columns
   const getGridColumns = () => {
@@ -63,6 +74,60 @@ function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = D
     })
   };
 
+  if (agenda) {
+    const sections = groupTasksByAgenda(tasks).filter(section => section.tasks.length > 0);
+
+    return (
+      <div style={styles.list}>
+        {sections.map(section => {
+          const isOpen = openSections[section.id] ?? true;
+
+          return (
+            <div key={section.id} style={styles.section}>
+              <details open={isOpen} style={styles.details}>
+                <summary
+                  onClick={(e) => {
+                    e.preventDefault();
+                    setOpenSections({ ...openSections, [section.id]: !isOpen });
+                  }}
+                  style={styles.sectionHeader}
+                >
+                  <span>
+                    {section.label} <span style={styles.count}>({section.tasks.length})</span>
+                  </span>
+                  <span style={styles.arrow}>{isOpen ? <GoChevronUp /> : <GoChevronDown />}</span>
+                </summary>
+                {isOpen && (
+                  <div style={gridStyle}>
+                    {section.tasks.map((task) => (
+                      <TaskItem
+                        key={task.id}
+                        task={task}
+                        onClick={onClick}
+                        onDelete={onDelete}
+                        onComplete={onComplete}
+                        searchTerms={searchTerms}
+                        urgencySettings={urgencySettings}
+                        onSnooze={onSnooze}
+                        blockers={blockersById[task.id]}
+                        cantMakeIt={cantMakeItIds.has(task.id)}
+                      />
+                    ))}
+                  </div>
+                )}
+              </details>
+            </div>
+          );
+        })}
+
+        {/* Always offer a new task after the sections */}
+        <div style={gridStyle}>
+          <AddTaskBlock onAddTask={onAddTask} />
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div style={styles.list}>
       {/* Overdue tasks section */}
@@ -88,6 +153,11 @@ function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = D
                     onClick={onClick}
                     onDelete={onDelete}
                     onComplete={onComplete}
+                    searchTerms={searchTerms}
+                    urgencySettings={urgencySettings}
+                    onSnooze={onSnooze}
+                    blockers={blockersById[task.id]}
+                    cantMakeIt={cantMakeItIds.has(task.id)}
                   />
                 ))}
                 {/* Show AddTaskBlock here if no upcoming tasks */}
@@ -114,6 +184,11 @@ function TaskList({ tasks, onClick, onDelete, onComplete, onAddTask, density = D
                 onClick={onClick}
                 onDelete={onDelete}
                 onComplete={onComplete}
+                searchTerms={searchTerms}
+                urgencySettings={urgencySettings}
+                onSnooze={onSnooze}
+                blockers={blockersById[task.id]}
+                cantMakeIt={cantMakeItIds.has(task.id)}
               />
             ))}
             {/* Always show AddTaskBlock at end of upcoming tasks */}
@@ -163,6 +238,10 @@ const styles = {
     minWidth: '100%',
     backgroundColor: 'transparent'
   },
+  count: {
+    fontWeight: 'normal',
+    color: 'var(--text-secondary)'
+  },
   arrow: {
     fontSize: '16px',
     color: 'var(--text-secondary)',
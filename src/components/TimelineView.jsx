@@ -0,0 +1,426 @@
+/**
+ * TimelineView Component
+ * Gantt-style timeline: one row per task, a bar ending at its deadline
+ * (length from the effort estimate or the start date), urgency coloring
+ * and a "now" line. Zoom to a day, week or month; drag a bar's end (or use
+ * the arrow keys on it) to move the deadline.
+ */
+
+import { useState, useEffect } from 'react';
+import { GoChevronLeft, GoChevronRight } from 'react-icons/go';
+import { getToday } from '../utils/calendar';
+import { formatAbsoluteTime } from '../utils/datetime';
+import { getUrgencyColor, isOverdue, DEFAULT_URGENCY_SETTINGS } from '../utils/urgency';
+import {
+  TIMELINE_ZOOMS,
+  getTimelineRange,
+  shiftTimeline,
+  getTimelineTitle,
+  getTimelineTicks,
+  getTimelineRows,
+  getTaskSpan,
+  toTimelinePercent,
+  getDeadlineAtPosition,
+  nudgeDeadline,
+  formatEstimate
+} from '../utils/timeline';
+
+/**
+ * Width of the task title column, in px
+ */
+const LABEL_WIDTH = 180;
+
+/**
+ * TimelineView - Active tasks as bars on a timeline
+ * @param {Array} tasks - Tasks to place (already filtered and sorted; rows keep this order)
+ * @param {function} onTaskClick - Callback with a task id
+ * @param {function} onDeadlineChange - Callback with (taskId, deadline UTC ISO string) when a bar's end is moved
+ * @param {object} urgencySettings - Urgency coloring settings
+ * @param {Set<string>} cantMakeItIds - Tasks whose estimated effort no longer fits before their deadline
+ * @returns {JSX.Element}
+ */
+function TimelineView({
+  tasks,
+  onTaskClick,
+  onDeadlineChange,
+  urgencySettings = DEFAULT_URGENCY_SETTINGS,
+  cantMakeItIds = new Set()
+}) {
+  const [zoom, setZoom] = useState('week');
+  const [anchorDay, setAnchorDay] = useState(() => getToday());
+  // Bar end being dragged: { taskId, track, original, deadline, min } (times in ms)
+  const [drag, setDrag] = useState(null);
+
+  const range = getTimelineRange(anchorDay, zoom);
+  const ticks = getTimelineTicks(range, zoom);
+  const rows = getTimelineRows(tasks, range);
+  const now = Date.now();
+  const showNow = now >= range.start && now < range.end;
+
+  // Follow the pointer while a bar's end is dragged; commit on release
+  useEffect(() => {
+    if (!drag) return;
+
+    const handleMouseMove = (e) => {
+      const rect = drag.track.getBoundingClientRect();
+      const time = getDeadlineAtPosition((e.clientX - rect.left) / rect.width, range, zoom);
+      const deadline = Math.max(time, drag.min);
+      if (deadline !== drag.deadline) {
+        setDrag({ ...drag, deadline });
+      }
+    };
+
+    const handleMouseUp = () => {
+      setDrag(null);
+      if (drag.deadline !== drag.original) {
+        onDeadlineChange(drag.taskId, new Date(drag.deadline).toISOString());
+      }
+    };
+
+    document.addEventListener('mousemove', handleMouseMove);
+    document.addEventListener('mouseup', handleMouseUp);
+    return () => {
+      document.removeEventListener('mousemove', handleMouseMove);
+      document.removeEventListener('mouseup', handleMouseUp);
+    };
+  }, [drag, range, zoom, onDeadlineChange]);
+
+  /**
+   * Start dragging a bar's end
+   * @param {MouseEvent} e
+   * @param {object} task
+   */
+  const startDrag = (e, task) => {
+    e.preventDefault();
+    const deadline = new Date(task.deadline).getTime();
+    const snap = TIMELINE_ZOOMS[zoom].snapMinutes * 60 * 1000;
+
+    setDrag({
+      taskId: task.id,
+      track: e.currentTarget.closest('[data-track]'),
+      original: deadline,
+      deadline,
+      // A task with a start date must stay due after it
+      min: task.startDate ? new Date(task.startDate).getTime() + snap : -Infinity
+    });
+  };
+
+  /**
+   * Move a deadline one snap step with the arrow keys
+   * @param {KeyboardEvent} e
+   * @param {object} task
+   */
+  const handleHandleKeyDown = (e, task) => {
+    const steps = { ArrowLeft: -1, ArrowRight: 1 }[e.key];
+    if (!steps) return;
+
+    e.preventDefault();
+    onDeadlineChange(task.id, nudgeDeadline(task.deadline, zoom, steps));
+  };
+
+  /**
+   * Render one task row
+   * @param {object} row - { task, start, end } from getTimelineRows
+   * @returns {JSX.Element}
+   */
+  const renderRow = ({ task, start, end }) => {
+    const dragging = drag?.taskId === task.id;
+    const deadline = dragging ? new Date(drag.deadline).toISOString() : task.deadline;
+    const span = dragging ? getTaskSpan({ ...task, deadline }) : { start, end };
+    const left = toTimelinePercent(span.start, range);
+    const right = toTimelinePercent(span.end, range);
+    const urgencyColors = getUrgencyColor(deadline, now, urgencySettings, task.createdAt, cantMakeItIds.has(task.id));
+    const dueLabel = formatAbsoluteTime(deadline);
+
+    return (
+      <li key={task.id} style={styles.row}>
+        <span style={styles.rowLabel} title={task.title}>{task.title}</span>
+        <div data-track style={styles.track}>
+          {ticks.map(tick => (
+            <div
+              key={tick.time}
+              style={{ ...styles.gridLine, left: `${toTimelinePercent(tick.time, range)}%` }}
+            />
+          ))}
+          <button
+            type="button"
+            onClick={() => onTaskClick(task.id)}
+            style={{
+              ...styles.bar,
+              left: `${left}%`,
+              width: `${right - left}%`,
+              ...(urgencyColors && {
+                border: `1px solid ${urgencyColors.borderColor}`,
+                backgroundColor: urgencyColors.backgroundColor,
+                color: urgencyColors.textColor ?? 'var(--stone-12)'
+              }),
+              ...(isOverdue(task.deadline, now) && styles.overdue)
+            }}
+            title={`${task.title} — ${dueLabel}${task.estimateHours > 0 ? ` (${formatEstimate(task.estimateHours)})` : ''}`}
+            aria-label={`${task.title}, due ${dueLabel}`}
+          >
+            <span style={styles.barTitle}>{task.title}</span>
+          </button>
+          {span.end <= range.end && (
+            <div
+              role="slider"
+              tabIndex={0}
+              aria-label={`Deadline of ${task.title}`}
+              aria-valuemin={range.start}
+              aria-valuemax={range.end}
+              aria-valuenow={span.end}
+              aria-valuetext={dueLabel}
+              onMouseDown={(e) => startDrag(e, task)}
+              onKeyDown={(e) => handleHandleKeyDown(e, task)}
+              style={{ ...styles.handle, left: `${right}%` }}
+            />
+          )}
+        </div>
+      </li>
+    );
+  };
+
+  return (
+    <section style={styles.container} aria-label="Timeline">
+      <div style={styles.header}>
+        <div style={styles.nav}>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(shiftTimeline(anchorDay, zoom, -1))}
+            style={styles.navButton}
+            aria-label={`Previous ${zoom}`}
+          >
+            <GoChevronLeft />
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(getToday())}
+            style={styles.textButton}
+          >
+            Today
+          </button>
+          <button
+            type="button"
+            onClick={() => setAnchorDay(shiftTimeline(anchorDay, zoom, 1))}
+            style={styles.navButton}
+            aria-label={`Next ${zoom}`}
+          >
+            <GoChevronRight />
+          </button>
+        </div>
+        <h2 style={styles.title}>{getTimelineTitle(anchorDay, zoom)}</h2>
+        <div style={styles.zoom} role="group" aria-label="Zoom">
+          {Object.entries(TIMELINE_ZOOMS).map(([key, option]) => (
+            <button
+              key={key}
+              type="button"
+              onClick={() => setZoom(key)}
+              aria-pressed={zoom === key}
+              style={{ ...styles.textButton, ...(zoom === key ? styles.activeZoom : {}) }}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div style={styles.body}>
+        <div style={styles.row} aria-hidden="true">
+          <span style={styles.rowLabel} />
+          <div style={styles.scale}>
+            {ticks.map(tick => (
+              <span
+                key={tick.time}
+                style={{ ...styles.tick, left: `${toTimelinePercent(tick.time, range)}%` }}
+              >
+                {tick.label}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {rows.length === 0 ? (
+          <p style={styles.empty}>No tasks in this period</p>
+        ) : (
+          <ul style={styles.rows}>
+            {rows.map(renderRow)}
+          </ul>
+        )}
+
+        {showNow && (
+          <div
+            data-now
+            title="Now"
+            aria-hidden="true"
+            style={{
+              ...styles.nowLine,
+              left: `calc(${LABEL_WIDTH}px + (100% - ${LABEL_WIDTH}px) * ${toTimelinePercent(now, range) / 100})`
+            }}
+          />
+        )}
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px'
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '16px',
+    flexWrap: 'wrap'
+  },
+  nav: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '4px'
+  },
+  navButton: {
+    display: 'flex',
+    alignItems: 'center',
+    padding: '6px 8px',
+    fontSize: '16px',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  textButton: {
+    padding: '6px 12px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '6px',
+    cursor: 'pointer'
+  },
+  title: {
+    margin: 0,
+    fontSize: '18px',
+    fontWeight: 'bold',
+    color: 'var(--text-primary)'
+  },
+  zoom: {
+    display: 'flex',
+    gap: '4px',
+    marginLeft: 'auto'
+  },
+  activeZoom: {
+    color: 'var(--text-inverse)',
+    backgroundColor: 'var(--accent)',
+    border: '1px solid var(--accent)'
+  },
+  body: {
+    position: 'relative',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  rows: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px'
+  },
+  row: {
+    display: 'flex',
+    alignItems: 'center'
+  },
+  rowLabel: {
+    flex: `0 0 ${LABEL_WIDTH}px`,
+    paddingRight: '8px',
+    fontSize: '13px',
+    color: 'var(--text-primary)',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  scale: {
+    position: 'relative',
+    flex: 1,
+    height: '20px'
+  },
+  tick: {
+    position: 'absolute',
+    top: 0,
+    paddingLeft: '3px',
+    fontSize: '11px',
+    color: 'var(--text-secondary)',
+    whiteSpace: 'nowrap',
+    borderLeft: '1px solid var(--border-primary)'
+  },
+  track: {
+    position: 'relative',
+    flex: 1,
+    height: '28px',
+    backgroundColor: 'var(--bg-secondary)',
+    borderRadius: '4px'
+  },
+  gridLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    borderLeft: '1px solid var(--border-primary)'
+  },
+  bar: {
+    position: 'absolute',
+    top: '3px',
+    bottom: '3px',
+    minWidth: '8px',
+    padding: '0 6px',
+    overflow: 'hidden',
+    textAlign: 'left',
+    color: 'var(--text-primary)',
+    backgroundColor: 'var(--bg-tertiary)',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    cursor: 'pointer'
+  },
+  overdue: {
+    opacity: 0.6
+  },
+  barTitle: {
+    display: 'block',
+    fontSize: '12px',
+    fontWeight: '500',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap'
+  },
+  handle: {
+    position: 'absolute',
+    top: '2px',
+    bottom: '2px',
+    width: '8px',
+    marginLeft: '-4px',
+    backgroundColor: 'var(--accent)',
+    borderRadius: '3px',
+    cursor: 'ew-resize'
+  },
+  empty: {
+    margin: 0,
+    padding: '24px 0',
+    fontSize: '14px',
+    textAlign: 'center',
+    color: 'var(--text-tertiary)'
+  },
+  nowLine: {
+    position: 'absolute',
+    top: 0,
+    bottom: 0,
+    width: '2px',
+    backgroundColor: 'var(--error)',
+    pointerEvents: 'none'
+  }
+};
+
+export default TimelineView;
@@ -12,8 +12,10 @@ import { useEffect } from 'react';
  * @param {function} props.onClose - Callback when toast closes
  * @param {number} props.duration - Duration in ms (default: 3000)
  * @param {string} props.variant - 'info' | 'success' | 'warning' | 'danger' (default: 'info')
+ * @param {string} [props.actionLabel] - Optional action button text (e.g. 'Undo')
+ * @param {function} [props.onAction] - Callback when action button clicked (toast then closes)
  */
-function Toast({ isVisible, message, onClose, duration = 3000, variant = 'info' }) {
+function Toast({ isVisible, message, onClose, duration = 3000, variant = 'info', actionLabel, onAction }) {
   useEffect(() => {
     if (isVisible && duration > 0) {
       const timer = setTimeout(() => {
@@ -49,6 +51,17 @@ function Toast({ isVisible, message, onClose, duration = 3000, variant = 'info'
   return (
     <div style={style} role="alert">
       <span style={styles.message}>{message}</span>
+      {actionLabel && onAction && (
+        <button
+          onClick={() => {
+            onAction();
+            onClose();
+          }}
+          style={styles.actionButton}
+        >
+          {actionLabel}
+        </button>
+      )}
       <button
         onClick={onClose}
         style={styles.closeButton}
@@ -85,6 +98,17 @@ const styles = {
     flex: 1,
     fontSize: '14px'
   },
+  actionButton: {
+    background: 'none',
+    border: 'none',
+    color: 'var(--accent)',
+    fontSize: '14px',
+    fontWeight: 'bold',
+    cursor: 'pointer',
+    padding: '2px 6px',
+    borderRadius: '4px',
+    outline: 'none'
+  },
   closeButton: {
     background: 'none',
     border: 'none',
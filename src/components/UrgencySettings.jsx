@@ -0,0 +1,470 @@
+/**
+ * UrgencySettings Component
+ * Edits how cards are colored as deadlines approach: discrete color bands (how
+ * far from the deadline each color starts) or a continuous gradient, and where
+ * pulsing starts. Valid edits are saved as they are made.
+ */
+
+import { useState } from 'react';
+import {
+  URGENCY_COLORS,
+  MAX_URGENCY_BANDS,
+  DEFAULT_URGENCY_SETTINGS,
+  validateUrgencySettings,
+  getGradientColor
+} from '../utils/urgency';
+
+/**
+ * Threshold units offered, in minutes
+ */
+const UNITS = [
+  { value: 'minutes', minutes: 1 },
+  { value: 'hours', minutes: 60 },
+  { value: 'days', minutes: 60 * 24 },
+  { value: 'weeks', minutes: 60 * 24 * 7 }
+];
+
+/**
+ * Gradient bases offered
+ */
+const BASIS_OPTIONS = [
+  { value: 'elapsed', label: 'share of time since the task was created' },
+  { value: 'remaining', label: 'time left before the deadline' }
+];
+
+/**
+ * Gradient steps shown in the preview strip
+ */
+const PREVIEW_STEPS = [0, 0.25, 0.5, 0.75, 1];
+
+/**
+ * Express hours in the largest unit that fits exactly
+ * @param {number} hours
+ * @returns {object} { amount: string, unit: string }
+ */
+function toDraftAmount(hours) {
+  const minutes = Math.round(hours * 60);
+  const unit = [...UNITS].reverse().find(u => minutes % u.minutes === 0);
+  return { amount: String(minutes / unit.minutes), unit: unit.value };
+}
+
+/**
+ * Convert an amount and unit back to hours
+ * @param {object} draftAmount - { amount, unit }
+ * @returns {number} Hours (NaN when the amount is empty)
+ */
+function toHours({ amount, unit }) {
+  const factor = UNITS.find(u => u.value === unit).minutes;
+  return amount.trim() === '' ? NaN : (Number(amount) * factor) / 60;
+}
+
+/**
+ * Build the editable form of settings
+ * @param {object} settings - { bands, pulseHours, mode, gradientBasis, gradientHours }
+ * @returns {object} { bands: Array<{ amount, unit, color }>, pulseOn, pulse: { amount, unit }, mode, gradientBasis, gradient: { amount, unit } }
+ */
+function toDraft(settings) {
+  const { mode, gradientBasis, gradientHours } = { ...DEFAULT_URGENCY_SETTINGS, ...settings };
+
+  return {
+    bands: settings.bands.map(band => ({ ...toDraftAmount(band.hours), color: band.color })),
+    pulseOn: settings.pulseHours > 0,
+    pulse: toDraftAmount(settings.pulseHours > 0 ? settings.pulseHours : 1),
+    mode,
+    gradientBasis,
+    gradient: toDraftAmount(gradientHours)
+  };
+}
+
+/**
+ * Build settings from the editable form
+ * @param {object} draft - From toDraft
+ * @returns {object} { bands, pulseHours, mode, gradientBasis, gradientHours }
+ */
+function fromDraft(draft) {
+  return {
+    bands: draft.bands.map(band => ({ hours: toHours(band), color: band.color })),
+    pulseHours: draft.pulseOn ? toHours(draft.pulse) : 0,
+    mode: draft.mode,
+    gradientBasis: draft.gradientBasis,
+    gradientHours: toHours(draft.gradient)
+  };
+}
+
+/**
+ * UrgencySettings - Edit urgency coloring and the pulse threshold
+ * @param {object} settings - Saved { bands, pulseHours, mode, gradientBasis, gradientHours }
+ * @param {function} onChange - Callback with valid new settings
+ * @returns {JSX.Element}
+ */
+function UrgencySettings({ settings = DEFAULT_URGENCY_SETTINGS, onChange }) {
+  const [draft, setDraft] = useState(() => toDraft(settings));
+  const { error } = validateUrgencySettings(fromDraft(draft));
+
+  /**
+   * Store an edit, and save it when the result is valid
+   * @param {object} nextDraft
+   */
+  const updateDraft = (nextDraft) => {
+    setDraft(nextDraft);
+    const nextSettings = fromDraft(nextDraft);
+    if (validateUrgencySettings(nextSettings).valid) {
+      onChange?.(nextSettings);
+    }
+  };
+
+  /**
+   * Change one field of one band
+   * @param {number} index - Band index
+   * @param {object} changes - e.g. { amount: '3' }
+   */
+  const updateBand = (index, changes) => {
+    updateDraft({
+      ...draft,
+      bands: draft.bands.map((band, i) => (i === index ? { ...band, ...changes } : band))
+    });
+  };
+
+  /**
+   * Add a band after the last one, twice as far out, in an unused color
+   */
+  const addBand = () => {
+    const last = draft.bands[draft.bands.length - 1];
+    const lastHours = last ? toHours(last) : NaN;
+    const usedColors = draft.bands.map(band => band.color);
+    const color = Object.keys(URGENCY_COLORS).find(name => !usedColors.includes(name)) || 'blue';
+
+    updateDraft({
+      ...draft,
+      bands: [...draft.bands, { ...toDraftAmount(lastHours > 0 ? lastHours * 2 : 24), color }]
+    });
+  };
+
+  /**
+   * Remove one band
+   * @param {number} index - Band index
+   */
+  const removeBand = (index) => {
+    updateDraft({ ...draft, bands: draft.bands.filter((_, i) => i !== index) });
+  };
+
+  return (
+    <div style={styles.container}>
+      <fieldset style={styles.modes}>
+        <legend style={styles.legend}>Card coloring</legend>
+        <label style={styles.pulseLabel}>
+          <input
+            type="radio"
+            name="urgency-mode"
+            value="bands"
+            checked={draft.mode === 'bands'}
+            onChange={() => updateDraft({ ...draft, mode: 'bands' })}
+          />
+          <span style={styles.text}>Bands</span>
+        </label>
+        <label style={styles.pulseLabel}>
+          <input
+            type="radio"
+            name="urgency-mode"
+            value="gradient"
+            checked={draft.mode === 'gradient'}
+            onChange={() => updateDraft({ ...draft, mode: 'gradient' })}
+          />
+          <span style={styles.text}>Gradient</span>
+        </label>
+      </fieldset>
+
+      {draft.mode === 'gradient' ? (
+        <>
+          <div style={styles.gradientPreview} aria-hidden="true">
+            {PREVIEW_STEPS.map(step => {
+              const colors = getGradientColor(step);
+              return (
+                <span
+                  key={step}
+                  style={{
+                    ...styles.swatch,
+                    ...styles.gradientSwatch,
+                    borderLeftColor: colors.borderColor,
+                    backgroundColor: colors.backgroundColor
+                  }}
+                />
+              );
+            })}
+          </div>
+
+          <div style={styles.band}>
+            <span style={styles.text}>Green to red by</span>
+            <select
+              value={draft.gradientBasis}
+              onChange={(e) => updateDraft({ ...draft, gradientBasis: e.target.value })}
+              aria-label="Gradient basis"
+              style={styles.select}
+            >
+              {BASIS_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {draft.gradientBasis === 'remaining' && (
+            <div style={styles.band}>
+              <span style={styles.text}>Green from</span>
+              <input
+                type="number"
+                min="0"
+                step="any"
+                value={draft.gradient.amount}
+                onChange={(e) => updateDraft({ ...draft, gradient: { ...draft.gradient, amount: e.target.value } })}
+                aria-label="Gradient start"
+                style={styles.amount}
+              />
+              <select
+                value={draft.gradient.unit}
+                onChange={(e) => updateDraft({ ...draft, gradient: { ...draft.gradient, unit: e.target.value } })}
+                aria-label="Gradient start unit"
+                style={styles.select}
+              >
+                {UNITS.map(unit => (
+                  <option key={unit.value} value={unit.value}>{unit.value}</option>
+                ))}
+              </select>
+              <span style={styles.text}>before the deadline</span>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          {draft.bands.length === 0 && (
+            <p style={styles.empty}>No bands: cards are never colored by urgency.</p>
+          )}
+
+          <ol style={styles.bands} aria-label="Urgency bands">
+            {draft.bands.map((band, index) => (
+              <li key={index} style={styles.band}>
+                <span
+                  style={{
+                    ...styles.swatch,
+                    borderLeftColor: URGENCY_COLORS[band.color].borderColor,
+                    backgroundColor: URGENCY_COLORS[band.color].backgroundColor
+                  }}
+                  aria-hidden="true"
+                />
+                <span style={styles.text}>Under</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="any"
+                  value={band.amount}
+                  onChange={(e) => updateBand(index, { amount: e.target.value })}
+                  aria-label={`Band ${index + 1} threshold`}
+                  style={styles.amount}
+                />
+                <select
+                  value={band.unit}
+                  onChange={(e) => updateBand(index, { unit: e.target.value })}
+                  aria-label={`Band ${index + 1} unit`}
+                  style={styles.select}
+                >
+                  {UNITS.map(unit => (
+                    <option key={unit.value} value={unit.value}>{unit.value}</option>
+                  ))}
+                </select>
+                <select
+                  value={band.color}
+                  onChange={(e) => updateBand(index, { color: e.target.value })}
+                  aria-label={`Band ${index + 1} color`}
+                  style={styles.select}
+                >
+                  {Object.entries(URGENCY_COLORS).map(([name, color]) => (
+                    <option key={name} value={name}>{color.label}</option>
+                  ))}
+                </select>
+                <button
+                  type="button"
+                  onClick={() => removeBand(index)}
+                  style={styles.removeButton}
+                  aria-label={`Remove band ${index + 1}`}
+                  title="Remove band"
+                >
+                  ×
+                </button>
+              </li>
+            ))}
+          </ol>
+        </>
+      )}
+
+      <div style={styles.actions}>
+        {draft.mode === 'bands' && (
+          <button
+            type="button"
+            onClick={addBand}
+            disabled={draft.bands.length >= MAX_URGENCY_BANDS}
+            style={styles.linkButton}
+          >
+            Add band
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => updateDraft(toDraft(DEFAULT_URGENCY_SETTINGS))}
+          style={styles.linkButton}
+        >
+          Reset to defaults
+        </button>
+      </div>
+
+      <div style={styles.band}>
+        <label style={styles.pulseLabel}>
+          <input
+            type="checkbox"
+            checked={draft.pulseOn}
+            onChange={(e) => updateDraft({ ...draft, pulseOn: e.target.checked })}
+            style={styles.checkbox}
+          />
+          <span style={styles.text}>Pulse cards due within</span>
+        </label>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          value={draft.pulse.amount}
+          onChange={(e) => updateDraft({ ...draft, pulse: { ...draft.pulse, amount: e.target.value } })}
+          disabled={!draft.pulseOn}
+          aria-label="Pulse threshold"
+          style={styles.amount}
+        />
+        <select
+          value={draft.pulse.unit}
+          onChange={(e) => updateDraft({ ...draft, pulse: { ...draft.pulse, unit: e.target.value } })}
+          disabled={!draft.pulseOn}
+          aria-label="Pulse threshold unit"
+          style={styles.select}
+        >
+          {UNITS.map(unit => (
+            <option key={unit.value} value={unit.value}>{unit.value}</option>
+          ))}
+        </select>
+      </div>
+
+      {error && <p style={styles.error} role="alert">{error}</p>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px'
+  },
+  bands: {
+    listStyle: 'none',
+    margin: 0,
+    padding: 0,
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px'
+  },
+  band: {
+    display: 'flex',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '6px'
+  },
+  swatch: {
+    width: '24px',
+    height: '20px',
+    borderLeft: '4px solid',
+    borderRadius: '3px'
+  },
+  text: {
+    fontSize: '14px',
+    color: 'var(--text-primary)'
+  },
+  empty: {
+    fontSize: '13px',
+    color: 'var(--text-tertiary)',
+    margin: 0
+  },
+  amount: {
+    width: '70px',
+    padding: '4px 8px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  select: {
+    padding: '4px 8px',
+    fontSize: '14px',
+    border: '1px solid var(--border-secondary)',
+    borderRadius: '4px',
+    backgroundColor: 'var(--bg-primary)',
+    color: 'var(--text-primary)'
+  },
+  removeButton: {
+    padding: '0 8px',
+    fontSize: '18px',
+    lineHeight: 1,
+    color: 'var(--text-tertiary)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  },
+  actions: {
+    display: 'flex',
+    gap: '16px'
+  },
+  linkButton: {
+    padding: 0,
+    fontSize: '13px',
+    color: 'var(--accent)',
+    backgroundColor: 'transparent',
+    border: 'none',
+    cursor: 'pointer'
+  },
+  pulseLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    cursor: 'pointer'
+  },
+  checkbox: {
+    width: '18px',
+    height: '18px',
+    cursor: 'pointer'
+  },
+  modes: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '16px',
+    border: 'none',
+    padding: 0,
+    margin: 0
+  },
+  legend: {
+    float: 'left',
+    marginRight: '4px',
+    fontSize: '14px',
+    color: 'var(--text-secondary)'
+  },
+  gradientPreview: {
+    display: 'flex',
+    gap: '4px'
+  },
+  gradientSwatch: {
+    flex: 1,
+    maxWidth: '48px'
+  },
+  error: {
+    fontSize: '13px',
+    color: 'var(--error)',
+    margin: 0
+  }
+};
+
+export default UrgencySettings;
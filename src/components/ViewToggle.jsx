@@ -0,0 +1,89 @@
+/**
+ * ViewToggle Component
+ * Switches the task view between the card list, the agenda, the month and week calendars, the board and the timeline
+ */
+
+import { VIEW_MODES } from '../utils/views';
+
+/**
+ * Views offered, in display order
+ */
+const VIEW_OPTIONS = [
+  { value: VIEW_MODES.LIST, label: 'List' },
+  { value: VIEW_MODES.AGENDA, label: 'Agenda' },
+  { value: VIEW_MODES.MONTH, label: 'Month' },
+  { value: VIEW_MODES.WEEK, label: 'Week' },
+  { value: VIEW_MODES.BOARD, label: 'Board' },
+  { value: VIEW_MODES.TIMELINE, label: 'Timeline' }
+];
+
+/**
+ * ViewToggle - Segmented control for the task view
+ * @param {string} currentView - One of VIEW_MODES
+ * @param {function} onViewChange - Callback with the chosen view
+ * @returns {JSX.Element}
+ */
+function ViewToggle({ currentView, onViewChange }) {
+  return (
+    <div style={styles.container}>
+      <label style={styles.label}>View:</label>
+      <div style={styles.toggleGroup}>
+        {VIEW_OPTIONS.map((option, index) => (
+          <button
+            key={option.value}
+            onClick={() => onViewChange(option.value)}
+            style={{
+              ...styles.button,
+              ...(currentView === option.value ? styles.buttonActive : {}),
+              ...(index === VIEW_OPTIONS.length - 1 ? { borderRight: 'none' } : {})
+            }}
+            className="toggle-button"
+            aria-pressed={currentView === option.value}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px'
+  },
+  label: {
+    fontSize: '14px',
+    fontWeight: '600',
+    color: 'var(--text-primary)',
+  },
+  toggleGroup: {
+    display: 'flex',
+    gap: '0',
+    border: '2px solid var(--accent)',
+    borderRadius: '6px',
+    overflow: 'hidden',
+  },
+  button: {
+    padding: '6px 16px',
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--accent)',
+    backgroundColor: 'var(--bg-primary)',
+    border: 'none',
+    borderRadius: '0',
+    cursor: 'pointer',
+    transition: 'background-color 0.2s, color 0.2s',
+    borderRight: '1px solid var(--accent)',
+    outline: 'none'
+  },
+  buttonActive: {
+    backgroundColor: 'var(--accent)',
+    color: '#fff',
+    fontWeight: '600',
+  },
+};
+
+export default ViewToggle;
@@ -0,0 +1,139 @@
+/**
+ * WorkloadStrip Component
+ * Estimated work due on each of the next seven days against the daily
+ * capacity, with a warning when more work is due than fits in time.
+ * Hidden while no task has an estimate.
+ */
+
+import dayjs from 'dayjs';
+import { GoAlert } from 'react-icons/go';
+import { getWorkloadForecast, getOverload, formatOverload, formatHours, DEFAULT_DAILY_CAPACITY } from '../utils/forecast';
+
+/**
+ * Name a forecast day
+ * @param {string} day - Local date (YYYY-MM-DD)
+ * @param {number} index - Days from today
+ * @returns {string} "Today", "Tomorrow" or a weekday like "Wed"
+ */
+function getDayLabel(day, index) {
+  if (index === 0) return 'Today';
+  if (index === 1) return 'Tomorrow';
+  return dayjs(day).format('ddd');
+}
+
+/**
+ * WorkloadStrip - Workload forecast for the coming week
+ * @param {Array} tasks - Active tasks (all of them, not just the visible ones)
+ * @param {number} dailyCapacity - Hours of work available per day
+ * @param {Set<string>} cantMakeItIds - Tasks that can't make it (worked out here when not given)
+ * @returns {JSX.Element|null}
+ */
+function WorkloadStrip({ tasks, dailyCapacity = DEFAULT_DAILY_CAPACITY, cantMakeItIds = null }) {
+  const now = Date.now();
+  const forecast = getWorkloadForecast(tasks, now, dailyCapacity, 7, cantMakeItIds);
+  const overload = getOverload(tasks, now, dailyCapacity);
+
+  if (!overload && forecast.every(day => day.dueHours === 0)) {
+    return null;
+  }
+
+  return (
+    <section style={styles.container} aria-label="Workload">
+      {overload && (
+        <p style={styles.warning} role="status">
+          <GoAlert /> {formatOverload(overload)}
+        </p>
+      )}
+
+      <div style={styles.days}>
+        {forecast.map((day, index) => {
+          const label = getDayLabel(day.day, index);
+          const fill = day.availableHours > 0 ? Math.min(100, (day.dueHours / day.availableHours) * 100) : 100;
+
+          return (
+            <div
+              key={day.day}
+              style={{ ...styles.day, ...(day.overloaded ? styles.overloadedDay : {}) }}
+              aria-label={`${label}: ${formatHours(day.dueHours)} due, ${formatHours(day.availableHours)} available${day.overloaded ? ', overloaded' : ''}`}
+              title={dayjs(day.day).format('dddd, MMMM D')}
+            >
+              <span style={styles.dayLabel}>{label}</span>
+              <div style={styles.meter}>
+                <div
+                  style={{
+                    ...styles.meterFill,
+                    width: `${day.dueHours > 0 ? fill : 0}%`,
+                    ...(day.overloaded ? styles.overloadedFill : {})
+                  }}
+                />
+              </div>
+              <span style={styles.hours}>
+                {formatHours(day.dueHours)} / {formatHours(day.availableHours)}
+              </span>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginBottom: '16px'
+  },
+  warning: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    margin: 0,
+    fontSize: '14px',
+    fontWeight: '500',
+    color: 'var(--error)'
+  },
+  days: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(7, minmax(0, 1fr))',
+    gap: '6px'
+  },
+  day: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    padding: '6px 8px',
+    backgroundColor: 'var(--bg-secondary)',
+    border: '1px solid var(--border-primary)',
+    borderRadius: '6px'
+  },
+  overloadedDay: {
+    border: '1px solid var(--error)'
+  },
+  dayLabel: {
+    fontSize: '12px',
+    fontWeight: '600',
+    color: 'var(--text-secondary)'
+  },
+  meter: {
+    height: '6px',
+    backgroundColor: 'var(--bg-tertiary)',
+    borderRadius: '3px',
+    overflow: 'hidden'
+  },
+  meterFill: {
+    height: '100%',
+    backgroundColor: 'var(--accent)'
+  },
+  overloadedFill: {
+    backgroundColor: 'var(--error)'
+  },
+  hours: {
+    fontSize: '12px',
+    color: 'var(--text-primary)',
+    whiteSpace: 'nowrap'
+  }
+};
+
+export default WorkloadStrip;
@@ -0,0 +1,56 @@
+/**
+ * useDeadlineReminders hook
+ * Fires desktop notifications for approaching and missed deadlines
+ */
+
+import { useEffect } from 'react';
+import {
+  buildReminderSchedule,
+  getDueReminders,
+  getNextReminderTime,
+  getFiredReminders,
+  markRemindersFired,
+  showReminderNotification,
+  getNotificationPermission
+} from '../utils/notifications';
+
+/**
+ * Longest single wait between checks
+ * Timers can drift while the computer sleeps, so re-check at least hourly
+ */
+const MAX_WAIT_MS = 60 * 60 * 1000;
+
+/**
+ * Hook to schedule deadline notifications
+ * The schedule is rebuilt whenever tasks or settings change
+ * @param {Array} tasks - Active tasks
+ * @param {object} settings - { enabled, leadTimes } from preferences
+ */
+export function useDeadlineReminders(tasks, settings) {
+  useEffect(() => {
+    if (!settings.enabled || getNotificationPermission() !== 'granted') {
+      return;
+    }
+
+    const schedule = buildReminderSchedule(tasks, settings.leadTimes);
+    let timerId = null;
+
+    const check = () => {
+      const now = Date.now();
+      const { due, skipped } = getDueReminders(schedule, getFiredReminders(), now);
+
+      due.forEach(showReminderNotification);
+      markRemindersFired([...skipped, ...due.map(reminder => reminder.key)]);
+
+      const next = getNextReminderTime(schedule, now);
+      if (next !== null) {
+        timerId = setTimeout(check, Math.min(next - now, MAX_WAIT_MS));
+      }
+    };
+
+    check();
+
+    // Cleanup: drop the pending timer before rebuilding the schedule
+    return () => clearTimeout(timerId);
+  }, [tasks, settings]);
+}
@@ -0,0 +1,44 @@
+/**
+ * useServiceWorker hook
+ * Registers the offline service worker and reports when a new version is ready
+ */
+
+import { useState, useEffect } from 'react';
+import { registerServiceWorker, applyUpdate } from '../utils/serviceWorker';
+
+/**
+ * Hook to register the service worker
+ * @param {boolean} enabled - Register only when true (production builds)
+ * @returns {object} { updateAvailable: boolean, reloadToUpdate: function }
+ */
+export function useServiceWorker(enabled) {
+  const [waitingWorker, setWaitingWorker] = useState(null);
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let stop = null;
+    let cancelled = false;
+
+    registerServiceWorker({ onUpdateReady: setWaitingWorker }).then(stopWatching => {
+      if (cancelled) {
+        stopWatching();
+      } else {
+        stop = stopWatching;
+      }
+    });
+
+    return () => {
+      cancelled = true;
+      stop?.();
+    };
+  }, [enabled]);
+
+  const reloadToUpdate = () => {
+    if (waitingWorker) {
+      applyUpdate(waitingWorker);
+    }
+  };
+
+  return { updateAvailable: waitingWorker !== null, reloadToUpdate };
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import {
   getThemePreference,
   setThemePreference,
@@ -12,7 +12,8 @@ import {
  * @returns {{
  *   themePreference: 'light' | 'dark' | 'system',
  *   resolvedTheme: 'light' | 'dark',
- *   setTheme: (theme: 'light' | 'dark' | 'system') => void
+ *   setTheme: (theme: 'light' | 'dark' | 'system') => void,
+ *   reloadTheme: () => void
  * }}
  */
 export function useTheme() {
@@ -55,9 +56,16 @@ export function useTheme() {
     setThemePreferenceState(theme);
   };
 
+  // Re-read the saved preference (e.g. after another tab changed it)
+  // Stable identity so effects can depend on it
+  const reloadTheme = useCallback(() => {
+    setThemePreferenceState(getThemePreference());
+  }, []);
+
   return {
     themePreference,
     resolvedTheme,
     setTheme,
+    reloadTheme,
   };
 }
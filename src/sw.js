@@ -0,0 +1,74 @@
+/**
+ * NearZero service worker
+ * Precaches the built app so it loads fully offline
+ *
+ * This file is a template: at build time the precache plugin in
+ * vite.config.js fills in the precache manifest below with
+ * { version, urls } for the current bundle and emits it as sw.js.
+ *
+ * A new worker installs alongside the old one and waits. The app shows a
+ * "new version available" banner and posts SKIP_WAITING when the user
+ * chooses to reload, so a running session is never swapped out underneath.
+ */
+
+const { version, urls } = self.__PRECACHE_MANIFEST;
+
+const CACHE_PREFIX = 'nearzero-';
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+
+/**
+ * Resolve a precache entry against the worker's own location
+ * Keeps the app working when served from a sub-path
+ * @param {string} url - Entry relative to the build root, e.g. 'assets/index.js'
+ * @returns {string} Absolute URL
+ */
+function resolveUrl(url) {
+  return new URL(url, self.registration.scope).href;
+}
+
+const APP_SHELL_URL = resolveUrl('index.html');
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then(cache => cache.addAll(urls.map(resolveUrl)))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  // Page loads always get the cached app shell; routing happens client-side
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match(APP_SHELL_URL, { cacheName: CACHE_NAME })
+        .then(response => response || fetch(request))
+    );
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME })
+      .then(response => response || fetch(request))
+  );
+});
@@ -0,0 +1,84 @@
+/**
+ * Agenda utilities
+ * Sorts tasks into day buckets: Overdue, Today, Tomorrow, This week, Next week, Later (pure functions)
+ *
+ * Bucket edges are local midnights built with dayjs calendar arithmetic, so a
+ * day is always one calendar day, even the 23- and 25-hour days of DST changes.
+ * Weeks start on Sunday, like calendar.js; when tomorrow already falls in next
+ * week, "This week" is simply empty.
+ */
+
+import dayjs from 'dayjs';
+
+/**
+ * Agenda buckets, in display order
+ */
+export const AGENDA_BUCKETS = [
+  { id: 'overdue', label: 'Overdue' },
+  { id: 'today', label: 'Today' },
+  { id: 'tomorrow', label: 'Tomorrow' },
+  { id: 'thisWeek', label: 'This week' },
+  { id: 'nextWeek', label: 'Next week' },
+  { id: 'later', label: 'Later' },
+];
+
+/**
+ * Local time edges between buckets
+ * @param {number} now - Current time in ms
+ * @returns {object} { tomorrow, dayAfterTomorrow, nextWeek, weekAfterNext } (ms)
+ */
+function getBucketEdges(now) {
+  const today = dayjs(now).startOf('day');
+  const nextWeek = today.startOf('week').add(1, 'week');
+
+  return {
+    tomorrow: today.add(1, 'day').valueOf(),
+    dayAfterTomorrow: today.add(2, 'day').valueOf(),
+    nextWeek: nextWeek.valueOf(),
+    weekAfterNext: nextWeek.add(1, 'week').valueOf(),
+  };
+}
+
+/**
+ * Pick the bucket for a deadline
+ * @param {number} deadlineTime - Deadline in ms
+ * @param {number} now - Current time in ms
+ * @param {object} edges - From getBucketEdges
+ * @returns {string} Bucket id
+ */
+function pickBucket(deadlineTime, now, edges) {
+  if (deadlineTime < now) return 'overdue';
+  if (deadlineTime < edges.tomorrow) return 'today';
+  if (deadlineTime < edges.dayAfterTomorrow) return 'tomorrow';
+  if (deadlineTime < edges.nextWeek) return 'thisWeek';
+  if (deadlineTime < edges.weekAfterNext) return 'nextWeek';
+  return 'later';
+}
+
+/**
+ * Get the agenda bucket of one deadline
+ * @param {string} deadline - UTC ISO 8601 deadline string
+ * @param {number} [now] - Current time in ms (default: Date.now())
+ * @returns {string} Bucket id from AGENDA_BUCKETS
+ */
+export function getAgendaBucket(deadline, now = Date.now()) {
+  return pickBucket(new Date(deadline).getTime(), now, getBucketEdges(now));
+}
+
+/**
+ * Group tasks into agenda buckets
+ * Tasks keep their order within a bucket (sort them first)
+ * @param {Array} tasks - Task objects
+ * @param {number} [now] - Current time in ms (default: Date.now())
+ * @returns {Array<object>} Every bucket in display order: { id, label, tasks }
+ */
+export function groupTasksByAgenda(tasks, now = Date.now()) {
+  const edges = getBucketEdges(now);
+  const byBucket = new Map(AGENDA_BUCKETS.map(bucket => [bucket.id, []]));
+
+  tasks.forEach(task => {
+    byBucket.get(pickBucket(new Date(task.deadline).getTime(), now, edges)).push(task);
+  });
+
+  return AGENDA_BUCKETS.map(bucket => ({ ...bucket, tasks: byBucket.get(bucket.id) }));
+}
@@ -0,0 +1,117 @@
+/**
+ * Calendar utilities
+ * Builds month and week grids and places tasks on their local deadline day (pure functions)
+ *
+ * Days are local date strings (YYYY-MM-DD), the same format as <input type="date">.
+ * Weeks start on Sunday, like recurrence.js.
+ */
+
+import dayjs from 'dayjs';
+import { localToUTC, utcToLocalDate, utcToLocalTime } from './datetime';
+import { VIEW_MODES } from './views';
+
+const DAY_FORMAT = 'YYYY-MM-DD';
+
+/**
+ * Get today's local date
+ * @param {Date|number|string} [now] - Current time (default: now)
+ * @returns {string} Local date string (YYYY-MM-DD)
+ */
+export function getToday(now = new Date()) {
+  return dayjs(now).format(DAY_FORMAT);
+}
+
+/**
+ * Build the weeks shown for the month containing a day
+ * Starts on the Sunday on or before the 1st and ends on the Saturday on or after the last day
+ * @param {string} day - Any local date in the month (YYYY-MM-DD)
+ * @returns {Array<Array<string>>} Weeks of seven local date strings
+ */
+export function getMonthGrid(day) {
+  const first = dayjs(day).startOf('month');
+  const start = first.startOf('week');
+  const end = first.endOf('month').endOf('week');
+
+  const weeks = [];
+  for (let weekStart = start; weekStart.isBefore(end); weekStart = weekStart.add(1, 'week')) {
+    weeks.push(Array.from({ length: 7 }, (_, i) => weekStart.add(i, 'day').format(DAY_FORMAT)));
+  }
+  return weeks;
+}
+
+/**
+ * Get the seven days of the week containing a day
+ * @param {string} day - Local date (YYYY-MM-DD)
+ * @returns {Array<string>} Local date strings, Sunday first
+ */
+export function getWeekDays(day) {
+  const start = dayjs(day).startOf('week');
+  return Array.from({ length: 7 }, (_, i) => start.add(i, 'day').format(DAY_FORMAT));
+}
+
+/**
+ * Move the calendar by whole months or weeks
+ * @param {string} day - Current anchor day (YYYY-MM-DD)
+ * @param {'month' | 'week'} layout - Calendar layout
+ * @param {number} amount - Steps to move (negative for back)
+ * @returns {string} New anchor day (YYYY-MM-DD)
+ */
+export function shiftCalendar(day, layout, amount) {
+  const unit = layout === VIEW_MODES.WEEK ? 'week' : 'month';
+  return dayjs(day).add(amount, unit).format(DAY_FORMAT);
+}
+
+/**
+ * Title for the period shown
+ * @param {string} day - Anchor day (YYYY-MM-DD)
+ * @param {'month' | 'week'} layout - Calendar layout
+ * @returns {string} e.g. "October 2026" or "Oct 11 – 17, 2026"
+ */
+export function getCalendarTitle(day, layout) {
+  if (layout !== VIEW_MODES.WEEK) {
+    return dayjs(day).format('MMMM YYYY');
+  }
+
+  const start = dayjs(day).startOf('week');
+  const end = start.add(6, 'day');
+
+  if (start.year() !== end.year()) {
+    return `${start.format('MMM D, YYYY')} – ${end.format('MMM D, YYYY')}`;
+  }
+  if (start.month() !== end.month()) {
+    return `${start.format('MMM D')} – ${end.format('MMM D, YYYY')}`;
+  }
+  return `${start.format('MMM D')} – ${end.format('D, YYYY')}`;
+}
+
+/**
+ * Group tasks by their local deadline day
+ * Tasks within a day are ordered by deadline (earliest first)
+ * @param {Array} tasks - Task objects
+ * @returns {Map<string, Array>} Local date string -> tasks
+ */
+export function groupTasksByDay(tasks) {
+  const byDay = new Map();
+
+  [...tasks]
+    .sort((a, b) => new Date(a.deadline).getTime() - new Date(b.deadline).getTime())
+    .forEach(task => {
+      const day = utcToLocalDate(task.deadline);
+      if (!byDay.has(day)) {
+        byDay.set(day, []);
+      }
+      byDay.get(day).push(task);
+    });
+
+  return byDay;
+}
+
+/**
+ * Move a deadline to another local day, keeping its local time of day
+ * @param {string} deadline - UTC ISO 8601 deadline
+ * @param {string} day - Target local date (YYYY-MM-DD)
+ * @returns {string} New UTC ISO 8601 deadline
+ */
+export function moveDeadlineToDay(deadline, day) {
+  return localToUTC(day, utcToLocalTime(deadline));
+}
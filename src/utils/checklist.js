@@ -0,0 +1,115 @@
+/**
+ * Checklist utilities
+ * Pure helpers for the steps (subtasks) inside a task
+ *
+ * A checklist is an ordered array of items: { id, text, done }
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Maximum number of items in one checklist
+ */
+export const MAX_CHECKLIST_ITEMS = 50;
+
+/**
+ * Maximum length of one checklist item
+ * Separate from the 300-character description limit
+ */
+export const MAX_CHECKLIST_ITEM_LENGTH = 500;
+
+/**
+ * Create a new unchecked item
+ * @param {string} text - Item text (trimmed)
+ * @returns {object} { id, text, done: false }
+ */
+export function createChecklistItem(text) {
+  return {
+    id: uuidv4(),
+    text: String(text).trim(),
+    done: false,
+  };
+}
+
+/**
+ * Flip the done state of one item
+ * @param {Array} checklist - Checklist items
+ * @param {string} itemId - Item to toggle
+ * @returns {Array} New checklist
+ */
+export function toggleChecklistItem(checklist, itemId) {
+  return checklist.map(item => item.id === itemId ? { ...item, done: !item.done } : item);
+}
+
+/**
+ * Remove one item
+ * @param {Array} checklist - Checklist items
+ * @param {string} itemId - Item to remove
+ * @returns {Array} New checklist
+ */
+export function removeChecklistItem(checklist, itemId) {
+  return checklist.filter(item => item.id !== itemId);
+}
+
+/**
+ * Move one item up or down by one place
+ * Moving past either end leaves the list unchanged
+ * @param {Array} checklist - Checklist items
+ * @param {string} itemId - Item to move
+ * @param {-1 | 1} direction - -1 = up, 1 = down
+ * @returns {Array} New checklist
+ */
+export function moveChecklistItem(checklist, itemId, direction) {
+  const index = checklist.findIndex(item => item.id === itemId);
+  const target = index + direction;
+
+  if (index === -1 || target < 0 || target >= checklist.length) {
+    return checklist;
+  }
+
+  const next = [...checklist];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+/**
+ * Uncheck every item (used when a recurring task schedules its next occurrence)
+ * @param {Array} checklist - Checklist items
+ * @returns {Array} New checklist with fresh ids
+ */
+export function resetChecklist(checklist) {
+  return (checklist || []).map(item => createChecklistItem(item.text));
+}
+
+/**
+ * Count checked items
+ * @param {Array} checklist - Checklist items
+ * @returns {object} { done: number, total: number }
+ */
+export function getChecklistProgress(checklist) {
+  const items = checklist || [];
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length,
+  };
+}
+
+/**
+ * Format checklist progress for display
+ * @param {Array} checklist - Checklist items
+ * @returns {string} e.g. "3/5" ('' for an empty checklist)
+ */
+export function formatChecklistProgress(checklist) {
+  const { done, total } = getChecklistProgress(checklist);
+  return total > 0 ? `${done}/${total}` : '';
+}
+
+/**
+ * Check whether every item is done
+ * @param {Array} checklist - Checklist items
+ * @returns {boolean} false for an empty checklist
+ */
+export function isChecklistComplete(checklist) {
+  const { done, total } = getChecklistProgress(checklist);
+  return total > 0 && done === total;
+}
@@ -0,0 +1,127 @@
+/**
+ * CSV utilities
+ * Parsing and writing comma-separated values (RFC 4180)
+ *
+ * Rows are arrays of strings. Quoted cells may contain delimiters,
+ * doubled quotes ("") and line breaks. Spreadsheets in some locales save
+ * with ';' or tabs, so the delimiter is detected from the first line.
+ */
+
+/**
+ * Delimiters recognized by detectDelimiter
+ */
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line of a CSV file
+ * Counts candidates outside quotes; ties and empty lines fall back to ','
+ * @param {string} text - CSV text
+ * @returns {string} Delimiter
+ */
+export function detectDelimiter(text) {
+  const counts = new Map(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+  let inQuotes = false;
+
+  for (const char of text) {
+    if (char === '"') {
+      inQuotes = !inQuotes;
+    } else if (!inQuotes && (char === '\n' || char === '\r')) {
+      break;
+    } else if (!inQuotes && counts.has(char)) {
+      counts.set(char, counts.get(char) + 1);
+    }
+  }
+
+  let best = ',';
+  counts.forEach((count, delimiter) => {
+    if (count > counts.get(best)) {
+      best = delimiter;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse CSV text into rows
+ * Strips a leading byte order mark and skips blank lines
+ * @param {string} text - CSV text
+ * @param {string} [delimiter] - Cell delimiter (default: detected)
+ * @returns {Array<Array<string>>} Rows of cells
+ */
+export function parseCSV(text, delimiter = detectDelimiter(text)) {
+  const source = text.replace(/^\uFEFF/, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  const endCell = () => {
+    row.push(cell);
+    cell = '';
+  };
+
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+  };
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && source[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return rows;
+}
+
+/**
+ * Quote a cell when it contains the delimiter, quotes, line breaks
+ * or surrounding whitespace
+ * @param {*} value - Cell value (null/undefined become empty)
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string} Escaped cell
+ */
+function escapeCell(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write rows as CSV text with CRLF line endings
+ * @param {Array<Array<*>>} rows - Rows of cells
+ * @param {string} [delimiter] - Cell delimiter (default: ',')
+ * @returns {string} CSV text
+ */
+export function toCSV(rows, delimiter = ',') {
+  return rows
+    .map(row => row.map(value => escapeCell(value, delimiter)).join(delimiter))
+    .join('\r\n');
+}
@@ -7,11 +7,13 @@ import dayjs from 'dayjs';
 import utc from 'dayjs/plugin/utc';
 import timezone from 'dayjs/plugin/timezone';
 import relativeTime from 'dayjs/plugin/relativeTime';
+import customParseFormat from 'dayjs/plugin/customParseFormat';
 
 // Enable plugins
 dayjs.extend(utc);
 dayjs.extend(timezone);
 dayjs.extend(relativeTime);
+dayjs.extend(customParseFormat);
 
 /**
  * Convert local date and time inputs to UTC ISO 8601 string
@@ -68,3 +70,114 @@ export function isInPast(utcString) {
 export function formatAbsoluteTime(utcString, format = 'MMM D, YYYY h:mm A') {
   return dayjs(utcString).local().format(format);
 }
+
+/**
+ * Shift a UTC timestamp by a calendar amount, measured in local time
+ * Keeps the local wall-clock time stable across DST changes
+ * @param {string} utcString - UTC ISO 8601 string
+ * @param {number} amount - Amount to add (negative to subtract)
+ * @param {string} unit - dayjs unit ('day', 'week', 'month', 'year', ...)
+ * @returns {string} Shifted UTC ISO 8601 string
+ */
+export function addLocalTime(utcString, amount, unit) {
+  return dayjs(utcString).local().add(amount, unit).utc().toISOString();
+}
+
+/**
+ * Get the local day of the week for a UTC timestamp
+ * @param {string} utcString - UTC ISO 8601 string
+ * @returns {number} Day of week (0=Sunday ... 6=Saturday)
+ */
+export function getLocalWeekday(utcString) {
+  return dayjs(utcString).local().day();
+}
+
+/**
+ * Count whole calendar weeks between the local weeks of two timestamps
+ * Weeks start on Sunday; rounding absorbs DST hour shifts
+ * @param {string} fromUTC - Earlier UTC ISO 8601 string
+ * @param {string} toUTC - Later UTC ISO 8601 string
+ * @returns {number} Number of weeks between the two week starts
+ */
+export function getLocalWeeksBetween(fromUTC, toUTC) {
+  const fromWeek = dayjs(fromUTC).local().startOf('week');
+  const toWeek = dayjs(toUTC).local().startOf('week');
+  return Math.round(toWeek.diff(fromWeek, 'day', true) / 7);
+}
+
+/**
+ * Date formats accepted by parseDateTimeText, by component order
+ * Numeric day-first and month-first dates look alike, so only one of
+ * 'mdy' / 'dmy' is tried; year-first and month-name dates are always tried
+ */
+const DATE_FORMATS = {
+  ymd: ['YYYY-MM-DD', 'YYYY-M-D', 'YYYY/MM/DD', 'YYYY/M/D', 'YYYY.MM.DD'],
+  mdy: ['MM/DD/YYYY', 'M/D/YYYY', 'MM/DD/YY', 'M/D/YY', 'MM-DD-YYYY', 'M-D-YYYY'],
+  dmy: ['DD/MM/YYYY', 'D/M/YYYY', 'DD/MM/YY', 'D/M/YY', 'DD.MM.YYYY', 'D.M.YYYY', 'DD-MM-YYYY', 'D-M-YYYY'],
+  named: ['MMM D, YYYY', 'MMMM D, YYYY', 'MMM D YYYY', 'D MMM YYYY', 'D MMMM YYYY', 'DD MMM YYYY'],
+};
+
+/**
+ * Time formats accepted by parseDateTimeText (24-hour and AM/PM)
+ */
+const TIME_FORMATS = ['HH:mm', 'H:mm', 'HH:mm:ss', 'H:mm:ss', 'h:mm A', 'h:mm a', 'h:mmA', 'h:mma', 'h A', 'h a', 'hA', 'ha'];
+
+/**
+ * Time used when a date has no time of day (end of the local day)
+ */
+export const END_OF_DAY = { hour: 23, minute: 59 };
+
+/**
+ * Parse date (and optional time) text typed or exported by other apps
+ *
+ * Accepts ISO 8601 timestamps with a zone, year-first dates, numeric
+ * dates in the given order and month-name dates, each optionally followed
+ * by a time. Dates without a time fall on 23:59 local time.
+ *
+ * @param {string} dateText - e.g. '2025-03-04', '3/4/2025 5:30 PM', 'Mar 4, 2025'
+ * @param {string} [timeText] - Separate time, e.g. '17:30' (overrides a time in dateText)
+ * @param {'mdy' | 'dmy'} [dateOrder] - Order of numeric dates (default: 'mdy')
+ * @returns {string|null} UTC ISO 8601 string, or null when unrecognized
+ */
+export function parseDateTimeText(dateText, timeText = '', dateOrder = 'mdy') {
+  const text = (dateText || '').trim();
+  const time = (timeText || '').trim();
+  if (!text) {
+    return null;
+  }
+
+  // Full timestamps with a zone are unambiguous
+  if (!time && /^\d{4}-\d{2}-\d{2}T[\d:.]+(Z|[+-]\d{2}:?\d{2})$/i.test(text)) {
+    const date = new Date(text);
+    return isNaN(date.getTime()) ? null : date.toISOString();
+  }
+
+  const dateFormats = [...DATE_FORMATS.ymd, ...DATE_FORMATS[dateOrder === 'dmy' ? 'dmy' : 'mdy'], ...DATE_FORMATS.named];
+
+  let parsed = dayjs(text, dateFormats, true);
+  let hasTime = false;
+
+  if (!parsed.isValid() && !time) {
+    const dateTimeFormats = dateFormats.flatMap(dateFormat =>
+      TIME_FORMATS.flatMap(timeFormat => [`${dateFormat} ${timeFormat}`, `${dateFormat}[T]${timeFormat}`])
+    );
+    parsed = dayjs(text, dateTimeFormats, true);
+    hasTime = parsed.isValid();
+  }
+
+  if (!parsed.isValid()) {
+    return null;
+  }
+
+  if (time) {
+    const parsedTime = dayjs(time, TIME_FORMATS, true);
+    if (!parsedTime.isValid()) {
+      return null;
+    }
+    parsed = parsed.hour(parsedTime.hour()).minute(parsedTime.minute());
+  } else if (!hasTime) {
+    parsed = parsed.hour(END_OF_DAY.hour).minute(END_OF_DAY.minute);
+  }
+
+  return parsed.second(0).millisecond(0).utc().toISOString();
+}
@@ -4,22 +4,20 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { getStorageAdapter, isStorageAvailable } from './storage';
+import { CURRENT_SCHEMA_VERSION } from './migrations';
+import { createChecklistItem } from './checklist';
+import { DEFAULT_STATUS } from './status';
 
 const DEMO_MODE_KEY = 'NINAD_DEMO_MODE';
 
 /**
- * Check if localStorage is available
- * @returns {boolean} True if localStorage is available
+ * Check if persistent storage is available
+ * Kept under its original name; checks whichever storage adapter is active
+ * @returns {boolean} True if storage can be written
  */
 export function isLocalStorageAvailable() {
-  try {
-    const test = '__localStorage_test__';
-    window.localStorage.setItem(test, test);
-    window.localStorage.removeItem(test);
-    return true;
-  } catch (e) {
-    return false;
-  }
+  return isStorageAvailable();
 }
 
 /**
@@ -28,7 +26,7 @@ export function isLocalStorageAvailable() {
  */
 export function getDemoMode() {
   try {
-    const value = window.localStorage.getItem(DEMO_MODE_KEY);
+    const value = getStorageAdapter().getItem(DEMO_MODE_KEY);
     return value === 'true';
   } catch (e) {
     return false;
@@ -41,7 +39,7 @@ export function getDemoMode() {
  */
 export function setDemoMode(enabled) {
   try {
-    window.localStorage.setItem(DEMO_MODE_KEY, enabled.toString());
+    getStorageAdapter().setItem(DEMO_MODE_KEY, enabled.toString());
   } catch (e) {
     console.error('Failed to set demo mode:', e);
   }
@@ -61,43 +59,56 @@ export function generateExampleTasks() {
       title: 'Submit quarterly review',
       description: 'Complete and submit the Q4 quarterly review report to management',
       hoursFromNow: -48, // 2 days overdue - greyed out, red
-      priority: 1
+      priority: 1,
+      tags: ['work', 'reports']
     },
     {
       title: 'Call vendor about invoice',
       description: 'Follow up with vendor regarding the outstanding invoice from last month',
       hoursFromNow: -3, // 3 hours overdue - greyed out, red
-      priority: 2
+      priority: 2,
+      tags: ['finance'],
+      status: 'blocked'
     },
     {
       title: 'Submit client proposal',
       description: 'Finalize and submit the proposal to the client before end of business',
       hoursFromNow: 0.75, // 45 minutes - pulse animation, orange/red
-      priority: 1
+      priority: 1,
+      tags: ['work', 'clients']
     },
     {
       title: 'Review project proposal',
       description: 'Review and provide feedback on the Q1 project proposal document',
       hoursFromNow: 2, // 2 hours - orange
-      priority: 1
+      priority: 1,
+      tags: ['work'],
+      status: 'in-progress'
     },
     {
       title: 'Complete budget report',
       description: 'Finish the monthly budget report and submit to finance team',
       hoursFromNow: 8, // 8 hours - yellow
-      priority: 1
+      priority: 1,
+      tags: ['finance', 'reports'],
+      estimateHours: 3
     },
     {
       title: 'Team meeting preparation',
       description: 'Prepare slides and agenda for tomorrow\'s team standup meeting',
       hoursFromNow: 24, // 1 day - green/yellow
-      priority: 2
+      priority: 2,
+      tags: ['work', 'meetings'],
+      status: 'in-progress',
+      checklist: [['Draft agenda', true], ['Prepare slides', false], ['Send invites', false]]
     },
     {
       title: 'Update documentation',
       description: 'Update user guide with new features from last release',
       hoursFromNow: 72, // 3 days - green
-      priority: 3
+      priority: 3,
+      tags: ['docs'],
+      estimateHours: 6
     }
   ];
 
@@ -117,7 +128,15 @@ export function generateExampleTasks() {
       isCompleted: false,
       createdAt: created.toISOString(),
       lastModified: created.toISOString(),
-      schemaVersion: 1
+      recurrence: null,
+      tags: example.tags,
+      checklist: (example.checklist || []).map(([text, done]) => ({ ...createChecklistItem(text), done })),
+      reminders: null,
+      status: example.status || DEFAULT_STATUS,
+      startDate: null,
+      blockedBy: [],
+      estimateHours: example.estimateHours ?? null,
+      schemaVersion: CURRENT_SCHEMA_VERSION
     };
   });
 }
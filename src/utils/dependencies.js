@@ -0,0 +1,181 @@
+/**
+ * Dependency utilities
+ * Blocked-by links between tasks (pure functions)
+ *
+ * A task's blockedBy is a list of ids of tasks that must be done first.
+ * Only active tasks block: completing a blocker archives it, which unblocks
+ * its dependents without touching them. Links to deleted or archived tasks
+ * are kept (an undo can bring the blocker back) and simply ignored.
+ */
+
+/**
+ * Maximum number of blockers per task
+ */
+export const MAX_BLOCKERS = 10;
+
+/**
+ * Get the active tasks a task is waiting for
+ * @param {object} task - Task object
+ * @param {Array} tasks - Active tasks
+ * @returns {Array} Blocker tasks, in blockedBy order
+ */
+export function getOpenBlockers(task, tasks) {
+  const byId = new Map(tasks.map(t => [t.id, t]));
+  return (task.blockedBy || []).map(id => byId.get(id)).filter(Boolean);
+}
+
+/**
+ * Map every blocked task to its open blockers
+ * @param {Array} tasks - Active tasks
+ * @returns {object} { [taskId]: Array of blocker tasks }, only for blocked tasks
+ */
+export function getBlockersById(tasks) {
+  const blockersById = {};
+
+  tasks.forEach(task => {
+    const blockers = getOpenBlockers(task, tasks);
+    if (blockers.length > 0) {
+      blockersById[task.id] = blockers;
+    }
+  });
+
+  return blockersById;
+}
+
+/**
+ * Get the blockers due after a deadline
+ * The dependent cannot be finished on time unless they move
+ * @param {string} deadline - Dependent's deadline, UTC ISO string
+ * @param {Array} blockers - Blocker tasks
+ * @returns {Array} Blockers whose deadline is later
+ */
+export function getLateBlockers(deadline, blockers) {
+  const dueAt = new Date(deadline).getTime();
+  return blockers.filter(blocker => new Date(blocker.deadline).getTime() > dueAt);
+}
+
+/**
+ * Collect every task that waits on a task, directly or through others
+ * @param {string} taskId - Task id
+ * @param {Array} tasks - Tasks to search
+ * @returns {Set<string>} Ids of dependents
+ */
+export function getDependentIds(taskId, tasks) {
+  const dependents = new Set();
+  const queue = [taskId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+    tasks.forEach(task => {
+      if (!dependents.has(task.id) && (task.blockedBy || []).includes(id)) {
+        dependents.add(task.id);
+        queue.push(task.id);
+      }
+    });
+  }
+
+  return dependents;
+}
+
+/**
+ * Get the tasks that can block a task without creating a cycle
+ * @param {string|null} taskId - Task being edited, or null for a new task
+ * @param {Array} tasks - Active tasks
+ * @returns {Array} Tasks other than itself and its dependents
+ */
+export function getBlockerCandidates(taskId, tasks) {
+  if (!taskId) return tasks;
+
+  const dependents = getDependentIds(taskId, tasks);
+  return tasks.filter(task => task.id !== taskId && !dependents.has(task.id));
+}
+
+/**
+ * Find a cycle that passes through one task
+ * Walks breadth-first along blockedBy links until the walk gets back to the task
+ * @param {string} taskId - Task id
+ * @param {Map} byId - Tasks by id
+ * @returns {Array<string>|null} Ids along the cycle, taskId at both ends, or null
+ */
+function findCycleThrough(taskId, byId) {
+  if (!byId.has(taskId)) return null;
+
+  const cameFrom = new Map(); // blocker id -> id of the task it blocks
+  const queue = [taskId];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+
+    for (const blockerId of byId.get(id).blockedBy || []) {
+      if (!byId.has(blockerId)) continue;
+
+      if (blockerId === taskId) {
+        const cycle = [taskId];
+        for (let step = id; step !== taskId; step = cameFrom.get(step)) {
+          cycle.unshift(step);
+        }
+        return [taskId, ...cycle];
+      }
+
+      if (!cameFrom.has(blockerId)) {
+        cameFrom.set(blockerId, id);
+        queue.push(blockerId);
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Find a cycle of blocked-by links
+ * @param {Array} tasks - Tasks to check
+ * @param {string|null} [taskId] - Only look for a cycle through this task
+ * @returns {Array<string>|null} Ids along the cycle, first id repeated at the end, or null
+ */
+export function findDependencyCycle(tasks, taskId = null) {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+
+  if (taskId) {
+    return findCycleThrough(taskId, byId);
+  }
+
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const path = [];
+
+  /**
+   * Depth-first walk along blockedBy links
+   * @param {string} id
+   * @returns {Array<string>|null} Cycle found below this task
+   */
+  const visit = (id) => {
+    state.set(id, 'visiting');
+    path.push(id);
+
+    for (const blockerId of byId.get(id).blockedBy || []) {
+      if (!byId.has(blockerId)) continue;
+
+      if (state.get(blockerId) === 'visiting') {
+        return [...path.slice(path.indexOf(blockerId)), blockerId];
+      }
+
+      if (!state.has(blockerId)) {
+        const cycle = visit(blockerId);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(id, 'done');
+    return null;
+  };
+
+  for (const task of tasks) {
+    if (!state.has(task.id)) {
+      const cycle = visit(task.id);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,181 @@
+/**
+ * Workload forecast utilities
+ * Estimated effort against a daily working capacity (pure functions)
+ *
+ * Only active tasks with an estimate and a deadline still ahead count.
+ * Work can be done on any day, up to the daily capacity and never more
+ * than the clock allows (today only has the hours left in it). Tasks are
+ * worked on in deadline order; a task whose effort no longer fits before
+ * its deadline "can't make it".
+ */
+
+import dayjs from 'dayjs';
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Daily capacity used until the user sets one, in hours
+ */
+export const DEFAULT_DAILY_CAPACITY = 8;
+
+/**
+ * Largest daily capacity accepted, in hours
+ */
+export const MAX_DAILY_CAPACITY = 24;
+
+/**
+ * Validate a daily capacity
+ * @param {number} hours - Hours of work available per day
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateDailyCapacity(hours) {
+  if (typeof hours !== 'number' || !Number.isFinite(hours) || hours <= 0 || hours > MAX_DAILY_CAPACITY) {
+    return { valid: false, error: `Daily capacity must be more than 0 and at most ${MAX_DAILY_CAPACITY} hours` };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Hours of work that fit between two times
+ * The first and last local days count only the hours inside the range;
+ * every whole day between them counts the full capacity
+ * @param {number} from - Start time in ms
+ * @param {number} to - End time in ms
+ * @param {number} capacity - Hours of work per local day
+ * @returns {number} Available hours (0 when to is not after from)
+ */
+export function getAvailableHours(from, to, capacity) {
+  if (to <= from) return 0;
+
+  const firstDay = dayjs(from).startOf('day');
+  const lastDay = dayjs(to).startOf('day');
+
+  if (firstDay.isSame(lastDay)) {
+    return Math.min(capacity, (to - from) / HOUR);
+  }
+
+  const firstHours = Math.min(capacity, (firstDay.add(1, 'day').valueOf() - from) / HOUR);
+  const lastHours = Math.min(capacity, (to - lastDay.valueOf()) / HOUR);
+  const fullDays = lastDay.diff(firstDay, 'day') - 1;
+
+  return firstHours + fullDays * capacity + lastHours;
+}
+
+/**
+ * Get the tasks that count toward the workload, in deadline order
+ * @param {Array} tasks - Active tasks
+ * @param {number} now - Current time in ms
+ * @returns {Array} Estimated tasks due after now
+ */
+function getPendingWork(tasks, now) {
+  return tasks
+    .filter(task => task.estimateHours > 0 && new Date(task.deadline).getTime() > now)
+    .sort((a, b) => new Date(a.deadline) - new Date(b.deadline));
+}
+
+/**
+ * Find the tasks that can no longer be finished in time
+ * A task that does not fit is given up on: its effort is not counted
+ * against the tasks due after it
+ * @param {Array} tasks - Active tasks
+ * @param {number} now - Current time in ms
+ * @param {number} capacity - Hours of work per day
+ * @returns {Set<string>} Ids of tasks that can't make it
+ */
+export function getCantMakeItIds(tasks, now, capacity) {
+  const cantMakeIt = new Set();
+  let load = 0;
+
+  getPendingWork(tasks, now).forEach(task => {
+    const available = getAvailableHours(now, new Date(task.deadline).getTime(), capacity);
+    if (load + task.estimateHours > available + 1e-9) {
+      cantMakeIt.add(task.id);
+    } else {
+      load += task.estimateHours;
+    }
+  });
+
+  return cantMakeIt;
+}
+
+/**
+ * Find the nearest deadline by which more work is due than fits
+ * @param {Array} tasks - Active tasks
+ * @param {number} now - Current time in ms
+ * @param {number} capacity - Hours of work per day
+ * @returns {object|null} { workHours, withinHours, availableHours }, or null when everything fits
+ */
+export function getOverload(tasks, now, capacity) {
+  let workHours = 0;
+
+  for (const task of getPendingWork(tasks, now)) {
+    const deadline = new Date(task.deadline).getTime();
+    const availableHours = getAvailableHours(now, deadline, capacity);
+    workHours += task.estimateHours;
+
+    if (workHours > availableHours + 1e-9) {
+      return { workHours, withinHours: (deadline - now) / HOUR, availableHours };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Short hours label
+ * @param {number} hours
+ * @returns {string} e.g. "14h" or "2.5h"
+ */
+export function formatHours(hours) {
+  return `${Number(hours.toFixed(1))}h`;
+}
+
+/**
+ * Describe an overload
+ * @param {object} overload - From getOverload
+ * @returns {string} e.g. "You have 14h of estimated work due in the next 8h."
+ */
+export function formatOverload({ workHours, withinHours }) {
+  const within = withinHours <= 48
+    ? `${Math.ceil(withinHours)}h`
+    : `${Math.ceil(withinHours / 24)} days`;
+
+  return `You have ${formatHours(workHours)} of estimated work due in the next ${within}.`;
+}
+
+/**
+ * Sum estimated effort per local day against the capacity of that day
+ * A day is overloaded when a task due on it can't make it (work due on
+ * earlier days counts too)
+ * @param {Array} tasks - Active tasks
+ * @param {number} now - Current time in ms
+ * @param {number} capacity - Hours of work per day
+ * @param {number} [days] - Days to forecast, starting today
+ * @param {Set<string>} [cantMakeIt] - From getCantMakeItIds, when already known
+ * @returns {Array<object>} { day (YYYY-MM-DD), dueHours, availableHours, overloaded }
+ */
+export function getWorkloadForecast(tasks, now, capacity, days = 7, cantMakeIt = null) {
+  const pending = getPendingWork(tasks, now);
+  const cantMakeItIds = cantMakeIt ?? getCantMakeItIds(pending, now, capacity);
+  const today = dayjs(now).startOf('day');
+  const forecast = [];
+
+  for (let i = 0; i < days; i++) {
+    const start = today.add(i, 'day');
+    const end = start.add(1, 'day').valueOf();
+    const dueTasks = pending.filter(task => {
+      const deadline = new Date(task.deadline).getTime();
+      return deadline >= start.valueOf() && deadline < end;
+    });
+
+    forecast.push({
+      day: start.format('YYYY-MM-DD'),
+      dueHours: dueTasks.reduce((sum, task) => sum + task.estimateHours, 0),
+      availableHours: getAvailableHours(Math.max(now, start.valueOf()), end, capacity),
+      overloaded: dueTasks.some(task => cantMakeItIds.has(task.id))
+    });
+  }
+
+  return forecast;
+}
@@ -0,0 +1,158 @@
+/**
+ * Undo/redo history utilities
+ * Command-based history of task mutations (pure functions)
+ *
+ * A command stores only the task records that changed, each with its
+ * before/after copy, so it can be undone or redone on top of the current
+ * task lists. State passed around is { tasks, archivedTasks }.
+ */
+
+/**
+ * Maximum number of commands kept in the undo stack
+ */
+export const HISTORY_LIMIT = 50;
+
+/**
+ * Create an empty history
+ * @returns {object} { past: Array, future: Array }
+ */
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+/**
+ * Collect per-record changes between two versions of one task list
+ * @param {string} collection - 'tasks' or 'archivedTasks'
+ * @param {Array} beforeList - List before the mutation
+ * @param {Array} afterList - List after the mutation
+ * @returns {Array} Changes { collection, id, before, after }
+ */
+function diffCollection(collection, beforeList, afterList) {
+  const beforeById = new Map(beforeList.map(task => [task.id, task]));
+  const afterById = new Map(afterList.map(task => [task.id, task]));
+  const changes = [];
+
+  beforeById.forEach((before, id) => {
+    const after = afterById.get(id) || null;
+    if (!after || JSON.stringify(before) !== JSON.stringify(after)) {
+      changes.push({ collection, id, before, after });
+    }
+  });
+
+  afterById.forEach((after, id) => {
+    if (!beforeById.has(id)) {
+      changes.push({ collection, id, before: null, after });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Build a command from the state before and after a mutation
+ * @param {string} type - 'create' | 'update' | 'delete' | 'complete' | 'restore' | 'import'
+ * @param {string} label - Human-readable description, e.g. 'Delete "Report"'
+ * @param {object} before - { tasks, archivedTasks } before the mutation
+ * @param {object} after - { tasks, archivedTasks } after the mutation
+ * @returns {object} { type, label, changes }
+ */
+export function createCommand(type, label, before, after) {
+  return {
+    type,
+    label,
+    changes: [
+      ...diffCollection('tasks', before.tasks, after.tasks),
+      ...diffCollection('archivedTasks', before.archivedTasks, after.archivedTasks),
+    ],
+  };
+}
+
+/**
+ * Apply a command to a state in either direction
+ * Changed records are replaced in place, re-added or removed
+ * @param {object} state - Current { tasks, archivedTasks }
+ * @param {object} command - Command from createCommand
+ * @param {'undo' | 'redo'} direction - Which side of each change to restore
+ * @returns {object} New { tasks, archivedTasks }
+ */
+export function applyCommand(state, command, direction) {
+  const next = {
+    tasks: [...state.tasks],
+    archivedTasks: [...state.archivedTasks],
+  };
+
+  command.changes.forEach(change => {
+    const target = direction === 'undo' ? change.before : change.after;
+    const list = next[change.collection];
+    const index = list.findIndex(task => task.id === change.id);
+
+    if (target && index !== -1) {
+      list[index] = target;
+    } else if (target) {
+      list.push(target);
+    } else if (index !== -1) {
+      list.splice(index, 1);
+    }
+  });
+
+  return next;
+}
+
+/**
+ * Push a command onto the undo stack and clear the redo stack
+ * Commands without changes are ignored
+ * @param {object} history - Current history
+ * @param {object} command - Command from createCommand
+ * @param {number} [limit] - Maximum undo stack size
+ * @returns {object} New history
+ */
+export function recordCommand(history, command, limit = HISTORY_LIMIT) {
+  if (command.changes.length === 0) {
+    return history;
+  }
+
+  return {
+    past: [...history.past, command].slice(-limit),
+    future: [],
+  };
+}
+
+/**
+ * Take the most recent command off the undo stack
+ * @param {object} history - Current history
+ * @returns {object} { history, command } (command is null when nothing to undo)
+ */
+export function popUndo(history) {
+  if (history.past.length === 0) {
+    return { history, command: null };
+  }
+
+  const command = history.past[history.past.length - 1];
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, command],
+    },
+    command,
+  };
+}
+
+/**
+ * Take the most recently undone command off the redo stack
+ * @param {object} history - Current history
+ * @returns {object} { history, command } (command is null when nothing to redo)
+ */
+export function popRedo(history) {
+  if (history.future.length === 0) {
+    return { history, command: null };
+  }
+
+  const command = history.future[history.future.length - 1];
+  return {
+    history: {
+      past: [...history.past, command],
+      future: history.future.slice(0, -1),
+    },
+    command,
+  };
+}
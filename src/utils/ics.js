@@ -0,0 +1,285 @@
+/**
+ * iCalendar utilities
+ * Reading and writing the iCalendar format (RFC 5545)
+ *
+ * A parsed calendar is a tree of components:
+ * { name: 'VTODO', properties: [{ name, params, value }], components: [...] }
+ * Property values are returned raw; use unescapeText for TEXT values.
+ */
+
+import dayjs from 'dayjs';
+import utc from 'dayjs/plugin/utc';
+import timezone from 'dayjs/plugin/timezone';
+
+dayjs.extend(utc);
+dayjs.extend(timezone);
+
+/**
+ * Maximum line length in octets, excluding the CRLF (RFC 5545 3.1)
+ */
+export const MAX_LINE_OCTETS = 75;
+
+const encoder = new TextEncoder();
+
+/**
+ * Escape a TEXT value: backslashes, semicolons, commas and line breaks
+ * @param {string} text - Plain text
+ * @returns {string} Escaped text
+ */
+export function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+/**
+ * Undo escapeText
+ * @param {string} text - Escaped TEXT value
+ * @returns {string} Plain text
+ */
+export function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * Split a TEXT list (e.g. CATEGORIES) on commas that are not escaped
+ * @param {string} value - Raw property value
+ * @returns {Array<string>} Unescaped items
+ */
+export function splitTextList(value) {
+  return value
+    .split(/(?<!\\),/)
+    .map(unescapeText);
+}
+
+/**
+ * Fold a content line into lines of at most 75 octets
+ * Continuation lines start with a space; multi-byte characters are never split
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line(s) joined with CRLF
+ */
+export function foldLine(line) {
+  const parts = [];
+  let current = '';
+  let currentOctets = 0;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+    if (currentOctets + octets > limit) {
+      parts.push(current);
+      current = '';
+      currentOctets = 0;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  parts.push(current);
+
+  return parts.join('\r\n ');
+}
+
+/**
+ * Join folded lines back into content lines
+ * @param {string} text - iCalendar text
+ * @returns {Array<string>} Content lines (blank lines removed)
+ */
+export function unfoldLines(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r?\n[ \t]/g, '')
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '');
+}
+
+/**
+ * Split a content line into name, parameters and value
+ * Parameter values may be quoted and contain ':' or ';'
+ * @param {string} line - Unfolded content line, e.g. 'DUE;TZID=Europe/Paris:20300115T090000'
+ * @returns {object|null} { name, params, value }, or null when malformed
+ */
+export function parseContentLine(line) {
+  const params = {};
+  let i = 0;
+
+  const readToken = (stops) => {
+    let token = '';
+    while (i < line.length && !stops.includes(line[i])) {
+      token += line[i];
+      i++;
+    }
+    return token;
+  };
+
+  const name = readToken([';', ':']).toUpperCase();
+  if (!name) {
+    return null;
+  }
+
+  while (line[i] === ';') {
+    i++;
+    const paramName = readToken(['=', ';', ':']).toUpperCase();
+    let paramValue = '';
+    if (line[i] === '=') {
+      i++;
+      if (line[i] === '"') {
+        i++;
+        paramValue = readToken(['"']);
+        i++;
+      } else {
+        paramValue = readToken([';', ':']);
+      }
+    }
+    params[paramName] = paramValue;
+  }
+
+  if (line[i] !== ':') {
+    return null;
+  }
+
+  return { name, params, value: line.slice(i + 1) };
+}
+
+/**
+ * Parse iCalendar text into components
+ * Malformed lines are skipped; unclosed components are kept
+ * @param {string} text - iCalendar text
+ * @returns {Array<object>} Top-level components (usually one VCALENDAR)
+ */
+export function parseICS(text) {
+  const root = { name: 'ROOT', properties: [], components: [] };
+  const stack = [root];
+
+  unfoldLines(text).forEach(line => {
+    const property = parseContentLine(line);
+    if (!property) return;
+
+    const parent = stack[stack.length - 1];
+
+    if (property.name === 'BEGIN') {
+      const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+      parent.components.push(component);
+      stack.push(component);
+    } else if (property.name === 'END') {
+      if (stack.length > 1 && parent.name === property.value.trim().toUpperCase()) {
+        stack.pop();
+      }
+    } else {
+      parent.properties.push(property);
+    }
+  });
+
+  return root.components;
+}
+
+/**
+ * Find every component with the given names, at any depth
+ * @param {Array<object>} components - Components from parseICS
+ * @param {Array<string>} names - e.g. ['VTODO', 'VEVENT']
+ * @returns {Array<object>} Matching components in document order
+ */
+export function findComponents(components, names) {
+  return components.flatMap(component => [
+    ...(names.includes(component.name) ? [component] : []),
+    ...findComponents(component.components, names),
+  ]);
+}
+
+/**
+ * Get the first property with the given name
+ * @param {object} component - Parsed component
+ * @param {string} name - Property name
+ * @returns {object|null} { name, params, value }
+ */
+export function getProperty(component, name) {
+  return component.properties.find(property => property.name === name) || null;
+}
+
+/**
+ * Serialize one content line with folding
+ * @param {string} name - Property name
+ * @param {string} value - Already escaped value
+ * @param {object} [params] - Parameters, e.g. { RELATED: 'END' }
+ * @returns {string} Folded line
+ */
+export function formatProperty(name, value, params = {}) {
+  const paramText = Object.entries(params)
+    .map(([key, paramValue]) => `;${key}=${/[:;,]/.test(paramValue) ? `"${paramValue}"` : paramValue}`)
+    .join('');
+  return foldLine(`${name}${paramText}:${value}`);
+}
+
+/**
+ * Format a timestamp as a UTC DATE-TIME value
+ * @param {string} utcString - ISO 8601 string
+ * @returns {string} e.g. '20300115T120000Z'
+ */
+export function formatDateTime(utcString) {
+  return new Date(utcString).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Parse a DATE or DATE-TIME property into a UTC timestamp
+ * UTC ('Z') and TZID times are exact, floating times are local and
+ * dates without a time fall on 23:59 local time
+ * @param {object} property - { params, value }
+ * @returns {string|null} UTC ISO 8601 string, or null when unreadable
+ */
+export function parseDateTime(property) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/i.exec((property.value || '').trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, year, month, day, hour, minute, second, isUTC] = match;
+  let date;
+
+  if (hour === undefined) {
+    date = dayjs(`${year}-${month}-${day}T23:59:00`);
+  } else if (isUTC) {
+    date = dayjs.utc(`${year}-${month}-${day}T${hour}:${minute}:${second}`);
+  } else {
+    const localText = `${year}-${month}-${day}T${hour}:${minute}:${second}`;
+    date = dayjs(localText);
+    if (property.params?.TZID) {
+      try {
+        date = dayjs.tz(localText, property.params.TZID);
+      } catch {
+        // Unknown time zone: keep the floating (local) reading
+      }
+    }
+  }
+
+  return date.isValid() ? date.utc().toISOString() : null;
+}
+
+/**
+ * Parse a DURATION value into minutes
+ * @param {string} value - e.g. '-PT15M', '-P1D', 'PT0S', '-P1DT2H'
+ * @returns {number|null} Signed minutes, or null when unreadable
+ */
+export function parseDuration(value) {
+  const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec((value || '').trim());
+  if (!match || value.trim().endsWith('P') || value.trim().endsWith('T')) {
+    return null;
+  }
+
+  const [, sign, weeks = 0, days = 0, hours = 0, minutes = 0, seconds = 0] = match;
+  const total = Number(weeks) * 10080 + Number(days) * 1440 + Number(hours) * 60 + Number(minutes) + Math.round(Number(seconds) / 60);
+  return sign === '-' ? -total : total;
+}
+
+/**
+ * Format minutes as a DURATION value
+ * @param {number} minutes - Signed minutes
+ * @returns {string} e.g. -60 -> '-PT60M', 0 -> 'PT0S'
+ */
+export function formatDuration(minutes) {
+  if (minutes === 0) {
+    return 'PT0S';
+  }
+  return `${minutes < 0 ? '-' : ''}PT${Math.abs(minutes)}M`;
+}
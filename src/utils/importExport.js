@@ -1,9 +1,34 @@
 /**
  * Import/Export utilities
- * Handles exporting tasks to JSON and importing tasks from JSON
+ * Handles exporting tasks to JSON, CSV or iCalendar and importing them back
+ * Archived tasks travel in the same array, marked with isCompleted: true
+ *
+ * CSV import is a two-step process: parseTaskCSV reads the file, the user
+ * maps its columns to task fields (guessCsvMapping proposes a mapping), then
+ * csvRowsToTasks turns every row into a new task or a per-row error.
+ * Rows marked Completed come back as archived tasks (isCompleted: true).
  */
 
-import { getAllTasks } from './tasks';
+import { getAllTasks, getArchivedTasks, processNewTask } from './tasks';
+import { migrateTasks } from './migrations';
+import { validateTask } from './validation';
+import { parseCSV, toCSV } from './csv';
+import { parseDateTimeText, formatAbsoluteTime } from './datetime';
+import { parseTagInput, normalizeTag, MAX_TAGS, TAG_PATTERN } from './tags';
+import { getTaskLeadTimes, MAX_LEAD_TIMES } from './notifications';
+import {
+  parseICS,
+  findComponents,
+  getProperty,
+  formatProperty,
+  formatDateTime,
+  parseDateTime,
+  formatDuration,
+  parseDuration,
+  escapeText,
+  unescapeText,
+  splitTextList
+} from './ics';
 
 /**
  * Truncate description to max 300 characters
@@ -48,19 +73,21 @@ export function validateImportData(data) {
 }
 
 /**
- * Export all tasks to JSON string
+ * Export all tasks (active and archived) to JSON string
  * @returns {string} JSON string of all tasks
  */
 export function exportTasksToJSON() {
-  const tasks = getAllTasks();
+  const tasks = [...getAllTasks(), ...getArchivedTasks()];
   return JSON.stringify(tasks, null, 2);
 }
 
 /**
  * Import tasks from JSON string
- * Truncates descriptions > 300 chars
+ * Upgrades older exports to the current schema, truncates descriptions > 300 chars
+ * and splits completed tasks into the archive. Tasks that fail the integrity
+ * rules are left out and listed in rejected.
  * @param {string} jsonString - JSON string to import
- * @returns {object} { success: boolean, tasks?: Array, error?: string }
+ * @returns {object} { success: boolean, tasks?: Array, archivedTasks?: Array, rejected?: Array<{ id, title, errors }>, migrations?: Array, error?: string }
  */
 export function importTasksFromJSON(jsonString) {
   try {
@@ -73,15 +100,26 @@ export function importTasksFromJSON(jsonString) {
       };
     }
 
-    // Truncate descriptions > 300 chars
-    const processedTasks = data.map(task => ({
-      ...task,
-      description: truncateDescription(task.description)
-    }));
+    // Upgrade older exports, then truncate descriptions > 300 chars
+    const migrated = migrateTasks(data);
+    const processedTasks = [];
+    const rejected = [];
+    migrated.tasks.forEach(task => {
+      const processedTask = { ...task, description: truncateDescription(task.description) };
+      const validation = validateTask(processedTask);
+      if (validation.valid) {
+        processedTasks.push(processedTask);
+      } else {
+        rejected.push({ id: task.id, title: task.title, errors: validation.errors });
+      }
+    });
 
     return {
       success: true,
-      tasks: processedTasks
+      tasks: processedTasks.filter(task => !task.isCompleted),
+      archivedTasks: processedTasks.filter(task => task.isCompleted),
+      rejected,
+      migrations: migrated.applied
     };
   } catch (error) {
     return {
@@ -92,20 +130,474 @@ export function importTasksFromJSON(jsonString) {
 }
 
 /**
- * Download tasks as JSON file
- * Triggers browser download
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} extension - File extension without the dot
  */
-export function downloadTasksAsJSON() {
-  const jsonString = exportTasksToJSON();
-  const blob = new Blob([jsonString], { type: 'application/json' });
+function downloadFile(content, type, extension) {
+  const blob = new Blob([content], { type });
   const url = URL.createObjectURL(blob);
 
   const link = document.createElement('a');
   link.href = url;
-  link.download = `nearzero-tasks-${new Date().toISOString().split('T')[0]}.json`;
+  link.download = `nearzero-tasks-${new Date().toISOString().split('T')[0]}.${extension}`;
   document.body.appendChild(link);
   link.click();
   document.body.removeChild(link);
 
   URL.revokeObjectURL(url);
 }
+
+/**
+ * Download tasks as JSON file
+ * Triggers browser download
+ */
+export function downloadTasksAsJSON() {
+  downloadFile(exportTasksToJSON(), 'application/json', 'json');
+}
+
+/**
+ * Priority names written to CSV, by priority value
+ */
+const PRIORITY_NAMES = { 1: 'High', 2: 'Medium', 3: 'Low' };
+
+/**
+ * Words accepted as priorities in imported CSV files
+ */
+const PRIORITY_WORDS = {
+  high: 1, h: 1, urgent: 1, p1: 1, 1: 1,
+  medium: 2, med: 2, m: 2, normal: 2, p2: 2, 2: 2,
+  low: 3, l: 3, p3: 3, 3: 3,
+};
+
+/**
+ * Words accepted in a Completed column, mapped to completion
+ */
+const COMPLETED_WORDS = {
+  yes: true, y: true, true: true, done: true, completed: true, x: true, 1: true,
+  no: false, n: false, false: false, open: false, 0: false, '': false,
+};
+
+/**
+ * Cells starting with these characters run as formulas in spreadsheets
+ */
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Prefix formula-like text with an apostrophe so spreadsheets show it as text
+ * @param {string} text - Cell text
+ * @returns {string} Safe cell text
+ */
+function protectFormula(text) {
+  return FORMULA_PREFIX.test(text) ? `'${text}` : text;
+}
+
+/**
+ * Undo protectFormula on an imported cell
+ * @param {string} text - Cell text
+ * @returns {string} Original text
+ */
+function unprotectFormula(text) {
+  return text.startsWith("'") && FORMULA_PREFIX.test(text.slice(1)) ? text.slice(1) : text;
+}
+
+/**
+ * Export tasks to CSV text
+ * Columns: Title, Description, Deadline (local), Deadline (UTC), Priority,
+ * Tags (only when some task has tags) and Completed
+ * @param {Array} [tasks] - Tasks to export (default: all active and archived tasks)
+ * @returns {string} CSV text
+ */
+export function exportTasksToCSV(tasks = [...getAllTasks(), ...getArchivedTasks()]) {
+  const includeTags = tasks.some(task => (task.tags || []).length > 0);
+
+  const header = ['Title', 'Description', 'Deadline (local)', 'Deadline (UTC)', 'Priority'];
+  if (includeTags) header.push('Tags');
+  header.push('Completed');
+
+  const rows = tasks.map(task => {
+    const row = [
+      protectFormula(task.title),
+      protectFormula(task.description || ''),
+      formatAbsoluteTime(task.deadline, 'YYYY-MM-DD HH:mm'),
+      task.deadline,
+      PRIORITY_NAMES[task.priority] || PRIORITY_NAMES[2],
+    ];
+    if (includeTags) row.push((task.tags || []).join(', '));
+    row.push(task.isCompleted ? 'Yes' : 'No');
+    return row;
+  });
+
+  return toCSV([header, ...rows]);
+}
+
+/**
+ * Download tasks as CSV file
+ * Triggers browser download
+ */
+export function downloadTasksAsCSV() {
+  downloadFile(exportTasksToCSV(), 'text/csv', 'csv');
+}
+
+/**
+ * Task fields a CSV column can be mapped to
+ * aliases are normalized header names (lowercase letters and digits only)
+ */
+export const CSV_IMPORT_FIELDS = [
+  { key: 'title', label: 'Title', required: true, aliases: ['title', 'name', 'task', 'taskname', 'subject', 'summary'] },
+  { key: 'description', label: 'Description', required: false, aliases: ['description', 'notes', 'note', 'details', 'body'] },
+  { key: 'deadline', label: 'Deadline', required: true, aliases: ['deadlineutc', 'deadline', 'deadlinelocal', 'due', 'duedate', 'date', 'enddate'] },
+  { key: 'deadlineTime', label: 'Deadline time', required: false, aliases: ['time', 'duetime', 'deadlinetime', 'endtime'] },
+  { key: 'priority', label: 'Priority', required: false, aliases: ['priority', 'importance', 'prio'] },
+  { key: 'tags', label: 'Tags', required: false, aliases: ['tags', 'tag', 'labels', 'label', 'categories', 'category'] },
+  { key: 'completed', label: 'Completed', required: false, aliases: ['completed', 'done', 'iscompleted', 'complete'] },
+];
+
+/**
+ * Read a CSV file into a header row and data rows
+ * @param {string} text - CSV text
+ * @returns {object} { success: boolean, headers?: Array<string>, rows?: Array<Array<string>>, error?: string }
+ */
+export function parseTaskCSV(text) {
+  const [headers, ...rows] = parseCSV(text);
+
+  if (!headers) {
+    return { success: false, error: 'CSV file is empty' };
+  }
+  if (rows.length === 0) {
+    return { success: false, error: 'CSV file has a header row but no tasks' };
+  }
+
+  return { success: true, headers: headers.map(header => header.trim()), rows };
+}
+
+/**
+ * Propose a column for each task field from the header names
+ * Each column is used for at most one field
+ * @param {Array<string>} headers - CSV header row
+ * @returns {object} Field key -> column index (null = not imported)
+ */
+export function guessCsvMapping(headers) {
+  const normalized = headers.map(header => header.toLowerCase().replace(/[^a-z0-9]/g, ''));
+  const used = new Set();
+  const mapping = {};
+
+  const findColumn = (alias) => normalized.findIndex((header, index) => header === alias && !used.has(index));
+
+  CSV_IMPORT_FIELDS.forEach(field => {
+    const index = field.aliases.map(findColumn).find(column => column !== -1) ?? -1;
+    mapping[field.key] = index === -1 ? null : index;
+    if (index !== -1) used.add(index);
+  });
+
+  return mapping;
+}
+
+/**
+ * Guess whether numeric dates are month-first or day-first
+ * A first number above 12 can only be a day
+ * @param {Array<string>} values - Date cells
+ * @returns {'mdy' | 'dmy'}
+ */
+export function guessDateOrder(values) {
+  const dayFirst = values.some(value => {
+    const match = /^\s*(\d{1,2})[/.-](\d{1,2})[/.-]\d{2,4}/.exec(value || '');
+    return match && Number(match[1]) > 12 && Number(match[2]) <= 12;
+  });
+  return dayFirst ? 'dmy' : 'mdy';
+}
+
+/**
+ * Map a priority word to a priority value
+ * Accepts High/Medium/Low (and short forms), P1-P3 and 1-3; blank means Medium
+ * @param {string} text - Priority cell
+ * @returns {number|null} 1-3, or null when unrecognized
+ */
+export function parsePriorityText(text) {
+  const key = (text || '').trim().toLowerCase();
+  if (!key) {
+    return 2;
+  }
+  return PRIORITY_WORDS[key] ?? null;
+}
+
+/**
+ * Map a Completed cell to completion
+ * Accepts Yes/No (as exported), true/false, done, x and 1/0; blank means not completed
+ * @param {string} text - Completed cell
+ * @returns {boolean|null} Completion, or null when unrecognized
+ */
+export function parseCompletedText(text) {
+  return COMPLETED_WORDS[(text || '').trim().toLowerCase()] ?? null;
+}
+
+/**
+ * Turn mapped CSV rows into new tasks
+ * Rows that cannot be read or fail validation are skipped with an error;
+ * row numbers match the spreadsheet (the header is row 1).
+ * Completed rows become archived tasks (isCompleted: true)
+ * @param {Array<Array<string>>} rows - Data rows (without the header)
+ * @param {object} mapping - Field key -> column index (from guessCsvMapping)
+ * @param {object} [options]
+ * @param {'mdy' | 'dmy'} [options.dateOrder] - Order of numeric dates (default: 'mdy')
+ * @returns {object} { tasks: Array, errors: string[] }
+ */
+export function csvRowsToTasks(rows, mapping, { dateOrder = 'mdy' } = {}) {
+  const tasks = [];
+  const errors = [];
+
+  rows.forEach((row, index) => {
+    const rowNumber = index + 2;
+    const cell = (key) => {
+      const column = mapping[key];
+      return column === null || column === undefined ? '' : unprotectFormula((row[column] || '').trim());
+    };
+
+    const rowErrors = [];
+
+    const deadlineText = cell('deadline');
+    const deadline = parseDateTimeText(deadlineText, cell('deadlineTime'), dateOrder);
+    if (deadlineText && !deadline) {
+      rowErrors.push(`Unrecognized deadline "${deadlineText}"`);
+    }
+
+    const priority = parsePriorityText(cell('priority'));
+    if (priority === null) {
+      rowErrors.push(`Unrecognized priority "${cell('priority')}"`);
+    }
+
+    const completed = parseCompletedText(cell('completed'));
+    if (completed === null) {
+      rowErrors.push(`Unrecognized completed value "${cell('completed')}"`);
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(`Row ${rowNumber}: ${rowErrors.join(', ')}`);
+      return;
+    }
+
+    const result = processNewTask({
+      title: cell('title'),
+      description: cell('description'),
+      deadline,
+      priority,
+      tags: parseTagInput(cell('tags').replace(/;/g, ',')),
+    }, { imported: true });
+
+    if (!result.success) {
+      errors.push(`Row ${rowNumber}: ${result.errors.join(', ')}`);
+      return;
+    }
+
+    tasks.push(completed
+      ? { ...result.task, isCompleted: true, completedAt: result.task.createdAt }
+      : result.task);
+  });
+
+  return { tasks, errors };
+}
+
+/**
+ * iCalendar PRIORITY values written for priorities 1-3 (RFC 5545: 1 highest, 9 lowest)
+ */
+const ICS_PRIORITIES = { 1: 1, 2: 5, 3: 9 };
+
+/**
+ * Map an iCalendar PRIORITY to a task priority
+ * 1-4 are high, 5 and undefined (0 or missing) medium, 6-9 low
+ * @param {object|null} property - PRIORITY property
+ * @returns {number} 1-3
+ */
+function icsPriorityToTask(property) {
+  const value = Number.parseInt(property?.value, 10);
+  if (value >= 1 && value <= 4) return 1;
+  if (value >= 6 && value <= 9) return 3;
+  return 2;
+}
+
+/**
+ * Build the lines of one VTODO
+ * @param {object} task - Task
+ * @param {Array<number>|null} defaultLeadTimes - Alarm lead times for tasks without their own reminders
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array<string>} Folded content lines
+ */
+function taskToVTODO(task, defaultLeadTimes, stamp) {
+  const lines = [
+    'BEGIN:VTODO',
+    formatProperty('UID', `${task.id}@nearzero`),
+    formatProperty('DTSTAMP', stamp),
+    formatProperty('SUMMARY', escapeText(task.title)),
+  ];
+
+  if (task.description) {
+    lines.push(formatProperty('DESCRIPTION', escapeText(task.description)));
+  }
+  lines.push(formatProperty('DUE', formatDateTime(task.deadline)));
+  lines.push(formatProperty('PRIORITY', String(ICS_PRIORITIES[task.priority] || ICS_PRIORITIES[2])));
+  if ((task.tags || []).length > 0) {
+    lines.push(formatProperty('CATEGORIES', task.tags.map(escapeText).join(',')));
+  }
+  if (task.createdAt) {
+    lines.push(formatProperty('CREATED', formatDateTime(task.createdAt)));
+  }
+  if (task.lastModified) {
+    lines.push(formatProperty('LAST-MODIFIED', formatDateTime(task.lastModified)));
+  }
+
+  if (task.isCompleted) {
+    lines.push('STATUS:COMPLETED');
+    if (task.completedAt) {
+      lines.push(formatProperty('COMPLETED', formatDateTime(task.completedAt)));
+    }
+  } else {
+    lines.push('STATUS:NEEDS-ACTION');
+    getTaskLeadTimes(task, defaultLeadTimes || []).forEach(minutes => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        formatProperty('DESCRIPTION', escapeText(task.title)),
+        formatProperty('TRIGGER', formatDuration(-minutes), { RELATED: 'END' }),
+        'END:VALARM'
+      );
+    });
+  }
+
+  lines.push('END:VTODO');
+  return lines;
+}
+
+/**
+ * Export tasks to iCalendar text, one VTODO per task
+ * Active tasks get a VALARM for each of their reminders; tasks that
+ * follow the default reminders use defaultLeadTimes (null = no alarms)
+ * @param {Array} [tasks] - Tasks to export (default: all active and archived tasks)
+ * @param {object} [options]
+ * @param {Array<number>|null} [options.defaultLeadTimes] - Default reminder lead times in minutes
+ * @returns {string} iCalendar text with CRLF line endings
+ */
+export function exportTasksToICS(tasks = [...getAllTasks(), ...getArchivedTasks()], { defaultLeadTimes = null } = {}) {
+  const stamp = formatDateTime(new Date().toISOString());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//NearZero//Tasks//EN',
+    'CALSCALE:GREGORIAN',
+    ...tasks.flatMap(task => taskToVTODO(task, defaultLeadTimes, stamp)),
+    'END:VCALENDAR',
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Download tasks as iCalendar file
+ * Triggers browser download
+ * @param {object} [options] - See exportTasksToICS
+ */
+export function downloadTasksAsICS(options) {
+  downloadFile(exportTasksToICS(undefined, options), 'text/calendar', 'ics');
+}
+
+/**
+ * Read reminder lead times from the VALARMs of an entry
+ * Only relative alarms at or before the deadline are kept
+ * @param {object} component - VTODO or VEVENT
+ * @param {'DUE' | 'DTSTART'} deadlineName - Property used as the deadline
+ * @returns {Array<number>|null} Minutes sorted descending, or null when there are none
+ */
+function readAlarmLeadTimes(component, deadlineName) {
+  const minutes = new Set();
+
+  component.components
+    .filter(alarm => alarm.name === 'VALARM')
+    .forEach(alarm => {
+      const trigger = getProperty(alarm, 'TRIGGER');
+      if (!trigger || trigger.params.VALUE === 'DATE-TIME') return;
+      // Triggers relate to the start unless RELATED=END; only those tied to the deadline count
+      const related = trigger.params.RELATED === 'END' ? 'END' : 'START';
+      const relatedToDeadline = related === (deadlineName === 'DUE' ? 'END' : 'START');
+      const offset = parseDuration(trigger.value);
+      if (relatedToDeadline && offset !== null && offset <= 0) {
+        minutes.add(-offset);
+      }
+    });
+
+  if (minutes.size === 0) {
+    return null;
+  }
+  return [...minutes].sort((a, b) => b - a).slice(0, MAX_LEAD_TIMES);
+}
+
+/**
+ * Read tags from CATEGORIES, dropping ones that are not valid tags
+ * @param {object} component - VTODO or VEVENT
+ * @returns {Array<string>}
+ */
+function readCategories(component) {
+  const tags = component.properties
+    .filter(property => property.name === 'CATEGORIES')
+    .flatMap(property => splitTextList(property.value))
+    .map(normalizeTag)
+    .filter(tag => TAG_PATTERN.test(tag));
+  return [...new Set(tags)].slice(0, MAX_TAGS);
+}
+
+/**
+ * Import tasks from iCalendar text
+ * Reads VTODO (deadline = DUE, else DTSTART) and VEVENT (deadline = DTSTART)
+ * entries as new active tasks. Completed and cancelled entries are left out;
+ * entries that cannot be read or fail validation are reported per entry.
+ * @param {string} icsString - iCalendar text
+ * @returns {object} { success: boolean, tasks?: Array, errors?: string[], error?: string }
+ */
+export function importTasksFromICS(icsString) {
+  const calendars = parseICS(icsString);
+  if (!calendars.some(component => component.name === 'VCALENDAR')) {
+    return { success: false, error: 'Not an iCalendar file' };
+  }
+
+  const entries = findComponents(calendars, ['VTODO', 'VEVENT']);
+  if (entries.length === 0) {
+    return { success: false, error: 'No tasks or events found in the calendar' };
+  }
+
+  const tasks = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    const status = getProperty(entry, 'STATUS')?.value.trim().toUpperCase();
+    if (status === 'COMPLETED' || status === 'CANCELLED' || getProperty(entry, 'COMPLETED')) {
+      return;
+    }
+
+    const title = unescapeText(getProperty(entry, 'SUMMARY')?.value || '').trim();
+    const deadlineName = entry.name === 'VTODO' && getProperty(entry, 'DUE') ? 'DUE' : 'DTSTART';
+    const deadlineProperty = getProperty(entry, deadlineName);
+    const deadline = deadlineProperty ? parseDateTime(deadlineProperty) : null;
+    const label = `Task ${index + 1}${title ? ` ("${title}")` : ''}`;
+
+    if (deadlineProperty && !deadline) {
+      errors.push(`${label}: Unrecognized ${deadlineName} "${deadlineProperty.value}"`);
+      return;
+    }
+
+    const result = processNewTask({
+      title,
+      description: unescapeText(getProperty(entry, 'DESCRIPTION')?.value || '').trim(),
+      deadline,
+      priority: icsPriorityToTask(getProperty(entry, 'PRIORITY')),
+      tags: readCategories(entry),
+      reminders: readAlarmLeadTimes(entry, deadlineName),
+    }, { imported: true });
+
+    if (!result.success) {
+      errors.push(`${label}: ${result.errors.join(', ')}`);
+      return;
+    }
+
+    tasks.push(result.task);
+  });
+
+  return { success: true, tasks, errors };
+}
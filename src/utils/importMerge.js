@@ -0,0 +1,209 @@
+/**
+ * Import merge utilities
+ * Compares imported tasks with current ones and applies an import
+ * as Replace, Append or Merge-by-id (pure functions)
+ *
+ * State passed around is { tasks, archivedTasks }, like history.js.
+ * Records are matched by id across both lists; an archived copy and an
+ * active copy of the same task are the same record.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { processImportedTasks } from './tasks';
+import { validateDependencies } from './validation';
+
+/**
+ * Ways to apply an import
+ * merge: match by id, the copy with the newer lastModified wins
+ * append: add every imported task as a new task
+ * replace: imported data replaces all current tasks
+ */
+export const IMPORT_MODES = ['merge', 'append', 'replace'];
+
+/**
+ * Serialize a value with object keys sorted, so key order never counts as a change
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJSON(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJSON).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJSON(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Compare two task records by content
+ * @returns {boolean}
+ */
+function isSameRecord(a, b) {
+  return canonicalJSON(a) === canonicalJSON(b);
+}
+
+/**
+ * Milliseconds of a record's lastModified (0 when missing or invalid)
+ * @param {object} record
+ * @returns {number}
+ */
+function modifiedTime(record) {
+  const time = new Date(record.lastModified).getTime();
+  return isNaN(time) ? 0 : time;
+}
+
+/**
+ * Compare imported tasks with current ones, matched by id
+ *
+ * Each imported task is one of:
+ * - new: no current task has its id
+ * - unchanged: identical to the current copy
+ * - updated: differs and is newer than the current copy (the import wins)
+ * - conflict: differs but the current copy is as new or newer (the current copy wins)
+ *
+ * @param {object} current - { tasks, archivedTasks } now
+ * @param {object} imported - { tasks, archivedTasks } from the file
+ * @returns {object} { entries: Array<{ id, title, status, current, incoming }>, counts: { new, updated, unchanged, conflict } }
+ */
+export function diffImport(current, imported) {
+  const currentById = new Map(
+    [...current.tasks, ...current.archivedTasks].map(task => [task.id, task])
+  );
+  const counts = { new: 0, updated: 0, unchanged: 0, conflict: 0 };
+
+  const entries = [...imported.tasks, ...imported.archivedTasks].map(incoming => {
+    const existing = currentById.get(incoming.id) || null;
+    let status;
+
+    if (!existing) {
+      status = 'new';
+    } else if (isSameRecord(existing, incoming)) {
+      status = 'unchanged';
+    } else if (modifiedTime(incoming) > modifiedTime(existing)) {
+      status = 'updated';
+    } else {
+      status = 'conflict';
+    }
+
+    counts[status]++;
+    return { id: incoming.id, title: incoming.title, status, current: existing, incoming };
+  });
+
+  return { entries, counts };
+}
+
+/**
+ * Put a record into the list matching its completion state
+ * @param {object} state - { tasks, archivedTasks } (mutated)
+ * @param {object} record - Task
+ */
+function placeRecord(state, record) {
+  (record.isCompleted ? state.archivedTasks : state.tasks).push(record);
+}
+
+/**
+ * Merge imported tasks into current ones by id
+ * New tasks are added, updated tasks replace the older copy (moving between
+ * active and archived if needed), unchanged and conflicting tasks are kept
+ * @param {object} current - { tasks, archivedTasks }
+ * @param {object} imported - { tasks, archivedTasks }
+ * @returns {object} { tasks, archivedTasks, changedIds }
+ */
+function mergeById(current, imported) {
+  const { entries } = diffImport(current, imported);
+  const replacements = new Map(
+    entries.filter(entry => entry.status === 'updated').map(entry => [entry.id, entry.incoming])
+  );
+
+  const next = { tasks: [], archivedTasks: [] };
+  [...current.tasks, ...current.archivedTasks].forEach(task => {
+    placeRecord(next, replacements.get(task.id) || task);
+  });
+  entries
+    .filter(entry => entry.status === 'new')
+    .forEach(entry => placeRecord(next, entry.incoming));
+
+  const changedIds = entries
+    .filter(entry => entry.status === 'new' || entry.status === 'updated')
+    .map(entry => entry.id);
+
+  return { ...next, changedIds };
+}
+
+/**
+ * Add every imported task as a new task
+ * Imported ids that already exist get a fresh id so nothing is overwritten.
+ * Active tasks go through processImportedTasks and may be rejected.
+ * @param {object} current - { tasks, archivedTasks }
+ * @param {object} imported - { tasks, archivedTasks }
+ * @returns {object} { tasks, archivedTasks, changedIds, errors }
+ */
+function appendAll(current, imported) {
+  const usedIds = new Set([...current.tasks, ...current.archivedTasks].map(task => task.id));
+  const withFreshId = (task) => {
+    const id = usedIds.has(task.id) ? uuidv4() : task.id;
+    usedIds.add(id);
+    return id === task.id ? task : { ...task, id };
+  };
+
+  const active = processImportedTasks(current.tasks, imported.tasks.map(withFreshId));
+  return {
+    tasks: active.tasks,
+    archivedTasks: [...current.archivedTasks, ...imported.archivedTasks.map(withFreshId)],
+    changedIds: active.tasks.slice(current.tasks.length).map(task => task.id),
+    errors: active.errors,
+  };
+}
+
+/**
+ * Apply an import in the given mode
+ * Fails when the imported blocked-by links would form a cycle
+ * @param {object} current - { tasks, archivedTasks } now
+ * @param {object} imported - { tasks, archivedTasks } from the file
+ * @param {'merge' | 'append' | 'replace'} mode
+ * @returns {object} { success: boolean, tasks: Array, archivedTasks: Array, errors: string[] }
+ */
+export function applyImport(current, imported, mode) {
+  let result;
+
+  if (mode === 'replace') {
+    result = { tasks: imported.tasks, archivedTasks: imported.archivedTasks, changedIds: null, errors: [] };
+  } else if (mode === 'append') {
+    result = appendAll(current, imported);
+  } else if (mode === 'merge') {
+    result = { ...mergeById(current, imported), errors: [] };
+  } else {
+    return { success: false, tasks: current.tasks, archivedTasks: current.archivedTasks, errors: [`Unknown import mode: ${mode}`] };
+  }
+
+  // Only links the import adds or changes are checked (replace checks them all)
+  const dependencies = validateDependencies(result.tasks, result.changedIds);
+  if (!dependencies.valid) {
+    return { success: false, tasks: current.tasks, archivedTasks: current.archivedTasks, errors: [dependencies.error] };
+  }
+
+  return { success: true, tasks: result.tasks, archivedTasks: result.archivedTasks, errors: result.errors };
+}
+
+/**
+ * Describe an applied import for a notification
+ * @param {'merge' | 'append' | 'replace'} mode
+ * @param {object} counts - Counts from diffImport
+ * @param {number} count - Tasks now in place of the old ones (replace) or added (append)
+ * @returns {string} e.g. "Merged: 2 new, 1 updated"
+ */
+export function formatImportSummary(mode, counts, count) {
+  if (mode === 'replace') {
+    return `Imported: ${count} tasks (replaced current tasks)`;
+  }
+  if (mode === 'append') {
+    return `Imported: ${count} tasks added`;
+  }
+
+  const parts = [`${counts.new} new`, `${counts.updated} updated`];
+  if (counts.conflict > 0) {
+    parts.push(`${counts.conflict} kept (yours newer)`);
+  }
+  return `Merged: ${parts.join(', ')}`;
+}
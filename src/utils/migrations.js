@@ -0,0 +1,184 @@
+/**
+ * Schema migration utilities
+ * Ordered, pure upgrades for stored tasks and preferences (no storage access)
+ *
+ * Every task and the preferences object carry a schemaVersion. Records
+ * without one are treated as version 1. To change the data shape:
+ * bump CURRENT_SCHEMA_VERSION and append a migration for that version.
+ */
+
+/**
+ * Schema version written to every task and to preferences
+ */
+export const CURRENT_SCHEMA_VERSION = 9;
+
+/**
+ * Ordered list of migrations
+ * Each upgrades a record from version - 1 to version
+ * migrateTask / migratePreferences are optional and must not mutate input
+ */
+export const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add repeat rules and completion dates',
+    migrateTask: (task) => ({
+      ...task,
+      recurrence: task.recurrence ?? null,
+      ...(task.isCompleted && !task.completedAt ? { completedAt: task.lastModified || task.createdAt } : {}),
+    }),
+  },
+  {
+    version: 3,
+    description: 'Add tags',
+    migrateTask: (task) => ({
+      ...task,
+      tags: Array.isArray(task.tags) ? task.tags : [],
+    }),
+  },
+  {
+    version: 4,
+    description: 'Add checklists',
+    migrateTask: (task) => ({
+      ...task,
+      checklist: Array.isArray(task.checklist) ? task.checklist : [],
+    }),
+  },
+  {
+    version: 5,
+    description: 'Add reminder settings',
+    migrateTask: (task) => ({
+      ...task,
+      reminders: Array.isArray(task.reminders) ? task.reminders : null,
+    }),
+  },
+  {
+    version: 6,
+    description: 'Add workflow status',
+    migrateTask: (task) => ({
+      ...task,
+      status: typeof task.status === 'string' && task.status ? task.status : 'todo',
+    }),
+  },
+  {
+    version: 7,
+    description: 'Add start dates',
+    migrateTask: (task) => ({
+      ...task,
+      startDate: task.startDate ?? null,
+    }),
+  },
+  {
+    version: 8,
+    description: 'Add task dependencies',
+    migrateTask: (task) => ({
+      ...task,
+      blockedBy: Array.isArray(task.blockedBy) ? task.blockedBy : [],
+    }),
+  },
+  {
+    version: 9,
+    description: 'Add effort estimates',
+    migrateTask: (task) => ({
+      ...task,
+      estimateHours: task.estimateHours ?? null,
+    }),
+  },
+];
+
+/**
+ * Read the schema version of a stored record
+ * @param {object} record - Task or preferences object
+ * @returns {number} Schema version (1 when missing)
+ */
+export function getSchemaVersion(record) {
+  return Number.isInteger(record?.schemaVersion) ? record.schemaVersion : 1;
+}
+
+/**
+ * Run pending migrations of one kind on a single record
+ * Records from a newer schema are returned unchanged
+ * @param {object} record - Task or preferences object
+ * @param {'migrateTask' | 'migratePreferences'} step - Migration function to use
+ * @returns {object} { record, applied: Array<{ version, description }>, changed: boolean }
+ */
+function migrateRecord(record, step) {
+  const fromVersion = getSchemaVersion(record);
+  if (fromVersion >= CURRENT_SCHEMA_VERSION) {
+    return { record, applied: [], changed: false };
+  }
+
+  const applied = [];
+  let migrated = record;
+
+  MIGRATIONS
+    .filter(migration => migration.version > fromVersion)
+    .forEach(migration => {
+      if (migration[step]) {
+        migrated = migration[step](migrated);
+        applied.push({ version: migration.version, description: migration.description });
+      }
+    });
+
+  return {
+    record: { ...migrated, schemaVersion: CURRENT_SCHEMA_VERSION },
+    applied,
+    changed: true,
+  };
+}
+
+/**
+ * Merge lists of applied migrations, keeping each version once
+ * @param {...Array} lists - Applied migration lists
+ * @returns {Array<{ version, description }>} Sorted by version
+ */
+export function combineApplied(...lists) {
+  const byVersion = new Map();
+  lists.flat().forEach(migration => byVersion.set(migration.version, migration));
+  return [...byVersion.values()].sort((a, b) => a.version - b.version);
+}
+
+/**
+ * Upgrade one task to the current schema
+ * @param {object} task - Stored or imported task
+ * @returns {object} { task, applied, changed }
+ */
+export function migrateTask(task) {
+  const result = migrateRecord(task, 'migrateTask');
+  return { task: result.record, applied: result.applied, changed: result.changed };
+}
+
+/**
+ * Upgrade a list of tasks to the current schema
+ * @param {Array} tasks - Stored or imported tasks
+ * @returns {object} { tasks, applied, changed }
+ */
+export function migrateTasks(tasks) {
+  const results = tasks.map(migrateTask);
+  return {
+    tasks: results.map(result => result.task),
+    applied: combineApplied(...results.map(result => result.applied)),
+    changed: results.some(result => result.changed),
+  };
+}
+
+/**
+ * Upgrade the preferences object to the current schema
+ * @param {object} preferences - Stored preferences
+ * @returns {object} { preferences, applied, changed }
+ */
+export function migratePreferences(preferences) {
+  const result = migrateRecord(preferences, 'migratePreferences');
+  return { preferences: result.record, applied: result.applied, changed: result.changed };
+}
+
+/**
+ * Describe applied migrations for a notification
+ * @param {Array<{ version, description }>} applied - Applied migrations
+ * @returns {string} e.g. "Data updated: v2 Add repeat rules and completion dates"
+ */
+export function formatMigrationSummary(applied) {
+  if (applied.length === 0) {
+    return '';
+  }
+  return `Data updated: ${applied.map(m => `v${m.version} ${m.description}`).join('; ')}`;
+}
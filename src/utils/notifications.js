@@ -0,0 +1,242 @@
+/**
+ * Deadline notification utilities
+ * Schedules desktop notifications before deadlines and when tasks become overdue
+ *
+ * Lead times are minutes before the deadline (0 = the moment it is overdue).
+ * Every reminder has a key of task id + deadline + lead time; keys that
+ * already fired are remembered in storage so a reload does not repeat them,
+ * and changing a deadline re-arms its reminders.
+ */
+
+import { getFromStorage, saveToStorage, STORAGE_KEYS } from './storage';
+
+/**
+ * Lead times offered in Settings and the task form (minutes before deadline)
+ */
+export const LEAD_TIME_OPTIONS = [
+  { minutes: 1440, label: '1 day before' },
+  { minutes: 180, label: '3 hours before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 30, label: '30 minutes before' },
+  { minutes: 10, label: '10 minutes before' },
+  { minutes: 0, label: 'When overdue' },
+];
+
+/**
+ * Default notification preferences (off until the user opts in)
+ */
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  enabled: false,
+  leadTimes: [1440, 60, 10, 0],
+};
+
+/**
+ * Reminders missed by at most this long (tab closed, computer asleep) still fire
+ */
+export const MISSED_REMINDER_GRACE_MS = 60 * 60 * 1000;
+
+/**
+ * Number of fired reminder keys kept in storage
+ */
+const FIRED_LOG_LIMIT = 500;
+
+/**
+ * Maximum number of lead times per task
+ */
+export const MAX_LEAD_TIMES = 10;
+
+/**
+ * Check whether a value is a valid list of lead times
+ * @param {*} leadTimes
+ * @returns {boolean}
+ */
+export function isValidLeadTimes(leadTimes) {
+  return Array.isArray(leadTimes) &&
+    leadTimes.length <= MAX_LEAD_TIMES &&
+    leadTimes.every(minutes => Number.isInteger(minutes) && minutes >= 0) &&
+    new Set(leadTimes).size === leadTimes.length;
+}
+
+/**
+ * Lead times that apply to one task
+ * @param {object} task - Task (task.reminders: null = defaults, array = override)
+ * @param {Array<number>} defaultLeadTimes - Lead times from Settings
+ * @returns {Array<number>}
+ */
+export function getTaskLeadTimes(task, defaultLeadTimes) {
+  return Array.isArray(task.reminders) ? task.reminders : defaultLeadTimes;
+}
+
+/**
+ * Build every reminder for the given tasks, ordered by fire time
+ * @param {Array} tasks - Active tasks
+ * @param {Array<number>} defaultLeadTimes - Lead times from Settings
+ * @returns {Array<{ key, taskId, title, deadline, minutes, fireAt: number, setAt: number }>}
+ */
+export function buildReminderSchedule(tasks, defaultLeadTimes) {
+  const reminders = [];
+
+  tasks.forEach(task => {
+    const deadlineTime = new Date(task.deadline).getTime();
+    if (Number.isNaN(deadlineTime)) return;
+    const setAt = new Date(task.lastModified || task.createdAt).getTime() || 0;
+
+    getTaskLeadTimes(task, defaultLeadTimes).forEach(minutes => {
+      reminders.push({
+        key: `${task.id}|${task.deadline}|${minutes}`,
+        taskId: task.id,
+        title: task.title,
+        deadline: task.deadline,
+        minutes,
+        fireAt: deadlineTime - minutes * 60 * 1000,
+        setAt,
+      });
+    });
+  });
+
+  return reminders.sort((a, b) => a.fireAt - b.fireAt);
+}
+
+/**
+ * Pick the reminders that should fire now
+ * Skips fired keys, reminders missed by more than the grace period and
+ * reminders that were already past when the task was saved (a task due in
+ * 50 minutes does not announce "due in 1 hour" right away).
+ * Only the latest due reminder per task is returned, so waking up after a
+ * long sleep shows "overdue" rather than three stale warnings.
+ * @param {Array} schedule - From buildReminderSchedule
+ * @param {Array<string>} firedKeys - Keys that already fired
+ * @param {number} [now] - Current time in ms
+ * @returns {object} { due: Array, skipped: Array<string> } - skipped keys should be marked fired too
+ */
+export function getDueReminders(schedule, firedKeys, now = Date.now()) {
+  const fired = new Set(firedKeys);
+  const latestByTask = new Map();
+  const skipped = [];
+
+  schedule
+    .filter(reminder => reminder.fireAt <= now && !fired.has(reminder.key))
+    .forEach(reminder => {
+      if (now - reminder.fireAt > MISSED_REMINDER_GRACE_MS || reminder.fireAt < reminder.setAt) {
+        skipped.push(reminder.key);
+        return;
+      }
+      const previous = latestByTask.get(reminder.taskId);
+      if (previous) {
+        skipped.push(previous.key);
+      }
+      latestByTask.set(reminder.taskId, reminder);
+    });
+
+  return { due: [...latestByTask.values()], skipped };
+}
+
+/**
+ * Time of the next reminder after now
+ * @param {Array} schedule - From buildReminderSchedule
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Fire time in ms, or null when nothing is pending
+ */
+export function getNextReminderTime(schedule, now = Date.now()) {
+  const next = schedule.find(reminder => reminder.fireAt > now);
+  return next ? next.fireAt : null;
+}
+
+/**
+ * Describe a lead time
+ * @param {number} minutes - Minutes before the deadline
+ * @returns {string} e.g. "1 day", "3 hours", "10 minutes"
+ */
+export function formatLeadTime(minutes) {
+  if (minutes % 1440 === 0) {
+    const days = minutes / 1440;
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+/**
+ * Build notification text for a reminder
+ * @param {object} reminder - From buildReminderSchedule
+ * @returns {object} { title, body }
+ */
+export function formatReminder(reminder) {
+  if (reminder.minutes === 0) {
+    return { title: 'Task overdue', body: reminder.title };
+  }
+  return { title: `Due in ${formatLeadTime(reminder.minutes)}`, body: reminder.title };
+}
+
+/**
+ * Read keys of reminders that already fired
+ * @returns {Array<string>}
+ */
+export function getFiredReminders() {
+  const keys = getFromStorage(STORAGE_KEYS.NOTIFIED, []);
+  return Array.isArray(keys) ? keys : [];
+}
+
+/**
+ * Remember that reminders fired (oldest entries are dropped past the limit)
+ * @param {Array<string>} keys - Reminder keys
+ * @returns {boolean} Success status
+ */
+export function markRemindersFired(keys) {
+  if (keys.length === 0) {
+    return true;
+  }
+  const merged = [...new Set([...getFiredReminders(), ...keys])];
+  return saveToStorage(STORAGE_KEYS.NOTIFIED, merged.slice(-FIRED_LOG_LIMIT));
+}
+
+/**
+ * Current notification permission
+ * @returns {'unsupported' | 'default' | 'granted' | 'denied'}
+ */
+export function getNotificationPermission() {
+  if (typeof window === 'undefined' || !('Notification' in window)) {
+    return 'unsupported';
+  }
+  return window.Notification.permission;
+}
+
+/**
+ * Ask the browser for permission to show notifications
+ * @returns {Promise<'unsupported' | 'default' | 'granted' | 'denied'>}
+ */
+export async function requestNotificationPermission() {
+  if (getNotificationPermission() === 'unsupported') {
+    return 'unsupported';
+  }
+  try {
+    return await window.Notification.requestPermission();
+  } catch (error) {
+    console.error('Error requesting notification permission:', error);
+    return getNotificationPermission();
+  }
+}
+
+/**
+ * Show one reminder as a desktop notification
+ * The key doubles as the notification tag, so other open tabs firing the
+ * same reminder replace it instead of stacking duplicates.
+ * @param {object} reminder - From buildReminderSchedule
+ * @returns {boolean} Whether a notification was shown
+ */
+export function showReminderNotification(reminder) {
+  if (getNotificationPermission() !== 'granted') {
+    return false;
+  }
+  try {
+    const { title, body } = formatReminder(reminder);
+    new window.Notification(title, { body, tag: reminder.key });
+    return true;
+  } catch (error) {
+    console.error('Error showing notification:', error);
+    return false;
+  }
+}
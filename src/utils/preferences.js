@@ -5,6 +5,11 @@
 
 import { getFromStorage, saveToStorage, STORAGE_KEYS } from './storage';
 import { SORT_MODES } from './sorting';
+import { DEFAULT_NOTIFICATION_SETTINGS, isValidLeadTimes } from './notifications';
+import { DEFAULT_URGENCY_SETTINGS, validateUrgencySettings } from './urgency';
+import { VIEW_MODES, isValidViewMode } from './views';
+import { DEFAULT_STATUS_COLUMNS, validateStatusColumns } from './status';
+import { DEFAULT_DAILY_CAPACITY, validateDailyCapacity } from './forecast';
 
 /**
  * Get current sort mode preference
@@ -50,5 +55,312 @@ export function setSortMode(sortMode) {
   }
 }
 
+/**
+ * Get whether delete/complete actions ask for confirmation first
+ * @returns {boolean} Confirmation preference (defaults to true)
+ */
+export function getConfirmActions() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  return typeof prefs.confirmActions === 'boolean' ? prefs.confirmActions : true;
+}
+
+/**
+ * Save whether delete/complete actions ask for confirmation first
+ * @param {boolean} enabled - True to keep confirmation dialogs
+ * @returns {boolean} Success status
+ */
+export function setConfirmActions(enabled) {
+  if (typeof enabled !== 'boolean') {
+    console.error('Invalid confirm actions preference:', enabled);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.confirmActions = enabled;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving confirm actions preference:', error);
+    return false;
+  }
+}
+
+/**
+ * Get whether checking the last checklist item completes the task
+ * @returns {boolean} Auto-complete preference (defaults to false)
+ */
+export function getAutoCompleteChecklist() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  return typeof prefs.autoCompleteChecklist === 'boolean' ? prefs.autoCompleteChecklist : false;
+}
+
+/**
+ * Save whether checking the last checklist item completes the task
+ * @param {boolean} enabled - True to complete tasks automatically
+ * @returns {boolean} Success status
+ */
+export function setAutoCompleteChecklist(enabled) {
+  if (typeof enabled !== 'boolean') {
+    console.error('Invalid checklist auto-complete preference:', enabled);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.autoCompleteChecklist = enabled;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving checklist auto-complete preference:', error);
+    return false;
+  }
+}
+
+/**
+ * Get deadline notification settings
+ * @returns {object} { enabled: boolean, leadTimes: Array<number> } (defaults to off)
+ */
+export function getNotificationSettings() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  const settings = prefs.notifications;
+
+  if (settings && typeof settings.enabled === 'boolean' && isValidLeadTimes(settings.leadTimes)) {
+    return { enabled: settings.enabled, leadTimes: settings.leadTimes };
+  }
+
+  return DEFAULT_NOTIFICATION_SETTINGS;
+}
+
+/**
+ * Save deadline notification settings
+ * @param {object} settings - { enabled: boolean, leadTimes: Array<number> } (minutes before deadline)
+ * @returns {boolean} Success status
+ */
+export function setNotificationSettings(settings) {
+  if (!settings || typeof settings.enabled !== 'boolean' || !isValidLeadTimes(settings.leadTimes)) {
+    console.error('Invalid notification settings:', settings);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.notifications = { enabled: settings.enabled, leadTimes: settings.leadTimes };
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving notification settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Get urgency coloring settings
+ * Settings saved before the gradient existed get the default gradient fields
+ * @returns {object} { bands: Array<{ hours, color }>, pulseHours, mode, gradientBasis, gradientHours } (defaults to 1h/6h/24h bands, pulse under 1h)
+ */
+export function getUrgencySettings() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  const settings = prefs.urgency;
+
+  if (validateUrgencySettings(settings).valid) {
+    return {
+      bands: settings.bands,
+      pulseHours: settings.pulseHours,
+      mode: settings.mode ?? DEFAULT_URGENCY_SETTINGS.mode,
+      gradientBasis: settings.gradientBasis ?? DEFAULT_URGENCY_SETTINGS.gradientBasis,
+      gradientHours: settings.gradientHours ?? DEFAULT_URGENCY_SETTINGS.gradientHours,
+    };
+  }
+
+  return DEFAULT_URGENCY_SETTINGS;
+}
+
+/**
+ * Save urgency coloring settings
+ * @param {object} settings - { bands: Array<{ hours, color }>, pulseHours, mode, gradientBasis, gradientHours }
+ * @returns {boolean} Success status
+ */
+export function setUrgencySettings(settings) {
+  if (!validateUrgencySettings(settings).valid) {
+    console.error('Invalid urgency settings:', settings);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.urgency = {
+      bands: settings.bands.map(band => ({ hours: band.hours, color: band.color })),
+      pulseHours: settings.pulseHours,
+      mode: settings.mode ?? DEFAULT_URGENCY_SETTINGS.mode,
+      gradientBasis: settings.gradientBasis ?? DEFAULT_URGENCY_SETTINGS.gradientBasis,
+      gradientHours: settings.gradientHours ?? DEFAULT_URGENCY_SETTINGS.gradientHours,
+    };
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving urgency settings:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the active tag filter
+ * @returns {Array<string>} Selected filter tags (defaults to none)
+ */
+export function getTagFilter() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  const tagFilter = prefs.tagFilter;
+
+  if (Array.isArray(tagFilter) && tagFilter.every(tag => typeof tag === 'string')) {
+    return tagFilter;
+  }
+
+  return [];
+}
+
+/**
+ * Save the active tag filter
+ * @param {Array<string>} tags - Selected filter tags (empty to clear)
+ * @returns {boolean} Success status
+ */
+export function setTagFilter(tags) {
+  if (!Array.isArray(tags) || !tags.every(tag => typeof tag === 'string')) {
+    console.error('Invalid tag filter:', tags);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.tagFilter = tags;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving tag filter:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the task view (list or calendar layout)
+ * @returns {string} View mode (defaults to VIEW_MODES.LIST)
+ */
+export function getViewMode() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  return isValidViewMode(prefs.viewMode) ? prefs.viewMode : VIEW_MODES.LIST;
+}
+
+/**
+ * Save the task view
+ * @param {string} viewMode - One of VIEW_MODES
+ * @returns {boolean} Success status
+ */
+export function setViewMode(viewMode) {
+  if (!isValidViewMode(viewMode)) {
+    console.error('Invalid view mode:', viewMode);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.viewMode = viewMode;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving view mode:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the board columns (workflow statuses)
+ * @returns {Array<{ id, label }>} Columns in display order (defaults to To do / In progress / Blocked / Done)
+ */
+export function getStatusColumns() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  const columns = prefs.statusColumns;
+
+  if (validateStatusColumns(columns).valid) {
+    return columns.map(column => ({ id: column.id, label: column.label }));
+  }
+
+  return DEFAULT_STATUS_COLUMNS;
+}
+
+/**
+ * Save the board columns
+ * @param {Array<{ id, label }>} columns - Columns in display order
+ * @returns {boolean} Success status
+ */
+export function setStatusColumns(columns) {
+  if (!validateStatusColumns(columns).valid) {
+    console.error('Invalid board columns:', columns);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.statusColumns = columns.map(column => ({ id: column.id, label: column.label.trim() }));
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving board columns:', error);
+    return false;
+  }
+}
+
+/**
+ * Get whether snoozed tasks (before their start date) are listed
+ * @returns {boolean} Show snoozed preference (defaults to false)
+ */
+export function getShowSnoozed() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  return typeof prefs.showSnoozed === 'boolean' ? prefs.showSnoozed : false;
+}
+
+/**
+ * Save whether snoozed tasks are listed
+ * @param {boolean} enabled - True to list snoozed tasks too
+ * @returns {boolean} Success status
+ */
+export function setShowSnoozed(enabled) {
+  if (typeof enabled !== 'boolean') {
+    console.error('Invalid show snoozed preference:', enabled);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.showSnoozed = enabled;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving show snoozed preference:', error);
+    return false;
+  }
+}
+
+/**
+ * Get the hours of work available per day, for the workload forecast
+ * @returns {number} Daily capacity (defaults to DEFAULT_DAILY_CAPACITY)
+ */
+export function getDailyCapacity() {
+  const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+  return validateDailyCapacity(prefs.dailyCapacity).valid ? prefs.dailyCapacity : DEFAULT_DAILY_CAPACITY;
+}
+
+/**
+ * Save the hours of work available per day
+ * @param {number} hours - More than 0, at most MAX_DAILY_CAPACITY
+ * @returns {boolean} Success status
+ */
+export function setDailyCapacity(hours) {
+  if (!validateDailyCapacity(hours).valid) {
+    console.error('Invalid daily capacity:', hours);
+    return false;
+  }
+
+  try {
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    prefs.dailyCapacity = hours;
+    return saveToStorage(STORAGE_KEYS.PREFS, prefs);
+  } catch (error) {
+    console.error('Error saving daily capacity:', error);
+    return false;
+  }
+}
+
 // Re-export SORT_MODES for convenience
 export { SORT_MODES };
@@ -0,0 +1,232 @@
+/**
+ * Quick add parser
+ * Turns one line of text into task fields (pure functions)
+ *
+ * "Send invoice to ACME tomorrow 5pm !high #billing" becomes
+ * { title: 'Send invoice to ACME', deadline: <tomorrow 17:00>, priority: 1, tags: ['billing'] }
+ *
+ * Recognized pieces are removed from the title; everything else is kept as typed.
+ * Dates without a time fall on 23:59 local time, like other imported dates.
+ */
+
+import dayjs from 'dayjs';
+import { END_OF_DAY } from './datetime';
+import { normalizeTag, TAG_PATTERN, MAX_TAGS } from './tags';
+
+/**
+ * Priority markers, e.g. "!high", "!h" or "!1"
+ */
+const PRIORITY_MARKERS = {
+  high: 1, hi: 1, h: 1, 1: 1,
+  medium: 2, med: 2, m: 2, 2: 2,
+  low: 3, lo: 3, l: 3, 3: 3,
+};
+
+/**
+ * Units accepted after "in N", mapped to dayjs units
+ */
+const DURATION_UNITS = {
+  m: 'minute', min: 'minute', mins: 'minute', minute: 'minute', minutes: 'minute',
+  h: 'hour', hr: 'hour', hrs: 'hour', hour: 'hour', hours: 'hour',
+  d: 'day', day: 'day', days: 'day',
+  w: 'week', wk: 'week', wks: 'week', week: 'week', weeks: 'week',
+};
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// A piece must stand alone: whitespace before, whitespace or punctuation after
+const START = '(?<=^|\\s)';
+const END = '(?=$|[\\s,.;!?])';
+const DATE_PREFIX = '(?:(?:on|by|due|until)\\s+)?';
+const TIME_PREFIX = '(?:(?:at|by)\\s+|@\\s*)?';
+const WEEKDAY = 'sunday|monday|tuesday|wednesday|thursday|friday|saturday';
+// Short names are also ordinary words ("Sun cream", "Sat exam prep"), so they need
+// a marker before them ("on fri", "next sat") or a separator (", sun" / " - sun")
+const SHORT_WEEKDAY = 'sun|mon|tues?|wed|thu(?:rs?)?|fri|sat';
+const WEEKDAY_MARKER = `(?:${START}(?:${DATE_PREFIX}(?:this|next)|on|by|due|until)\\s+|(?:[,;]|\\s[-–])\\s*)`;
+const MONTH = 'jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t|tember)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?';
+const ORDINAL = '(?:st|nd|rd|th)?';
+
+const PATTERNS = {
+  tag: /(?<=^|\s)#([\p{L}\p{N}][\p{L}\p{N}_-]*)(?=$|[\s,.;!?])/u,
+  priority: new RegExp(`${START}!(${Object.keys(PRIORITY_MARKERS).join('|')})${END}`, 'i'),
+  duration: new RegExp(`${START}in\\s+(an?|\\d+)\\s*(${Object.keys(DURATION_UNITS).join('|')})${END}`, 'i'),
+  relativeDay: new RegExp(`${START}${DATE_PREFIX}(today|tomorrow|tmrw|tmr|eod|next\\s+week)${END}`, 'i'),
+  weekday: new RegExp(`${START}${DATE_PREFIX}(?:(?:this|next)\\s+)?(${WEEKDAY})${END}`, 'i'),
+  shortWeekday: new RegExp(`${WEEKDAY_MARKER}(${SHORT_WEEKDAY})${END}`, 'i'),
+  isoDate: new RegExp(`${START}${DATE_PREFIX}(\\d{4})-(\\d{1,2})-(\\d{1,2})${END}`),
+  monthDay: new RegExp(`${START}${DATE_PREFIX}(${MONTH})\\.?\\s+(\\d{1,2})${ORDINAL}(?:,?\\s+(\\d{4}))?${END}`, 'i'),
+  dayMonth: new RegExp(`${START}${DATE_PREFIX}(\\d{1,2})${ORDINAL}\\s+(${MONTH})(?:\\s+(\\d{4}))?${END}`, 'i'),
+  time12: new RegExp(`${START}${TIME_PREFIX}(1[0-2]|0?[1-9])(?::([0-5]\\d))?\\s*(am|pm)${END}`, 'i'),
+  time24: new RegExp(`${START}${TIME_PREFIX}([01]?\\d|2[0-3]):([0-5]\\d)${END}`),
+  noon: new RegExp(`${START}${TIME_PREFIX}(noon)${END}`, 'i'),
+};
+
+/**
+ * Find a pattern in the remaining text and cut it out
+ * @param {object} state - { text } (mutated)
+ * @param {RegExp} pattern - Non-global pattern
+ * @returns {Array|null} Match, or null
+ */
+function consume(state, pattern) {
+  const match = pattern.exec(state.text);
+  if (!match) {
+    return null;
+  }
+
+  state.text = `${state.text.slice(0, match.index)} ${state.text.slice(match.index + match[0].length)}`;
+  return match;
+}
+
+/**
+ * Build a calendar date, rejecting days that do not exist (e.g. Feb 30)
+ * Dates without a year that already passed this year mean next year
+ * @param {dayjs.Dayjs} today - Start of the current local day
+ * @param {number|null} year
+ * @param {number} monthIndex - 0-11
+ * @param {number} day
+ * @returns {dayjs.Dayjs|null}
+ */
+function calendarDate(today, year, monthIndex, day) {
+  const build = (y) => {
+    const date = today.year(y).month(monthIndex).date(day);
+    return date.month() === monthIndex && date.date() === day ? date : null;
+  };
+
+  if (year !== null) {
+    return build(year);
+  }
+
+  const date = build(today.year());
+  return date && date.isBefore(today) ? build(today.year() + 1) : date;
+}
+
+/**
+ * Read a day from the text (relative word, weekday or calendar date)
+ * @param {object} state - { text } (mutated)
+ * @param {dayjs.Dayjs} today - Start of the current local day
+ * @returns {dayjs.Dayjs|null} Start of the matched local day
+ */
+function consumeDay(state, today) {
+  const relative = consume(state, PATTERNS.relativeDay);
+  if (relative) {
+    const word = relative[1].toLowerCase().replace(/\s+/, ' ');
+    if (word === 'next week') {
+      return today.add(1, 'week');
+    }
+    return word === 'today' || word === 'eod' ? today : today.add(1, 'day');
+  }
+
+  // Weekdays always mean the next one after today
+  const weekday = consume(state, PATTERNS.weekday) || consume(state, PATTERNS.shortWeekday);
+  if (weekday) {
+    const target = WEEKDAYS.indexOf(weekday[1].slice(0, 3).toLowerCase());
+    return today.add((target - today.day() + 7) % 7 || 7, 'day');
+  }
+
+  const iso = consume(state, PATTERNS.isoDate);
+  if (iso) {
+    return calendarDate(today, Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+
+  const monthDay = consume(state, PATTERNS.monthDay);
+  if (monthDay) {
+    const year = monthDay[3] ? Number(monthDay[3]) : null;
+    return calendarDate(today, year, MONTHS.indexOf(monthDay[1].slice(0, 3).toLowerCase()), Number(monthDay[2]));
+  }
+
+  const dayMonth = consume(state, PATTERNS.dayMonth);
+  if (dayMonth) {
+    const year = dayMonth[3] ? Number(dayMonth[3]) : null;
+    return calendarDate(today, year, MONTHS.indexOf(dayMonth[2].slice(0, 3).toLowerCase()), Number(dayMonth[1]));
+  }
+
+  return null;
+}
+
+/**
+ * Read a time of day from the text ("5pm", "5:30 pm", "17:30", "noon")
+ * @param {object} state - { text } (mutated)
+ * @returns {object|null} { hour, minute }
+ */
+function consumeTime(state) {
+  const time12 = consume(state, PATTERNS.time12);
+  if (time12) {
+    const hour = Number(time12[1]);
+    const isPM = time12[3].toLowerCase() === 'pm';
+    return { hour: (hour % 12) + (isPM ? 12 : 0), minute: Number(time12[2] || 0) };
+  }
+
+  const time24 = consume(state, PATTERNS.time24);
+  if (time24) {
+    return { hour: Number(time24[1]), minute: Number(time24[2]) };
+  }
+
+  if (consume(state, PATTERNS.noon)) {
+    return { hour: 12, minute: 0 };
+  }
+
+  return null;
+}
+
+/**
+ * Parse a quick add line into task fields
+ *
+ * Recognizes:
+ * - tags: "#billing"
+ * - priority: "!high" / "!h" / "!1", "!medium", "!low"
+ * - relative times: "in 3 hours", "in 20 min", "in a week"
+ * - days: "today", "eod", "tomorrow", "next week", "friday", "next friday",
+ *   "jan 15", "15th march 2031", "2031-01-15" (optionally after on/by/due);
+ *   short weekdays only after a marker or separator: "on fri", "next sat", "Call mom, sun"
+ * - times: "5pm", "at 9:30am", "17:30", "noon"
+ * A time without a day means today, or tomorrow once that time has passed.
+ *
+ * @param {string} text - e.g. "Send invoice to ACME tomorrow 5pm !high #billing"
+ * @param {Date|string} [now] - Current time (default: now)
+ * @returns {object} { title, deadline: string|null (UTC ISO 8601), priority: number|null, tags: string[] }
+ */
+export function parseQuickAdd(text, now = new Date()) {
+  const state = { text: typeof text === 'string' ? text : '' };
+  const current = dayjs(now);
+  const today = current.startOf('day');
+
+  const tags = [];
+  let tagMatch;
+  while ((tagMatch = consume(state, PATTERNS.tag))) {
+    const tag = normalizeTag(tagMatch[1]);
+    if (TAG_PATTERN.test(tag) && !tags.includes(tag) && tags.length < MAX_TAGS) {
+      tags.push(tag);
+    }
+  }
+
+  const priorityMatch = consume(state, PATTERNS.priority);
+  const priority = priorityMatch ? PRIORITY_MARKERS[priorityMatch[1].toLowerCase()] : null;
+
+  let deadline = null;
+  const duration = consume(state, PATTERNS.duration);
+
+  if (duration) {
+    const amount = /^an?$/i.test(duration[1]) ? 1 : Number(duration[1]);
+    deadline = current.add(amount, DURATION_UNITS[duration[2].toLowerCase()]).second(0).millisecond(0);
+  } else {
+    const day = consumeDay(state, today);
+    const time = consumeTime(state);
+
+    if (day || time) {
+      const { hour, minute } = time || END_OF_DAY;
+      deadline = (day || today).hour(hour).minute(minute);
+      if (!day && deadline.isBefore(current)) {
+        deadline = deadline.add(1, 'day');
+      }
+    }
+  }
+
+  return {
+    title: state.text.replace(/\s+/g, ' ').trim(),
+    deadline: deadline ? deadline.utc().toISOString() : null,
+    priority,
+    tags,
+  };
+}
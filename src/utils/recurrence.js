@@ -0,0 +1,188 @@
+/**
+ * Recurrence rule utilities
+ * RRULE-style repeat rules: frequency, interval, weekdays, and an end date or count
+ *
+ * Rule shape:
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly' | 'yearly',
+ *   interval: number,          // every N frequency units (>= 1)
+ *   weekdays: number[],        // weekly only, 0=Sunday ... 6=Saturday (empty = same weekday)
+ *   until: string | null,      // UTC ISO 8601, last allowed deadline
+ *   count: number | null       // total number of occurrences
+ * }
+ *
+ * Occurrences are counted from a series anchor { deadline, occurrence }
+ * (kept on the task as recurrenceAnchor) rather than stepped one after
+ * another, so a monthly task due on the 31st clamps to the 30th or 28th in
+ * shorter months and comes back to the 31st afterwards.
+ */
+
+import { addLocalTime, getLocalWeekday, getLocalWeeksBetween, formatAbsoluteTime } from './datetime';
+
+/**
+ * Recurrence frequency constants
+ */
+export const RECURRENCE_FREQUENCIES = {
+  DAILY: 'daily',
+  WEEKLY: 'weekly',
+  MONTHLY: 'monthly',
+  YEARLY: 'yearly',
+};
+
+/**
+ * Short weekday labels indexed by day of week (0=Sunday)
+ */
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const FREQUENCY_UNITS = {
+  [RECURRENCE_FREQUENCIES.DAILY]: 'day',
+  [RECURRENCE_FREQUENCIES.WEEKLY]: 'week',
+  [RECURRENCE_FREQUENCIES.MONTHLY]: 'month',
+  [RECURRENCE_FREQUENCIES.YEARLY]: 'year',
+};
+
+/**
+ * Find the next selected weekday, skipping weeks outside the interval
+ * @param {string} deadline - Current UTC deadline
+ * @param {object} rule - Weekly recurrence rule with weekdays
+ * @returns {string} Next UTC deadline
+ */
+function getNextWeekdayOccurrence(deadline, rule) {
+  // Worst case: last selected day of this week to first of the next matching week
+  const maxDays = 7 * rule.interval + 7;
+
+  for (let offset = 1; offset <= maxDays; offset++) {
+    const candidate = addLocalTime(deadline, offset, 'day');
+    const weeksApart = getLocalWeeksBetween(deadline, candidate);
+
+    if (weeksApart % rule.interval === 0 && rule.weekdays.includes(getLocalWeekday(candidate))) {
+      return candidate;
+    }
+  }
+
+  return addLocalTime(deadline, rule.interval, 'week');
+}
+
+/**
+ * Get the anchor a series is counted from
+ * The stored anchor is used while the deadline still lies on its series;
+ * once the deadline is moved by hand, the series restarts from it
+ * @param {string} deadline - Current UTC deadline
+ * @param {object} rule - Recurrence rule
+ * @param {number} [occurrence] - 1-based index of the current occurrence
+ * @param {object|null} [anchor] - Stored anchor { deadline, occurrence }
+ * @returns {object} Anchor { deadline, occurrence }
+ */
+export function getSeriesAnchor(deadline, rule, occurrence = 1, anchor = null) {
+  const current = { deadline, occurrence };
+  const unit = FREQUENCY_UNITS[rule?.frequency];
+
+  if (
+    !unit ||
+    !anchor ||
+    typeof anchor.deadline !== 'string' ||
+    isNaN(new Date(anchor.deadline).getTime()) ||
+    !Number.isInteger(anchor.occurrence) ||
+    anchor.occurrence < 1 ||
+    anchor.occurrence > occurrence
+  ) {
+    return current;
+  }
+
+  const steps = (occurrence - anchor.occurrence) * (rule.interval || 1);
+  const onSeries = new Date(addLocalTime(anchor.deadline, steps, unit)).getTime() === new Date(deadline).getTime();
+  return onSeries ? { deadline: anchor.deadline, occurrence: anchor.occurrence } : current;
+}
+
+/**
+ * Compute the deadline of the occurrence after the given one
+ * Month-end dates clamp to the last day of shorter months, counted from the
+ * series anchor so the day of month never drifts
+ * @param {string} deadline - Current UTC deadline
+ * @param {object} rule - Recurrence rule
+ * @param {number} [occurrence] - 1-based index of the current occurrence (for count)
+ * @param {object|null} [anchor] - Series anchor { deadline, occurrence } (see getSeriesAnchor)
+ * @returns {string|null} Next UTC deadline, or null when the rule has ended
+ */
+export function getNextOccurrence(deadline, rule, occurrence = 1, anchor = null) {
+  if (!rule || !FREQUENCY_UNITS[rule.frequency]) {
+    return null;
+  }
+
+  if (rule.count && occurrence >= rule.count) {
+    return null;
+  }
+
+  const interval = rule.interval || 1;
+  const hasWeekdays =
+    rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY &&
+    Array.isArray(rule.weekdays) &&
+    rule.weekdays.length > 0;
+
+  let next;
+  if (hasWeekdays) {
+    next = getNextWeekdayOccurrence(deadline, { ...rule, interval });
+  } else {
+    const start = getSeriesAnchor(deadline, rule, occurrence, anchor);
+    next = addLocalTime(start.deadline, (occurrence + 1 - start.occurrence) * interval, FREQUENCY_UNITS[rule.frequency]);
+  }
+
+  if (rule.until && new Date(next).getTime() > new Date(rule.until).getTime()) {
+    return null;
+  }
+
+  return next;
+}
+
+/**
+ * List the next few occurrences after the given deadline
+ * @param {string} deadline - Current UTC deadline
+ * @param {object} rule - Recurrence rule
+ * @param {number} [limit] - Maximum number of occurrences (default: 3)
+ * @param {number} [occurrence] - 1-based index of the current occurrence
+ * @param {object|null} [anchor] - Series anchor { deadline, occurrence }
+ * @returns {Array<string>} UTC deadlines in chronological order
+ */
+export function getUpcomingOccurrences(deadline, rule, limit = 3, occurrence = 1, anchor = null) {
+  const occurrences = [];
+  const start = getSeriesAnchor(deadline, rule, occurrence, anchor);
+  let current = deadline;
+  let index = occurrence;
+
+  while (occurrences.length < limit) {
+    current = getNextOccurrence(current, rule, index, start);
+    if (!current) break;
+    occurrences.push(current);
+    index++;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Describe a recurrence rule in plain words
+ * @param {object} rule - Recurrence rule
+ * @returns {string} e.g. "Every 2 weeks on Mon, Wed, 5 times"
+ */
+export function describeRecurrence(rule) {
+  if (!rule || !FREQUENCY_UNITS[rule.frequency]) {
+    return '';
+  }
+
+  const interval = rule.interval || 1;
+  const unit = FREQUENCY_UNITS[rule.frequency];
+  let text = interval === 1 ? `Every ${unit}` : `Every ${interval} ${unit}s`;
+
+  if (rule.frequency === RECURRENCE_FREQUENCIES.WEEKLY && rule.weekdays?.length > 0) {
+    const days = [...rule.weekdays].sort((a, b) => a - b).map(day => WEEKDAY_LABELS[day]);
+    text += ` on ${days.join(', ')}`;
+  }
+
+  if (rule.until) {
+    text += `, until ${formatAbsoluteTime(rule.until, 'MMM D, YYYY')}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+
+  return text;
+}
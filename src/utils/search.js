@@ -0,0 +1,171 @@
+/**
+ * Search utilities
+ * Full-text task search over title, description and tags
+ *
+ * Matching ignores case and diacritics ("cafe" finds "Café"). A query of
+ * several words is an AND query: every word must appear somewhere in the task.
+ */
+
+/**
+ * Fold text for comparison: lowercase and strip diacritics
+ * @param {string} text - Text to fold
+ * @returns {string} e.g. "Café Müller" -> "cafe muller"
+ */
+export function foldText(text) {
+  if (typeof text !== 'string') {
+    return '';
+  }
+
+  return text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+}
+
+/**
+ * Split a search query into folded, unique terms
+ * @param {string} query - e.g. "Invoice  vendor"
+ * @returns {Array<string>} e.g. ['invoice', 'vendor'] (empty = no search)
+ */
+export function parseSearchQuery(query) {
+  const terms = foldText(query).split(/\s+/).filter(Boolean);
+  return [...new Set(terms)];
+}
+
+/**
+ * Build the folded text a task is searched in
+ * @param {object} task - Task object
+ * @returns {string}
+ */
+function getSearchableText(task) {
+  return foldText([task.title, task.description, ...(task.tags || [])].join('\n'));
+}
+
+/**
+ * Check whether a task contains every search term
+ * @param {object} task - Task object
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @returns {boolean}
+ */
+export function matchesSearch(task, terms) {
+  if (terms.length === 0) {
+    return true;
+  }
+
+  const text = getSearchableText(task);
+  return terms.every(term => text.includes(term));
+}
+
+/**
+ * Keep only tasks matching a search query
+ * @param {Array} tasks - Array of task objects
+ * @param {string} query - Raw search query (empty = no filter)
+ * @returns {Array} Matching tasks (same order)
+ */
+export function searchTasks(tasks, query) {
+  const terms = parseSearchQuery(query);
+  if (terms.length === 0) {
+    return tasks;
+  }
+
+  return tasks.filter(task => matchesSearch(task, terms));
+}
+
+/**
+ * Find where search terms occur in a piece of text
+ * Folding can change string length, so matches are found in the folded
+ * text and mapped back to positions in the original.
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @returns {Array<{ start: number, end: number }>} Sorted, non-overlapping ranges
+ */
+export function findMatchRanges(text, terms) {
+  if (!text || terms.length === 0) {
+    return [];
+  }
+
+  // folded[i] came from the original character starting at origin[i]
+  let folded = '';
+  const origin = [];
+  let offset = 0;
+  for (const char of text) {
+    const foldedChar = foldText(char);
+    folded += foldedChar;
+    for (let i = 0; i < foldedChar.length; i++) {
+      origin.push(offset);
+    }
+    offset += char.length;
+  }
+  origin.push(text.length);
+
+  const ranges = [];
+  terms.forEach(term => {
+    let index = folded.indexOf(term);
+    while (index !== -1) {
+      const lastIndex = index + term.length - 1;
+      // End just after the original character the last folded char came from
+      const lastOrigin = origin[lastIndex];
+      const nextOrigin = origin.find((position, i) => i > lastIndex && position > lastOrigin) ?? text.length;
+      ranges.push({ start: origin[index], end: nextOrigin });
+      index = folded.indexOf(term, index + 1);
+    }
+  });
+
+  // Merge overlapping ranges
+  ranges.sort((a, b) => a.start - b.start);
+  return ranges.reduce((merged, range) => {
+    const last = merged[merged.length - 1];
+    if (last && range.start <= last.end) {
+      last.end = Math.max(last.end, range.end);
+    } else {
+      merged.push({ ...range });
+    }
+    return merged;
+  }, []);
+}
+
+/**
+ * Split text into highlighted and plain segments
+ * @param {string} text - Original text
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @returns {Array<{ text: string, match: boolean }>}
+ */
+export function splitHighlights(text, terms) {
+  const ranges = findMatchRanges(text, terms);
+  if (ranges.length === 0) {
+    return text ? [{ text, match: false }] : [];
+  }
+
+  const segments = [];
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    if (start > position) {
+      segments.push({ text: text.slice(position, start), match: false });
+    }
+    segments.push({ text: text.slice(start, end), match: true });
+    position = end;
+  });
+  if (position < text.length) {
+    segments.push({ text: text.slice(position), match: false });
+  }
+
+  return segments;
+}
+
+/**
+ * Cut a short excerpt around the first match, for showing why a task matched
+ * @param {string} text - Original text (e.g. a description)
+ * @param {Array<string>} terms - Terms from parseSearchQuery
+ * @param {number} [radius] - Characters kept on each side of the match (default: 30)
+ * @returns {string} Excerpt with '…' where text was cut, or '' when nothing matches
+ */
+export function getMatchExcerpt(text, terms, radius = 30) {
+  const [first] = findMatchRanges(text, terms);
+  if (!first) {
+    return '';
+  }
+
+  const start = Math.max(0, first.start - radius);
+  const end = Math.min(text.length, first.end + radius);
+  return `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+}
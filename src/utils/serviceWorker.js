@@ -0,0 +1,87 @@
+/**
+ * Service worker utilities
+ * Registers the offline worker (see src/sw.js) and hands over to new versions
+ */
+
+/**
+ * How often an open tab checks for a new version (1 hour)
+ */
+export const UPDATE_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Check if service workers are supported in this browser
+ * @returns {boolean}
+ */
+export function isServiceWorkerSupported() {
+  return typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+}
+
+/**
+ * Register the service worker and watch for new versions
+ *
+ * A worker that finishes installing while another one controls the page is
+ * a new version: it waits until applyUpdate() is called. The very first
+ * install has no controller and is not reported.
+ *
+ * @param {object} options
+ * @param {function} options.onUpdateReady - Called with the waiting ServiceWorker
+ * @param {string} [options.url] - Worker script URL (default: sw.js under the app base)
+ * @returns {Promise<function>} Stop function (stops watching; the worker stays registered)
+ */
+export async function registerServiceWorker({ onUpdateReady, url = `${import.meta.env.BASE_URL}sw.js` }) {
+  if (!isServiceWorkerSupported()) {
+    return () => {};
+  }
+
+  const container = navigator.serviceWorker;
+  let registration;
+  try {
+    registration = await container.register(url);
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return () => {};
+  }
+
+  const reportIfWaiting = () => {
+    if (registration.waiting && container.controller) {
+      onUpdateReady(registration.waiting);
+    }
+  };
+
+  const handleUpdateFound = () => {
+    const worker = registration.installing;
+    if (!worker) return;
+    worker.addEventListener('statechange', () => {
+      if (worker.state === 'installed') {
+        reportIfWaiting();
+      }
+    });
+  };
+
+  reportIfWaiting();
+  registration.addEventListener('updatefound', handleUpdateFound);
+
+  const intervalId = setInterval(() => {
+    registration.update().catch(() => {
+      // Offline: try again next interval
+    });
+  }, UPDATE_CHECK_INTERVAL_MS);
+
+  return () => {
+    clearInterval(intervalId);
+    registration.removeEventListener('updatefound', handleUpdateFound);
+  };
+}
+
+/**
+ * Activate a waiting worker and reload once it takes control
+ * @param {ServiceWorker} worker - Waiting worker from onUpdateReady
+ */
+export function applyUpdate(worker) {
+  if (isServiceWorkerSupported()) {
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      window.location.reload();
+    }, { once: true });
+  }
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,83 @@
+/**
+ * Snooze utilities
+ * Start ("do") dates that keep a task out of the default view until then (pure functions)
+ *
+ * A task's startDate is a UTC ISO string, or null when it is visible right away.
+ * Before its start date a task is "snoozed": hidden unless "Show snoozed" is on.
+ */
+
+import dayjs from 'dayjs';
+
+/**
+ * Local time of day the snooze presets wake tasks at
+ */
+export const SNOOZE_WAKE_HOUR = 9;
+
+/**
+ * Longest delay a browser timer accepts (about 24.8 days)
+ */
+export const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+/**
+ * Check whether a task is waiting for its start date
+ * @param {object} task - Task object
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function isSnoozed(task, now) {
+  return !!task.startDate && new Date(task.startDate).getTime() > now;
+}
+
+/**
+ * Drop tasks that are waiting for their start date
+ * @param {Array} tasks - Task objects
+ * @param {number} now - Current time in ms
+ * @returns {Array} Tasks that have started (order kept)
+ */
+export function hideSnoozedTasks(tasks, now) {
+  return tasks.filter(task => !isSnoozed(task, now));
+}
+
+/**
+ * Find when the next snoozed task wakes up
+ * @param {Array} tasks - Task objects
+ * @param {number} now - Current time in ms
+ * @returns {number|null} Earliest future start date in ms, or null when nothing is snoozed
+ */
+export function getNextWakeTime(tasks, now) {
+  const wakeTimes = tasks
+    .filter(task => isSnoozed(task, now))
+    .map(task => new Date(task.startDate).getTime());
+
+  return wakeTimes.length > 0 ? Math.min(...wakeTimes) : null;
+}
+
+/**
+ * Quick snooze choices
+ * "Tomorrow" is 9 AM local tomorrow; "Next Monday" is 9 AM on the coming
+ * Monday (a week out when today is Monday)
+ * @param {number} now - Current time in ms
+ * @returns {Array<object>} { id, label, startDate } with startDate as UTC ISO string
+ */
+export function getSnoozePresets(now) {
+  const today = dayjs(now).startOf('day').hour(SNOOZE_WAKE_HOUR);
+  const daysToMonday = (8 - today.day()) % 7 || 7;
+
+  return [
+    { id: 'tomorrow', label: 'Tomorrow, 9 AM', startDate: today.add(1, 'day').toISOString() },
+    { id: 'next-monday', label: 'Next Monday, 9 AM', startDate: today.add(daysToMonday, 'day').toISOString() }
+  ];
+}
+
+/**
+ * Check that a task can be snoozed until a time
+ * It has to wake up in the future and before its deadline
+ * @param {object} task - Task object
+ * @param {string} startDate - UTC ISO string
+ * @param {number} now - Current time in ms
+ * @returns {boolean}
+ */
+export function canSnoozeUntil(task, startDate, now) {
+  const start = new Date(startDate).getTime();
+  return start > now && start < new Date(task.deadline).getTime();
+}
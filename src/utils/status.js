@@ -0,0 +1,133 @@
+/**
+ * Workflow status utilities
+ * Board columns and the status each task is in (pure functions)
+ *
+ * A task's status is the id of a board column, e.g. "in-progress".
+ * Columns are user-defined (stored in preferences); a task whose column was
+ * removed is shown in the first column until it is moved.
+ * Status is separate from completion: "Complete" still archives a task.
+ */
+
+/**
+ * Status given to new tasks and to tasks migrated from before statuses existed
+ */
+export const DEFAULT_STATUS = 'todo';
+
+/**
+ * Default board columns, in display order
+ */
+export const DEFAULT_STATUS_COLUMNS = [
+  { id: 'todo', label: 'To do' },
+  { id: 'in-progress', label: 'In progress' },
+  { id: 'blocked', label: 'Blocked' },
+  { id: 'done', label: 'Done' },
+];
+
+/**
+ * Maximum number of board columns
+ */
+export const MAX_STATUS_COLUMNS = 8;
+
+/**
+ * Maximum length of a column label
+ */
+export const MAX_STATUS_LABEL_LENGTH = 30;
+
+/**
+ * Allowed status id format: lowercase letters/digits, then letters, digits or dashes
+ */
+export const STATUS_ID_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+/**
+ * Validate board columns
+ * @param {Array} columns - Array<{ id, label }>
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateStatusColumns(columns) {
+  if (!Array.isArray(columns) || columns.length === 0) {
+    return { valid: false, error: 'The board needs at least one column' };
+  }
+
+  if (columns.length > MAX_STATUS_COLUMNS) {
+    return { valid: false, error: `Use at most ${MAX_STATUS_COLUMNS} columns` };
+  }
+
+  for (const column of columns) {
+    if (!column || typeof column.id !== 'string' || !STATUS_ID_PATTERN.test(column.id)) {
+      return { valid: false, error: 'Each column needs an id of lowercase letters, digits and dashes' };
+    }
+
+    if (typeof column.label !== 'string' || !column.label.trim() || column.label.length > MAX_STATUS_LABEL_LENGTH) {
+      return { valid: false, error: `Each column needs a name of at most ${MAX_STATUS_LABEL_LENGTH} characters` };
+    }
+  }
+
+  if (new Set(columns.map(column => column.id)).size !== columns.length) {
+    return { valid: false, error: 'Column ids must be unique' };
+  }
+
+  if (new Set(columns.map(column => column.label.trim().toLowerCase())).size !== columns.length) {
+    return { valid: false, error: 'Column names must be unique' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Make a status id for a new column from its name
+ * @param {string} label - Column name, e.g. "In review"
+ * @param {Array} columns - Existing columns (ids to avoid)
+ * @returns {string} e.g. "in-review", or "in-review-2" when taken
+ */
+export function createStatusId(label, columns) {
+  const base = (label || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'column';
+
+  const usedIds = new Set(columns.map(column => column.id));
+  let id = base;
+  for (let n = 2; usedIds.has(id); n++) {
+    id = `${base}-${n}`;
+  }
+  return id;
+}
+
+/**
+ * Get the column a task is shown in
+ * @param {object} task - Task object
+ * @param {Array} columns - Board columns
+ * @returns {string} Status id of one of the columns
+ */
+export function getTaskStatus(task, columns) {
+  return columns.some(column => column.id === task.status) ? task.status : columns[0].id;
+}
+
+/**
+ * Get the name of a status
+ * @param {string} status - Status id
+ * @param {Array} columns - Board columns
+ * @returns {string} Column name, or the first column's name for unknown statuses
+ */
+export function getStatusLabel(status, columns) {
+  const column = columns.find(c => c.id === status) || columns[0];
+  return column.label;
+}
+
+/**
+ * Group tasks into board columns
+ * Tasks keep their order within a column (sort them first)
+ * @param {Array} tasks - Task objects
+ * @param {Array} columns - Board columns
+ * @returns {Array<object>} Every column in display order: { id, label, tasks }
+ */
+export function groupTasksByStatus(tasks, columns) {
+  const byStatus = new Map(columns.map(column => [column.id, []]));
+
+  tasks.forEach(task => {
+    byStatus.get(getTaskStatus(task, columns)).push(task);
+  });
+
+  return columns.map(column => ({ ...column, tasks: byStatus.get(column.id) }));
+}
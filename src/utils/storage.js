@@ -1,36 +1,146 @@
 /**
- * localStorage utility module
- * Handles all localStorage operations with error handling and backup
+ * Storage utility module
+ * Handles all storage operations with error handling and backup
+ * Reads and writes go through a pluggable adapter (see storageAdapters.js):
+ * localStorage by default, IndexedDB once initStorage() succeeds
  */
 
+import { createLocalStorageAdapter, openIndexedDBAdapter } from './storageAdapters';
+
 const STORAGE_KEYS = {
   TASKS: 'NINAD_TASKS_V1',
   PREFS: 'NINAD_PREFS_V1',
   BACKUP: 'NINAD_TASKS_BACKUP_V1',
+  ARCHIVE: 'NINAD_ARCHIVE_V1',
+  MIGRATED: 'NINAD_STORAGE_MIGRATED',
+  NOTIFIED: 'NINAD_NOTIFIED_V1',
 };
 
 /**
- * Get data from localStorage
+ * Active storage adapter
+ */
+let adapter = createLocalStorageAdapter();
+
+/**
+ * Callbacks notified after every successful saveToStorage/removeFromStorage
+ */
+const writeListeners = new Set();
+
+/**
+ * Subscribe to successful writes (used for cross-tab sync)
+ * @param {function} listener - Called with (key, previousSerialized, nextSerialized)
+ * @returns {function} Unsubscribe function
+ */
+export function subscribeToWrites(listener) {
+  writeListeners.add(listener);
+  return () => writeListeners.delete(listener);
+}
+
+/**
+ * Notify write listeners; a failing listener never fails the write
+ * @param {string} key - Storage key
+ * @param {string|null} previous - Serialized value before the write
+ * @param {string|null} next - Serialized value after the write (null when removed)
+ */
+function notifyWrite(key, previous, next) {
+  writeListeners.forEach(listener => {
+    try {
+      listener(key, previous, next);
+    } catch (error) {
+      console.error('Error in storage write listener:', error);
+    }
+  });
+}
+
+/**
+ * Get the active storage adapter
+ * @returns {object} Storage adapter
+ */
+export function getStorageAdapter() {
+  return adapter;
+}
+
+/**
+ * Replace the active storage adapter (e.g. an in-memory adapter in tests)
+ * @param {object} nextAdapter - Storage adapter
+ */
+export function setStorageAdapter(nextAdapter) {
+  adapter = nextAdapter;
+}
+
+/**
+ * Copy existing NearZero data from one adapter to another, once
+ * The source is left untouched; a flag in the target prevents re-copying
+ * Values the target rejects (e.g. corrupted task lists) go to the backup key
+ * @param {object} source - Adapter to copy from
+ * @param {object} target - Adapter to copy into
+ * @returns {boolean} True if a migration ran
+ */
+export function migrateStorage(source, target) {
+  if (target.getItem(STORAGE_KEYS.MIGRATED) !== null) {
+    return false;
+  }
+
+  try {
+    source.keys()
+      .filter(key => key.startsWith('NINAD_') && key !== STORAGE_KEYS.MIGRATED)
+      .forEach(key => {
+        const value = source.getItem(key);
+        try {
+          target.setItem(key, value);
+        } catch (error) {
+          console.error(`Error migrating ${key}, moved to backup:`, error);
+          target.setItem(STORAGE_KEYS.BACKUP, value);
+        }
+      });
+  } catch (error) {
+    console.error('Error reading data to migrate:', error);
+  }
+
+  target.setItem(STORAGE_KEYS.MIGRATED, JSON.stringify(new Date().toISOString()));
+  return true;
+}
+
+/**
+ * Switch to IndexedDB storage, migrating existing localStorage data
+ * Falls back to localStorage when IndexedDB cannot be opened
+ * Call (and await) once before rendering the app
+ * @param {object} [options] - Passed to openIndexedDBAdapter
+ * @returns {Promise<object>} The active storage adapter
+ */
+export async function initStorage(options) {
+  try {
+    const idbAdapter = await openIndexedDBAdapter(options);
+    migrateStorage(createLocalStorageAdapter(), idbAdapter);
+    adapter = idbAdapter;
+  } catch (error) {
+    console.warn('IndexedDB unavailable, using localStorage:', error);
+  }
+  return adapter;
+}
+
+/**
+ * Get data from storage
  * @param {string} key - Storage key
  * @param {*} defaultValue - Default value if key doesn't exist or parse fails
  * @returns {*} Parsed data or defaultValue
  */
 export function getFromStorage(key, defaultValue = null) {
   try {
-    const item = window.localStorage.getItem(key);
+    const item = adapter.getItem(key);
     if (item === null) {
       return defaultValue;
     }
     return JSON.parse(item);
   } catch (error) {
-    console.error(`Error reading from localStorage (${key}):`, error);
+    console.error(`Error reading from storage (${key}):`, error);
 
     // If parsing tasks fails, backup corrupted data
     if (key === STORAGE_KEYS.TASKS) {
       try {
-        const corruptedData = window.localStorage.getItem(key);
+        const corruptedData = adapter.getItem(key);
         if (corruptedData) {
-          window.localStorage.setItem(STORAGE_KEYS.BACKUP, corruptedData);
+          adapter.setItem(STORAGE_KEYS.BACKUP, corruptedData);
           console.log('Backed up corrupted data to', STORAGE_KEYS.BACKUP);
         }
       } catch (backupError) {
@@ -43,7 +153,7 @@ export function getFromStorage(key, defaultValue = null) {
 }
 
 /**
- * Save data to localStorage
+ * Save data to storage
  * @param {string} key - Storage key
  * @param {*} value - Value to store (will be JSON stringified)
  * @returns {boolean} Success status
@@ -51,38 +161,42 @@ export function getFromStorage(key, defaultValue = null) {
 export function saveToStorage(key, value) {
   try {
     const serialized = JSON.stringify(value);
-    window.localStorage.setItem(key, serialized);
+    const previous = writeListeners.size > 0 ? adapter.getItem(key) : null;
+    adapter.setItem(key, serialized);
+    notifyWrite(key, previous, serialized);
     return true;
   } catch (error) {
-    console.error(`Error writing to localStorage (${key}):`, error);
+    console.error(`Error writing to storage (${key}):`, error);
     return false;
   }
 }
 
 /**
- * Remove data from localStorage
+ * Remove data from storage
  * @param {string} key - Storage key
  * @returns {boolean} Success status
  */
 export function removeFromStorage(key) {
   try {
-    window.localStorage.removeItem(key);
+    const previous = writeListeners.size > 0 ? adapter.getItem(key) : null;
+    adapter.removeItem(key);
+    notifyWrite(key, previous, null);
     return true;
   } catch (error) {
-    console.error(`Error removing from localStorage (${key}):`, error);
+    console.error(`Error removing from storage (${key}):`, error);
     return false;
   }
 }
 
 /**
- * Check if localStorage is available
+ * Check if the active storage can be written
  * @returns {boolean} Availability status
  */
 export function isStorageAvailable() {
   try {
     const test = '__storage_test__';
-    window.localStorage.setItem(test, test);
-    window.localStorage.removeItem(test);
+    adapter.setItem(test, test);
+    adapter.removeItem(test);
     return true;
   } catch {
     return false;
@@ -0,0 +1,302 @@
+/**
+ * Storage adapters
+ * Pluggable backends behind storage.js, all exposing the same synchronous
+ * Storage-like interface so callers never care where data lives:
+ *
+ * {
+ *   name: string,
+ *   getItem(key): string | null,
+ *   setItem(key, value: string): void,   // throws on failure
+ *   removeItem(key): void,
+ *   keys(): string[]
+ * }
+ */
+
+/**
+ * IndexedDB database name and version
+ */
+export const IDB_NAME = 'NINAD_DB';
+const IDB_VERSION = 1;
+
+/**
+ * Object store for plain key/value entries (preferences, flags, backups)
+ */
+const KV_STORE = 'kv';
+
+/**
+ * Storage keys kept as one IndexedDB record per task instead of one big value
+ */
+const RECORD_STORES = {
+  NINAD_TASKS_V1: 'tasks',
+  NINAD_ARCHIVE_V1: 'archive',
+};
+
+/**
+ * Create an adapter backed by window.localStorage
+ * window.localStorage is looked up on every call so it can be swapped in tests
+ * @returns {object} Storage adapter
+ */
+export function createLocalStorageAdapter() {
+  return {
+    name: 'localStorage',
+    getItem: (key) => window.localStorage.getItem(key),
+    setItem: (key, value) => window.localStorage.setItem(key, value),
+    removeItem: (key) => window.localStorage.removeItem(key),
+    keys: () => Object.keys(window.localStorage),
+  };
+}
+
+/**
+ * Create an adapter that only keeps data in memory
+ * Used by tests; nothing survives a reload
+ * @param {object} [initial] - Initial key/value strings
+ * @returns {object} Storage adapter
+ */
+export function createMemoryAdapter(initial = {}) {
+  const data = new Map(Object.entries(initial));
+
+  return {
+    name: 'memory',
+    getItem: (key) => (data.has(key) ? data.get(key) : null),
+    setItem: (key, value) => {
+      data.set(key, String(value));
+    },
+    removeItem: (key) => {
+      data.delete(key);
+    },
+    keys: () => [...data.keys()],
+  };
+}
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>} Request result
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open (and create or upgrade) the NearZero database
+ * @param {IDBFactory} idb - IndexedDB factory
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDatabase(idb, dbName) {
+  const request = idb.open(dbName, IDB_VERSION);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    if (!db.objectStoreNames.contains(KV_STORE)) {
+      db.createObjectStore(KV_STORE);
+    }
+    Object.values(RECORD_STORES).forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, { keyPath: 'id' });
+      }
+    });
+  };
+
+  return promisifyRequest(request);
+}
+
+/**
+ * Read every entry from the database into a cache
+ * Task records have no stored order, so they are loaded oldest first
+ * @param {IDBDatabase} db
+ * @returns {Promise<Map>} key -> serialized value
+ */
+async function loadCache(db) {
+  const storeNames = [KV_STORE, ...Object.values(RECORD_STORES)];
+  const tx = db.transaction(storeNames, 'readonly');
+  const cache = new Map();
+
+  const kvStore = tx.objectStore(KV_STORE);
+  const [kvKeys, kvValues] = await Promise.all([
+    promisifyRequest(kvStore.getAllKeys()),
+    promisifyRequest(kvStore.getAll()),
+  ]);
+  kvKeys.forEach((key, index) => cache.set(key, kvValues[index]));
+
+  for (const [key, storeName] of Object.entries(RECORD_STORES)) {
+    const records = await promisifyRequest(tx.objectStore(storeName).getAll());
+    if (records.length > 0) {
+      records.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+      cache.set(key, JSON.stringify(records));
+    }
+  }
+
+  return cache;
+}
+
+/**
+ * Open an adapter backed by IndexedDB
+ *
+ * All data is loaded into memory once, so reads stay synchronous.
+ * Writes update that cache immediately and are persisted in the
+ * background; task lists are diffed so only changed tasks are written.
+ *
+ * A background write that fails marks the adapter unhealthy: the next
+ * setItem throws (so saveToStorage reports the failure) and the key that
+ * failed is written in full on its next save. The connection is reopened
+ * when the browser closes it or another tab needs to upgrade the database.
+ *
+ * @param {object} [options]
+ * @param {IDBFactory} [options.indexedDB] - Factory to use (default: window.indexedDB)
+ * @param {string} [options.dbName] - Database name (default: IDB_NAME)
+ * @returns {Promise<object>} Storage adapter with an extra flush() method
+ */
+export async function openIndexedDBAdapter({ indexedDB = window.indexedDB, dbName = IDB_NAME } = {}) {
+  if (!indexedDB) {
+    throw new Error('IndexedDB is not available');
+  }
+
+  let db = null;
+  let pending = Promise.resolve();
+  let failure = null; // Last background write error, until reported by setItem
+  const dirtyKeys = new Set(); // Keys whose last write failed
+
+  /**
+   * Use a connection, dropping it once it closes
+   * @param {IDBDatabase} database
+   */
+  const attach = (database) => {
+    const release = () => {
+      if (db === database) db = null;
+    };
+    database.onclose = release;
+    database.onversionchange = () => {
+      database.close();
+      release();
+    };
+    db = database;
+  };
+
+  /**
+   * Get the open connection, reopening it if it was closed
+   * @returns {Promise<IDBDatabase>}
+   */
+  const getDatabase = async () => {
+    if (!db) {
+      attach(await openDatabase(indexedDB, dbName));
+    }
+    return db;
+  };
+
+  attach(await openDatabase(indexedDB, dbName));
+  const cache = await loadCache(db);
+
+  /**
+   * Queue a write transaction
+   * Failures are logged and kept for the next setItem; the queue keeps going
+   * @param {string} key - Storage key being written
+   * @param {string[]} storeNames - Stores touched by the write
+   * @param {function} write - Receives the transaction
+   */
+  const enqueue = (key, storeNames, write) => {
+    pending = pending
+      .then(getDatabase)
+      .then((database) => new Promise((resolve, reject) => {
+        try {
+          const tx = database.transaction(storeNames, 'readwrite');
+          const fail = () => reject(tx.error || new Error('IndexedDB transaction was aborted'));
+          tx.oncomplete = () => resolve();
+          tx.onerror = fail;
+          tx.onabort = fail;
+          write(tx);
+        } catch (error) {
+          reject(error);
+        }
+      }))
+      .catch((error) => {
+        console.error('Error writing to IndexedDB:', error);
+        failure = error;
+        dirtyKeys.add(key);
+      });
+  };
+
+  /**
+   * Write only the tasks that changed between two serialized lists
+   * Without a previous list the store is cleared and rewritten
+   * @param {string} key - Storage key
+   * @param {string} storeName - Record store
+   * @param {string|null} previous - Previous serialized list
+   * @param {Array} nextRecords - New list
+   */
+  const writeRecords = (key, storeName, previous, nextRecords) => {
+    const previousById = new Map();
+    if (previous) {
+      JSON.parse(previous).forEach(record => previousById.set(record.id, JSON.stringify(record)));
+    }
+    const nextIds = new Set(nextRecords.map(record => record.id));
+
+    enqueue(key, [storeName], (tx) => {
+      const store = tx.objectStore(storeName);
+      if (!previous) {
+        store.clear();
+      }
+      nextRecords.forEach(record => {
+        if (previousById.get(record.id) !== JSON.stringify(record)) {
+          store.put(record);
+        }
+      });
+      previousById.forEach((_, id) => {
+        if (!nextIds.has(id)) {
+          store.delete(id);
+        }
+      });
+    });
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      if (failure) {
+        const error = failure;
+        failure = null;
+        throw error;
+      }
+
+      const serialized = String(value);
+      const storeName = RECORD_STORES[key];
+
+      if (storeName) {
+        const records = JSON.parse(serialized);
+        if (!Array.isArray(records) || records.some(record => !record || !record.id)) {
+          throw new Error(`${key} must be an array of records with ids`);
+        }
+        // After a failed write the stored records are unknown: rewrite them all
+        const previous = dirtyKeys.has(key) ? null : cache.get(key) ?? null;
+        writeRecords(key, storeName, previous, records);
+      } else {
+        enqueue(key, [KV_STORE], (tx) => tx.objectStore(KV_STORE).put(serialized, key));
+      }
+
+      dirtyKeys.delete(key);
+      cache.set(key, serialized);
+    },
+    removeItem: (key) => {
+      const storeName = RECORD_STORES[key];
+      enqueue(key, [storeName || KV_STORE], (tx) => {
+        if (storeName) {
+          tx.objectStore(storeName).clear();
+        } else {
+          tx.objectStore(KV_STORE).delete(key);
+        }
+      });
+      dirtyKeys.delete(key);
+      cache.delete(key);
+    },
+    keys: () => [...cache.keys()],
+    /**
+     * Wait for all queued writes to reach the database
+     * @returns {Promise<void>}
+     */
+    flush: () => pending,
+  };
+}
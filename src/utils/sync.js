@@ -0,0 +1,388 @@
+/**
+ * Cross-tab synchronization
+ * Shares task and preference changes between open tabs
+ *
+ * Every write to a synced key is broadcast as a list of per-record changes
+ * ({ id, before, after }). Other tabs apply those changes on top of their
+ * own data. When a record changed in both tabs, the copy with the newer
+ * lastModified wins and the conflict is reported to the app. A remote task
+ * change that would close a blocked-by cycle is not applied.
+ *
+ * Uses BroadcastChannel where available, otherwise `storage` events
+ * (which only fire for the localStorage adapter).
+ */
+
+import { getFromStorage, saveToStorage, subscribeToWrites, STORAGE_KEYS } from './storage';
+import { findDependencyCycle } from './dependencies';
+
+/**
+ * BroadcastChannel name shared by all NearZero tabs
+ */
+export const SYNC_CHANNEL = 'NINAD_SYNC';
+
+/**
+ * Keys holding task lists (changes are per task id)
+ */
+const RECORD_KEYS = [STORAGE_KEYS.TASKS, STORAGE_KEYS.ARCHIVE];
+
+/**
+ * Keys holding a plain object (changes are per field, last write wins)
+ */
+const FIELD_KEYS = [STORAGE_KEYS.PREFS];
+
+/**
+ * Parse a serialized storage value
+ * @param {string|null} serialized
+ * @param {*} fallback - Value when missing or corrupted
+ * @returns {*}
+ */
+function parseValue(serialized, fallback) {
+  if (serialized === null || serialized === undefined) {
+    return fallback;
+  }
+  try {
+    return JSON.parse(serialized);
+  } catch {
+    return fallback;
+  }
+}
+
+/**
+ * Compare two values by their JSON form
+ * @returns {boolean}
+ */
+function isSame(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+/**
+ * Collect per-task changes between two task lists
+ * @param {Array} previous - List before the write
+ * @param {Array} next - List after the write
+ * @returns {Array} Changes { id, before, after } (null = absent)
+ */
+export function diffRecords(previous, next) {
+  const previousById = new Map(previous.map(record => [record.id, record]));
+  const nextById = new Map(next.map(record => [record.id, record]));
+  const changes = [];
+
+  previousById.forEach((before, id) => {
+    const after = nextById.get(id) || null;
+    if (!isSame(before, after)) {
+      changes.push({ id, before, after });
+    }
+  });
+
+  nextById.forEach((after, id) => {
+    if (!previousById.has(id)) {
+      changes.push({ id, before: null, after });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Collect per-field changes between two objects
+ * @param {object} previous - Object before the write
+ * @param {object} next - Object after the write
+ * @returns {Array} Changes { id: fieldName, before, after }
+ */
+export function diffFields(previous, next) {
+  const fields = new Set([...Object.keys(previous), ...Object.keys(next)]);
+  return [...fields]
+    .filter(field => !isSame(previous[field], next[field]))
+    .map(field => ({ id: field, before: previous[field] ?? null, after: next[field] ?? null }));
+}
+
+/**
+ * Decide which copy of a record survives a concurrent change
+ * Edits beat deletions; otherwise the newer lastModified wins.
+ * Both tabs run this on the same pair, so ties must break the same way
+ * on each side: the larger serialized copy wins.
+ * @param {object|null} local - Local copy (null if deleted here)
+ * @param {object|null} remote - Remote copy (null if deleted there)
+ * @returns {'local' | 'remote'}
+ */
+function pickWinner(local, remote) {
+  if (!local) return 'remote';
+  if (!remote) return 'local';
+
+  const localTime = new Date(local.lastModified).getTime();
+  const remoteTime = new Date(remote.lastModified).getTime();
+  if (localTime !== remoteTime) {
+    return remoteTime > localTime ? 'remote' : 'local';
+  }
+  return JSON.stringify(remote) > JSON.stringify(local) ? 'remote' : 'local';
+}
+
+/**
+ * Apply remote per-task changes to the local task list
+ * @param {Array} local - Local task list
+ * @param {Array} changes - Remote changes { id, before, after }
+ * @returns {object} { records: Array, conflicts: Array<{ id, title, kept: 'local' | 'remote' }> }
+ */
+export function applyRecordChanges(local, changes) {
+  const records = [...local];
+  const conflicts = [];
+
+  changes.forEach(change => {
+    const index = records.findIndex(record => record.id === change.id);
+    const current = index === -1 ? null : records[index];
+
+    // Already applied (e.g. our own write echoed back)
+    if (isSame(current, change.after)) return;
+
+    // Changed in both tabs: resolve by lastModified
+    if (!isSame(current, change.before)) {
+      const kept = pickWinner(current, change.after);
+      conflicts.push({ id: change.id, title: (change.after || current).title, kept });
+      if (kept === 'local') return;
+    }
+
+    const target = change.after;
+
+    if (target && index !== -1) {
+      records[index] = target;
+    } else if (target) {
+      records.push(target);
+    } else if (index !== -1) {
+      records.splice(index, 1);
+    }
+  });
+
+  return { records, conflicts };
+}
+
+/**
+ * Undo applied remote task changes that close a blocked-by cycle
+ * Each such task keeps its local copy and is reported as a conflict
+ * @param {Array} local - Local task list before the changes
+ * @param {Array} records - Task list with the changes applied
+ * @param {Array} changes - Remote changes { id, before, after }
+ * @returns {object} { records: Array, conflicts: Array<{ id, title, kept: 'local', cycle: true }> }
+ */
+function dropCyclicChanges(local, records, changes) {
+  const localById = new Map(local.map(record => [record.id, record]));
+  const conflicts = [];
+  let next = records;
+
+  changes.forEach(change => {
+    const applied = next.find(record => record.id === change.id);
+    if (!change.after || !isSame(applied, change.after)) return;
+    if (!findDependencyCycle(next, change.id)) return;
+
+    const kept = localById.get(change.id);
+    next = kept
+      ? next.map(record => (record.id === change.id ? kept : record))
+      : next.filter(record => record.id !== change.id);
+    conflicts.push({ id: change.id, title: change.after.title, kept: 'local', cycle: true });
+  });
+
+  return { records: next, conflicts };
+}
+
+/**
+ * Apply remote per-field changes to a local object (last write wins)
+ * @param {object} local - Local object
+ * @param {Array} changes - Remote changes { id: fieldName, before, after }
+ * @returns {object} Updated object
+ */
+export function applyFieldChanges(local, changes) {
+  const next = { ...local };
+  changes.forEach(change => {
+    if (change.after === null) {
+      delete next[change.id];
+    } else {
+      next[change.id] = change.after;
+    }
+  });
+  return next;
+}
+
+/**
+ * Build the broadcast message for a local write, or null if nothing to share
+ * @param {string} key - Storage key
+ * @param {string|null} previous - Serialized value before the write
+ * @param {string|null} next - Serialized value after the write
+ * @returns {object|null} { key, changes }
+ */
+export function createSyncMessage(key, previous, next) {
+  let changes = [];
+
+  if (RECORD_KEYS.includes(key)) {
+    changes = diffRecords(parseValue(previous, []), parseValue(next, []));
+  } else if (FIELD_KEYS.includes(key)) {
+    changes = diffFields(parseValue(previous, {}), parseValue(next, {}));
+  }
+
+  return changes.length > 0 ? { key, changes } : null;
+}
+
+/**
+ * Apply a message from another tab to local storage
+ * Writes only when the local data actually changes
+ * @param {object} message - { key, changes }
+ * @returns {object} { changed: boolean, conflicts: Array }
+ */
+export function applySyncMessage(message) {
+  const { key, changes } = message;
+
+  if (RECORD_KEYS.includes(key)) {
+    const local = getFromStorage(key, []);
+    let { records, conflicts } = applyRecordChanges(local, changes);
+
+    // Only active tasks block, so only they can form a cycle
+    if (key === STORAGE_KEYS.TASKS) {
+      const dropped = dropCyclicChanges(local, records, changes);
+      const droppedIds = new Set(dropped.conflicts.map(conflict => conflict.id));
+      records = dropped.records;
+      conflicts = [...conflicts.filter(conflict => !droppedIds.has(conflict.id)), ...dropped.conflicts];
+    }
+
+    const changed = !isSame(local, records);
+    if (changed) {
+      saveToStorage(key, records);
+    }
+    return { changed, conflicts };
+  }
+
+  if (FIELD_KEYS.includes(key)) {
+    const local = getFromStorage(key, {});
+    const next = applyFieldChanges(local, changes);
+    const changed = !isSame(local, next);
+    if (changed) {
+      saveToStorage(key, next);
+    }
+    return { changed, conflicts: [] };
+  }
+
+  return { changed: false, conflicts: [] };
+}
+
+/**
+ * Apply another tab's write reported by a storage event
+ * The write has already landed in the shared storage, so only conflicts
+ * need work: a task the other tab overwrote with an older copy (it had not
+ * seen this tab's edit) is put back when it wins by lastModified, as with
+ * broadcast messages. Deletions are left alone.
+ * @param {string} key - Storage key
+ * @param {string|null} oldValue - Serialized value before the other tab's write
+ * @param {string|null} newValue - Serialized value after it
+ * @returns {object} { changed: boolean, conflicts: Array }
+ */
+export function applyStorageChange(key, oldValue, newValue) {
+  const message = createSyncMessage(key, oldValue, newValue);
+  if (!message) {
+    return { changed: false, conflicts: [] };
+  }
+  if (!RECORD_KEYS.includes(key)) {
+    return { changed: true, conflicts: [] };
+  }
+
+  const overwritten = message.changes.filter(change =>
+    change.before && change.after && pickWinner(change.before, change.after) === 'local'
+  );
+  if (overwritten.length > 0) {
+    const keptById = new Map(overwritten.map(change => [change.id, change.before]));
+    const records = getFromStorage(key, []).map(record => keptById.get(record.id) || record);
+    saveToStorage(key, records);
+  }
+
+  return {
+    changed: true,
+    conflicts: overwritten.map(change => ({ id: change.id, title: change.before.title, kept: 'local' })),
+  };
+}
+
+/**
+ * Describe auto-resolved conflicts for a notification
+ * @param {Array<{ title, kept, cycle }>} conflicts - Conflicts from applySyncMessage
+ * @returns {string} Message, or empty string when there were none
+ */
+export function formatConflictMessage(conflicts) {
+  if (conflicts.length === 0) {
+    return '';
+  }
+  if (conflicts.length === 1) {
+    const [conflict] = conflicts;
+    if (conflict.cycle) {
+      return `A change to "${conflict.title}" from another tab would make tasks block each other - kept the version from this tab`;
+    }
+    const source = conflict.kept === 'local' ? 'this tab' : 'another tab';
+    return `"${conflict.title}" was edited in two tabs - kept the newer version from ${source}`;
+  }
+  return `${conflicts.length} tasks were edited in two tabs - kept the newer version of each`;
+}
+
+/**
+ * Start sharing changes with other tabs
+ * @param {object} options
+ * @param {function} options.onRemoteChange - Called with { key, conflicts } after another tab's change is applied
+ * @param {function} [options.createChannel] - Channel factory (default: BroadcastChannel when available)
+ * @returns {function} Stop function
+ */
+export function startSync({ onRemoteChange, createChannel } = {}) {
+  const channelFactory = createChannel ||
+    (typeof BroadcastChannel !== 'undefined' ? (name) => new BroadcastChannel(name) : null);
+  const channel = channelFactory ? channelFactory(SYNC_CHANNEL) : null;
+
+  // Messages being applied are not re-broadcast
+  let applyingRemote = false;
+
+  /**
+   * Apply a remote change without re-broadcasting it, then notify the app
+   * @param {string} key - Storage key
+   * @param {function} apply - Returns { changed, conflicts }
+   */
+  const applyRemote = (key, apply) => {
+    applyingRemote = true;
+    let result;
+    try {
+      result = apply();
+    } finally {
+      applyingRemote = false;
+    }
+
+    if (result.changed || result.conflicts.length > 0) {
+      onRemoteChange?.({ key, conflicts: result.conflicts });
+    }
+  };
+
+  const handleMessage = (message) => {
+    if (!message || !message.key || !Array.isArray(message.changes)) return;
+    applyRemote(message.key, () => applySyncMessage(message));
+  };
+
+  const unsubscribe = subscribeToWrites((key, previous, next) => {
+    if (applyingRemote || !channel) return;
+    const message = createSyncMessage(key, previous, next);
+    if (message) {
+      channel.postMessage(message);
+    }
+  });
+
+  const handleChannelMessage = (event) => handleMessage(event.data);
+
+  // Fallback: storage events carry the old and new value of a key
+  const handleStorageEvent = (event) => {
+    if (!event.key) return;
+    applyRemote(event.key, () => applyStorageChange(event.key, event.oldValue, event.newValue));
+  };
+
+  if (channel) {
+    channel.addEventListener('message', handleChannelMessage);
+  } else {
+    window.addEventListener('storage', handleStorageEvent);
+  }
+
+  return () => {
+    unsubscribe();
+    if (channel) {
+      channel.removeEventListener('message', handleChannelMessage);
+      channel.close?.();
+    } else {
+      window.removeEventListener('storage', handleStorageEvent);
+    }
+  };
+}
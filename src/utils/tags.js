@@ -0,0 +1,104 @@
+/**
+ * Tag utilities
+ * Normalizing, collecting, suggesting and filtering free-form task tags
+ *
+ * Tags are stored lowercase with dashes instead of spaces, e.g. "client-x"
+ */
+
+/**
+ * Maximum number of tags per task
+ */
+export const MAX_TAGS = 10;
+
+/**
+ * Maximum length of a single tag
+ */
+export const MAX_TAG_LENGTH = 30;
+
+/**
+ * Allowed tag format: letters/digits, then letters, digits, dashes or underscores
+ */
+export const TAG_PATTERN = /^[\p{L}\p{N}][\p{L}\p{N}_-]*$/u;
+
+/**
+ * Normalize raw user input into a tag
+ * Trims, drops a leading '#', lowercases and turns spaces into dashes
+ * @param {string} raw - Raw tag text
+ * @returns {string} Normalized tag ('' when nothing usable remains)
+ */
+export function normalizeTag(raw) {
+  if (typeof raw !== 'string') {
+    return '';
+  }
+
+  return raw
+    .trim()
+    .replace(/^#+/, '')
+    .toLowerCase()
+    .replace(/\s+/g, '-');
+}
+
+/**
+ * Split comma-separated input into normalized, unique tags
+ * @param {string} text - e.g. "Client X, ops"
+ * @returns {Array<string>} e.g. ['client-x', 'ops']
+ */
+export function parseTagInput(text) {
+  const tags = (text || '').split(',').map(normalizeTag).filter(Boolean);
+  return [...new Set(tags)];
+}
+
+/**
+ * Collect every tag used by the given tasks
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array<{ tag: string, count: number }>} Sorted alphabetically
+ */
+export function collectTags(tasks) {
+  const counts = new Map();
+
+  tasks.forEach(task => {
+    (task.tags || []).forEach(tag => {
+      counts.set(tag, (counts.get(tag) || 0) + 1);
+    });
+  });
+
+  return [...counts.entries()]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Suggest existing tags for autocomplete
+ * Prefix matches come first, then other substring matches
+ * @param {Array<string>} availableTags - Known tags
+ * @param {string} query - Text typed so far
+ * @param {Array<string>} [exclude] - Tags already chosen
+ * @param {number} [limit] - Maximum suggestions (default: 5)
+ * @returns {Array<string>}
+ */
+export function suggestTags(availableTags, query, exclude = [], limit = 5) {
+  const needle = normalizeTag(query);
+  if (!needle) {
+    return [];
+  }
+
+  const candidates = availableTags.filter(tag => !exclude.includes(tag) && tag.includes(needle));
+  const prefixMatches = candidates.filter(tag => tag.startsWith(needle));
+  const otherMatches = candidates.filter(tag => !tag.startsWith(needle));
+
+  return [...prefixMatches, ...otherMatches].slice(0, limit);
+}
+
+/**
+ * Keep only tasks that have every active tag
+ * @param {Array} tasks - Array of task objects
+ * @param {Array<string>} activeTags - Selected filter tags (empty = no filter)
+ * @returns {Array} Filtered tasks (same order)
+ */
+export function filterTasksByTags(tasks, activeTags) {
+  if (!activeTags || activeTags.length === 0) {
+    return tasks;
+  }
+
+  return tasks.filter(task => activeTags.every(tag => (task.tags || []).includes(tag)));
+}
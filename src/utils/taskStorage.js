@@ -1,24 +1,61 @@
 /**
  * Task storage operations
- * High-level CRUD operations with localStorage persistence
+ * High-level CRUD operations with persistent storage
  * Uses pure functions from tasks.js for business logic
+ * Every successful mutation is recorded in a session undo/redo history
  */
 
 import {
   getAllTasks,
+  getArchivedTasks,
   getTaskById,
   processNewTask,
   processTaskUpdate,
   removeTaskById,
   markTaskComplete,
+  createNextOccurrence,
+  restoreArchivedTask,
   processImportedTasks,
   exportTasks,
 } from './tasks';
-import { saveToStorage, STORAGE_KEYS } from './storage';
+import { getFromStorage, saveToStorage, STORAGE_KEYS } from './storage';
+import { migrateTasks, migratePreferences, combineApplied } from './migrations';
+import { validateDependencies } from './validation';
+import {
+  createHistory,
+  createCommand,
+  applyCommand,
+  recordCommand,
+  popUndo,
+  popRedo,
+} from './history';
+
+/**
+ * Undo/redo history for this session (not persisted)
+ */
+let history = createHistory();
+
+/**
+ * Read active and archived tasks together
+ * @returns {object} { tasks, archivedTasks }
+ */
+function readTaskState() {
+  return { tasks: getAllTasks(), archivedTasks: getArchivedTasks() };
+}
+
+/**
+ * Record a successful mutation in the undo history
+ * @param {string} type - Command type
+ * @param {string} label - Human-readable description
+ * @param {object} before - { tasks, archivedTasks } before the mutation
+ */
+function recordChange(type, label, before) {
+  history = recordCommand(history, createCommand(type, label, before, readTaskState()));
+}
 
 /**
  * Create a new task and save to storage
- * @param {object} taskData - Task data { title, description, deadline, priority }
+ * @param {object} taskData - Task data { title, description, deadline, priority, recurrence }
  * @returns {object} { success: boolean, task: object|null, errors: string[] }
  */
 export function createTask(taskData) {
@@ -28,8 +65,8 @@ export function createTask(taskData) {
   }
 
   // Get existing tasks and add new one
-  const tasks = getAllTasks();
-  tasks.push(result.task);
+  const before = readTaskState();
+  const tasks = [...before.tasks, result.task];
 
   // Save to storage
   const saved = saveToStorage(STORAGE_KEYS.TASKS, tasks);
@@ -41,6 +78,7 @@ export function createTask(taskData) {
     };
   }
 
+  recordChange('create', `Create "${result.task.title}"`, before);
   return result;
 }
 
@@ -51,7 +89,8 @@ export function createTask(taskData) {
  * @returns {object} { success: boolean, task: object|null, errors: string[] }
  */
 export function updateTask(id, updates) {
-  const tasks = getAllTasks();
+  const before = readTaskState();
+  const tasks = before.tasks;
   const existingTask = getTaskById(tasks, id);
 
   if (!existingTask) {
@@ -70,6 +109,16 @@ export function updateTask(id, updates) {
   // Update task in array
   const updatedTasks = tasks.map(task => task.id === id ? result.task : task);
 
+  // New blocked-by links must not loop back to this task
+  const dependencies = validateDependencies(updatedTasks, [id]);
+  if (!dependencies.valid) {
+    return {
+      success: false,
+      task: null,
+      errors: [dependencies.error],
+    };
+  }
+
   // Save to storage
   const saved = saveToStorage(STORAGE_KEYS.TASKS, updatedTasks);
   if (!saved) {
@@ -80,6 +129,7 @@ export function updateTask(id, updates) {
     };
   }
 
+  recordChange('update', `Update "${result.task.title}"`, before);
   return result;
 }
 
@@ -89,8 +139,8 @@ export function updateTask(id, updates) {
  * @returns {object} { success: boolean, errors: string[] }
  */
 export function deleteTask(id) {
-  const tasks = getAllTasks();
-  const result = removeTaskById(tasks, id);
+  const before = readTaskState();
+  const result = removeTaskById(before.tasks, id);
 
   if (!result.success) {
     return { success: false, errors: result.errors };
@@ -105,24 +155,124 @@ export function deleteTask(id) {
     };
   }
 
+  const deletedTask = getTaskById(before.tasks, id);
+  recordChange('delete', `Delete "${deletedTask.title}"`, before);
   return { success: true, errors: [] };
 }
 
 /**
- * Mark a task as completed and remove from storage
+ * Mark a task as completed and move it to the archive
+ * Recurring tasks schedule their next occurrence in the active list
+ * Updates given with it (e.g. the checklist whose last check completed the
+ * task) are applied first, as part of the same undo step
+ * @param {string} id - Task ID
+ * @param {object} [updates] - Fields to update before completing
+ * @returns {object} { success: boolean, task: object|null, nextTask: object|null, errors: string[] }
+ */
+export function completeTask(id, updates = null) {
+  const before = readTaskState();
+  let activeTasks = before.tasks;
+
+  if (updates) {
+    const existingTask = getTaskById(activeTasks, id);
+    if (existingTask) {
+      const updated = processTaskUpdate(existingTask, updates);
+      if (!updated.success) {
+        return { success: false, task: null, nextTask: null, errors: updated.errors };
+      }
+      activeTasks = activeTasks.map(task => task.id === id ? updated.task : task);
+    }
+  }
+
+  const result = markTaskComplete(activeTasks, id);
+
+  if (!result.success) {
+    return { success: false, task: null, nextTask: null, errors: result.errors };
+  }
+
+  // Archive first so a failed write never loses the task
+  const archived = saveToStorage(STORAGE_KEYS.ARCHIVE, [...before.archivedTasks, result.task]);
+  if (!archived) {
+    return {
+      success: false,
+      task: null,
+      nextTask: null,
+      errors: ['Failed to save changes to storage'],
+    };
+  }
+
+  const nextTask = createNextOccurrence(result.task);
+  const remainingTasks = nextTask ? [...result.tasks, nextTask] : result.tasks;
+
+  const saved = saveToStorage(STORAGE_KEYS.TASKS, remainingTasks);
+  if (!saved) {
+    return {
+      success: false,
+      task: null,
+      nextTask: null,
+      errors: ['Failed to save changes to storage'],
+    };
+  }
+
+  recordChange('complete', `Complete "${result.task.title}"`, before);
+  return { success: true, task: result.task, nextTask, errors: [] };
+}
+
+/**
+ * Restore an archived task to the active task list
+ * @param {string} id - Task ID
+ * @returns {object} { success: boolean, task: object|null, errors: string[] }
+ */
+export function restoreTask(id) {
+  const before = readTaskState();
+  const result = restoreArchivedTask(before.archivedTasks, id);
+
+  if (!result.success) {
+    return { success: false, task: null, errors: result.errors };
+  }
+
+  // Its blockers may have come to depend on it while it was archived
+  const restoredTasks = [...before.tasks, result.task];
+  const dependencies = validateDependencies(restoredTasks, [id]);
+  if (!dependencies.valid) {
+    return { success: false, task: null, errors: [dependencies.error] };
+  }
+
+  const saved = saveToStorage(STORAGE_KEYS.TASKS, restoredTasks);
+  if (!saved) {
+    return {
+      success: false,
+      task: null,
+      errors: ['Failed to save changes to storage'],
+    };
+  }
+
+  const archived = saveToStorage(STORAGE_KEYS.ARCHIVE, result.archivedTasks);
+  if (!archived) {
+    return {
+      success: false,
+      task: null,
+      errors: ['Failed to save changes to storage'],
+    };
+  }
+
+  recordChange('restore', `Restore "${result.task.title}"`, before);
+  return { success: true, task: result.task, errors: [] };
+}
+
+/**
+ * Permanently delete a task from the archive
  * @param {string} id - Task ID
  * @returns {object} { success: boolean, errors: string[] }
  */
-export function completeTask(id) {
-  const tasks = getAllTasks();
-  const result = markTaskComplete(tasks, id);
+export function purgeArchivedTask(id) {
+  const result = removeTaskById(getArchivedTasks(), id);
 
   if (!result.success) {
     return { success: false, errors: result.errors };
   }
 
-  // Save to storage
-  const saved = saveToStorage(STORAGE_KEYS.TASKS, result.tasks);
+  const saved = saveToStorage(STORAGE_KEYS.ARCHIVE, result.tasks);
   if (!saved) {
     return {
       success: false,
@@ -133,14 +283,23 @@ export function completeTask(id) {
   return { success: true, errors: [] };
 }
 
+/**
+ * Permanently delete every archived task
+ * @returns {boolean} Success status
+ */
+export function clearArchive() {
+  return saveToStorage(STORAGE_KEYS.ARCHIVE, []);
+}
+
 /**
  * Import tasks from array and save to storage
+ * Completed tasks (isCompleted: true) go to the archive
  * @param {Array} importedTasks - Array of task objects
  * @returns {object} { success: boolean, imported: number, errors: string[] }
  */
 export function importTasks(importedTasks) {
-  const currentTasks = getAllTasks();
-  const result = processImportedTasks(currentTasks, importedTasks);
+  const before = readTaskState();
+  const result = processImportedTasks(before.tasks, importedTasks);
 
   if (!result.success || result.imported === 0) {
     return {
@@ -150,8 +309,19 @@ export function importTasks(importedTasks) {
     };
   }
 
+  const added = result.tasks.slice(before.tasks.length);
+  const next = {
+    tasks: [...before.tasks, ...added.filter(task => !task.isCompleted)],
+    archivedTasks: [...before.archivedTasks, ...added.filter(task => task.isCompleted)],
+  };
+
+  const dependencies = validateDependencies(next.tasks, added.map(task => task.id));
+  if (!dependencies.valid) {
+    return { success: false, imported: 0, errors: [dependencies.error] };
+  }
+
   // Save to storage
-  const saved = saveToStorage(STORAGE_KEYS.TASKS, result.tasks);
+  const saved = writeTaskState(next);
   if (!saved) {
     return {
       success: false,
@@ -160,6 +330,7 @@ export function importTasks(importedTasks) {
     };
   }
 
+  recordChange('import', `Import ${result.imported} tasks`, before);
   return {
     success: true,
     imported: result.imported,
@@ -167,13 +338,41 @@ export function importTasks(importedTasks) {
   };
 }
 
+/**
+ * Replace all active and archived tasks with imported data
+ * @param {Array} importedTasks - Active tasks to store
+ * @param {Array} [importedArchive] - Archived tasks to store
+ * @returns {object} { success: boolean, errors: string[] }
+ */
+export function replaceAllTasks(importedTasks, importedArchive = []) {
+  const before = readTaskState();
+
+  const dependencies = validateDependencies(importedTasks);
+  if (!dependencies.valid) {
+    return { success: false, errors: [dependencies.error] };
+  }
+
+  const saved =
+    saveToStorage(STORAGE_KEYS.TASKS, importedTasks) &&
+    saveToStorage(STORAGE_KEYS.ARCHIVE, importedArchive);
+  if (!saved) {
+    return {
+      success: false,
+      errors: ['Failed to save imported tasks to storage'],
+    };
+  }
+
+  recordChange('import', `Import ${importedTasks.length} tasks`, before);
+  return { success: true, errors: [] };
+}
+
 /**
  * Export all tasks from storage as JSON string
+ * Archived tasks are included (isCompleted: true)
  * @returns {string} JSON string of all tasks
  */
 export function exportTasksFromStorage() {
-  const tasks = getAllTasks();
-  return exportTasks(tasks);
+  return exportTasks([...getAllTasks(), ...getArchivedTasks()]);
 }
 
 /**
@@ -183,3 +382,118 @@ export function exportTasksFromStorage() {
 export function clearAllTasks() {
   return saveToStorage(STORAGE_KEYS.TASKS, []);
 }
+
+/**
+ * Upgrade stored tasks, archive and preferences to the current schema
+ * The original data is backed up to NINAD_TASKS_BACKUP_V1 before anything is written
+ * @returns {object} { success: boolean, applied: Array<{ version, description }>, errors: string[] }
+ */
+export function migrateStoredData() {
+  const tasks = getAllTasks();
+  const archivedTasks = getArchivedTasks();
+  const preferences = getFromStorage(STORAGE_KEYS.PREFS, null);
+
+  const tasksResult = migrateTasks(tasks);
+  const archiveResult = migrateTasks(archivedTasks);
+  const prefsResult = preferences ? migratePreferences(preferences) : null;
+
+  if (!tasksResult.changed && !archiveResult.changed && !prefsResult?.changed) {
+    return { success: true, applied: [], errors: [] };
+  }
+
+  const backedUp = saveToStorage(STORAGE_KEYS.BACKUP, {
+    reason: 'migration',
+    createdAt: new Date().toISOString(),
+    tasks,
+    archivedTasks,
+    preferences,
+  });
+  if (!backedUp) {
+    return { success: false, applied: [], errors: ['Failed to back up data before migrating'] };
+  }
+
+  const saved =
+    saveToStorage(STORAGE_KEYS.TASKS, tasksResult.tasks) &&
+    saveToStorage(STORAGE_KEYS.ARCHIVE, archiveResult.tasks) &&
+    (!prefsResult || saveToStorage(STORAGE_KEYS.PREFS, prefsResult.preferences));
+  if (!saved) {
+    return { success: false, applied: [], errors: ['Failed to save migrated data to storage'] };
+  }
+
+  return {
+    success: true,
+    applied: combineApplied(tasksResult.applied, archiveResult.applied, prefsResult?.applied ?? []),
+    errors: [],
+  };
+}
+
+/**
+ * Save active and archived tasks together
+ * @param {object} state - { tasks, archivedTasks }
+ * @returns {boolean} Success status
+ */
+function writeTaskState(state) {
+  return (
+    saveToStorage(STORAGE_KEYS.TASKS, state.tasks) &&
+    saveToStorage(STORAGE_KEYS.ARCHIVE, state.archivedTasks)
+  );
+}
+
+/**
+ * Undo the most recent task mutation
+ * @returns {object} { success: boolean, command: object|null, errors: string[] }
+ */
+export function undoLastChange() {
+  const { history: nextHistory, command } = popUndo(history);
+  if (!command) {
+    return { success: false, command: null, errors: ['Nothing to undo'] };
+  }
+
+  if (!writeTaskState(applyCommand(readTaskState(), command, 'undo'))) {
+    return { success: false, command: null, errors: ['Failed to save changes to storage'] };
+  }
+
+  history = nextHistory;
+  return { success: true, command, errors: [] };
+}
+
+/**
+ * Redo the most recently undone task mutation
+ * @returns {object} { success: boolean, command: object|null, errors: string[] }
+ */
+export function redoLastChange() {
+  const { history: nextHistory, command } = popRedo(history);
+  if (!command) {
+    return { success: false, command: null, errors: ['Nothing to redo'] };
+  }
+
+  if (!writeTaskState(applyCommand(readTaskState(), command, 'redo'))) {
+    return { success: false, command: null, errors: ['Failed to save changes to storage'] };
+  }
+
+  history = nextHistory;
+  return { success: true, command, errors: [] };
+}
+
+/**
+ * Check whether there is a mutation to undo
+ * @returns {boolean}
+ */
+export function canUndo() {
+  return history.past.length > 0;
+}
+
+/**
+ * Check whether there is an undone mutation to redo
+ * @returns {boolean}
+ */
+export function canRedo() {
+  return history.future.length > 0;
+}
+
+/**
+ * Forget all undo/redo history
+ */
+export function clearHistory() {
+  history = createHistory();
+}
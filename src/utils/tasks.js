@@ -5,8 +5,12 @@
 
 import { v4 as uuidv4 } from 'uuid';
 import { getFromStorage, STORAGE_KEYS } from './storage';
-import { getCurrentUTC } from './datetime';
-import { validateTask, truncateDescription } from './validation';
+import { getCurrentUTC, isInPast } from './datetime';
+import { validateTask, validateNewTask, truncateDescription } from './validation';
+import { getNextOccurrence, getSeriesAnchor } from './recurrence';
+import { CURRENT_SCHEMA_VERSION, migrateTask } from './migrations';
+import { resetChecklist } from './checklist';
+import { DEFAULT_STATUS } from './status';
 
 /**
  * Get all tasks from storage (read-only)
@@ -16,6 +20,14 @@ export function getAllTasks() {
   return getFromStorage(STORAGE_KEYS.TASKS, []);
 }
 
+/**
+ * Get all archived (completed) tasks from storage (read-only)
+ * @returns {Array} Array of archived task objects
+ */
+export function getArchivedTasks() {
+  return getFromStorage(STORAGE_KEYS.ARCHIVE, []);
+}
+
 /**
  * Get a single task by ID from tasks array
  * @param {Array} tasks - Array of tasks
@@ -28,10 +40,13 @@ export function getTaskById(tasks, id) {
 
 /**
  * Process new task data into valid task object (pure function)
- * @param {object} taskData - Task data { title, description, deadline, priority }
+ * Tasks read from other apps (imported) keep past deadlines;
+ * tasks entered by the user must also pass the creation rules
+ * @param {object} taskData - Task data { title, description, deadline, priority, recurrence, tags, checklist, reminders, status, startDate, blockedBy, estimateHours }
+ * @param {object} [options] - { imported: boolean }
  * @returns {object} { success: boolean, task: object|null, errors: string[] }
  */
-export function processNewTask(taskData) {
+export function processNewTask(taskData, { imported = false } = {}) {
   const now = getCurrentUTC();
 
   const newTask = {
@@ -40,14 +55,22 @@ export function processNewTask(taskData) {
     description: truncateDescription(taskData.description || ''),
     deadline: taskData.deadline,
     priority: taskData.priority || 2, // Default to Medium
+    recurrence: taskData.recurrence || null,
+    tags: taskData.tags || [],
+    checklist: taskData.checklist || [],
+    reminders: taskData.reminders ?? null,
+    status: taskData.status || DEFAULT_STATUS,
+    startDate: taskData.startDate || null,
+    blockedBy: taskData.blockedBy || [],
+    estimateHours: taskData.estimateHours ?? null,
     isCompleted: false,
     createdAt: now,
     lastModified: now,
-    schemaVersion: 1,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
   };
 
   // Validate the task
-  const validation = validateTask(newTask);
+  const validation = imported ? validateTask(newTask) : validateNewTask(newTask);
   if (!validation.valid) {
     return {
       success: false,
@@ -65,6 +88,7 @@ export function processNewTask(taskData) {
 
 /**
  * Process task update (pure function)
+ * Creation rules apply only to a changed deadline, so overdue tasks stay editable
  * @param {object} existingTask - Current task object
  * @param {object} updates - Fields to update
  * @returns {object} { success: boolean, task: object|null, errors: string[] }
@@ -77,7 +101,7 @@ export function processTaskUpdate(existingTask, updates) {
     id: existingTask.id, // Ensure ID cannot be changed
     createdAt: existingTask.createdAt, // Ensure createdAt cannot be changed
     lastModified: getCurrentUTC(),
-    schemaVersion: 1,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
   };
 
   // Truncate description if present
@@ -86,7 +110,8 @@ export function processTaskUpdate(existingTask, updates) {
   }
 
   // Validate the updated task
-  const validation = validateTask(updatedTask);
+  const deadlineChanged = updatedTask.deadline !== existingTask.deadline;
+  const validation = deadlineChanged ? validateNewTask(updatedTask) : validateTask(updatedTask);
   if (!validation.valid) {
     return {
       success: false,
@@ -128,37 +153,156 @@ export function removeTaskById(tasks, id) {
 
 /**
  * Mark task as completed and remove from array (pure function)
+ * The completed task is returned separately so it can be archived
  * @param {Array} tasks - Array of tasks
  * @param {string} id - Task ID
- * @returns {object} { success: boolean, tasks: Array, errors: string[] }
+ * @returns {object} { success: boolean, tasks: Array, task: object|null, errors: string[] }
  */
 export function markTaskComplete(tasks, id) {
-  const taskIndex = tasks.findIndex(task => task.id === id);
+  const existingTask = getTaskById(tasks, id);
 
-  if (taskIndex === -1) {
+  if (!existingTask) {
     return {
       success: false,
       tasks,
+      task: null,
       errors: ['Task not found'],
     };
   }
 
-  // Set isCompleted to true (for future compatibility)
-  const updatedTasks = [...tasks];
-  updatedTasks[taskIndex] = { ...updatedTasks[taskIndex], isCompleted: true };
+  const now = getCurrentUTC();
+  const completedTask = {
+    ...existingTask,
+    isCompleted: true,
+    completedAt: now,
+    lastModified: now,
+  };
 
-  // Remove task from array
-  const filteredTasks = updatedTasks.filter(task => task.id !== id);
+  // Remove task from active array
+  const filteredTasks = tasks.filter(task => task.id !== id);
 
   return {
     success: true,
     tasks: filteredTasks,
+    task: completedTask,
     errors: [],
   };
 }
 
+/**
+ * Build the next occurrence of a recurring task (pure function)
+ * Occurrences that are already past (task completed late) are skipped
+ * The checklist carries over with every item unchecked, the estimate and
+ * blockers carry over as they are (blockers that are done no longer block),
+ * and a start date keeps the same lead time before the new deadline.
+ * The series anchor is kept so month-end deadlines never drift
+ * @param {object} task - Completed recurring task
+ * @returns {object|null} New task for the next occurrence, or null if the rule has ended
+ */
+export function createNextOccurrence(task) {
+  if (!task.recurrence) {
+    return null;
+  }
+
+  let occurrence = task.occurrence || 1;
+  const anchor = getSeriesAnchor(task.deadline, task.recurrence, occurrence, task.recurrenceAnchor);
+  let deadline = getNextOccurrence(task.deadline, task.recurrence, occurrence, anchor);
+
+  while (deadline && isInPast(deadline)) {
+    occurrence++;
+    deadline = getNextOccurrence(deadline, task.recurrence, occurrence, anchor);
+  }
+
+  if (!deadline) {
+    return null;
+  }
+
+  let startDate = null;
+  if (task.startDate) {
+    const leadTime = new Date(task.deadline) - new Date(task.startDate);
+    startDate = new Date(new Date(deadline).getTime() - leadTime).toISOString();
+  }
+
+  const result = processNewTask({
+    title: task.title,
+    description: task.description,
+    deadline,
+    priority: task.priority,
+    recurrence: task.recurrence,
+    tags: task.tags,
+    checklist: resetChecklist(task.checklist),
+    reminders: task.reminders,
+    startDate,
+    blockedBy: task.blockedBy,
+    estimateHours: task.estimateHours,
+  });
+
+  if (!result.success) {
+    return null;
+  }
+
+  return { ...result.task, occurrence: occurrence + 1, recurrenceAnchor: anchor };
+}
+
+/**
+ * Take a task out of the archive and make it active again (pure function)
+ * @param {Array} archivedTasks - Array of archived tasks
+ * @param {string} id - Task ID
+ * @returns {object} { success: boolean, archivedTasks: Array, task: object|null, errors: string[] }
+ */
+export function restoreArchivedTask(archivedTasks, id) {
+  const archivedTask = getTaskById(archivedTasks, id);
+
+  if (!archivedTask) {
+    return {
+      success: false,
+      archivedTasks,
+      task: null,
+      errors: ['Task not found'],
+    };
+  }
+
+  const restoredTask = {
+    ...archivedTask,
+    isCompleted: false,
+    lastModified: getCurrentUTC(),
+  };
+  // Drop completion metadata from the restored copy
+  delete restoredTask.completedAt;
+
+  return {
+    success: true,
+    archivedTasks: archivedTasks.filter(task => task.id !== id),
+    task: restoredTask,
+    errors: [],
+  };
+}
+
+/**
+ * Filter archived tasks by a search query and sort newest completion first (pure function)
+ * Matches case-insensitively against title and description
+ * @param {Array} archivedTasks - Array of archived tasks
+ * @param {string} [query] - Search text (empty returns all)
+ * @returns {Array} New filtered and sorted array
+ */
+export function filterArchivedTasks(archivedTasks, query = '') {
+  const needle = query.trim().toLowerCase();
+
+  const matches = needle
+    ? archivedTasks.filter(task =>
+        task.title.toLowerCase().includes(needle) ||
+        (task.description || '').toLowerCase().includes(needle)
+      )
+    : [...archivedTasks];
+
+  return matches.sort((a, b) =>
+    new Date(b.completedAt).getTime() - new Date(a.completedAt).getTime()
+  );
+}
+
 /**
  * Process imported tasks (pure function)
+ * Only integrity rules apply, so overdue tasks are kept
  * @param {Array} currentTasks - Existing tasks array
  * @param {Array} importedTasks - Array of task objects to import
  * @returns {object} { success: boolean, tasks: Array, imported: number, errors: string[] }
@@ -184,11 +328,11 @@ export function processImportedTasks(currentTasks, importedTasks) {
       return;
     }
 
-    // Truncate description
+    // Upgrade older exports, then truncate description
+    const { task: migratedTask } = migrateTask(task);
     const processedTask = {
-      ...task,
-      description: truncateDescription(task.description || ''),
-      schemaVersion: 1,
+      ...migratedTask,
+      description: truncateDescription(migratedTask.description || ''),
     };
 
     // Validate
@@ -1,8 +1,10 @@
 /**
  * Theme management utilities
- * Handles light/dark/system theme modes with localStorage persistence
+ * Handles light/dark/system theme modes with persistence in preferences
  */
 
+import { getFromStorage, saveToStorage, STORAGE_KEYS } from './storage';
+
 export const THEME_MODES = {
   LIGHT: 'light',
   DARK: 'dark',
@@ -12,16 +14,13 @@ export const THEME_MODES = {
 const VALID_THEMES = [THEME_MODES.LIGHT, THEME_MODES.DARK, THEME_MODES.SYSTEM];
 
 /**
- * Get theme preference from localStorage
+ * Get theme preference from storage
  * @returns {'light' | 'dark' | 'system'} Theme preference, defaults to 'system'
  */
 export function getThemePreference() {
   try {
-    const prefs = localStorage.getItem('NINAD_PREFS_V1');
-    if (!prefs) return THEME_MODES.SYSTEM;
-
-    const parsed = JSON.parse(prefs);
-    const theme = parsed.theme;
+    const prefs = getFromStorage(STORAGE_KEYS.PREFS, {});
+    const theme = prefs?.theme;
 
     if (!theme || !VALID_THEMES.includes(theme)) {
       return THEME_MODES.SYSTEM;
@@ -35,7 +34,7 @@ export function getThemePreference() {
 }
 
 /**
- * Save theme preference to localStorage
+ * Save theme preference to storage
  * @param {'light' | 'dark' | 'system'} theme - Theme to save
  */
 export function setThemePreference(theme) {
@@ -46,10 +45,9 @@ export function setThemePreference(theme) {
   }
 
   try {
-    const prefs = localStorage.getItem('NINAD_PREFS_V1');
-    const existing = prefs ? JSON.parse(prefs) : {};
+    const existing = getFromStorage(STORAGE_KEYS.PREFS, {});
     existing.theme = theme;
-    localStorage.setItem('NINAD_PREFS_V1', JSON.stringify(existing));
+    saveToStorage(STORAGE_KEYS.PREFS, existing);
   } catch (error) {
     console.error('Error saving theme preference:', error);
   }
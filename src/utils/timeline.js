@@ -0,0 +1,157 @@
+/**
+ * Timeline utilities
+ * Places tasks as bars on a day, week or month timeline (pure functions)
+ *
+ * A bar ends at the deadline. It starts at deadline minus the effort
+ * estimate when the task has one, else at the start date, else it is a
+ * marker at the deadline. Periods start at local midnight; weeks start on
+ * Sunday, like calendar.js.
+ */
+
+import dayjs from 'dayjs';
+import { getCalendarTitle } from './calendar';
+import { VIEW_MODES } from './views';
+
+/**
+ * Largest effort estimate accepted, in hours
+ */
+export const MAX_ESTIMATE_HOURS = 1000;
+
+/**
+ * Zoom levels
+ * unit: period shown; tickUnit/tickStep/tickFormat: scale labels;
+ * snapMinutes: step a dragged deadline moves in
+ */
+export const TIMELINE_ZOOMS = {
+  day: { label: 'Day', unit: 'day', tickUnit: 'hour', tickStep: 3, tickFormat: 'h A', snapMinutes: 15 },
+  week: { label: 'Week', unit: 'week', tickUnit: 'day', tickStep: 1, tickFormat: 'ddd D', snapMinutes: 60 },
+  month: { label: 'Month', unit: 'month', tickUnit: 'day', tickStep: 1, tickFormat: 'D', snapMinutes: 60 },
+};
+
+/**
+ * Get the period shown for a zoom level
+ * @param {string} day - Any local date in the period (YYYY-MM-DD)
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @returns {object} { start, end } in ms
+ */
+export function getTimelineRange(day, zoom) {
+  const start = dayjs(day).startOf(TIMELINE_ZOOMS[zoom].unit);
+  return { start: start.valueOf(), end: start.add(1, TIMELINE_ZOOMS[zoom].unit).valueOf() };
+}
+
+/**
+ * Move the timeline by whole periods
+ * @param {string} day - Current anchor day (YYYY-MM-DD)
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @param {number} amount - Periods to move (negative for back)
+ * @returns {string} New anchor day (YYYY-MM-DD)
+ */
+export function shiftTimeline(day, zoom, amount) {
+  return dayjs(day).add(amount, TIMELINE_ZOOMS[zoom].unit).format('YYYY-MM-DD');
+}
+
+/**
+ * Title for the period shown
+ * @param {string} day - Anchor day (YYYY-MM-DD)
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @returns {string} e.g. "Wednesday, October 14, 2026", "Oct 11 – 17, 2026" or "October 2026"
+ */
+export function getTimelineTitle(day, zoom) {
+  if (zoom === 'day') {
+    return dayjs(day).format('dddd, MMMM D, YYYY');
+  }
+  return getCalendarTitle(day, zoom === 'week' ? VIEW_MODES.WEEK : VIEW_MODES.MONTH);
+}
+
+/**
+ * Scale labels for a period
+ * @param {object} range - { start, end } from getTimelineRange
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @returns {Array<object>} { time, label }
+ */
+export function getTimelineTicks(range, zoom) {
+  const { tickUnit, tickStep, tickFormat } = TIMELINE_ZOOMS[zoom];
+  const ticks = [];
+
+  for (let tick = dayjs(range.start); tick.valueOf() < range.end; tick = tick.add(tickStep, tickUnit)) {
+    ticks.push({ time: tick.valueOf(), label: tick.format(tickFormat) });
+  }
+  return ticks;
+}
+
+/**
+ * Get when a task's bar starts and ends
+ * @param {object} task - Task object
+ * @returns {object} { start, end } in ms (equal for a marker)
+ */
+export function getTaskSpan(task) {
+  const end = new Date(task.deadline).getTime();
+
+  if (task.estimateHours > 0) {
+    return { start: end - task.estimateHours * 60 * 60 * 1000, end };
+  }
+
+  const startDate = task.startDate ? new Date(task.startDate).getTime() : NaN;
+  return { start: startDate < end ? startDate : end, end };
+}
+
+/**
+ * Get the tasks with a bar in a period
+ * @param {Array} tasks - Task objects (order kept)
+ * @param {object} range - { start, end } from getTimelineRange
+ * @returns {Array<object>} { task, start, end }
+ */
+export function getTimelineRows(tasks, range) {
+  return tasks
+    .map(task => ({ task, ...getTaskSpan(task) }))
+    .filter(row => row.end >= range.start && row.start < range.end);
+}
+
+/**
+ * Position of a time within a period
+ * @param {number} time - Time in ms
+ * @param {object} range - { start, end }
+ * @returns {number} Percent from the left edge, clamped to 0-100
+ */
+export function toTimelinePercent(time, range) {
+  const percent = ((time - range.start) / (range.end - range.start)) * 100;
+  return Math.min(100, Math.max(0, percent));
+}
+
+/**
+ * Deadline for a point on the timeline, snapped to the zoom's step
+ * @param {number} fraction - Position from the left edge (0-1)
+ * @param {object} range - { start, end }
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @returns {number} Time in ms
+ */
+export function getDeadlineAtPosition(fraction, range, zoom) {
+  const snap = TIMELINE_ZOOMS[zoom].snapMinutes * 60 * 1000;
+  const clamped = Math.min(1, Math.max(0, fraction));
+  const time = range.start + clamped * (range.end - range.start);
+  return range.start + Math.round((time - range.start) / snap) * snap;
+}
+
+/**
+ * Move a deadline by snap steps (keyboard nudging)
+ * @param {string} deadline - UTC ISO string
+ * @param {string} zoom - Key of TIMELINE_ZOOMS
+ * @param {number} steps - Steps to move (negative for earlier)
+ * @returns {string} New UTC ISO string
+ */
+export function nudgeDeadline(deadline, zoom, steps) {
+  const time = new Date(deadline).getTime() + steps * TIMELINE_ZOOMS[zoom].snapMinutes * 60 * 1000;
+  return new Date(time).toISOString();
+}
+
+/**
+ * Describe an effort estimate
+ * @param {number} hours
+ * @returns {string} e.g. "45 min" or "1.5 h"
+ */
+export function formatEstimate(hours) {
+  if (hours < 1) {
+    return `${Math.round(hours * 60)} min`;
+  }
+  return `${Number(hours.toFixed(2))} h`;
+}
@@ -1,3 +1,134 @@
+/**
+ * Urgency color palette: name -> Open Props border and background colors
+ */
+export const URGENCY_COLORS = {
+  red: { label: 'Red', borderColor: 'var(--red-6)', backgroundColor: 'var(--red-1)' },
+  orange: { label: 'Orange', borderColor: 'var(--orange-6)', backgroundColor: 'var(--orange-1)' },
+  yellow: { label: 'Yellow', borderColor: 'var(--yellow-6)', backgroundColor: 'var(--yellow-1)' },
+  lime: { label: 'Lime', borderColor: 'var(--lime-6)', backgroundColor: 'var(--lime-1)' },
+  green: { label: 'Green', borderColor: 'var(--green-6)', backgroundColor: 'var(--green-1)' },
+  teal: { label: 'Teal', borderColor: 'var(--teal-6)', backgroundColor: 'var(--teal-1)' },
+  blue: { label: 'Blue', borderColor: 'var(--blue-6)', backgroundColor: 'var(--blue-1)' },
+  violet: { label: 'Violet', borderColor: 'var(--violet-6)', backgroundColor: 'var(--violet-1)' },
+};
+
+/**
+ * Maximum number of urgency bands
+ */
+export const MAX_URGENCY_BANDS = 5;
+
+/**
+ * Longest threshold accepted for a band or for pulsing (one year, in hours)
+ */
+export const MAX_URGENCY_HOURS = 365 * 24;
+
+/**
+ * How cards are colored
+ * bands: fixed colors from the palette, one per band
+ * gradient: a color blended from green (plenty of time) to red (due now)
+ */
+export const URGENCY_MODES = ['bands', 'gradient'];
+
+/**
+ * What the gradient measures
+ * elapsed: share of the time between creation and deadline that has passed
+ * remaining: hours left, against gradientHours
+ */
+export const GRADIENT_BASES = ['elapsed', 'remaining'];
+
+/**
+ * Colors of the "can't make it" level: the task's estimated effort no longer
+ * fits before its deadline (see forecast.js). Pink is not in the band palette,
+ * so it never reads as an ordinary band.
+ */
+export const CANT_MAKE_IT_COLORS = {
+  borderColor: 'var(--pink-8)',
+  backgroundColor: 'light-dark(var(--pink-1), var(--pink-11))',
+  textColor: 'var(--text-primary)',
+};
+
+/**
+ * Gradient hues: green when there is plenty of time, red at the deadline
+ */
+const GRADIENT_START_HUE = 140;
+const GRADIENT_END_HUE = 0;
+
+/**
+ * Default urgency settings
+ * bands: ascending thresholds; a task is colored by the first band whose
+ * threshold (hours before the deadline) it is under
+ * pulseHours: pulse tasks due within this many hours (0 = never pulse)
+ * mode: 'bands' or 'gradient' (see URGENCY_MODES)
+ * gradientBasis: 'elapsed' or 'remaining' (see GRADIENT_BASES)
+ * gradientHours: with the 'remaining' basis, cards are fully green this far out
+ */
+export const DEFAULT_URGENCY_SETTINGS = {
+  bands: [
+    { hours: 1, color: 'red' },
+    { hours: 6, color: 'orange' },
+    { hours: 24, color: 'yellow' },
+  ],
+  pulseHours: 1,
+  mode: 'bands',
+  gradientBasis: 'elapsed',
+  gradientHours: 7 * 24,
+};
+
+/**
+ * Validate urgency settings
+ * mode, gradientBasis and gradientHours may be missing (settings saved before
+ * the gradient existed); the defaults apply then
+ * @param {object} settings - { bands: Array<{ hours, color }>, pulseHours, mode, gradientBasis, gradientHours }
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateUrgencySettings(settings) {
+  if (!settings || typeof settings !== 'object' || !Array.isArray(settings.bands)) {
+    return { valid: false, error: 'Urgency settings must have a list of bands' };
+  }
+
+  const { bands, pulseHours } = settings;
+
+  if (bands.length > MAX_URGENCY_BANDS) {
+    return { valid: false, error: `Use at most ${MAX_URGENCY_BANDS} urgency bands` };
+  }
+
+  for (let i = 0; i < bands.length; i++) {
+    const band = bands[i];
+    if (!band || typeof band.hours !== 'number' || !(band.hours > 0) || band.hours > MAX_URGENCY_HOURS) {
+      return { valid: false, error: 'Each band needs a threshold above zero and at most a year' };
+    }
+
+    if (!Object.hasOwn(URGENCY_COLORS, band.color)) {
+      return { valid: false, error: 'Each band needs a color from the palette' };
+    }
+
+    if (i > 0 && band.hours <= bands[i - 1].hours) {
+      return { valid: false, error: 'Each band must start further from the deadline than the one before' };
+    }
+  }
+
+  if (typeof pulseHours !== 'number' || !(pulseHours >= 0) || pulseHours > MAX_URGENCY_HOURS) {
+    return { valid: false, error: 'Pulsing must start between 0 hours and a year before the deadline' };
+  }
+
+  const { mode, gradientBasis, gradientHours } = settings;
+
+  if (mode !== undefined && !URGENCY_MODES.includes(mode)) {
+    return { valid: false, error: 'Urgency mode must be bands or gradient' };
+  }
+
+  if (gradientBasis !== undefined && !GRADIENT_BASES.includes(gradientBasis)) {
+    return { valid: false, error: 'Gradient must be based on elapsed or remaining time' };
+  }
+
+  if (gradientHours !== undefined &&
+      (typeof gradientHours !== 'number' || !(gradientHours > 0) || gradientHours > MAX_URGENCY_HOURS)) {
+    return { valid: false, error: 'The gradient must start between 0 hours and a year before the deadline' };
+  }
+
+  return { valid: true, error: null };
+}
+
 /**
  * Calculate time remaining until deadline in milliseconds
  * @param {string} deadline - UTC ISO 8601 deadline string
@@ -19,14 +150,59 @@ export function isOverdue(deadline, now = Date.now()) {
   return getTimeRemaining(deadline, now) < 0;
 }
 
+/**
+ * How far along the gradient a task is, from 0 (plenty of time) to 1 (due now)
+ * The 'elapsed' basis needs a creation time before the deadline; without one
+ * it falls back to hours remaining
+ * @param {number} remaining - Milliseconds until the deadline (not negative)
+ * @param {number} now - Current time in ms
+ * @param {object} settings - Urgency settings
+ * @param {string} [createdAt] - UTC ISO 8601 creation time
+ * @returns {number} Fraction between 0 and 1
+ */
+function getGradientFraction(remaining, now, settings, createdAt) {
+  const { gradientBasis, gradientHours } = { ...DEFAULT_URGENCY_SETTINGS, ...settings };
+  const created = new Date(createdAt).getTime();
+  const total = now + remaining - created;
+
+  const fraction = gradientBasis === 'elapsed' && total > 0
+    ? (now - created) / total
+    : 1 - remaining / (gradientHours * 60 * 60 * 1000);
+
+  return Math.min(1, Math.max(0, fraction));
+}
+
+/**
+ * Blend a gradient color for a fraction of the way to the deadline
+ * Hue runs from green to red; light-dark() keeps the card a pale tint in the
+ * light theme and a deep shade in the dark theme, with text that reads on both
+ * @param {number} fraction - 0 (plenty of time) to 1 (due now)
+ * @returns {object} { borderColor, backgroundColor, textColor }
+ */
+export function getGradientColor(fraction) {
+  const hue = Math.round(GRADIENT_START_HUE + (GRADIENT_END_HUE - GRADIENT_START_HUE) * fraction);
+
+  return {
+    borderColor: `light-dark(hsl(${hue} 75% 35%), hsl(${hue} 75% 65%))`,
+    backgroundColor: `light-dark(hsl(${hue} 80% 93%), hsl(${hue} 35% 20%))`,
+    textColor: 'var(--text-primary)',
+  };
+}
+
 /**
  * Get urgency colors based on time remaining
- * Returns border and background colors using Open Props variables
+ * In bands mode, returns the palette colors of the closest band (Open Props
+ * variables); in gradient mode, a blended color (see getGradientColor).
+ * A task that can no longer be finished in time takes the "can't make it"
+ * colors in either mode.
  * @param {string} deadline - UTC ISO 8601 deadline string
  * @param {number} [now] - Optional current time in ms
- * @returns {object|null} Object with borderColor and backgroundColor, or null for default
+ * @param {object} [settings] - Urgency settings (default: 1h red, 6h orange, 24h yellow)
+ * @param {string} [createdAt] - Task creation time, for the 'elapsed' gradient
+ * @param {boolean} [cantMakeIt] - Whether the task's estimate no longer fits before its deadline
+ * @returns {object|null} Object with borderColor and backgroundColor (and textColor for the gradient and "can't make it"), or null for default
  */
-export function getUrgencyColor(deadline, now = Date.now()) {
+export function getUrgencyColor(deadline, now = Date.now(), settings = DEFAULT_URGENCY_SETTINGS, createdAt, cantMakeIt = false) {
   const remaining = getTimeRemaining(deadline, now);
   const hoursRemaining = remaining / (60 * 60 * 1000);
 
@@ -35,32 +211,34 @@ export function getUrgencyColor(deadline, now = Date.now()) {
     return null;
   }
 
-  // Critical (<1hr): red border + background
-  if (hoursRemaining < 1) {
-    return {
-      borderColor: 'var(--red-6)',
-      backgroundColor: 'var(--red-1)'
-    };
+  if (cantMakeIt) {
+    return CANT_MAKE_IT_COLORS;
   }
 
-  // Warning (1-6hr): orange border + background
-  if (hoursRemaining < 6) {
-    return {
-      borderColor: 'var(--orange-6)',
-      backgroundColor: 'var(--orange-1)'
-    };
+  if (settings.mode === 'gradient') {
+    return getGradientColor(getGradientFraction(remaining, now, settings, createdAt));
   }
 
-  // Low warning (6-24hr): yellow border + background
-  if (hoursRemaining < 24) {
-    return {
-      borderColor: 'var(--yellow-6)',
-      backgroundColor: 'var(--yellow-1)'
-    };
+  // Closest band first; beyond the last band: no urgency coloring (neutral/white)
+  const band = settings.bands.find(b => hoursRemaining < b.hours);
+  if (!band) {
+    return null;
   }
 
-  // Safe (>24hr): no urgency coloring (neutral/white)
-  return null;
+  const { borderColor, backgroundColor } = URGENCY_COLORS[band.color];
+  return { borderColor, backgroundColor };
+}
+
+/**
+ * Check if a task should pulse (due soon but not yet overdue)
+ * @param {string} deadline - UTC ISO 8601 deadline string
+ * @param {number} [now] - Optional current time in ms
+ * @param {object} [settings] - Urgency settings
+ * @returns {boolean} True while within settings.pulseHours of the deadline
+ */
+export function shouldPulse(deadline, now = Date.now(), settings = DEFAULT_URGENCY_SETTINGS) {
+  const hoursRemaining = getTimeRemaining(deadline, now) / (60 * 60 * 1000);
+  return hoursRemaining > 0 && hoursRemaining < settings.pulseHours;
 }
 
 /**
@@ -98,15 +276,18 @@ export function formatRelativeTime(deadline, now = Date.now()) {
 }
 
 /**
- * Check if any task requires urgent refresh interval (≤1hr or overdue)
+ * Check if any task requires urgent refresh interval
+ * Urgent means overdue, pulsing or in the closest urgency band
  * @param {Array} tasks - Array of task objects
  * @param {number} [now] - Optional current time in ms
+ * @param {object} [settings] - Urgency settings
  * @returns {boolean} True if urgent refresh needed
  */
-export function needsUrgentRefresh(tasks, now = Date.now()) {
+export function needsUrgentRefresh(tasks, now = Date.now(), settings = DEFAULT_URGENCY_SETTINGS) {
+  const urgentHours = Math.max(settings.pulseHours, settings.bands[0]?.hours ?? 0);
+
   return tasks.some(task => {
-    const remaining = getTimeRemaining(task.deadline, now);
-    const hoursRemaining = remaining / (60 * 60 * 1000);
-    return hoursRemaining < 1; // overdue or < 1hr
+    const hoursRemaining = getTimeRemaining(task.deadline, now) / (60 * 60 * 1000);
+    return hoursRemaining < urgentHours; // overdue counts as negative hours
   });
 }
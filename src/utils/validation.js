@@ -1,9 +1,24 @@
 /**
  * Data validation utilities
  * Validates task data according to schema rules
+ *
+ * Rules come in two sets:
+ * - Integrity rules (validateTask): what every stored task must satisfy.
+ *   Used for imports, restores and edits that keep the deadline.
+ * - Creation rules (validateNewTask): integrity rules plus checks that only
+ *   make sense for values the user is entering now, e.g. a deadline in the past.
+ * - List rules (validateDependencies): checks that need every task at once,
+ *   e.g. blocked-by links that loop back.
  */
 
 import { isInPast } from './datetime';
+import { RECURRENCE_FREQUENCIES } from './recurrence';
+import { MAX_TAGS, MAX_TAG_LENGTH, TAG_PATTERN } from './tags';
+import { MAX_CHECKLIST_ITEMS, MAX_CHECKLIST_ITEM_LENGTH } from './checklist';
+import { MAX_LEAD_TIMES, isValidLeadTimes } from './notifications';
+import { STATUS_ID_PATTERN } from './status';
+import { MAX_BLOCKERS, findDependencyCycle } from './dependencies';
+import { MAX_ESTIMATE_HOURS } from './timeline';
 
 /**
  * Validate task title
@@ -44,7 +59,8 @@ export function validateDescription(description) {
 }
 
 /**
- * Validate task deadline
+ * Validate task deadline (integrity rule)
+ * Past deadlines are valid: overdue tasks are normal once stored
  * @param {string} deadline - UTC ISO 8601 string
  * @returns {object} { valid: boolean, error: string }
  */
@@ -59,7 +75,20 @@ export function validateDeadline(deadline) {
     return { valid: false, error: 'Invalid deadline format' };
   }
 
-  // Check if deadline is in the past
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate a deadline the user is setting now (creation rule)
+ * @param {string} deadline - UTC ISO 8601 string
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateNewDeadline(deadline) {
+  const deadlineValidation = validateDeadline(deadline);
+  if (!deadlineValidation.valid) {
+    return deadlineValidation;
+  }
+
   if (isInPast(deadline)) {
     return { valid: false, error: 'Deadline cannot be in the past' };
   }
@@ -85,7 +114,283 @@ export function validatePriority(priority) {
 }
 
 /**
- * Validate entire task object
+ * Validate task recurrence rule
+ * @param {object|null} recurrence - Recurrence rule (see recurrence.js)
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateRecurrence(recurrence) {
+  if (recurrence === null || recurrence === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (typeof recurrence !== 'object' || Array.isArray(recurrence)) {
+    return { valid: false, error: 'Recurrence must be an object' };
+  }
+
+  if (!Object.values(RECURRENCE_FREQUENCIES).includes(recurrence.frequency)) {
+    return { valid: false, error: 'Recurrence frequency must be daily, weekly, monthly, or yearly' };
+  }
+
+  const { interval, weekdays, until, count } = recurrence;
+
+  if (!Number.isInteger(interval) || interval < 1 || interval > 999) {
+    return { valid: false, error: 'Recurrence interval must be a whole number from 1 to 999' };
+  }
+
+  if (weekdays !== null && weekdays !== undefined) {
+    const validDays = Array.isArray(weekdays) &&
+      weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6);
+    if (!validDays) {
+      return { valid: false, error: 'Recurrence weekdays must be numbers from 0 (Sun) to 6 (Sat)' };
+    }
+
+    if (weekdays.length > 0 && recurrence.frequency !== RECURRENCE_FREQUENCIES.WEEKLY) {
+      return { valid: false, error: 'Recurrence weekdays can only be set for weekly repeats' };
+    }
+  }
+
+  if (until && count) {
+    return { valid: false, error: 'Recurrence can end on a date or after a count, not both' };
+  }
+
+  if (until !== null && until !== undefined) {
+    if (typeof until !== 'string' || isNaN(new Date(until).getTime())) {
+      return { valid: false, error: 'Invalid recurrence end date' };
+    }
+  }
+
+  if (count !== null && count !== undefined) {
+    if (!Number.isInteger(count) || count < 1) {
+      return { valid: false, error: 'Recurrence count must be a positive whole number' };
+    }
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate task tags
+ * @param {Array<string>} tags - Normalized tags (see tags.js)
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateTags(tags) {
+  if (tags === null || tags === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (!Array.isArray(tags)) {
+    return { valid: false, error: 'Tags must be a list' };
+  }
+
+  if (tags.length > MAX_TAGS) {
+    return { valid: false, error: `A task can have at most ${MAX_TAGS} tags` };
+  }
+
+  for (const tag of tags) {
+    if (typeof tag !== 'string' || !TAG_PATTERN.test(tag) || tag !== tag.toLowerCase()) {
+      return { valid: false, error: `Invalid tag "${tag}": use lowercase letters, numbers, - or _` };
+    }
+
+    if (tag.length > MAX_TAG_LENGTH) {
+      return { valid: false, error: `Tag "${tag}" must be ${MAX_TAG_LENGTH} characters or less` };
+    }
+  }
+
+  if (new Set(tags).size !== tags.length) {
+    return { valid: false, error: 'Tags must not repeat' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate task checklist
+ * Items have their own length limit; the description limit does not apply
+ * @param {Array|null|undefined} checklist - Items { id, text, done }
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateChecklist(checklist) {
+  if (checklist === null || checklist === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (!Array.isArray(checklist)) {
+    return { valid: false, error: 'Checklist must be a list' };
+  }
+
+  if (checklist.length > MAX_CHECKLIST_ITEMS) {
+    return { valid: false, error: `A checklist can have at most ${MAX_CHECKLIST_ITEMS} items` };
+  }
+
+  for (const item of checklist) {
+    if (!item || typeof item !== 'object' || typeof item.id !== 'string' || item.id.length === 0) {
+      return { valid: false, error: 'Checklist items must have an id' };
+    }
+
+    if (typeof item.text !== 'string' || item.text.trim().length === 0) {
+      return { valid: false, error: 'Checklist items cannot be empty' };
+    }
+
+    if (item.text.length > MAX_CHECKLIST_ITEM_LENGTH) {
+      return { valid: false, error: `Checklist items must be ${MAX_CHECKLIST_ITEM_LENGTH} characters or less` };
+    }
+
+    if (typeof item.done !== 'boolean') {
+      return { valid: false, error: 'Checklist item state must be true or false' };
+    }
+  }
+
+  if (new Set(checklist.map(item => item.id)).size !== checklist.length) {
+    return { valid: false, error: 'Checklist item ids must be unique' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate per-task reminder override
+ * @param {Array<number>|null|undefined} reminders - Minutes before deadline (null = use Settings)
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateReminders(reminders) {
+  if (reminders === null || reminders === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (!isValidLeadTimes(reminders)) {
+    return {
+      valid: false,
+      error: `Reminders must be up to ${MAX_LEAD_TIMES} different whole minutes before the deadline`,
+    };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate workflow status
+ * Any well-formed id is accepted, since board columns can be renamed or removed later
+ * @param {string|undefined} status - Status id (see status.js)
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateStatus(status) {
+  if (status === null || status === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (typeof status !== 'string' || !STATUS_ID_PATTERN.test(status)) {
+    return { valid: false, error: 'Status must be a board column id' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate start ("do") date
+ * A start date in the past is fine (the task is simply visible); it must be
+ * before the deadline so a snoozed task never hides past it
+ * @param {string|null|undefined} startDate - UTC ISO 8601 string (null = visible right away)
+ * @param {string} deadline - Task deadline, UTC ISO 8601 string
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateStartDate(startDate, deadline) {
+  if (startDate === null || startDate === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  const start = new Date(startDate).getTime();
+  if (typeof startDate !== 'string' || isNaN(start)) {
+    return { valid: false, error: 'Invalid start date format' };
+  }
+
+  if (start >= new Date(deadline).getTime()) {
+    return { valid: false, error: 'Start date must be before the deadline' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate estimated effort
+ * @param {number|null|undefined} estimateHours - Hours of work, or null when not estimated
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateEstimate(estimateHours) {
+  if (estimateHours === null || estimateHours === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (typeof estimateHours !== 'number' || !Number.isFinite(estimateHours) || estimateHours <= 0) {
+    return { valid: false, error: 'Estimated effort must be a positive number of hours' };
+  }
+
+  if (estimateHours > MAX_ESTIMATE_HOURS) {
+    return { valid: false, error: `Estimated effort must be ${MAX_ESTIMATE_HOURS} hours or less` };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate blocked-by links of one task
+ * Cycles across tasks are checked by validateDependencies
+ * @param {Array<string>|undefined} blockedBy - Ids of tasks that must be done first
+ * @param {string} taskId - Id of the task itself
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateBlockedBy(blockedBy, taskId) {
+  if (blockedBy === undefined) {
+    return { valid: true, error: null }; // Optional field
+  }
+
+  if (!Array.isArray(blockedBy) || blockedBy.some(id => typeof id !== 'string' || !id)) {
+    return { valid: false, error: 'Blocked-by must be a list of task ids' };
+  }
+
+  if (blockedBy.length > MAX_BLOCKERS) {
+    return { valid: false, error: `A task can be blocked by at most ${MAX_BLOCKERS} tasks` };
+  }
+
+  if (new Set(blockedBy).size !== blockedBy.length) {
+    return { valid: false, error: 'Each blocking task can only be listed once' };
+  }
+
+  if (taskId && blockedBy.includes(taskId)) {
+    return { valid: false, error: 'A task cannot block itself' };
+  }
+
+  return { valid: true, error: null };
+}
+
+/**
+ * Validate blocked-by links across a task list (list rule)
+ * Pass the ids of the tasks that changed to only reject cycles through them,
+ * so a cycle already in storage does not block unrelated changes
+ * @param {Array} tasks - Every active task, with the change applied
+ * @param {Array<string>|null} [changedIds] - Tasks that changed (null = check every task)
+ * @returns {object} { valid: boolean, error: string }
+ */
+export function validateDependencies(tasks, changedIds = null) {
+  let cycle = null;
+  if (changedIds) {
+    for (const id of changedIds) {
+      cycle = findDependencyCycle(tasks, id);
+      if (cycle) break;
+    }
+  } else {
+    cycle = findDependencyCycle(tasks);
+  }
+
+  if (!cycle) {
+    return { valid: true, error: null };
+  }
+
+  const titles = cycle.map(id => `"${tasks.find(task => task.id === id).title}"`);
+  return { valid: false, error: `Blocked-by links cannot form a cycle: ${titles.join(' → ')}` };
+}
+
+/**
+ * Validate entire task object against the integrity rules
  * @param {object} task - Task object to validate
  * @returns {object} { valid: boolean, errors: string[] }
  */
@@ -112,6 +417,67 @@ export function validateTask(task) {
     errors.push(priorityValidation.error);
   }
 
+  const recurrenceValidation = validateRecurrence(task.recurrence);
+  if (!recurrenceValidation.valid) {
+    errors.push(recurrenceValidation.error);
+  }
+
+  const tagsValidation = validateTags(task.tags);
+  if (!tagsValidation.valid) {
+    errors.push(tagsValidation.error);
+  }
+
+  const checklistValidation = validateChecklist(task.checklist);
+  if (!checklistValidation.valid) {
+    errors.push(checklistValidation.error);
+  }
+
+  const remindersValidation = validateReminders(task.reminders);
+  if (!remindersValidation.valid) {
+    errors.push(remindersValidation.error);
+  }
+
+  const statusValidation = validateStatus(task.status);
+  if (!statusValidation.valid) {
+    errors.push(statusValidation.error);
+  }
+
+  const startDateValidation = validateStartDate(task.startDate, task.deadline);
+  if (!startDateValidation.valid) {
+    errors.push(startDateValidation.error);
+  }
+
+  const blockedByValidation = validateBlockedBy(task.blockedBy, task.id);
+  if (!blockedByValidation.valid) {
+    errors.push(blockedByValidation.error);
+  }
+
+  const estimateValidation = validateEstimate(task.estimateHours);
+  if (!estimateValidation.valid) {
+    errors.push(estimateValidation.error);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Validate a task the user is creating, or editing to a new deadline
+ * Applies the integrity rules plus the creation rules
+ * @param {object} task - Task object to validate
+ * @returns {object} { valid: boolean, errors: string[] }
+ */
+export function validateNewTask(task) {
+  const validation = validateTask(task);
+  const errors = [...validation.errors];
+
+  const deadlineValidation = validateNewDeadline(task.deadline);
+  if (!deadlineValidation.valid && !errors.includes(deadlineValidation.error)) {
+    errors.push(deadlineValidation.error);
+  }
+
   return {
     valid: errors.length === 0,
     errors,
@@ -3,6 +3,8 @@
  * Handles version tracking and update detection
  */
 
+import { getStorageAdapter } from './storage';
+
 const VERSION_KEY = 'NINAD_VERSION';
 const CURRENT_VERSION = '1.0.0'; // Semantic versioning
 
@@ -15,24 +17,24 @@ export function getCurrentVersion() {
 }
 
 /**
- * Get stored version from localStorage
+ * Get stored version from storage
  * @returns {string|null} Stored version or null if not set
  */
 export function getStoredVersion() {
   try {
-    return window.localStorage.getItem(VERSION_KEY);
+    return getStorageAdapter().getItem(VERSION_KEY);
   } catch (e) {
     return null;
   }
 }
 
 /**
- * Set stored version in localStorage
+ * Set stored version in storage
  * @param {string} version - Version to store
  */
 export function setStoredVersion(version) {
   try {
-    window.localStorage.setItem(VERSION_KEY, version);
+    getStorageAdapter().setItem(VERSION_KEY, version);
   } catch (e) {
     console.error('Failed to set version:', e);
   }
@@ -0,0 +1,30 @@
+/**
+ * Task view constants
+ * Which layout the active tasks are shown in
+ */
+
+/**
+ * View mode constants
+ * list: the card grid
+ * agenda: the card grid in day sections (Today, Tomorrow, This week...)
+ * month / week: calendar layouts, tasks placed on their local deadline day
+ * board: kanban columns by workflow status
+ * timeline: horizontal bars ending at each deadline
+ */
+export const VIEW_MODES = {
+  LIST: 'list',
+  AGENDA: 'agenda',
+  MONTH: 'month',
+  WEEK: 'week',
+  BOARD: 'board',
+  TIMELINE: 'timeline',
+};
+
+/**
+ * Check that a value is a known view mode
+ * @param {*} viewMode
+ * @returns {boolean}
+ */
+export function isValidViewMode(viewMode) {
+  return Object.values(VIEW_MODES).includes(viewMode);
+}
@@ -1,10 +1,69 @@
 /// <reference types="vitest" />
+import { readFileSync, readdirSync, existsSync } from 'node:fs'
+import { join, relative, sep } from 'node:path'
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * List every file in the public directory
+ * @param {string} publicDir - Absolute path ('' when disabled)
+ * @returns {Array<{ fileName: string, source: Buffer }>} Files with URL-style paths
+ */
+function readPublicFiles(publicDir) {
+  if (!publicDir || !existsSync(publicDir)) return []
+
+  return readdirSync(publicDir, { recursive: true, withFileTypes: true })
+    .filter(entry => entry.isFile())
+    .map(entry => {
+      const path = join(entry.parentPath ?? entry.path, entry.name)
+      return { fileName: relative(publicDir, path).split(sep).join('/'), source: readFileSync(path) }
+    })
+}
+
+/**
+ * Emit sw.js with a precache list of every file in the build
+ * The worker template lives in src/sw.js; its version is a hash of the
+ * emitted files' contents, so each build with changed files installs a new worker.
+ */
+function precacheServiceWorker() {
+  let publicDir = ''
+
+  return {
+    name: 'nearzero-precache-sw',
+    apply: 'build',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(_options, bundle) {
+      const files = [
+        ...readPublicFiles(publicDir),
+        ...Object.values(bundle).map(file => ({
+          fileName: file.fileName,
+          source: file.type === 'chunk' ? file.code : file.source,
+        })),
+      ]
+        .filter(file => !file.fileName.endsWith('.map'))
+        .sort((a, b) => a.fileName.localeCompare(b.fileName))
+
+      const urls = [...new Set(['index.html', ...files.map(file => file.fileName)])].sort()
+      const hash = createHash('sha256')
+      files.forEach(file => hash.update(file.fileName).update('\0').update(file.source).update('\0'))
+      const version = hash.digest('hex').slice(0, 12)
+      const template = readFileSync(new URL('./src/sw.js', import.meta.url), 'utf-8')
+
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: template.replace('self.__PRECACHE_MANIFEST', JSON.stringify({ version, urls })),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheServiceWorker()],
   test: {
     globals: true,
     environment: 'jsdom',